@@ -20,6 +20,17 @@ const commentRoutes = require('./routes/comment.routes');
 const notificationRoutes = require('./routes/notification.routes');
 const adminRoutes = require('./routes/admin.routes');
 const messageRoutes = require('./routes/message.routes');
+const folderRoutes = require('./routes/folder.routes');
+const uploadRoutes = require('./routes/upload.routes');
+const trashRoutes = require('./routes/trash.routes');
+const shareRoutes = require('./routes/share.routes');
+const invitationRoutes = require('./routes/invitation.routes');
+const groupRoutes = require('./routes/group.routes');
+const retentionRoutes = require('./routes/retention.routes');
+const documentTypeRoutes = require('./routes/documentType.routes');
+const sealRoutes = require('./routes/seal.routes');
+const signatureRoutes = require('./routes/signature.routes');
+const workflowRoutes = require('./routes/workflow.routes');
 
 // Create Express app
 const app = express();
@@ -38,7 +49,9 @@ app.use(cors(corsOptions));
 // Security middleware
 app.use(helmet());
 
-// Body parser middleware
+// Body parser middleware (bulk requests carry up to a few hundred ids)
+app.use('/api/v1/documents/bulk', express.json({ limit: '100kb' }));
+app.use('/api/v1/signature-requests/:id/sign', express.json({ limit: '1mb' }));
 app.use(express.json({ limit: '10kb' }));
 app.use(express.urlencoded({ extended: true, limit: '10kb' }));
 
@@ -51,7 +64,7 @@ app.use(xss());
 // Prevent parameter pollution
 app.use(
   hpp({
-    whitelist: ['tags', 'category', 'role'], // Allow duplicate params for these fields
+    whitelist: ['tags', 'category', 'role', 'type', 'owner', 'extension', 'uploaded'], // Allow duplicate params for these fields
   })
 );
 
@@ -86,6 +99,17 @@ app.use('/api/v1/comments', commentRoutes);
 app.use('/api/v1/notifications', notificationRoutes);
 app.use('/api/v1/admin', adminRoutes);
 app.use('/api/v1/messages', messageRoutes);
+app.use('/api/v1/folders', folderRoutes);
+app.use('/api/v1/uploads', uploadRoutes);
+app.use('/api/v1/trash', trashRoutes);
+app.use('/api/v1/share', shareRoutes);
+app.use('/api/v1/invitations', invitationRoutes);
+app.use('/api/v1/groups', groupRoutes);
+app.use('/api/v1/retention', retentionRoutes);
+app.use('/api/v1/document-types', documentTypeRoutes);
+app.use('/api/v1/seals', sealRoutes);
+app.use('/api/v1/signature-requests', signatureRoutes);
+app.use('/api/v1/workflows', workflowRoutes);
 
 // Handle undefined routes
 app.all('*', (req, res, next) => {
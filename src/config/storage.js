@@ -0,0 +1,67 @@
+const S3Driver = require('../services/storage/s3Driver');
+const LocalDriver = require('../services/storage/localDriver');
+const MemoryDriver = require('../services/storage/memoryDriver');
+
+/**
+ * Create a storage driver
+ *
+ * STORAGE_DRIVER selects the backend: `wasabi`/`s3` (default), `local` (files
+ * under STORAGE_LOCAL_ROOT, e.g. a NAS mount) or `memory` (default under test).
+ */
+const createDriver = (name = process.env.STORAGE_DRIVER || (process.env.NODE_ENV === 'test' ? 'memory' : 'wasabi')) => {
+  switch (name) {
+    case 'wasabi':
+    case 's3':
+      return new S3Driver({
+        endpoint: process.env.WASABI_ENDPOINT,
+        region: process.env.WASABI_REGION,
+        accessKeyId: process.env.WASABI_ACCESS_KEY_ID,
+        secretAccessKey: process.env.WASABI_SECRET_ACCESS_KEY,
+        bucket: process.env.WASABI_BUCKET,
+      });
+    case 'local':
+      return new LocalDriver({ root: process.env.STORAGE_LOCAL_ROOT || './storage' });
+    case 'memory':
+      return new MemoryDriver();
+    default:
+      throw new Error(`Unknown storage driver "${name}". Use wasabi, s3, local or memory`);
+  }
+};
+
+let driver = createDriver();
+
+/**
+ * Check whether a storage error means the object does not exist
+ */
+const isNotFound = (error) => {
+  return ['NotFound', 'NoSuchKey', 'ENOENT'].includes(error.code) || error.statusCode === 404;
+};
+
+/**
+ * Read a whole object into a buffer
+ */
+const getBuffer = async (key) => {
+  const chunks = [];
+  for await (const chunk of driver.getStream(key)) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+module.exports = {
+  createDriver,
+  getDriver: () => driver,
+  // Swap the active driver (tests)
+  setDriver: (newDriver) => { driver = newDriver; },
+  isNotFound,
+  getBuffer,
+  put: (key, body, options) => driver.put(key, body, options),
+  getStream: key => driver.getStream(key),
+  delete: key => driver.delete(key),
+  copy: (sourceKey, destinationKey) => driver.copy(sourceKey, destinationKey),
+  list: (prefix, options) => driver.list(prefix, options),
+  head: key => driver.head(key),
+  createMultipartUpload: (key, options) => driver.createMultipartUpload(key, options),
+  uploadPart: (key, uploadId, partNumber, body, contentLength) => driver.uploadPart(key, uploadId, partNumber, body, contentLength),
+  completeMultipartUpload: (key, uploadId, parts) => driver.completeMultipartUpload(key, uploadId, parts),
+  abortMultipartUpload: (key, uploadId) => driver.abortMultipartUpload(key, uploadId),
+  checkHealth: () => driver.checkHealth(),
+};
@@ -2,8 +2,16 @@ const User = require('../models/User');
 const Document = require('../models/Document');
 const ActivityLog = require('../models/ActivityLog');
 const Notification = require('../models/Notification');
+const Tenant = require('../models/Tenant');
+const Group = require('../models/Group');
+const LegalHold = require('../models/LegalHold');
+const IntegrityReport = require('../models/IntegrityReport');
 const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
+const storage = require('../config/storage');
+const { enqueueVerification } = require('../jobs/integrityJob');
+const { enqueueKeyRotation } = require('../jobs/keyRotationJob');
+const { purgeDocument } = require('../services/documentService');
 
 /**
  * Get admin dashboard statistics
@@ -168,6 +176,53 @@ exports.getAllTenants = catchAsync(async (req, res, next) => {
   });
 });
 
+/**
+ * Update tenant settings
+ */
+exports.updateTenantSettings = catchAsync(async (req, res, next) => {
+  const { tenantId } = req.params;
+  const { trashRetentionDays, maxStoragePerUser, totalStorageLimit, reminderLeadDays, watermarkDownloads } = req.body;
+
+  if (!(await User.exists({ tenantId }))) {
+    return next(new AppError('Tenant not found', 404));
+  }
+
+  const updates = {};
+  if (trashRetentionDays !== undefined) updates['settings.trashRetentionDays'] = trashRetentionDays;
+  if (maxStoragePerUser !== undefined) updates['settings.maxStoragePerUser'] = maxStoragePerUser;
+  if (totalStorageLimit !== undefined) updates['settings.totalStorageLimit'] = totalStorageLimit;
+  if (reminderLeadDays !== undefined) updates['settings.reminderLeadDays'] = reminderLeadDays;
+  if (watermarkDownloads !== undefined) updates['settings.watermarkDownloads'] = watermarkDownloads;
+
+  const tenant = await Tenant.findOneAndUpdate(
+    { tenantId },
+    { $set: updates, $setOnInsert: { name: tenantId } },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  // Log the action
+  await ActivityLog.create({
+    tenantId,
+    user: req.user._id,
+    action: 'settings_change',
+    resourceType: 'tenant',
+    details: {
+      action: 'tenant_settings_updated',
+      updates,
+      updatedBy: req.user.email
+    },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    status: 'success'
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Tenant settings updated successfully',
+    data: { settings: tenant.settings }
+  });
+});
+
 /**
  * Get user details by ID
  */
@@ -298,8 +353,18 @@ exports.deleteUser = catchAsync(async (req, res, next) => {
     return next(new AppError('Cannot delete admin users', 403));
   }
 
-  // Delete user's documents
-  await Document.deleteMany({ owner: user._id });
+  // Documents under legal hold must be kept
+  const heldFilter = await LegalHold.heldFilter(user.tenantId);
+  if (await Document.exists({ owner: user._id, ...heldFilter })) {
+    return next(new AppError('User owns documents under legal hold and cannot be deleted', 423));
+  }
+
+  // Purge user's documents (including trashed ones) so their stored files go
+  // and the tenant's storage usage is given back
+  const documents = Document.find({ tenantId: user.tenantId, owner: user._id }).cursor();
+  for await (const document of documents) {
+    await purgeDocument(document);
+  }
 
   // Delete user's activities
   await ActivityLog.deleteMany({ user: user._id });
@@ -307,6 +372,9 @@ exports.deleteUser = catchAsync(async (req, res, next) => {
   // Delete user's notifications
   await Notification.deleteMany({ user: user._id });
 
+  // Remove user from groups
+  await Group.updateMany({ members: user._id }, { $pull: { members: user._id } });
+
   // Delete user
   await user.deleteOne();
 
@@ -328,6 +396,7 @@ exports.getActivityLogs = catchAsync(async (req, res, next) => {
     status,
     userId,
     search,
+    watermarkId,
     startDate,
     endDate
   } = req.query;
@@ -338,6 +407,7 @@ exports.getActivityLogs = catchAsync(async (req, res, next) => {
   if (action) query.action = action;
   if (status) query.status = status;
   if (userId) query.user = userId;
+  if (watermarkId) query['details.watermarkId'] = watermarkId;
 
   if (startDate || endDate) {
     query.createdAt = {};
@@ -512,7 +582,6 @@ exports.updateUserRole = catchAsync(async (req, res, next) => {
  */
 exports.getSystemHealth = catchAsync(async (req, res, next) => {
   const mongoose = require('mongoose');
-  const AWS = require('aws-sdk');
   const os = require('os');
 
   // Helper function to add timeout to promises
@@ -553,54 +622,41 @@ exports.getSystemHealth = catchAsync(async (req, res, next) => {
     return dbHealth;
   };
 
-  // Check Wasabi S3 connection (with timeout)
-  const checkWasabi = async () => {
-    let wasabiHealth = {
+  // Check the storage backend (with timeout)
+  const checkStorage = async () => {
+    let storageHealth = {
       status: 'unknown',
+      driver: storage.getDriver().name,
       responseTime: null,
       error: null
     };
 
-    if (process.env.WASABI_ENDPOINT && process.env.WASABI_ACCESS_KEY_ID) {
-      try {
-        const s3 = new AWS.S3({
-          endpoint: process.env.WASABI_ENDPOINT,
-          region: process.env.WASABI_REGION,
-          accessKeyId: process.env.WASABI_ACCESS_KEY_ID,
-          secretAccessKey: process.env.WASABI_SECRET_ACCESS_KEY,
-          signatureVersion: 'v4',
-          httpOptions: { timeout: 3000 }
-        });
-
-        const startTime = Date.now();
-        // Add 5 second timeout to prevent hanging
-        await withTimeout(
-          s3.headBucket({ Bucket: process.env.WASABI_BUCKET }).promise(),
-          5000,
-          'Wasabi health check timeout'
-        );
-        const endTime = Date.now();
-
-        wasabiHealth = {
-          status: 'connected',
-          responseTime: endTime - startTime,
-          bucket: process.env.WASABI_BUCKET,
-          region: process.env.WASABI_REGION
-        };
-      } catch (error) {
-        wasabiHealth.status = 'error';
-        wasabiHealth.error = error.message;
-      }
-    } else {
-      wasabiHealth.status = 'not_configured';
+    try {
+      const startTime = Date.now();
+      // Add 5 second timeout to prevent hanging
+      const result = await withTimeout(
+        storage.checkHealth(),
+        5000,
+        'Storage health check timeout'
+      );
+      const endTime = Date.now();
+
+      storageHealth = {
+        ...storageHealth,
+        ...result,
+        responseTime: result.status === 'connected' ? endTime - startTime : null
+      };
+    } catch (error) {
+      storageHealth.status = 'error';
+      storageHealth.error = error.message;
     }
-    return wasabiHealth;
+    return storageHealth;
   };
 
   // Run health checks in parallel for faster response
-  const [dbHealth, wasabiHealth] = await Promise.all([
+  const [dbHealth, storageHealth] = await Promise.all([
     checkDatabase(),
-    checkWasabi()
+    checkStorage()
   ]);
 
   // System resources
@@ -638,7 +694,7 @@ exports.getSystemHealth = catchAsync(async (req, res, next) => {
   // Overall system status
   const overallStatus = 
     dbHealth.status === 'connected' && 
-    (wasabiHealth.status === 'connected' || wasabiHealth.status === 'not_configured')
+    (storageHealth.status === 'connected' || storageHealth.status === 'not_configured')
       ? 'healthy'
       : 'degraded';
 
@@ -649,9 +705,137 @@ exports.getSystemHealth = catchAsync(async (req, res, next) => {
       timestamp: new Date(),
       services: {
         database: dbHealth,
-        storage: wasabiHealth
+        storage: storageHealth
       },
       system: systemHealth
     }
   });
 });
+
+/**
+ * Start a storage integrity verification (one tenant, or all tenants)
+ */
+exports.startIntegrityCheck = catchAsync(async (req, res, next) => {
+  const { tenantId } = req.body;
+
+  if (tenantId && !(await Document.exists({ tenantId }))) {
+    return next(new AppError('No stored documents found for this tenant', 404));
+  }
+
+  await enqueueVerification({ tenantId, requestedBy: req.user._id.toString() });
+
+  // Log the action
+  await ActivityLog.create({
+    tenantId: req.user.tenantId,
+    user: req.user._id,
+    action: 'integrity_check',
+    resourceType: 'system',
+    details: {
+      scope: tenantId || 'all_tenants',
+      requestedBy: req.user.email
+    },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    status: 'success'
+  });
+
+  res.status(202).json({
+    status: 'success',
+    message: `Integrity verification queued for ${tenantId || 'all tenants'}`
+  });
+});
+
+/**
+ * Get storage integrity reports (summaries only)
+ */
+exports.getIntegrityReports = catchAsync(async (req, res, next) => {
+  const { page = 1, limit = 20, tenantId, status } = req.query;
+
+  const query = {};
+  if (tenantId) query.tenantId = tenantId;
+  if (status) query.status = status;
+
+  const skip = (page - 1) * limit;
+
+  const [reports, total] = await Promise.all([
+    IntegrityReport.find(query)
+      .select('-issues')
+      .populate('requestedBy', 'firstName lastName email')
+      .sort('-startedAt')
+      .skip(skip)
+      .limit(parseInt(limit)),
+    IntegrityReport.countDocuments(query)
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: reports.length,
+    data: {
+      reports,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+/**
+ * Get a storage integrity report with its missing, mismatched and orphaned objects
+ */
+exports.getIntegrityReport = catchAsync(async (req, res, next) => {
+  const report = await IntegrityReport.findById(req.params.reportId)
+    .populate('requestedBy', 'firstName lastName email')
+    .populate('issues.document', 'title originalName owner status');
+
+  if (!report) {
+    return next(new AppError('Integrity report not found', 404));
+  }
+
+  // Optionally narrow the issue list (?type=missing|mismatched|orphaned|unreadable)
+  const issues = req.query.type
+    ? report.issues.filter(issue => issue.type === req.query.type)
+    : report.issues;
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      report: { ...report.toJSON(), issues }
+    }
+  });
+});
+
+/**
+ * Start an encryption key rotation (one tenant, or all tenants)
+ */
+exports.startKeyRotation = catchAsync(async (req, res, next) => {
+  const { tenantId } = req.body;
+
+  if (tenantId && !(await Document.exists({ tenantId }))) {
+    return next(new AppError('No stored documents found for this tenant', 404));
+  }
+
+  await enqueueKeyRotation({ tenantId, requestedBy: req.user._id.toString() });
+
+  // Log the action
+  await ActivityLog.create({
+    tenantId: req.user.tenantId,
+    user: req.user._id,
+    action: 'key_rotation',
+    resourceType: 'system',
+    details: {
+      scope: tenantId || 'all_tenants',
+      requestedBy: req.user.email
+    },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    status: 'success'
+  });
+
+  res.status(202).json({
+    status: 'success',
+    message: `Key rotation queued for ${tenantId || 'all tenants'}`
+  });
+});
@@ -3,10 +3,13 @@ const crypto = require('crypto');
 const speakeasy = require('speakeasy');
 const QRCode = require('qrcode');
 const User = require('../models/User');
+const Document = require('../models/Document');
+const Tenant = require('../models/Tenant');
 const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
 const { sendEmail } = require('../services/emailService');
 const { log, logFailure } = require('../middleware/activityLogger');
+const { findPendingInvitation } = require('../services/invitationService');
 const { v4: uuidv4 } = require('uuid');
 
 /**
@@ -30,7 +33,7 @@ const signRefreshToken = (id) => {
 /**
  * Send token response
  */
-const createSendToken = (user, statusCode, res) => {
+const createSendToken = (user, statusCode, res, data = {}) => {
   const token = signToken(user._id);
   const refreshToken = signRefreshToken(user._id);
 
@@ -44,6 +47,7 @@ const createSendToken = (user, statusCode, res) => {
     refreshToken,
     data: {
       user,
+      ...data,
     },
   });
 };
@@ -102,6 +106,78 @@ exports.register = catchAsync(async (req, res, next) => {
   log(req, 'register', 'user', user._id).catch(err => console.error('Failed to log activity:', err.message));
 });
 
+/**
+ * Register into a tenant from a document invitation
+ *
+ * The account is created for the invited address, the document is shared with
+ * it and the response says which document to open. If the address joined the
+ * tenant in the meantime, the share is added and the user is asked to log in.
+ */
+exports.registerFromInvitation = catchAsync(async (req, res, next) => {
+  const { firstName, lastName, password } = req.body;
+
+  const invitation = await findPendingInvitation(req.params.token);
+  if (!invitation) {
+    return next(new AppError('This invitation is invalid or has expired', 404));
+  }
+
+  const document = await Document.findOne({
+    _id: invitation.document,
+    tenantId: invitation.tenantId,
+    status: { $ne: 'deleted' },
+  });
+  if (!document) {
+    return next(new AppError('The shared document is no longer available', 410));
+  }
+
+  let user = await User.findOne({ email: invitation.email, tenantId: invitation.tenantId });
+  const existingUser = Boolean(user);
+
+  if (!user) {
+    const tenant = await Tenant.findOne({ tenantId: invitation.tenantId }).select('settings.maxUsers');
+    if (tenant && await User.countDocuments({ tenantId: invitation.tenantId }) >= tenant.settings.maxUsers) {
+      return next(new AppError('This organization has reached its user limit. Please contact the person who invited you', 403));
+    }
+
+    user = await User.create({
+      tenantId: invitation.tenantId,
+      firstName,
+      lastName,
+      email: invitation.email,
+      password,
+      // The invitation token proves the address
+      isVerified: true,
+    });
+  }
+
+  document.addShare(user._id, invitation.permission, invitation.invitedBy);
+  await document.save();
+
+  invitation.status = 'accepted';
+  invitation.acceptedAt = Date.now();
+  invitation.acceptedBy = user._id;
+  await invitation.save();
+
+  req.user = user;
+  req.tenantId = user.tenantId;
+  log(req, 'invitation_accept', 'document', document._id, {
+    invitation: invitation._id,
+    registered: !existingUser,
+  }).catch(err => console.error('Failed to log activity:', err.message));
+
+  if (existingUser) {
+    return res.status(200).json({
+      status: 'success',
+      message: 'You already have an account. Please log in to open the document',
+      data: {
+        documentId: document._id,
+      },
+    });
+  }
+
+  createSendToken(user, 201, res, { documentId: document._id });
+});
+
 /**
  * Login user
  */
@@ -1,6 +1,5 @@
 const Comment = require('../models/Comment');
 const Document = require('../models/Document');
-const User = require('../models/User');
 const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
 const { log } = require('../middleware/activityLogger');
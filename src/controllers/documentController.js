@@ -1,60 +1,88 @@
 const Document = require('../models/Document');
 const User = require('../models/User');
+const Folder = require('../models/Folder');
+const Group = require('../models/Group');
+const Notification = require('../models/Notification');
+const LegalHold = require('../models/LegalHold');
+const WorkflowRun = require('../models/WorkflowRun');
+const DocumentType = require('../models/DocumentType');
 const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
-const { uploadFile, downloadFile, deleteFile, getSignedUrl } = require('../config/wasabi');
+const { sha256 } = require('../utils/checksum');
 const { log } = require('../middleware/activityLogger');
 const { sendDocumentSharedEmail } = require('../services/emailService');
-const sharp = require('sharp');
+const { inviteToDocument } = require('../services/invitationService');
+const {
+  storeDocument,
+  storeVersion,
+  findDuplicate,
+  purgeDocument,
+  assertNotHeld,
+  assertVersionControl,
+  enqueueProcessing,
+} = require('../services/documentService');
+const { allowedTypes, mimeTypeFromName } = require('../middleware/upload');
+const { walkZip } = require('../utils/zip');
+const { PREVIEW_SIZES } = require('../services/renditionService');
+const { getDecryptedStream } = require('../services/encryptionService');
+const { retentionOf } = require('../services/retentionService');
+const { escapeRegex } = require('../services/searchService');
+const { watermarkedCopy, userRecipient } = require('../services/watermarkService');
+
+// Check-out locks last this long unless the holder asks for another duration
+const LOCK_DURATION_HOURS = parseInt(process.env.DOCUMENT_LOCK_HOURS) || 8;
+
+/**
+ * Reject changes while another user has the document checked out
+ */
+const assertNotLocked = (document, user) => {
+  if (document.isLockedFor(user)) {
+    throw new AppError(`Document is checked out by another user until ${document.lock.expiresAt.toISOString()}`, 423);
+  }
+};
 
 /**
  * Upload document
+ *
+ * The file is archived exactly as uploaded; optimized copies are generated
+ * separately as renditions.
  */
 exports.uploadDocument = catchAsync(async (req, res, next) => {
   if (!req.file) {
     return next(new AppError('Please provide a file to upload', 400));
   }
 
-  const { name, description, category, tags, folderId } = req.body;
+  const { title, description, type, category, tags, folderId, expiresAt, reviewAt } = req.body;
 
-  // Process image if it's an image
-  let fileBuffer = req.file.buffer;
-  if (req.file.mimetype.startsWith('image/')) {
-    fileBuffer = await sharp(req.file.buffer)
-      .resize(2000, 2000, { fit: 'inside', withoutEnlargement: true })
-      .jpeg({ quality: 90 })
-      .toBuffer();
+  // Make sure the target folder belongs to the tenant
+  if (folderId && !(await Folder.exists({ _id: folderId, tenantId: req.user.tenantId }))) {
+    return next(new AppError('Folder not found', 404));
   }
 
-  // Upload to Wasabi
-  const fileKey = `${req.user.tenantId}/documents/${Date.now()}-${req.file.originalname}`;
-  await uploadFile(fileKey, fileBuffer, req.file.mimetype);
-
-  // Create document record
-  const document = await Document.create({
-    tenantId: req.user.tenantId,
-    name: name || req.file.originalname,
-    description,
-    filename: req.file.originalname,
-    fileKey,
+  const document = await storeDocument({
+    user: req.user,
+    buffer: req.file.buffer,
+    originalName: req.file.originalname,
     mimeType: req.file.mimetype,
-    size: req.file.size,
-    category,
-    tags: tags ? tags.split(',').map(tag => tag.trim()) : [],
-    folderId,
-    uploadedBy: req.user._id,
-    versions: [{
-      version: 1,
-      fileKey,
-      size: req.file.size,
-      uploadedBy: req.user._id,
-      uploadedAt: Date.now(),
-      changes: 'Initial upload',
-    }],
+    metadata: {
+      title,
+      description,
+      type,
+      category,
+      tags,
+      folderId,
+      expiresAt,
+      reviewAt,
+      documentType: req.customFields && req.customFields.documentType,
+      customFields: req.customFields && req.customFields.values,
+    },
   });
 
   // Log activity
-  await log(req, 'document_upload', 'document', document._id, { documentName: document.name });
+  await log(req, 'document_upload', 'document', document._id, {
+    documentName: document.title,
+    checksum: document.checksum,
+  });
 
   res.status(201).json({
     status: 'success',
@@ -64,6 +92,143 @@ exports.uploadDocument = catchAsync(async (req, res, next) => {
   });
 });
 
+/**
+ * Batch upload documents (ZIP archives can be expanded into folders)
+ */
+exports.batchUpload = catchAsync(async (req, res, next) => {
+  const files = req.files || [];
+  const results = (req.rejectedFiles || []).map(rejection => ({ ...rejection, status: 'rejected' }));
+
+  if (files.length === 0 && results.length === 0) {
+    return next(new AppError('Please provide files to upload', 400));
+  }
+
+  const { folderId, extractZip, type, category, tags } = req.body;
+
+  let baseFolder = null;
+  if (folderId) {
+    baseFolder = await Folder.findOne({ _id: folderId, tenantId: req.user.tenantId });
+    if (!baseFolder) {
+      return next(new AppError('Folder not found', 404));
+    }
+  }
+
+  const metadata = {
+    type,
+    category,
+    tags: tags ? tags.split(',').map(tag => tag.trim()) : [],
+  };
+  const maxFileSize = parseInt(process.env.MAX_FILE_SIZE) || 104857600;
+  const seenChecksums = new Map();
+
+  // Store a single file and record its outcome
+  const ingest = async ({ buffer, originalName, mimeType, displayName, folder }) => {
+    if (!allowedTypes.includes(mimeType)) {
+      return results.push({ file: displayName, status: 'rejected', reason: `File type ${mimeType} is not supported` });
+    }
+
+    const checksum = sha256(buffer);
+    const duplicate = seenChecksums.get(checksum)
+      || await findDuplicate(req.user.tenantId, checksum);
+
+    if (duplicate) {
+      return results.push({ file: displayName, status: 'duplicate', documentId: duplicate._id });
+    }
+
+    try {
+      const document = await storeDocument({
+        user: req.user,
+        buffer,
+        originalName,
+        mimeType,
+        checksum,
+        metadata: { ...metadata, folderId: folder ? folder._id : null },
+      });
+      seenChecksums.set(checksum, document);
+
+      await log(req, 'document_upload', 'document', document._id, {
+        documentName: document.title,
+        batch: true,
+      });
+
+      results.push({ file: displayName, status: 'uploaded', documentId: document._id });
+    } catch (error) {
+      results.push({ file: displayName, status: 'rejected', reason: error.message });
+    }
+  };
+
+  for (const file of files) {
+    const isZip = ['application/zip', 'application/x-zip-compressed'].includes(file.mimetype);
+
+    if (!isZip || extractZip !== 'true') {
+      await ingest({
+        buffer: file.buffer,
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        displayName: file.originalname,
+        folder: baseFolder,
+      });
+      continue;
+    }
+
+    // Recreate the archive's directory structure as folders
+    const folderCache = new Map();
+    const resolveFolder = async (segments) => {
+      let folder = baseFolder;
+      for (let i = 0; i < segments.length; i++) {
+        const key = segments.slice(0, i + 1).join('/');
+        if (!folderCache.has(key)) {
+          folderCache.set(key, await Folder.findOrCreateChild(req.user.tenantId, folder, segments[i], req.user._id));
+        }
+        folder = folderCache.get(key);
+      }
+      return folder;
+    };
+
+    try {
+      await walkZip(file.buffer, async (entry) => {
+        const segments = entry.path.split('/').filter(Boolean);
+        const entryName = segments.pop();
+        const displayName = `${file.originalname}/${entry.path}`;
+
+        // Skip OS metadata such as __MACOSX/ and .DS_Store
+        if (entryName.startsWith('.') || segments.some(segment => segment.startsWith('__MACOSX'))) return;
+
+        if (entry.size > maxFileSize) {
+          results.push({ file: displayName, status: 'rejected', reason: 'File size is too large' });
+          return;
+        }
+
+        await ingest({
+          buffer: await entry.read(),
+          originalName: entryName,
+          mimeType: mimeTypeFromName(entryName),
+          displayName,
+          folder: await resolveFolder(segments),
+        });
+      });
+    } catch (error) {
+      if (!error.isOperational) throw error;
+      results.push({ file: file.originalname, status: 'rejected', reason: error.message });
+    }
+  }
+
+  const count = status => results.filter(result => result.status === status).length;
+
+  res.status(200).json({
+    status: 'success',
+    results: results.length,
+    summary: {
+      uploaded: count('uploaded'),
+      duplicates: count('duplicate'),
+      rejected: count('rejected'),
+    },
+    data: {
+      files: results,
+    },
+  });
+});
+
 /**
  * Get all documents
  */
@@ -80,54 +245,44 @@ exports.getAllDocuments = catchAsync(async (req, res, next) => {
   } = req.query;
 
   // Build query
-  const query = {
-    tenantId: req.user.tenantId,
-    isDeleted: false,
-  };
+  const conditions = [
+    { tenantId: req.user.tenantId, status: { $ne: 'deleted' } },
+    Document.accessFilter(req.user),
+  ];
 
   // Search
   if (search) {
-    query.$or = [
-      { name: { $regex: search, $options: 'i' } },
-      { description: { $regex: search, $options: 'i' } },
-      { tags: { $regex: search, $options: 'i' } },
-    ];
+    const pattern = { $regex: escapeRegex(search), $options: 'i' };
+    conditions.push({ $or: [{ title: pattern }, { description: pattern }, { tags: pattern }] });
   }
 
   // Filter by category
   if (category) {
-    query.category = category;
+    conditions.push({ category });
   }
 
   // Filter by tags
   if (tags) {
-    query.tags = { $in: tags.split(',') };
+    conditions.push({ tags: { $in: tags.split(',') } });
   }
 
   // Filter by uploader
   if (uploadedBy) {
-    query.uploadedBy = uploadedBy;
+    conditions.push({ owner: uploadedBy });
   }
 
   // Filter by folder
   if (folderId === 'null') {
-    query.folderId = null;
+    conditions.push({ folderId: null });
   } else if (folderId) {
-    query.folderId = folderId;
+    conditions.push({ folderId });
   }
 
-  // Check permissions
-  if (req.user.role !== 'admin') {
-    query.$or = [
-      { uploadedBy: req.user._id },
-      { 'sharedWith.user': req.user._id },
-      { visibility: 'public' },
-    ];
-  }
+  const query = { $and: conditions };
 
   // Execute query
   const documents = await Document.find(query)
-    .populate('uploadedBy', 'firstName lastName email')
+    .populate('owner', 'firstName lastName email')
     .populate('sharedWith.user', 'firstName lastName email')
     .sort(sortBy)
     .limit(limit * 1)
@@ -148,6 +303,74 @@ exports.getAllDocuments = catchAsync(async (req, res, next) => {
   });
 });
 
+// Longest window the expiring-soon listing accepts, in days
+const MAX_EXPIRING_WINDOW_DAYS = 365;
+
+/**
+ * List documents expiring or due for review soon (?days=30, ?kind=expiry|review)
+ */
+exports.getExpiringDocuments = catchAsync(async (req, res, next) => {
+  const { kind, page = 1, limit = 20 } = req.query;
+  const days = Math.min(parseInt(req.query.days) || 30, MAX_EXPIRING_WINDOW_DAYS);
+
+  if (kind && !['expiry', 'review'].includes(kind)) {
+    return next(new AppError('kind must be expiry or review', 400));
+  }
+
+  const now = new Date();
+  const end = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+  const inWindow = field => ({
+    $cond: [{ $and: [{ $gte: [`$${field}`, now] }, { $lte: [`$${field}`, end] }] }, `$${field}`, null],
+  });
+
+  const dateFilters = [];
+  if (kind !== 'review') dateFilters.push({ expiresAt: { $gte: now, $lte: end } });
+  if (kind !== 'expiry') dateFilters.push({ reviewAt: { $gte: now, $lte: end } });
+
+  const query = {
+    $and: [
+      { tenantId: req.user.tenantId, status: { $in: ['active', 'archived'] } },
+      Document.accessFilter(req.user),
+      { $or: dateFilters },
+    ],
+  };
+
+  // Soonest date in the window first
+  const dueDates = [];
+  if (kind !== 'review') dueDates.push(inWindow('expiresAt'));
+  if (kind !== 'expiry') dueDates.push(inWindow('reviewAt'));
+
+  const [documents, total] = await Promise.all([
+    Document.aggregate([
+      { $match: query },
+      { $addFields: { dueAt: { $min: dueDates } } },
+      { $sort: { dueAt: 1, _id: 1 } },
+      { $skip: (page - 1) * limit },
+      { $limit: parseInt(limit) },
+      {
+        $project: {
+          title: 1, originalName: 1, type: 1, category: 1, owner: 1, folderId: 1,
+          status: 1, expiresAt: 1, reviewAt: 1, dueAt: 1,
+        },
+      },
+    ]),
+    Document.countDocuments(query),
+  ]);
+  await Document.populate(documents, { path: 'owner', select: 'firstName lastName email' });
+
+  res.status(200).json({
+    status: 'success',
+    results: documents.length,
+    total,
+    page: parseInt(page),
+    pages: Math.ceil(total / limit),
+    days,
+    data: {
+      documents,
+    },
+  });
+});
+
 /**
  * Get document by ID
  */
@@ -155,28 +378,40 @@ exports.getDocument = catchAsync(async (req, res, next) => {
   const document = await Document.findOne({
     _id: req.params.id,
     tenantId: req.user.tenantId,
-    isDeleted: false,
+    status: { $ne: 'deleted' },
   })
-    .populate('uploadedBy', 'firstName lastName email')
+    .populate('owner', 'firstName lastName email')
     .populate('sharedWith.user', 'firstName lastName email')
-    .populate('accessLog.user', 'firstName lastName email');
+    .populate('lock.holder', 'firstName lastName email')
+    .populate('documentType', 'key name fields');
 
   if (!document) {
     return next(new AppError('Document not found', 404));
   }
 
   // Check permissions
-  if (!document.canUserAccess(req.user._id, 'view')) {
+  if (!document.hasAccess(req.user, 'view')) {
     return next(new AppError('You do not have permission to view this document', 403));
   }
 
+  // Expired locks are cleared as the document is read
+  if (document.lock && document.lock.holder && !document.activeLock()) {
+    document.lock = undefined;
+  }
+
   // Log access
-  await document.logAccess(req.user._id, 'view');
+  await document.incrementAccessCount();
+
+  // Latest approval review, if any
+  const workflow = await WorkflowRun.findOne({ document: document._id })
+    .sort('-createdAt')
+    .select('workflowName status version steps.name steps.status steps.dueAt completedAt');
 
   res.status(200).json({
     status: 'success',
     data: {
       document,
+      workflow,
     },
   });
 });
@@ -185,12 +420,12 @@ exports.getDocument = catchAsync(async (req, res, next) => {
  * Update document
  */
 exports.updateDocument = catchAsync(async (req, res, next) => {
-  const { name, description, category, tags, folderId, visibility } = req.body;
+  const { title, description, type, category, tags, folderId, expiresAt, reviewAt, watermarkDownloads } = req.body;
 
   const document = await Document.findOne({
     _id: req.params.id,
     tenantId: req.user.tenantId,
-    isDeleted: false,
+    status: { $ne: 'deleted' },
   });
 
   if (!document) {
@@ -198,22 +433,48 @@ exports.updateDocument = catchAsync(async (req, res, next) => {
   }
 
   // Check permissions
-  if (!document.canUserAccess(req.user._id, 'edit')) {
+  if (!document.hasAccess(req.user, 'edit')) {
     return next(new AppError('You do not have permission to edit this document', 403));
   }
+  assertNotLocked(document, req.user);
+
+  // Only the owner or an admin decides whether downloads are watermarked
+  if (watermarkDownloads !== undefined && !document.hasAccess(req.user, 'admin')) {
+    return next(new AppError('Only the owner can change the download watermark of this document', 403));
+  }
+
+  // Make sure the target folder belongs to the tenant
+  if (folderId && !(await Folder.exists({ _id: folderId, tenantId: req.user.tenantId }))) {
+    return next(new AppError('Folder not found', 404));
+  }
+
+  // Held documents stay where the hold found them
+  if (folderId !== undefined && String(folderId || '') !== String(document.folderId || '')) {
+    await assertNotHeld(document, 'moved');
+  }
 
   // Update fields
-  if (name) document.name = name;
-  if (description) document.description = description;
+  if (title) document.title = title;
+  if (description !== undefined) document.description = description;
+  if (type) document.type = type;
   if (category) document.category = category;
-  if (tags) document.tags = tags.split(',').map(tag => tag.trim());
-  if (folderId !== undefined) document.folderId = folderId;
-  if (visibility) document.visibility = visibility;
+  if (tags) document.tags = tags;
+  if (folderId !== undefined) document.folderId = folderId || null;
+  if (expiresAt !== undefined) document.expiresAt = expiresAt || undefined;
+  if (reviewAt !== undefined) document.reviewAt = reviewAt || undefined;
+  if (watermarkDownloads !== undefined) document.watermarkDownloads = watermarkDownloads;
+
+  // Custom fields, already validated against the document type
+  if (req.customFields) {
+    const { documentType, values } = req.customFields;
+    document.documentType = documentType ? documentType._id : undefined;
+    document.customFields = values;
+  }
 
   await document.save();
 
   // Log activity
-  await log(req, 'document_update', 'document', document._id, { documentName: document.name });
+  await log(req, 'document_edit', 'document', document._id, { documentName: document.title });
 
   res.status(200).json({
     status: 'success',
@@ -230,7 +491,7 @@ exports.deleteDocument = catchAsync(async (req, res, next) => {
   const document = await Document.findOne({
     _id: req.params.id,
     tenantId: req.user.tenantId,
-    isDeleted: false,
+    status: { $ne: 'deleted' },
   });
 
   if (!document) {
@@ -238,22 +499,24 @@ exports.deleteDocument = catchAsync(async (req, res, next) => {
   }
 
   // Check permissions
-  if (!document.canUserAccess(req.user._id, 'delete')) {
+  if (!document.hasAccess(req.user, 'admin')) {
     return next(new AppError('You do not have permission to delete this document', 403));
   }
+  assertNotLocked(document, req.user);
+  await assertNotHeld(document);
 
-  // Soft delete
-  document.isDeleted = true;
+  // Soft delete (moves the document to the trash)
+  document.status = 'deleted';
   document.deletedAt = Date.now();
   document.deletedBy = req.user._id;
   await document.save();
 
   // Log activity
-  await log(req, 'document_delete', 'document', document._id, { documentName: document.name });
+  await log(req, 'document_delete', 'document', document._id, { documentName: document.title });
 
   res.status(200).json({
     status: 'success',
-    message: 'Document deleted successfully',
+    message: 'Document moved to trash',
   });
 });
 
@@ -271,25 +534,15 @@ exports.permanentDeleteDocument = catchAsync(async (req, res, next) => {
   }
 
   // Only admin or document owner can permanently delete
-  if (req.user.role !== 'admin' && document.uploadedBy.toString() !== req.user._id.toString()) {
+  if (req.user.role !== 'Admin' && document.owner.toString() !== req.user._id.toString()) {
     return next(new AppError('You do not have permission to permanently delete this document', 403));
   }
 
-  // Delete from Wasabi
-  await deleteFile(document.fileKey);
-
-  // Delete all versions
-  for (const version of document.versions) {
-    if (version.fileKey !== document.fileKey) {
-      await deleteFile(version.fileKey);
-    }
-  }
-
-  // Delete from database
-  await Document.deleteOne({ _id: document._id });
+  // Delete every version from storage and the record from the database
+  await purgeDocument(document);
 
   // Log activity
-  await log(req, 'document_permanent_delete', 'document', document._id, { documentName: document.name });
+  await log(req, 'document_permanent_delete', 'document', document._id, { documentName: document.title });
 
   res.status(200).json({
     status: 'success',
@@ -299,12 +552,17 @@ exports.permanentDeleteDocument = catchAsync(async (req, res, next) => {
 
 /**
  * Download document
+ *
+ * Streams the decrypted original by default, or an optimized copy with
+ * ?rendition=optimized. The original's SHA-256 is sent in X-Checksum-SHA256.
  */
 exports.downloadDocument = catchAsync(async (req, res, next) => {
+  const { rendition: renditionName } = req.query;
+
   const document = await Document.findOne({
     _id: req.params.id,
     tenantId: req.user.tenantId,
-    isDeleted: false,
+    status: { $ne: 'deleted' },
   });
 
   if (!document) {
@@ -312,83 +570,203 @@ exports.downloadDocument = catchAsync(async (req, res, next) => {
   }
 
   // Check permissions
-  if (!document.canUserAccess(req.user._id, 'view')) {
+  if (!document.hasAccess(req.user, 'view')) {
     return next(new AppError('You do not have permission to download this document', 403));
   }
 
-  // Get signed URL
-  const signedUrl = await getSignedUrl(document.fileKey, document.filename);
+  let file = {
+    storageKey: document.storageKey,
+    mimeType: document.mimeType,
+    fileSize: document.fileSize,
+  };
+  if (renditionName) {
+    const rendition = document.renditions.find(
+      r => r.name === renditionName && r.version === document.version
+    );
+    if (!rendition) {
+      return next(new AppError(`No ${renditionName} copy is available for this document`, 404));
+    }
+    file = rendition;
+  }
 
-  // Log access
-  await document.logAccess(req.user._id, 'download');
+  // Under a watermark policy, PDFs and images are stamped with the downloader's identity
+  const encryption = document.encryptionFor(file.storageKey);
+  const copy = await watermarkedCopy(
+    document,
+    { storageKey: file.storageKey, mimeType: file.mimeType, fileSize: file.fileSize, encryption },
+    userRecipient(req.user)
+  );
+
+  await document.incrementDownloadCount();
 
   // Log activity
-  await log(req, 'document_download', 'document', document._id, { documentName: document.name });
+  await log(req, 'document_download', 'document', document._id, {
+    documentName: document.title,
+    rendition: renditionName || 'original',
+    watermarkId: copy ? copy.watermark.id : undefined,
+  });
 
-  res.status(200).json({
-    status: 'success',
-    data: {
-      url: signedUrl,
-    },
+  res.set({
+    'Content-Type': file.mimeType || 'application/octet-stream',
+    'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(document.originalName)}`,
+    'Cache-Control': 'private, no-store',
   });
+  if (copy) {
+    res.set('X-Watermark-Id', copy.watermark.id);
+  } else {
+    res.set('Content-Length', String(file.fileSize));
+    // Only the original is guaranteed to match the archived checksum
+    if (!renditionName) res.set('X-Checksum-SHA256', document.checksum);
+  }
+
+  (copy ? copy.stream : getDecryptedStream(document.tenantId, file.storageKey, encryption))
+    .on('error', (err) => {
+      if (!res.headersSent) return next(new AppError('File is not available', 404));
+      res.destroy(err);
+    })
+    .pipe(res);
 });
 
 /**
- * Share document
+ * Get a preview image of the current version (?size=thumbnail|small|medium|large)
  */
-exports.shareDocument = catchAsync(async (req, res, next) => {
-  const { userId, permission, message } = req.body;
+exports.getPreview = catchAsync(async (req, res, next) => {
+  const { size = 'medium' } = req.query;
+
+  if (!PREVIEW_SIZES[size]) {
+    return next(new AppError(`Preview size must be one of: ${Object.keys(PREVIEW_SIZES).join(', ')}`, 400));
+  }
 
   const document = await Document.findOne({
     _id: req.params.id,
     tenantId: req.user.tenantId,
-    isDeleted: false,
-  });
+    status: { $ne: 'deleted' },
+  }).select('tenantId owner sharedWith sharedGroups folderId version previewStatus renditions watermarkDownloads');
 
   if (!document) {
     return next(new AppError('Document not found', 404));
   }
 
   // Check permissions
-  if (!document.canUserAccess(req.user._id, 'share')) {
-    return next(new AppError('You do not have permission to share this document', 403));
+  if (!document.hasAccess(req.user, 'view')) {
+    return next(new AppError('You do not have permission to view this document', 403));
   }
 
-  // Check if user exists in same tenant
-  const userToShare = await User.findOne({
-    _id: userId,
+  const rendition = document.renditions.find(
+    r => r.name === size && r.version === document.version
+  );
+
+  if (!rendition) {
+    if (document.previewStatus === 'unsupported') {
+      return next(new AppError('No preview is available for this file type', 404));
+    }
+    if (document.previewStatus === 'failed') {
+      return next(new AppError('Preview could not be generated for this document', 404));
+    }
+
+    res.set('Retry-After', '5');
+    return res.status(202).json({
+      status: 'success',
+      message: 'Preview is being generated',
+      data: {
+        previewStatus: 'pending',
+      },
+    });
+  }
+
+  // Under a watermark policy, previews are stamped like downloads and not cached
+  const copy = await watermarkedCopy(document, rendition, userRecipient(req.user));
+  if (copy) {
+    // Log activity
+    await log(req, 'document_view', 'document', document._id, { preview: size, watermarkId: copy.watermark.id });
+
+    res.set({
+      'Content-Type': rendition.mimeType,
+      'Cache-Control': 'private, no-store',
+      'X-Watermark-Id': copy.watermark.id,
+    });
+    return copy.stream
+      .on('error', (err) => {
+        if (!res.headersSent) return next(new AppError('Preview is not available', 404));
+        res.destroy(err);
+      })
+      .pipe(res);
+  }
+
+  res.set({
+    'Content-Type': rendition.mimeType,
+    'Content-Length': String(rendition.fileSize),
+    'Cache-Control': 'private, max-age=3600',
+  });
+
+  getDecryptedStream(document.tenantId, rendition.storageKey, rendition.encryption)
+    .on('error', (err) => {
+      if (!res.headersSent) return next(new AppError('Preview is not available', 404));
+      res.destroy(err);
+    })
+    .pipe(res);
+});
+
+/**
+ * Share document by email
+ *
+ * Members of the tenant get the document shared directly; anyone else is
+ * emailed an invitation to register into the tenant or view as a guest.
+ */
+exports.shareDocument = catchAsync(async (req, res, next) => {
+  const { userEmail, permission = 'view', message } = req.body;
+
+  const document = await Document.findOne({
+    _id: req.params.id,
     tenantId: req.user.tenantId,
+    status: { $ne: 'deleted' },
   });
 
-  if (!userToShare) {
-    return next(new AppError('User not found', 404));
+  if (!document) {
+    return next(new AppError('Document not found', 404));
   }
 
-  // Check if already shared
-  const existingShare = document.sharedWith.find(
-    share => share.user.toString() === userId
-  );
+  // Check permissions
+  if (!document.hasAccess(req.user, 'admin')) {
+    return next(new AppError('You do not have permission to share this document', 403));
+  }
 
-  if (existingShare) {
-    // Update permission
-    existingShare.permission = permission;
-  } else {
-    // Add new share
-    document.sharedWith.push({
-      user: userId,
+  const email = userEmail.toLowerCase();
+  const userToShare = await User.findOne({ email, tenantId: req.user.tenantId });
+
+  if (!userToShare) {
+    const invitation = await inviteToDocument({ document, email, permission, message, invitedBy: req.user });
+
+    // Log activity
+    await log(req, 'document_invite', 'document', document._id, {
+      documentName: document.title,
+      invitedEmail: email,
       permission,
-      sharedBy: req.user._id,
+      invitation: invitation._id,
+    });
+
+    return res.status(202).json({
+      status: 'success',
+      message: `${email} is not a member of your organization. An invitation has been emailed`,
+      data: {
+        invitation,
+      },
     });
   }
 
+  if (userToShare._id.toString() === document.owner.toString()) {
+    return next(new AppError('The document owner already has full access', 400));
+  }
+
+  document.addShare(userToShare._id, permission, req.user._id);
   await document.save();
 
   // Send email notification
-  await sendDocumentSharedEmail(userToShare, document, req.user);
+  await sendDocumentSharedEmail(userToShare, document, req.user, message);
 
   // Log activity
   await log(req, 'document_share', 'document', document._id, {
-    documentName: document.name,
+    documentName: document.title,
     sharedWith: userToShare.email,
     permission,
   });
@@ -411,7 +789,7 @@ exports.unshareDocument = catchAsync(async (req, res, next) => {
   const document = await Document.findOne({
     _id: req.params.id,
     tenantId: req.user.tenantId,
-    isDeleted: false,
+    status: { $ne: 'deleted' },
   });
 
   if (!document) {
@@ -419,7 +797,7 @@ exports.unshareDocument = catchAsync(async (req, res, next) => {
   }
 
   // Check permissions
-  if (!document.canUserAccess(req.user._id, 'share')) {
+  if (!document.hasAccess(req.user, 'admin')) {
     return next(new AppError('You do not have permission to unshare this document', 403));
   }
 
@@ -428,10 +806,98 @@ exports.unshareDocument = catchAsync(async (req, res, next) => {
     share => share.user.toString() !== userId
   );
 
+  document.isShared = document.sharedWith.length > 0 || document.sharedGroups.length > 0;
+  await document.save();
+
+  // Log activity
+  await log(req, 'document_unshare', 'document', document._id, { documentName: document.title });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Document unshared successfully',
+  });
+});
+
+/**
+ * Share document with a group (members get access while they belong to it)
+ */
+exports.shareDocumentWithGroup = catchAsync(async (req, res, next) => {
+  const { groupId, permission = 'view' } = req.body;
+
+  const document = await Document.findOne({
+    _id: req.params.id,
+    tenantId: req.user.tenantId,
+    status: { $ne: 'deleted' },
+  });
+
+  if (!document) {
+    return next(new AppError('Document not found', 404));
+  }
+
+  // Check permissions
+  if (!document.hasAccess(req.user, 'admin')) {
+    return next(new AppError('You do not have permission to share this document', 403));
+  }
+
+  const group = await Group.findOne({ _id: groupId, tenantId: req.user.tenantId });
+  if (!group) {
+    return next(new AppError('Group not found', 404));
+  }
+
+  document.addGroupShare(group._id, permission, req.user._id);
+  await document.save();
+
+  // Log activity
+  await log(req, 'document_share_group', 'document', document._id, {
+    documentName: document.title,
+    group: group._id,
+    groupName: group.name,
+    permission,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Document shared successfully',
+    data: {
+      document,
+    },
+  });
+});
+
+/**
+ * Stop sharing document with a group
+ */
+exports.unshareDocumentWithGroup = catchAsync(async (req, res, next) => {
+  const { groupId } = req.params;
+
+  const document = await Document.findOne({
+    _id: req.params.id,
+    tenantId: req.user.tenantId,
+    status: { $ne: 'deleted' },
+  });
+
+  if (!document) {
+    return next(new AppError('Document not found', 404));
+  }
+
+  // Check permissions
+  if (!document.hasAccess(req.user, 'admin')) {
+    return next(new AppError('You do not have permission to unshare this document', 403));
+  }
+
+  // Remove share
+  document.sharedGroups = document.sharedGroups.filter(
+    share => share.group.toString() !== groupId
+  );
+
+  document.isShared = document.sharedWith.length > 0 || document.sharedGroups.length > 0;
   await document.save();
 
   // Log activity
-  await log(req, 'document_unshare', 'document', document._id, { documentName: document.name });
+  await log(req, 'document_unshare_group', 'document', document._id, {
+    documentName: document.title,
+    group: groupId,
+  });
 
   res.status(200).json({
     status: 'success',
@@ -439,6 +905,291 @@ exports.unshareDocument = catchAsync(async (req, res, next) => {
   });
 });
 
+// Maximum number of documents a single bulk request may touch
+const MAX_BULK_DOCUMENTS = 500;
+
+/**
+ * Bulk document actions: required permission, audit action, whether check-out
+ * locks block them and how to apply them
+ */
+const bulkActions = {
+  move: {
+    permission: 'edit',
+    logAction: 'document_edit',
+    respectsLock: true,
+    apply: (document, { folder, held }) => {
+      const folderId = folder ? folder._id : null;
+      if (String(folderId || '') === String(document.folderId || '')) return;
+
+      if (LegalHold.covers(held, document)) {
+        throw new AppError('Document is under legal hold and cannot be moved', 423);
+      }
+      document.folderId = folderId;
+    },
+  },
+  retag: {
+    permission: 'edit',
+    logAction: 'document_edit',
+    respectsLock: true,
+    apply: (document, { tags }) => {
+      let updated = tags.set ? [...tags.set] : [...document.tags];
+      if (tags.add) updated = [...new Set([...updated, ...tags.add])];
+      if (tags.remove) updated = updated.filter(tag => !tags.remove.includes(tag));
+      document.tags = updated;
+    },
+  },
+  changeType: {
+    permission: 'edit',
+    logAction: 'document_edit',
+    respectsLock: true,
+    apply: (document, { type, documentType = null }) => {
+      if (type) {
+        // A built-in type replaces any tenant-defined one
+        document.type = type;
+      }
+
+      // Custom fields belong to the type they were set for
+      if (String(document.documentType || '') !== String(documentType ? documentType._id : '')) {
+        document.documentType = documentType ? documentType._id : undefined;
+        document.customFields = {};
+      }
+      if (documentType) document.type = documentType.baseType;
+    },
+  },
+  changeCategory: {
+    permission: 'edit',
+    logAction: 'document_edit',
+    respectsLock: true,
+    apply: (document, { category }) => {
+      document.category = category;
+    },
+  },
+  archive: {
+    permission: 'edit',
+    logAction: 'document_edit',
+    respectsLock: true,
+    apply: (document) => {
+      if (document.status !== 'active') {
+        throw new AppError('Only active documents can be archived', 400);
+      }
+      document.status = 'archived';
+    },
+  },
+  unarchive: {
+    permission: 'edit',
+    logAction: 'document_edit',
+    respectsLock: true,
+    apply: (document) => {
+      if (document.status !== 'archived') {
+        throw new AppError('Document is not archived', 400);
+      }
+      document.status = 'active';
+    },
+  },
+  delete: {
+    permission: 'admin',
+    logAction: 'document_delete',
+    respectsLock: true,
+    apply: (document, { held }, user) => {
+      if (LegalHold.covers(held, document)) {
+        throw new AppError('Document is under legal hold and cannot be deleted', 423);
+      }
+      document.status = 'deleted';
+      document.deletedAt = Date.now();
+      document.deletedBy = user._id;
+    },
+  },
+  restore: {
+    permission: 'admin',
+    logAction: 'document_restore',
+    includeDeleted: true,
+    apply: (document) => {
+      if (document.status !== 'deleted') {
+        throw new AppError('Document is not deleted', 400);
+      }
+      document.status = 'active';
+      document.deletedAt = undefined;
+      document.deletedBy = undefined;
+    },
+  },
+  share: {
+    permission: 'admin',
+    logAction: 'document_share',
+    apply: (document, { shareWith, permission }, user) => {
+      document.addShare(shareWith._id, permission, user._id);
+    },
+  },
+};
+
+/**
+ * Apply one action to many documents, reporting the outcome per document
+ */
+exports.bulkUpdateDocuments = catchAsync(async (req, res, next) => {
+  const { action, documentIds, folderId, tags, type, documentTypeId, category, userId, permission = 'view' } = req.body;
+
+  const bulkAction = bulkActions[action];
+  if (!bulkAction) {
+    return next(new AppError(`Unknown bulk action: ${action}`, 400));
+  }
+
+  if (documentIds.length > MAX_BULK_DOCUMENTS) {
+    return next(new AppError(`A bulk request may include at most ${MAX_BULK_DOCUMENTS} documents`, 400));
+  }
+
+  // Resolve action parameters once for the whole batch
+  const params = { tags, type, category, permission };
+
+  if (action === 'move' && folderId) {
+    params.folder = await Folder.findOne({ _id: folderId, tenantId: req.user.tenantId });
+    if (!params.folder) {
+      return next(new AppError('Folder not found', 404));
+    }
+  }
+
+  if (action === 'changeType' && documentTypeId !== undefined) {
+    params.documentType = null;
+    if (documentTypeId) {
+      params.documentType = await DocumentType.findOne({ _id: documentTypeId, tenantId: req.user.tenantId, isActive: true });
+      if (!params.documentType) {
+        return next(new AppError('Document type not found', 404));
+      }
+      // Required fields have to be filled in per document
+      if (params.documentType.fields.some(field => field.required)) {
+        return next(new AppError('This document type has required custom fields; set it on each document instead', 400));
+      }
+    }
+  }
+
+  if (action === 'delete' || action === 'move') {
+    params.held = await LegalHold.heldScope(req.user.tenantId);
+  }
+
+  if (action === 'share') {
+    params.shareWith = await User.findOne({ _id: userId, tenantId: req.user.tenantId });
+    if (!params.shareWith) {
+      return next(new AppError('User not found', 404));
+    }
+  }
+
+  const documents = await Document.find({
+    _id: { $in: documentIds },
+    tenantId: req.user.tenantId,
+    ...(bulkAction.includeDeleted ? {} : { status: { $ne: 'deleted' } }),
+  });
+  const byId = new Map(documents.map(document => [document._id.toString(), document]));
+
+  const results = [];
+  for (const documentId of documentIds) {
+    const document = byId.get(documentId);
+
+    if (!document) {
+      results.push({ documentId, status: 'failed', reason: 'Document not found' });
+      continue;
+    }
+
+    if (!document.hasAccess(req.user, bulkAction.permission)) {
+      results.push({ documentId, status: 'failed', reason: `You do not have ${bulkAction.permission} permission on this document` });
+      continue;
+    }
+
+    if (bulkAction.respectsLock && document.isLockedFor(req.user)) {
+      results.push({ documentId, status: 'failed', reason: 'Document is checked out by another user' });
+      continue;
+    }
+
+    try {
+      bulkAction.apply(document, params, req.user);
+      await document.save();
+
+      // Log activity
+      await log(req, bulkAction.logAction, 'document', document._id, {
+        documentName: document.title,
+        bulk: true,
+        operation: action,
+        ...(action === 'share' && { sharedWith: params.shareWith.email, permission }),
+      });
+
+      results.push({ documentId, status: 'success' });
+    } catch (error) {
+      if (!error.isOperational && error.name !== 'ValidationError') throw error;
+      results.push({ documentId, status: 'failed', reason: error.message });
+    }
+  }
+
+  const succeeded = results.filter(result => result.status === 'success').length;
+
+  res.status(200).json({
+    status: 'success',
+    results: results.length,
+    summary: {
+      action,
+      succeeded,
+      failed: results.length - succeeded,
+    },
+    data: {
+      documents: results,
+    },
+  });
+});
+
+/**
+ * Store an uploaded file as the document's next version (saves the document)
+ */
+const addVersion = async (req, document, file, changes) => {
+  const { version, checksum } = await storeVersion({
+    user: req.user,
+    document,
+    buffer: file.buffer,
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    changes,
+  });
+
+  // Log activity
+  await log(req, 'document_version_upload', 'document', document._id, {
+    documentName: document.title,
+    version,
+    checksum,
+  });
+};
+
+/**
+ * Upload a new version of a document
+ */
+exports.uploadVersion = catchAsync(async (req, res, next) => {
+  if (!req.file) {
+    return next(new AppError('Please provide a file to upload', 400));
+  }
+
+  await assertVersionControl(req.user.tenantId);
+
+  const document = await Document.findOne({
+    _id: req.params.id,
+    tenantId: req.user.tenantId,
+    status: { $ne: 'deleted' },
+  });
+
+  if (!document) {
+    return next(new AppError('Document not found', 404));
+  }
+
+  // Check permissions
+  if (!document.hasAccess(req.user, 'edit')) {
+    return next(new AppError('You do not have permission to edit this document', 403));
+  }
+  assertNotLocked(document, req.user);
+
+  await addVersion(req, document, req.file, req.body.changes);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'New version uploaded successfully',
+    data: {
+      document,
+    },
+  });
+});
+
 /**
  * Get document versions
  */
@@ -446,23 +1197,23 @@ exports.getVersions = catchAsync(async (req, res, next) => {
   const document = await Document.findOne({
     _id: req.params.id,
     tenantId: req.user.tenantId,
-    isDeleted: false,
-  }).populate('versions.uploadedBy', 'firstName lastName email');
+    status: { $ne: 'deleted' },
+  }).populate('versionHistory.updatedBy', 'firstName lastName email');
 
   if (!document) {
     return next(new AppError('Document not found', 404));
   }
 
   // Check permissions
-  if (!document.canUserAccess(req.user._id, 'view')) {
+  if (!document.hasAccess(req.user, 'view')) {
     return next(new AppError('You do not have permission to view this document', 403));
   }
 
   res.status(200).json({
     status: 'success',
-    results: document.versions.length,
+    results: document.versionHistory.length,
     data: {
-      versions: document.versions,
+      versions: document.versionHistory,
     },
   });
 });
@@ -473,10 +1224,12 @@ exports.getVersions = catchAsync(async (req, res, next) => {
 exports.restoreVersion = catchAsync(async (req, res, next) => {
   const { versionNumber } = req.params;
 
+  await assertVersionControl(req.user.tenantId);
+
   const document = await Document.findOne({
     _id: req.params.id,
     tenantId: req.user.tenantId,
-    isDeleted: false,
+    status: { $ne: 'deleted' },
   });
 
   if (!document) {
@@ -484,35 +1237,48 @@ exports.restoreVersion = catchAsync(async (req, res, next) => {
   }
 
   // Check permissions
-  if (!document.canUserAccess(req.user._id, 'edit')) {
+  if (!document.hasAccess(req.user, 'edit')) {
     return next(new AppError('You do not have permission to restore this document', 403));
   }
+  assertNotLocked(document, req.user);
 
   // Find version
-  const version = document.versions.find(v => v.version === parseInt(versionNumber));
+  const version = document.versionHistory.find(v => v.version === parseInt(versionNumber));
   if (!version) {
     return next(new AppError('Version not found', 404));
   }
 
   // Create new version from restored version
   const newVersion = {
-    version: document.versions.length + 1,
-    fileKey: version.fileKey,
-    size: version.size,
-    uploadedBy: req.user._id,
-    uploadedAt: Date.now(),
+    version: document.version + 1,
+    storageKey: version.storageKey,
+    updatedBy: req.user._id,
+    updatedAt: Date.now(),
     changes: `Restored version ${versionNumber}`,
+    fileSize: version.fileSize,
+    checksum: version.checksum,
+    mimeType: version.mimeType,
+    originalName: version.originalName,
+    encryption: version.encryption,
   };
 
-  document.versions.push(newVersion);
-  document.fileKey = version.fileKey;
-  document.size = version.size;
+  document.versionHistory.push(newVersion);
+  document.version = newVersion.version;
+  document.storageKey = version.storageKey;
+  document.fileSize = version.fileSize;
+  if (version.checksum) document.checksum = version.checksum;
+  if (version.mimeType) document.mimeType = version.mimeType;
+  if (version.originalName) document.originalName = version.originalName;
+  document.textStatus = 'pending';
+  document.previewStatus = 'pending';
 
   await document.save();
 
+  enqueueProcessing(document);
+
   // Log activity
   await log(req, 'document_restore_version', 'document', document._id, {
-    documentName: document.name,
+    documentName: document.title,
     versionNumber,
   });
 
@@ -525,40 +1291,206 @@ exports.restoreVersion = catchAsync(async (req, res, next) => {
   });
 });
 
+/**
+ * Get the retention policy governing a document and the legal holds covering it
+ */
+exports.getRetention = catchAsync(async (req, res, next) => {
+  const document = await Document.findOne({
+    _id: req.params.id,
+    tenantId: req.user.tenantId,
+  });
+
+  if (!document) {
+    return next(new AppError('Document not found', 404));
+  }
+
+  // Check permissions
+  if (!document.hasAccess(req.user, 'view')) {
+    return next(new AppError('You do not have permission to view this document', 403));
+  }
+
+  const retention = await retentionOf(document);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      retention,
+    },
+  });
+});
+
+/**
+ * Check out a document (or extend your own check-out)
+ */
+exports.checkOutDocument = catchAsync(async (req, res, next) => {
+  const { durationHours = LOCK_DURATION_HOURS, note } = req.body;
+
+  const document = await Document.findOne({
+    _id: req.params.id,
+    tenantId: req.user.tenantId,
+    status: { $ne: 'deleted' },
+  });
+
+  if (!document) {
+    return next(new AppError('Document not found', 404));
+  }
+
+  // Check permissions
+  if (!document.hasAccess(req.user, 'edit')) {
+    return next(new AppError('You do not have permission to check out this document', 403));
+  }
+
+  const expiresAt = new Date(Date.now() + durationHours * 60 * 60 * 1000);
+  const locked = await Document.acquireLock(document._id, req.user, expiresAt, note);
+  if (!locked) {
+    await document.populate('lock.holder', 'firstName lastName email');
+    const { holder } = document.lock;
+    return next(new AppError(
+      `Document is already checked out by ${holder ? `${holder.firstName} ${holder.lastName}` : 'another user'}`,
+      423
+    ));
+  }
+
+  // Log activity
+  await log(req, 'document_checkout', 'document', document._id, {
+    documentName: document.title,
+    expiresAt,
+  });
+
+  await locked.populate('lock.holder', 'firstName lastName email');
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Document checked out',
+    data: {
+      lock: locked.lock,
+    },
+  });
+});
+
+/**
+ * Check in a document, optionally with its new version (multipart `file`)
+ */
+exports.checkInDocument = catchAsync(async (req, res, next) => {
+  const document = await Document.findOne({
+    _id: req.params.id,
+    tenantId: req.user.tenantId,
+    status: { $ne: 'deleted' },
+  });
+
+  if (!document) {
+    return next(new AppError('Document not found', 404));
+  }
+
+  const lock = document.activeLock();
+  if (!lock || !lock.holder.equals(req.user._id)) {
+    return next(new AppError('You do not have this document checked out', 409));
+  }
+
+  document.lock = undefined;
+
+  if (req.file) {
+    await assertVersionControl(req.user.tenantId);
+    await addVersion(req, document, req.file, req.body.changes);
+  } else {
+    await document.save();
+  }
+
+  // Log activity
+  await log(req, 'document_checkin', 'document', document._id, {
+    documentName: document.title,
+    ...(req.file && { version: document.version }),
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Document checked in',
+    data: {
+      document,
+    },
+  });
+});
+
+/**
+ * Force-release another user's check-out (admin)
+ */
+exports.forceUnlockDocument = catchAsync(async (req, res, next) => {
+  const document = await Document.findOne({
+    _id: req.params.id,
+    tenantId: req.user.tenantId,
+    status: { $ne: 'deleted' },
+  });
+
+  if (!document) {
+    return next(new AppError('Document not found', 404));
+  }
+
+  const lock = document.activeLock();
+  if (!lock) {
+    return next(new AppError('Document is not checked out', 409));
+  }
+
+  const holder = lock.holder;
+  document.lock = undefined;
+  await document.save();
+
+  // Let the holder know their unsaved work can no longer be checked in
+  if (!holder.equals(req.user._id)) {
+    await Notification.create({
+      tenantId: document.tenantId,
+      user: holder,
+      type: 'document_unlocked',
+      title: 'Check-out released',
+      message: `${req.user.firstName} ${req.user.lastName} released your check-out of "${document.title}".`,
+      relatedDocument: document._id,
+      relatedUser: req.user._id,
+    });
+  }
+
+  // Log activity
+  await log(req, 'document_unlock', 'document', document._id, {
+    documentName: document.title,
+    holder,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Document unlocked',
+  });
+});
+
 /**
  * Get document statistics
  */
 exports.getStatistics = catchAsync(async (req, res, next) => {
+  // Documents the user can see
+  const match = {
+    $and: [
+      { tenantId: req.user.tenantId, status: { $ne: 'deleted' } },
+      Document.accessFilter(req.user),
+    ],
+  };
+
   const stats = await Document.aggregate([
-    {
-      $match: {
-        tenantId: req.user.tenantId,
-        isDeleted: false,
-      },
-    },
+    { $match: match },
     {
       $group: {
         _id: null,
         totalDocuments: { $sum: 1 },
-        totalSize: { $sum: '$size' },
+        totalSize: { $sum: '$fileSize' },
         categories: { $addToSet: '$category' },
-        avgSize: { $avg: '$size' },
+        avgSize: { $avg: '$fileSize' },
       },
     },
   ]);
 
   const categoryStats = await Document.aggregate([
-    {
-      $match: {
-        tenantId: req.user.tenantId,
-        isDeleted: false,
-      },
-    },
+    { $match: match },
     {
       $group: {
         _id: '$category',
         count: { $sum: 1 },
-        totalSize: { $sum: '$size' },
+        totalSize: { $sum: '$fileSize' },
       },
     },
   ]);
@@ -587,17 +1519,10 @@ exports.getDashboardStats = catchAsync(async (req, res, next) => {
   // Build query for user's accessible documents
   const baseQuery = {
     tenantId: req.user.tenantId,
-    isDeleted: false,
+    status: { $ne: 'deleted' },
+    ...Document.accessFilter(req.user),
   };
 
-  if (req.user.role !== 'Admin') {
-    baseQuery.$or = [
-      { uploadedBy: req.user._id },
-      { 'sharedWith.user': req.user._id },
-      { visibility: 'public' },
-    ];
-  }
-
   // Total documents
   const totalDocuments = await Document.countDocuments(baseQuery);
 
@@ -615,7 +1540,7 @@ exports.getDashboardStats = catchAsync(async (req, res, next) => {
 
   // Get recent documents for display
   const recentDocuments = await Document.find(baseQuery)
-    .populate('uploadedBy', 'firstName lastName email')
+    .populate('owner', 'firstName lastName email')
     .sort('-createdAt')
     .limit(6);
 
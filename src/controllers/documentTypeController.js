@@ -0,0 +1,131 @@
+const DocumentType = require('../models/DocumentType');
+const Document = require('../models/Document');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const { log } = require('../middleware/activityLogger');
+
+/**
+ * Find a document type of the current tenant from the id in the URL
+ */
+const findDocumentType = async (req) => {
+  const documentType = await DocumentType.findOne({ _id: req.params.id, tenantId: req.user.tenantId });
+  if (!documentType) {
+    throw new AppError('Document type not found', 404);
+  }
+  return documentType;
+};
+
+/**
+ * List the tenant's document types (active only unless ?all=true)
+ */
+exports.getDocumentTypes = catchAsync(async (req, res, next) => {
+  const query = { tenantId: req.user.tenantId };
+  if (req.query.all !== 'true') query.isActive = true;
+
+  const documentTypes = await DocumentType.find(query).sort('name');
+
+  res.status(200).json({
+    status: 'success',
+    results: documentTypes.length,
+    data: {
+      documentTypes,
+    },
+  });
+});
+
+/**
+ * Get document type with its field definitions
+ */
+exports.getDocumentType = catchAsync(async (req, res, next) => {
+  const documentType = await findDocumentType(req);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      documentType,
+    },
+  });
+});
+
+/**
+ * Create document type (admin)
+ */
+exports.createDocumentType = catchAsync(async (req, res, next) => {
+  const { key, name, description, baseType, fields } = req.body;
+
+  if (await DocumentType.exists({ tenantId: req.user.tenantId, key: key.toLowerCase() })) {
+    return next(new AppError(`A document type with key "${key}" already exists`, 409));
+  }
+
+  const documentType = await DocumentType.create({
+    tenantId: req.user.tenantId,
+    key,
+    name,
+    description,
+    baseType,
+    fields,
+    createdBy: req.user._id,
+  });
+
+  // Log activity
+  await log(req, 'document_type_create', 'tenant', documentType._id, { key: documentType.key, name: documentType.name });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      documentType,
+    },
+  });
+});
+
+/**
+ * Update document type (admin)
+ *
+ * Changed field definitions apply to documents the next time they are saved;
+ * stored values are left as they are.
+ */
+exports.updateDocumentType = catchAsync(async (req, res, next) => {
+  const { name, description, baseType, fields, isActive } = req.body;
+
+  const documentType = await findDocumentType(req);
+
+  if (name) documentType.name = name;
+  if (description !== undefined) documentType.description = description;
+  if (baseType) documentType.baseType = baseType;
+  if (fields) documentType.fields = fields;
+  if (isActive !== undefined) documentType.isActive = isActive;
+
+  await documentType.save();
+
+  // Log activity
+  await log(req, 'document_type_update', 'tenant', documentType._id, { key: documentType.key, changes: Object.keys(req.body) });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      documentType,
+    },
+  });
+});
+
+/**
+ * Delete an unused document type (admin; deactivate types that documents use)
+ */
+exports.deleteDocumentType = catchAsync(async (req, res, next) => {
+  const documentType = await findDocumentType(req);
+
+  const inUse = await Document.countDocuments({ tenantId: req.user.tenantId, documentType: documentType._id });
+  if (inUse > 0) {
+    return next(new AppError(`${inUse} document(s) use this type. Deactivate it instead`, 409));
+  }
+
+  await documentType.deleteOne();
+
+  // Log activity
+  await log(req, 'document_type_delete', 'tenant', documentType._id, { key: documentType.key });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Document type deleted',
+  });
+});
@@ -0,0 +1,499 @@
+const Folder = require('../models/Folder');
+const Document = require('../models/Document');
+const Group = require('../models/Group');
+const LegalHold = require('../models/LegalHold');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const { log } = require('../middleware/activityLogger');
+
+// Most items named when a recursive delete is refused
+const MAX_LISTED_ITEMS = 10;
+
+/**
+ * Quote a few names for an error message, counting the rest
+ */
+const listNames = (names) => {
+  const shown = names.slice(0, MAX_LISTED_ITEMS).map(name => `"${name}"`).join(', ');
+  const rest = names.length - MAX_LISTED_ITEMS;
+  return rest > 0 ? `${shown} and ${rest} more` : shown;
+};
+
+/**
+ * Resolve a parent folder id ('root', null or empty means the tenant root)
+ */
+const resolveParent = async (tenantId, parentId) => {
+  if (!parentId || parentId === 'root') return null;
+
+  const parent = await Folder.findOne({ _id: parentId, tenantId });
+  if (!parent) {
+    throw new AppError('Parent folder not found', 404);
+  }
+
+  return parent;
+};
+
+/**
+ * Ensure no sibling folder already uses the name
+ */
+const assertNameAvailable = async (tenantId, parentId, name, excludeId = null) => {
+  const query = { tenantId, parent: parentId, name };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  if (await Folder.exists(query)) {
+    throw new AppError(`A folder named "${name}" already exists in this location`, 409);
+  }
+};
+
+/**
+ * Create folder
+ */
+exports.createFolder = catchAsync(async (req, res, next) => {
+  const { name, description, parentId } = req.body;
+
+  const parent = await resolveParent(req.user.tenantId, parentId);
+  await assertNameAvailable(req.user.tenantId, parent ? parent._id : null, name);
+
+  const folder = await Folder.create({
+    tenantId: req.user.tenantId,
+    name,
+    description,
+    owner: req.user._id,
+    parent: parent ? parent._id : null,
+    ancestors: parent ? [...parent.ancestors, parent._id] : [],
+  });
+
+  // Log activity
+  await log(req, 'folder_create', 'folder', folder._id, { folderName: folder.name });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      folder,
+    },
+  });
+});
+
+/**
+ * Get folders under a parent (root by default)
+ */
+exports.getFolders = catchAsync(async (req, res, next) => {
+  const parent = await resolveParent(req.user.tenantId, req.query.parentId);
+
+  const folders = await Folder.find({
+    tenantId: req.user.tenantId,
+    parent: parent ? parent._id : null,
+  })
+    .populate('owner', 'firstName lastName email')
+    .sort('name');
+
+  res.status(200).json({
+    status: 'success',
+    results: folders.length,
+    data: {
+      folders,
+    },
+  });
+});
+
+/**
+ * Get folder by ID
+ */
+exports.getFolder = catchAsync(async (req, res, next) => {
+  const folder = await Folder.findOne({
+    _id: req.params.id,
+    tenantId: req.user.tenantId,
+  }).populate('owner', 'firstName lastName email');
+
+  if (!folder) {
+    return next(new AppError('Folder not found', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      folder,
+    },
+  });
+});
+
+/**
+ * Rename folder
+ */
+exports.renameFolder = catchAsync(async (req, res, next) => {
+  const { name, description } = req.body;
+
+  const folder = await Folder.findOne({
+    _id: req.params.id,
+    tenantId: req.user.tenantId,
+  });
+
+  if (!folder) {
+    return next(new AppError('Folder not found', 404));
+  }
+
+  // Check permissions
+  if (!folder.canModify(req.user)) {
+    return next(new AppError('You do not have permission to edit this folder', 403));
+  }
+
+  const oldName = folder.name;
+
+  if (name && name !== folder.name) {
+    await assertNameAvailable(req.user.tenantId, folder.parent, name, folder._id);
+    folder.name = name;
+  }
+  if (description !== undefined) folder.description = description;
+
+  await folder.save();
+
+  // Log activity
+  await log(req, 'folder_rename', 'folder', folder._id, { oldName, newName: folder.name });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      folder,
+    },
+  });
+});
+
+/**
+ * Move folder (and all of its descendants) under a new parent
+ */
+exports.moveFolder = catchAsync(async (req, res, next) => {
+  const { parentId } = req.body;
+
+  const folder = await Folder.findOne({
+    _id: req.params.id,
+    tenantId: req.user.tenantId,
+  });
+
+  if (!folder) {
+    return next(new AppError('Folder not found', 404));
+  }
+
+  // Check permissions
+  if (!folder.canModify(req.user)) {
+    return next(new AppError('You do not have permission to move this folder', 403));
+  }
+
+  const parent = await resolveParent(req.user.tenantId, parentId);
+
+  // A folder cannot be moved into itself or one of its own descendants
+  if (parent && folder.isAncestorOf(parent)) {
+    return next(new AppError('A folder cannot be moved into itself or one of its subfolders', 400));
+  }
+
+  const newParentId = parent ? parent._id : null;
+  await assertNameAvailable(req.user.tenantId, newParentId, folder.name, folder._id);
+
+  // A folder held through one of its parents must not leave the hold
+  if (folder.parent && String(folder.parent) !== String(newParentId || '')) {
+    const held = await LegalHold.heldScope(req.user.tenantId);
+    if (held.folderIds.some(id => id.equals(folder.parent))) {
+      return next(new AppError('Folder is under legal hold and cannot be moved', 423));
+    }
+  }
+
+  const oldDepth = folder.ancestors.length;
+  const newAncestors = parent ? [...parent.ancestors, parent._id] : [];
+
+  folder.parent = newParentId;
+  folder.ancestors = newAncestors;
+  await folder.save();
+
+  // Re-root every descendant: swap the old ancestor prefix for the new one
+  const { modifiedCount } = await Folder.updateMany(
+    { tenantId: req.user.tenantId, ancestors: folder._id },
+    [{
+      $set: {
+        ancestors: {
+          $concatArrays: [
+            newAncestors,
+            { $slice: ['$ancestors', oldDepth, { $size: '$ancestors' }] },
+          ],
+        },
+      },
+    }]
+  );
+
+  // Log activity
+  await log(req, 'folder_move', 'folder', folder._id, {
+    folderName: folder.name,
+    parentId: newParentId,
+    descendantsMoved: modifiedCount,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      folder,
+    },
+  });
+});
+
+/**
+ * Delete folder
+ *
+ * Non-empty folders are only removed with ?recursive=true, in which case all
+ * subfolders are removed and contained documents are soft deleted.
+ */
+exports.deleteFolder = catchAsync(async (req, res, next) => {
+  const folder = await Folder.findOne({
+    _id: req.params.id,
+    tenantId: req.user.tenantId,
+  });
+
+  if (!folder) {
+    return next(new AppError('Folder not found', 404));
+  }
+
+  // Check permissions
+  if (!folder.canModify(req.user)) {
+    return next(new AppError('You do not have permission to delete this folder', 403));
+  }
+
+  const descendants = await Folder.find({
+    tenantId: req.user.tenantId,
+    ancestors: folder._id,
+  }).select('name owner');
+  const descendantIds = descendants.map(descendant => descendant._id);
+  const folderIds = [folder._id, ...descendantIds];
+
+  const documentQuery = {
+    tenantId: req.user.tenantId,
+    folderId: { $in: folderIds },
+    status: { $ne: 'deleted' },
+  };
+  const documentCount = await Document.countDocuments(documentQuery);
+
+  // Held folders and documents must survive until the hold is released
+  const held = await LegalHold.heldScope(req.user.tenantId);
+  const heldFolder = folderIds.some(id => held.folderIds.some(heldId => heldId.equals(id)));
+  if (heldFolder || await Document.exists({ ...documentQuery, _id: { $in: held.documentIds } })) {
+    return next(new AppError('Folder contains documents under legal hold and cannot be deleted', 423));
+  }
+
+  if ((descendantIds.length > 0 || documentCount > 0) && req.query.recursive !== 'true') {
+    return next(new AppError('Folder is not empty. Use recursive=true to delete it with its contents', 400));
+  }
+
+  // Every subfolder and document goes with the folder, so each needs the same
+  // rights as deleting it on its own, and no one else may have a document checked out
+  const forbidden = descendants.filter(descendant => !descendant.canModify(req.user)).map(descendant => `${descendant.name}/`);
+  const locked = [];
+  const documents = Document.find(documentQuery)
+    .select('title owner sharedWith sharedGroups folderId lock')
+    .cursor();
+  for await (const document of documents) {
+    if (!document.hasAccess(req.user, 'admin')) {
+      forbidden.push(document.title);
+    } else if (document.isLockedFor(req.user)) {
+      locked.push(document.title);
+    }
+  }
+
+  if (forbidden.length > 0) {
+    return next(new AppError(`You do not have permission to delete ${listNames(forbidden)} in this folder`, 403));
+  }
+  if (locked.length > 0) {
+    return next(new AppError(`${listNames(locked)} ${locked.length === 1 ? 'is' : 'are'} checked out by another user`, 423));
+  }
+
+  if (documentCount > 0) {
+    await Document.updateMany(documentQuery, {
+      status: 'deleted',
+      deletedAt: Date.now(),
+      deletedBy: req.user._id,
+    });
+  }
+
+  await Folder.deleteMany({ _id: { $in: folderIds } });
+
+  // Log activity
+  await log(req, 'folder_delete', 'folder', folder._id, {
+    folderName: folder.name,
+    foldersDeleted: folderIds.length,
+    documentsDeleted: documentCount,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Folder deleted successfully',
+  });
+});
+
+/**
+ * Get folder contents (subfolders first, then documents)
+ */
+exports.getFolderContents = catchAsync(async (req, res, next) => {
+  const { page = 1, limit = 50, sortBy = 'title' } = req.query;
+
+  const folder = await resolveParent(req.user.tenantId, req.params.id);
+  const folderId = folder ? folder._id : null;
+
+  const folderQuery = {
+    tenantId: req.user.tenantId,
+    parent: folderId,
+  };
+
+  const documentQuery = {
+    tenantId: req.user.tenantId,
+    folderId,
+    status: { $ne: 'deleted' },
+    ...Document.accessFilter(req.user),
+  };
+
+  const [folderCount, documentCount] = await Promise.all([
+    Folder.countDocuments(folderQuery),
+    Document.countDocuments(documentQuery),
+  ]);
+
+  // Paginate over folders and documents as a single list
+  const pageSize = parseInt(limit);
+  const skip = (parseInt(page) - 1) * pageSize;
+
+  const folders = skip < folderCount
+    ? await Folder.find(folderQuery).sort('name').skip(skip).limit(pageSize)
+    : [];
+
+  const documentLimit = pageSize - folders.length;
+  const documents = documentLimit > 0
+    ? await Document.find(documentQuery)
+      .populate('owner', 'firstName lastName email')
+      .sort(sortBy)
+      .skip(Math.max(0, skip - folderCount))
+      .limit(documentLimit)
+    : [];
+
+  const total = folderCount + documentCount;
+
+  res.status(200).json({
+    status: 'success',
+    results: folders.length + documents.length,
+    total,
+    page: parseInt(page),
+    pages: Math.ceil(total / pageSize),
+    data: {
+      folder,
+      folders,
+      documents,
+    },
+  });
+});
+
+/**
+ * Share folder with a group (covers its documents and subfolders)
+ */
+exports.shareFolderWithGroup = catchAsync(async (req, res, next) => {
+  const { groupId, permission = 'view' } = req.body;
+
+  const folder = await Folder.findOne({
+    _id: req.params.id,
+    tenantId: req.user.tenantId,
+  });
+
+  if (!folder) {
+    return next(new AppError('Folder not found', 404));
+  }
+
+  // Check permissions
+  if (!folder.canModify(req.user)) {
+    return next(new AppError('You do not have permission to share this folder', 403));
+  }
+
+  const group = await Group.findOne({ _id: groupId, tenantId: req.user.tenantId });
+  if (!group) {
+    return next(new AppError('Group not found', 404));
+  }
+
+  const existingShare = folder.sharedGroups.find(share => share.group.equals(group._id));
+  if (existingShare) {
+    existingShare.permission = permission;
+  } else {
+    folder.sharedGroups.push({ group: group._id, permission, sharedBy: req.user._id });
+  }
+  await folder.save();
+
+  // Log activity
+  await log(req, 'folder_share_group', 'folder', folder._id, {
+    folderName: folder.name,
+    group: group._id,
+    groupName: group.name,
+    permission,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      folder,
+    },
+  });
+});
+
+/**
+ * Stop sharing folder with a group
+ */
+exports.unshareFolderWithGroup = catchAsync(async (req, res, next) => {
+  const { groupId } = req.params;
+
+  const folder = await Folder.findOne({
+    _id: req.params.id,
+    tenantId: req.user.tenantId,
+  });
+
+  if (!folder) {
+    return next(new AppError('Folder not found', 404));
+  }
+
+  // Check permissions
+  if (!folder.canModify(req.user)) {
+    return next(new AppError('You do not have permission to unshare this folder', 403));
+  }
+
+  folder.sharedGroups = folder.sharedGroups.filter(share => share.group.toString() !== groupId);
+  await folder.save();
+
+  // Log activity
+  await log(req, 'folder_unshare_group', 'folder', folder._id, { folderName: folder.name, group: groupId });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Folder unshared successfully',
+  });
+});
+
+/**
+ * Get breadcrumbs from the root down to the folder
+ */
+exports.getBreadcrumbs = catchAsync(async (req, res, next) => {
+  const folder = await Folder.findOne({
+    _id: req.params.id,
+    tenantId: req.user.tenantId,
+  });
+
+  if (!folder) {
+    return next(new AppError('Folder not found', 404));
+  }
+
+  const ancestors = await Folder.find({
+    _id: { $in: folder.ancestors },
+    tenantId: req.user.tenantId,
+  }).select('name');
+
+  const byId = new Map(ancestors.map(ancestor => [ancestor._id.toString(), ancestor]));
+
+  const breadcrumbs = [
+    ...folder.ancestors
+      .map(id => byId.get(id.toString()))
+      .filter(Boolean),
+    folder,
+  ].map(({ _id, name }) => ({ _id, name }));
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      breadcrumbs,
+    },
+  });
+});
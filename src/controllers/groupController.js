@@ -0,0 +1,243 @@
+const Group = require('../models/Group');
+const User = require('../models/User');
+const Document = require('../models/Document');
+const Folder = require('../models/Folder');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const { log } = require('../middleware/activityLogger');
+
+/**
+ * Find a group of the current tenant from the id in the URL
+ */
+const findGroup = async (req) => {
+  const group = await Group.findOne({ _id: req.params.id, tenantId: req.user.tenantId });
+  if (!group) {
+    throw new AppError('Group not found', 404);
+  }
+  return group;
+};
+
+/**
+ * Check that every user id belongs to an active member of the tenant
+ */
+const resolveMembers = async (tenantId, userIds = []) => {
+  const ids = [...new Set(userIds.map(String))];
+  const count = await User.countDocuments({ _id: { $in: ids }, tenantId, isActive: true });
+  if (count !== ids.length) {
+    throw new AppError('Group members must be active users of your organization', 400);
+  }
+  return ids;
+};
+
+/**
+ * Check that no other group of the tenant already uses the name
+ */
+const assertNameAvailable = async (tenantId, name, excludeId = null) => {
+  const query = { tenantId, name };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  if (await Group.exists(query)) {
+    throw new AppError('A group with this name already exists', 400);
+  }
+};
+
+/**
+ * Create group
+ */
+exports.createGroup = catchAsync(async (req, res, next) => {
+  const { name, description, memberIds } = req.body;
+
+  await assertNameAvailable(req.user.tenantId, name);
+  const members = await resolveMembers(req.user.tenantId, memberIds);
+
+  const group = await Group.create({
+    tenantId: req.user.tenantId,
+    name,
+    description,
+    owner: req.user._id,
+    members,
+  });
+
+  // Log activity
+  await log(req, 'group_create', 'group', group._id, { groupName: group.name, members: members.length });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      group,
+    },
+  });
+});
+
+/**
+ * List the tenant's groups (?mine=true for the groups the user belongs to)
+ */
+exports.getGroups = catchAsync(async (req, res, next) => {
+  const query = { tenantId: req.user.tenantId };
+  if (req.query.mine === 'true') query.members = req.user._id;
+
+  const groups = await Group.find(query)
+    .populate('owner', 'firstName lastName email')
+    .sort('name');
+
+  res.status(200).json({
+    status: 'success',
+    results: groups.length,
+    data: {
+      groups,
+    },
+  });
+});
+
+/**
+ * Get group by ID, with its members
+ */
+exports.getGroup = catchAsync(async (req, res, next) => {
+  const group = await findGroup(req);
+  await group.populate([
+    { path: 'owner', select: 'firstName lastName email' },
+    { path: 'members', select: 'firstName lastName email avatar' },
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      group,
+    },
+  });
+});
+
+/**
+ * Update group name, description or owner
+ */
+exports.updateGroup = catchAsync(async (req, res, next) => {
+  const { name, description, ownerId } = req.body;
+
+  const group = await findGroup(req);
+
+  // Check permissions
+  if (!group.canManage(req.user)) {
+    return next(new AppError('You do not have permission to edit this group', 403));
+  }
+
+  if (name && name !== group.name) {
+    await assertNameAvailable(req.user.tenantId, name, group._id);
+    group.name = name;
+  }
+  if (description !== undefined) group.description = description;
+  if (ownerId) {
+    const [owner] = await resolveMembers(req.user.tenantId, [ownerId]);
+    group.owner = owner;
+  }
+
+  await group.save();
+
+  // Log activity
+  await log(req, 'group_update', 'group', group._id, { groupName: group.name });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      group,
+    },
+  });
+});
+
+/**
+ * Delete group and every share made with it
+ */
+exports.deleteGroup = catchAsync(async (req, res, next) => {
+  const group = await findGroup(req);
+
+  // Check permissions
+  if (!group.canManage(req.user)) {
+    return next(new AppError('You do not have permission to delete this group', 403));
+  }
+
+  const sharedQuery = { tenantId: req.user.tenantId, 'sharedGroups.group': group._id };
+  const documentIds = await Document.find(sharedQuery).distinct('_id');
+
+  await Document.updateMany(sharedQuery, { $pull: { sharedGroups: { group: group._id } } });
+  await Document.updateMany(
+    { _id: { $in: documentIds }, sharedWith: { $size: 0 }, sharedGroups: { $size: 0 } },
+    { isShared: false }
+  );
+  await Folder.updateMany(sharedQuery, { $pull: { sharedGroups: { group: group._id } } });
+
+  await group.deleteOne();
+
+  // Log activity
+  await log(req, 'group_delete', 'group', group._id, {
+    groupName: group.name,
+    documentsUnshared: documentIds.length,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Group deleted successfully',
+  });
+});
+
+/**
+ * Add members to a group
+ */
+exports.addMembers = catchAsync(async (req, res, next) => {
+  const group = await findGroup(req);
+
+  // Check permissions
+  if (!group.canManage(req.user)) {
+    return next(new AppError('You do not have permission to manage this group', 403));
+  }
+
+  const userIds = await resolveMembers(req.user.tenantId, req.body.userIds);
+
+  const updated = await Group.findByIdAndUpdate(
+    group._id,
+    { $addToSet: { members: { $each: userIds } } },
+    { new: true }
+  );
+
+  // Log activity
+  await log(req, 'group_member_add', 'group', group._id, { groupName: group.name, userIds });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      group: updated,
+    },
+  });
+});
+
+/**
+ * Remove a member from a group (group managers, or members leaving)
+ */
+exports.removeMember = catchAsync(async (req, res, next) => {
+  const { userId } = req.params;
+
+  const group = await findGroup(req);
+
+  // Check permissions
+  if (!group.canManage(req.user) && userId !== req.user._id.toString()) {
+    return next(new AppError('You do not have permission to manage this group', 403));
+  }
+
+  if (!group.members.some(member => member.toString() === userId)) {
+    return next(new AppError('User is not a member of this group', 404));
+  }
+
+  const updated = await Group.findByIdAndUpdate(
+    group._id,
+    { $pull: { members: userId } },
+    { new: true }
+  );
+
+  // Log activity
+  await log(req, 'group_member_remove', 'group', group._id, { groupName: group.name, userId });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      group: updated,
+    },
+  });
+});
@@ -0,0 +1,172 @@
+const Invitation = require('../models/Invitation');
+const Document = require('../models/Document');
+const ShareLink = require('../models/ShareLink');
+const Tenant = require('../models/Tenant');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const { log, logShareLinkAccess } = require('../middleware/activityLogger');
+const { findPendingInvitation, revokeInvitation } = require('../services/invitationService');
+
+/**
+ * Find a pending invitation and its document from the token in the URL
+ */
+const resolveInvitation = async (req) => {
+  const invitation = await findPendingInvitation(req.params.token);
+  if (!invitation) {
+    throw new AppError('This invitation is invalid or has expired', 404);
+  }
+
+  const document = await Document.findOne({
+    _id: invitation.document,
+    tenantId: invitation.tenantId,
+    status: { $ne: 'deleted' },
+  });
+  if (!document) {
+    throw new AppError('The shared document is no longer available', 410);
+  }
+
+  return { invitation, document };
+};
+
+/**
+ * Get invitation details for its landing page (public)
+ */
+exports.getInvitation = catchAsync(async (req, res, next) => {
+  const { invitation, document } = await resolveInvitation(req);
+
+  await invitation.populate('invitedBy', 'firstName lastName');
+  const tenant = await Tenant.findOne({ tenantId: invitation.tenantId }).select('name');
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      invitation: {
+        email: invitation.email,
+        permission: invitation.permission,
+        message: invitation.message,
+        expiresAt: invitation.expiresAt,
+        organization: tenant ? tenant.name : null,
+        invitedBy: invitation.invitedBy
+          ? `${invitation.invitedBy.firstName} ${invitation.invitedBy.lastName}`
+          : null,
+        document: {
+          id: document._id,
+          title: document.title,
+        },
+      },
+    },
+  });
+});
+
+/**
+ * View the invited document as a guest, without an account (public)
+ *
+ * Issues a share link that lasts as long as the invitation; asking again
+ * replaces the previous link. The invitation stays open for registering later.
+ * View-only invitations get a link that cannot download the file.
+ */
+exports.viewAsGuest = catchAsync(async (req, res, next) => {
+  const { invitation, document } = await resolveInvitation(req);
+
+  const tenant = await Tenant.findOne({ tenantId: invitation.tenantId }).select('settings.features');
+  if (tenant && tenant.settings.features.documentSharing === false) {
+    return next(new AppError('Document sharing is disabled for this organization', 403));
+  }
+
+  if (invitation.guestLink) {
+    await ShareLink.updateOne(
+      { _id: invitation.guestLink, revokedAt: null },
+      { revokedAt: Date.now() }
+    );
+  }
+
+  const { link, token } = await ShareLink.generate({
+    tenantId: invitation.tenantId,
+    document: document._id,
+    permission: invitation.permission === 'view' ? 'view' : 'download',
+    expiresAt: invitation.expiresAt,
+    createdBy: invitation.invitedBy,
+  });
+
+  invitation.guestLink = link._id;
+  await invitation.save();
+
+  await logShareLinkAccess(req, link, { access: 'guest_invitation', invitation: invitation._id });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      token,
+      url: ShareLink.urlFor(token),
+      documentId: document._id,
+    },
+  });
+});
+
+/**
+ * List invitations (own by default, ?scope=tenant for admins; ?status= and ?documentId= filters)
+ */
+exports.getInvitations = catchAsync(async (req, res, next) => {
+  const { status = 'pending', documentId, scope } = req.query;
+
+  const query = { tenantId: req.user.tenantId };
+  if (status !== 'all') query.status = status;
+  if (documentId) query.document = documentId;
+
+  if (scope === 'tenant') {
+    if (req.user.role !== 'Admin') {
+      return next(new AppError('Only admins can list every invitation of the tenant', 403));
+    }
+  } else {
+    query.invitedBy = req.user._id;
+  }
+
+  const invitations = await Invitation.find(query)
+    .populate('document', 'title originalName')
+    .populate('invitedBy', 'firstName lastName email')
+    .sort('-createdAt');
+
+  res.status(200).json({
+    status: 'success',
+    results: invitations.length,
+    data: {
+      invitations,
+    },
+  });
+});
+
+/**
+ * Revoke a pending invitation (its sender, an admin of the document or a tenant admin)
+ */
+exports.revokeInvitation = catchAsync(async (req, res, next) => {
+  const invitation = await Invitation.findOne({
+    _id: req.params.id,
+    tenantId: req.user.tenantId,
+    status: 'pending',
+  });
+
+  if (!invitation) {
+    return next(new AppError('Invitation not found', 404));
+  }
+
+  const isSender = invitation.invitedBy.toString() === req.user._id.toString();
+  if (!isSender && req.user.role !== 'Admin') {
+    const document = await Document.findOne({ _id: invitation.document, tenantId: req.user.tenantId });
+    if (!document || !document.hasAccess(req.user, 'admin')) {
+      return next(new AppError('You do not have permission to revoke this invitation', 403));
+    }
+  }
+
+  await revokeInvitation(invitation, req.user._id);
+
+  // Log activity
+  await log(req, 'invitation_revoke', 'document', invitation.document, {
+    invitation: invitation._id,
+    invitedEmail: invitation.email,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Invitation revoked',
+  });
+});
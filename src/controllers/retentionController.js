@@ -0,0 +1,448 @@
+const RetentionPolicy = require('../models/RetentionPolicy');
+const LegalHold = require('../models/LegalHold');
+const DisposalList = require('../models/DisposalList');
+const Document = require('../models/Document');
+const Folder = require('../models/Folder');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const { log } = require('../middleware/activityLogger');
+const { enqueueDispositionReview, enqueueDisposal } = require('../jobs/dispositionJob');
+
+/**
+ * Check that every document and folder id belongs to the tenant
+ */
+const assertInTenant = async (tenantId, { documentIds = [], folderIds = [] }) => {
+  const documents = [...new Set(documentIds.map(String))];
+  const folders = [...new Set(folderIds.map(String))];
+
+  const [documentCount, folderCount] = await Promise.all([
+    Document.countDocuments({ _id: { $in: documents }, tenantId }),
+    Folder.countDocuments({ _id: { $in: folders }, tenantId }),
+  ]);
+
+  if (documentCount !== documents.length) {
+    throw new AppError('One or more documents were not found', 404);
+  }
+  if (folderCount !== folders.length) {
+    throw new AppError('One or more folders were not found', 404);
+  }
+
+  return { documents, folders };
+};
+
+/**
+ * Find a disposal list of the current tenant from the id in the URL
+ */
+const findDisposalList = async (req) => {
+  const list = await DisposalList.findOne({ _id: req.params.id, tenantId: req.user.tenantId });
+  if (!list) {
+    throw new AppError('Disposal list not found', 404);
+  }
+  return list;
+};
+
+/**
+ * List retention policies
+ */
+exports.getPolicies = catchAsync(async (req, res, next) => {
+  const policies = await RetentionPolicy.find({ tenantId: req.user.tenantId })
+    .populate('createdBy', 'firstName lastName email')
+    .sort('name');
+
+  res.status(200).json({
+    status: 'success',
+    results: policies.length,
+    data: {
+      policies,
+    },
+  });
+});
+
+/**
+ * Create retention policy
+ */
+exports.createPolicy = catchAsync(async (req, res, next) => {
+  const { name, description, documentType, category, retentionPeriod, retentionUnit, trigger, isActive } = req.body;
+
+  if (await RetentionPolicy.exists({ tenantId: req.user.tenantId, name })) {
+    return next(new AppError('A retention policy with this name already exists', 400));
+  }
+
+  const policy = await RetentionPolicy.create({
+    tenantId: req.user.tenantId,
+    name,
+    description,
+    documentType,
+    category,
+    retentionPeriod,
+    retentionUnit,
+    trigger,
+    isActive,
+    createdBy: req.user._id,
+  });
+
+  // Log activity
+  await log(req, 'retention_policy_create', 'retention', policy._id, {
+    policyName: policy.name,
+    documentType: policy.documentType,
+    category: policy.category,
+    retention: `${policy.retentionPeriod} ${policy.retentionUnit}`,
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      policy,
+    },
+  });
+});
+
+/**
+ * Update retention policy
+ */
+exports.updatePolicy = catchAsync(async (req, res, next) => {
+  const policy = await RetentionPolicy.findOne({ _id: req.params.id, tenantId: req.user.tenantId });
+  if (!policy) {
+    return next(new AppError('Retention policy not found', 404));
+  }
+
+  const { name } = req.body;
+  if (name && name !== policy.name
+    && await RetentionPolicy.exists({ tenantId: req.user.tenantId, name, _id: { $ne: policy._id } })) {
+    return next(new AppError('A retention policy with this name already exists', 400));
+  }
+
+  const fields = ['name', 'description', 'documentType', 'category', 'retentionPeriod', 'retentionUnit', 'trigger', 'isActive'];
+  for (const field of fields) {
+    if (req.body[field] !== undefined) policy[field] = req.body[field] === null ? undefined : req.body[field];
+  }
+  await policy.save();
+
+  // Log activity
+  await log(req, 'retention_policy_update', 'retention', policy._id, { policyName: policy.name, changes: req.body });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      policy,
+    },
+  });
+});
+
+/**
+ * Delete retention policy
+ */
+exports.deletePolicy = catchAsync(async (req, res, next) => {
+  const policy = await RetentionPolicy.findOneAndDelete({ _id: req.params.id, tenantId: req.user.tenantId });
+  if (!policy) {
+    return next(new AppError('Retention policy not found', 404));
+  }
+
+  // Log activity
+  await log(req, 'retention_policy_delete', 'retention', policy._id, { policyName: policy.name });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Retention policy deleted',
+  });
+});
+
+/**
+ * List legal holds (?status=active|released)
+ */
+exports.getHolds = catchAsync(async (req, res, next) => {
+  const query = { tenantId: req.user.tenantId };
+  if (req.query.status) query.status = req.query.status;
+
+  const holds = await LegalHold.find(query)
+    .populate('createdBy', 'firstName lastName email')
+    .sort('-createdAt');
+
+  res.status(200).json({
+    status: 'success',
+    results: holds.length,
+    data: {
+      holds,
+    },
+  });
+});
+
+/**
+ * Get legal hold with its documents and folders
+ */
+exports.getHold = catchAsync(async (req, res, next) => {
+  const hold = await LegalHold.findOne({ _id: req.params.id, tenantId: req.user.tenantId })
+    .populate('documents', 'title originalName type category status folderId')
+    .populate('folders', 'name ancestors')
+    .populate('createdBy', 'firstName lastName email')
+    .populate('releasedBy', 'firstName lastName email');
+
+  if (!hold) {
+    return next(new AppError('Legal hold not found', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      hold,
+    },
+  });
+});
+
+/**
+ * Place a legal hold on documents and/or folders
+ */
+exports.createHold = catchAsync(async (req, res, next) => {
+  const { name, reason, documentIds, folderIds } = req.body;
+
+  const { documents, folders } = await assertInTenant(req.user.tenantId, { documentIds, folderIds });
+
+  const hold = await LegalHold.create({
+    tenantId: req.user.tenantId,
+    name,
+    reason,
+    documents,
+    folders,
+    createdBy: req.user._id,
+  });
+
+  // Log activity
+  await log(req, 'legal_hold_create', 'retention', hold._id, {
+    holdName: hold.name,
+    documents: documents.length,
+    folders: folders.length,
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      hold,
+    },
+  });
+});
+
+/**
+ * Update an active legal hold (name, reason, or what it covers)
+ */
+exports.updateHold = catchAsync(async (req, res, next) => {
+  const { name, reason, documentIds, folderIds } = req.body;
+
+  const hold = await LegalHold.findOne({ _id: req.params.id, tenantId: req.user.tenantId, status: 'active' });
+  if (!hold) {
+    return next(new AppError('Active legal hold not found', 404));
+  }
+
+  const { documents, folders } = await assertInTenant(req.user.tenantId, { documentIds, folderIds });
+
+  if (name) hold.name = name;
+  if (reason !== undefined) hold.reason = reason;
+  if (documentIds) hold.documents = documents;
+  if (folderIds) hold.folders = folders;
+  await hold.save();
+
+  // Log activity
+  await log(req, 'legal_hold_update', 'retention', hold._id, {
+    holdName: hold.name,
+    documents: hold.documents.length,
+    folders: hold.folders.length,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      hold,
+    },
+  });
+});
+
+/**
+ * Release a legal hold (its documents can be deleted again unless another hold covers them)
+ */
+exports.releaseHold = catchAsync(async (req, res, next) => {
+  const hold = await LegalHold.findOne({ _id: req.params.id, tenantId: req.user.tenantId, status: 'active' });
+  if (!hold) {
+    return next(new AppError('Active legal hold not found', 404));
+  }
+
+  hold.status = 'released';
+  hold.releasedAt = Date.now();
+  hold.releasedBy = req.user._id;
+  await hold.save();
+
+  // Log activity
+  await log(req, 'legal_hold_release', 'retention', hold._id, { holdName: hold.name });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      hold,
+    },
+  });
+});
+
+/**
+ * Queue a disposition review of the tenant now (instead of waiting for the schedule)
+ */
+exports.startDispositionReview = catchAsync(async (req, res, next) => {
+  if (!(await RetentionPolicy.exists({ tenantId: req.user.tenantId, isActive: true }))) {
+    return next(new AppError('Your organization has no active retention policies', 400));
+  }
+
+  await enqueueDispositionReview({ tenantId: req.user.tenantId, requestedBy: req.user._id.toString() });
+
+  res.status(202).json({
+    status: 'success',
+    message: 'Disposition review queued',
+  });
+});
+
+/**
+ * List disposal lists (summaries only; ?status= filter)
+ */
+exports.getDisposalLists = catchAsync(async (req, res, next) => {
+  const { page = 1, limit = 20, status } = req.query;
+
+  const query = { tenantId: req.user.tenantId };
+  if (status) query.status = status;
+
+  const [lists, total] = await Promise.all([
+    DisposalList.find(query)
+      .populate('reviewedBy', 'firstName lastName email')
+      .sort('-createdAt')
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit)),
+    DisposalList.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: lists.length,
+    total,
+    page: parseInt(page),
+    pages: Math.ceil(total / limit),
+    data: {
+      lists: lists.map(list => ({ ...list.toJSON(), items: undefined })),
+    },
+  });
+});
+
+/**
+ * Get a disposal list with its items
+ */
+exports.getDisposalList = catchAsync(async (req, res, next) => {
+  const list = await findDisposalList(req);
+  await list.populate([
+    { path: 'items.owner', select: 'firstName lastName email' },
+    { path: 'reviewedBy', select: 'firstName lastName email' },
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      list,
+    },
+  });
+});
+
+/**
+ * Set the review decision (dispose or retain) of items on a pending list
+ */
+exports.updateDisposalItems = catchAsync(async (req, res, next) => {
+  const { documentIds, decision } = req.body;
+
+  const list = await findDisposalList(req);
+  if (list.status !== 'pending_review') {
+    return next(new AppError('Only lists pending review can be changed', 400));
+  }
+
+  const ids = new Set(documentIds);
+  let updated = 0;
+  for (const item of list.items) {
+    if (ids.has(item.document.toString())) {
+      item.decision = decision;
+      updated += 1;
+    }
+  }
+  await list.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: `${updated} item(s) marked to ${decision}`,
+    data: {
+      summary: list.summary,
+    },
+  });
+});
+
+/**
+ * Approve a disposal list; its 'dispose' items are deleted permanently in the background
+ */
+exports.approveDisposalList = catchAsync(async (req, res, next) => {
+  const list = await findDisposalList(req);
+  if (list.status !== 'pending_review') {
+    return next(new AppError('Only lists pending review can be approved', 400));
+  }
+
+  list.status = 'approved';
+  list.reviewedBy = req.user._id;
+  list.reviewedAt = Date.now();
+  list.reviewNote = req.body.note;
+  await list.save();
+
+  await enqueueDisposal(list._id);
+
+  // Log activity
+  await log(req, 'disposition_approve', 'retention', list._id, { ...list.summary, note: req.body.note });
+
+  res.status(202).json({
+    status: 'success',
+    message: `${list.summary.dispose} document(s) queued for disposal`,
+  });
+});
+
+/**
+ * Reject a disposal list (nothing on it is deleted; due documents appear on the next list)
+ */
+exports.rejectDisposalList = catchAsync(async (req, res, next) => {
+  const list = await findDisposalList(req);
+  if (list.status !== 'pending_review') {
+    return next(new AppError('Only lists pending review can be rejected', 400));
+  }
+
+  list.status = 'rejected';
+  list.reviewedBy = req.user._id;
+  list.reviewedAt = Date.now();
+  list.reviewNote = req.body.note;
+  await list.save();
+
+  // Log activity
+  await log(req, 'disposition_reject', 'retention', list._id, { note: req.body.note });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Disposal list rejected',
+  });
+});
+
+/**
+ * Get the audit certificate of a completed disposal, with its SHA-256 digest
+ */
+exports.getDisposalCertificate = catchAsync(async (req, res, next) => {
+  const list = await findDisposalList(req);
+  if (list.status !== 'completed' || !list.certificate || !list.certificate.digest) {
+    return next(new AppError('The certificate is issued once disposal completes', 409));
+  }
+
+  const certificate = list.certificateContent();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      certificate,
+      digest: list.certificate.digest,
+      algorithm: 'SHA-256',
+      // Recomputed now: false means the stored record was altered after issue
+      verified: list.certificateDigest() === list.certificate.digest,
+    },
+  });
+});
@@ -0,0 +1,253 @@
+const Seal = require('../models/Seal');
+const Document = require('../models/Document');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const { sha256 } = require('../utils/checksum');
+const { log } = require('../middleware/activityLogger');
+const { issueSeal, checkArchivedFile } = require('../services/sealService');
+const { getDecryptedStream } = require('../services/encryptionService');
+const { watermarkedCopy, userRecipient } = require('../services/watermarkService');
+
+/**
+ * Find a document of the current tenant that the user can view
+ */
+const findViewableDocument = async (req) => {
+  const document = await Document.findOne({
+    _id: req.params.id,
+    tenantId: req.user.tenantId,
+    status: { $ne: 'deleted' },
+  });
+
+  if (!document) {
+    throw new AppError('Document not found', 404);
+  }
+
+  // Check permissions
+  if (!document.hasAccess(req.user, 'view')) {
+    throw new AppError('You do not have permission to view this document', 403);
+  }
+
+  return document;
+};
+
+/**
+ * Find a seal from the public verification code in the URL
+ */
+const findSealByCode = async (req) => {
+  const seal = await Seal.findOne({ verificationCode: req.params.code });
+  if (!seal) {
+    throw new AppError('No seal matches this code', 404);
+  }
+  return seal;
+};
+
+/**
+ * Seal details shown on the public verification page
+ */
+const publicSeal = (seal) => ({
+  sequence: seal.sequence,
+  title: seal.title,
+  version: seal.version,
+  originalName: seal.originalName,
+  mimeType: seal.mimeType,
+  fileSize: seal.fileSize,
+  checksum: seal.checksum,
+  stampedChecksum: seal.stamped ? seal.stamped.checksum : null,
+  notary: seal.notaryName,
+  statement: seal.statement,
+  sealedAt: seal.sealedAt,
+  hash: seal.hash,
+  previousHash: seal.previousHash,
+});
+
+/**
+ * Seal a document version (notaries)
+ */
+exports.createSeal = catchAsync(async (req, res, next) => {
+  const { version, statement } = req.body;
+
+  const document = await findViewableDocument(req);
+
+  const seal = await issueSeal({
+    notary: req.user,
+    document,
+    versionNumber: version ? parseInt(version) : undefined,
+    statement,
+  });
+
+  // Log activity
+  await log(req, 'document_seal', 'document', document._id, {
+    documentName: document.title,
+    version: seal.version,
+    seal: seal._id,
+    sequence: seal.sequence,
+    checksum: seal.checksum,
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      seal,
+      url: Seal.urlFor(seal.verificationCode),
+    },
+  });
+});
+
+/**
+ * List the seals issued on a document
+ */
+exports.getDocumentSeals = catchAsync(async (req, res, next) => {
+  const document = await findViewableDocument(req);
+
+  const seals = await Seal.find({ tenantId: req.user.tenantId, document: document._id })
+    .populate('notary', 'firstName lastName email')
+    .sort('-sealedAt');
+
+  res.status(200).json({
+    status: 'success',
+    results: seals.length,
+    data: {
+      seals,
+    },
+  });
+});
+
+/**
+ * List the seals you issued (?scope=tenant for admins)
+ */
+exports.getSeals = catchAsync(async (req, res, next) => {
+  const { page = 1, limit = 20, scope } = req.query;
+
+  const query = { tenantId: req.user.tenantId };
+  if (scope !== 'tenant' || req.user.role !== 'Admin') query.notary = req.user._id;
+
+  const [seals, total] = await Promise.all([
+    Seal.find(query)
+      .populate('notary', 'firstName lastName email')
+      .sort('-sequence')
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit)),
+    Seal.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: seals.length,
+    total,
+    page: parseInt(page),
+    pages: Math.ceil(total / limit),
+    data: {
+      seals,
+    },
+  });
+});
+
+/**
+ * Download the stamped copy of a seal (its notary, admins and anyone who can view the document)
+ */
+exports.downloadStampedCopy = catchAsync(async (req, res, next) => {
+  const seal = await Seal.findOne({ _id: req.params.id, tenantId: req.user.tenantId });
+  if (!seal) {
+    return next(new AppError('Seal not found', 404));
+  }
+
+  const document = await Document.findOne({ _id: seal.document, tenantId: req.user.tenantId, status: { $ne: 'deleted' } });
+  if (seal.notary.toString() !== req.user._id.toString() && req.user.role !== 'Admin') {
+    if (!document || !document.hasAccess(req.user, 'view')) {
+      return next(new AppError('You do not have permission to download this seal', 403));
+    }
+  }
+
+  if (!seal.stamped || !seal.stamped.storageKey) {
+    return next(new AppError('The stamped copy was removed with the document', 410));
+  }
+
+  // Under a watermark policy, the stamped copy is watermarked too; its QR code
+  // still verifies the seal, but the file no longer matches the stamped checksum
+  const copy = await watermarkedCopy(document || { tenantId: seal.tenantId }, seal.stamped, userRecipient(req.user));
+
+  // Log activity
+  await log(req, 'seal_download', 'document', seal.document, {
+    seal: seal._id,
+    sequence: seal.sequence,
+    watermarkId: copy ? copy.watermark.id : undefined,
+  });
+
+  res.set({
+    'Content-Type': seal.stamped.mimeType || 'application/octet-stream',
+    'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(`sealed-${seal.originalName}`)}`,
+    'Cache-Control': 'private, no-store',
+  });
+  if (copy) {
+    res.set('X-Watermark-Id', copy.watermark.id);
+  } else {
+    res.set({ 'Content-Length': String(seal.stamped.fileSize), 'X-Checksum-SHA256': seal.stamped.checksum });
+  }
+
+  (copy ? copy.stream : getDecryptedStream(seal.tenantId, seal.stamped.storageKey, seal.stamped.encryption))
+    .on('error', (err) => {
+      if (!res.headersSent) return next(new AppError('File is not available', 404));
+      res.destroy(err);
+    })
+    .pipe(res);
+});
+
+/**
+ * Verify a seal from its QR code (public)
+ *
+ * Checks that the seal record is unaltered and linked into its chain, and
+ * that the archived file still matches the sealed checksum.
+ */
+exports.verifySeal = catchAsync(async (req, res, next) => {
+  const seal = await findSealByCode(req);
+
+  const document = await Document.findOne({ _id: seal.document, tenantId: seal.tenantId })
+    .select('tenantId version storageKey versionHistory');
+  const [chain, unaltered] = await Promise.all([
+    seal.verifyChain(),
+    checkArchivedFile(seal, document),
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      seal: publicSeal(seal),
+      chain,
+      file: {
+        archived: unaltered !== null,
+        unaltered,
+      },
+      verified: chain.valid && unaltered === true,
+    },
+  });
+});
+
+/**
+ * Check an uploaded file against a seal (public, multipart `file`)
+ *
+ * The file matches when it is the sealed original or its stamped copy.
+ */
+exports.verifySealedFile = catchAsync(async (req, res, next) => {
+  if (!req.file) {
+    return next(new AppError('Please upload the file to check', 400));
+  }
+
+  const seal = await findSealByCode(req);
+  const chain = await seal.verifyChain();
+
+  const checksum = sha256(req.file.buffer);
+  let match = null;
+  if (checksum === seal.checksum) match = 'original';
+  else if (seal.stamped && checksum === seal.stamped.checksum) match = 'stamped';
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      seal: publicSeal(seal),
+      chain,
+      checksum,
+      match,
+      verified: chain.valid && match !== null,
+    },
+  });
+});
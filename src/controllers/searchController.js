@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const Document = require('../models/Document');
+const DocumentType = require('../models/DocumentType');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const {
+  findTextMatches,
+  attachSnippets,
+  buildFacetFilters,
+  buildCustomFieldFilter,
+  facetedSearch,
+} = require('../services/searchService');
+
+/**
+ * Add the document type filter (by key or id) and its custom field filters
+ */
+const addDocumentTypeFilters = async (filters, tenantId, { documentType: typeParam, fields }) => {
+  if (!typeParam) {
+    if (fields) throw new AppError('Filtering on custom fields requires a documentType', 400);
+    return;
+  }
+
+  const ref = String(typeParam);
+  const documentType = await DocumentType.findOne({
+    tenantId,
+    ...(mongoose.isValidObjectId(ref) ? { _id: ref } : { key: ref.toLowerCase() }),
+  });
+  if (!documentType) {
+    throw new AppError('Document type not found', 404);
+  }
+
+  filters.documentType = { documentType: documentType._id };
+
+  const fieldFilter = buildCustomFieldFilter(documentType, fields);
+  if (fieldFilter) filters.fields = fieldFilter;
+};
+
+/**
+ * Search documents with facet counts
+ *
+ * With `q`, results are full-text matches over contents and metadata ranked by
+ * relevance, with highlighted snippets. Without it, every accessible document
+ * is browsed in `sortBy` order (custom fields sort as `fields.<key>`). Facet
+ * filters: type, category, tags, owner, extension, uploaded (last_7_days,
+ * last_30_days, last_365_days, older) and documentType, whose custom fields
+ * can then be filtered with `fields[key]`.
+ */
+exports.searchDocuments = catchAsync(async (req, res, next) => {
+  const { q, page = 1, limit = 20, sortBy = '-createdAt' } = req.query;
+
+  const query = q && q.trim();
+  const pageSize = parseInt(limit);
+  const skip = (parseInt(page) - 1) * pageSize;
+
+  const baseMatch = {
+    tenantId: req.user.tenantId,
+    status: { $ne: 'deleted' },
+    ...Document.accessFilter(req.user),
+  };
+
+  let matches = null;
+  if (query) {
+    matches = await findTextMatches(baseMatch, query);
+    baseMatch._id = { $in: [...matches.keys()].map(id => new mongoose.Types.ObjectId(id)) };
+  }
+
+  const filters = buildFacetFilters(req.query);
+  await addDocumentTypeFilters(filters, req.user.tenantId, req.query);
+
+  const { hits, total, facets } = await facetedSearch({
+    baseMatch,
+    filters,
+    sortBy,
+    skip,
+    limit: pageSize,
+    idsOnly: Boolean(query),
+  });
+
+  let documents;
+  if (query) {
+    // Rank every filtered match by relevance, then load just the requested page
+    const pageIds = hits
+      .map(hit => ({ id: hit._id.toString(), ...matches.get(hit._id.toString()) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(skip, skip + pageSize);
+
+    const pageDocuments = await Document.find({ _id: { $in: pageIds.map(hit => hit.id) } })
+      .select('-versionHistory -sharedWith')
+      .populate('owner', 'firstName lastName email')
+      .lean();
+    const byId = new Map(pageDocuments.map(document => [document._id.toString(), document]));
+
+    documents = await attachSnippets(
+      pageIds
+        .filter(hit => byId.has(hit.id))
+        .map(hit => ({ ...byId.get(hit.id), score: hit.score, matchedIn: hit.matchedIn })),
+      query
+    );
+  } else {
+    documents = await Document.populate(hits, { path: 'owner', select: 'firstName lastName email' });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    results: documents.length,
+    total,
+    page: parseInt(page),
+    pages: Math.ceil(total / pageSize),
+    data: {
+      documents,
+      facets,
+    },
+  });
+});
@@ -0,0 +1,343 @@
+const Document = require('../models/Document');
+const ShareLink = require('../models/ShareLink');
+const Tenant = require('../models/Tenant');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const { log, logShareLinkAccess } = require('../middleware/activityLogger');
+const { getDecryptedStream } = require('../services/encryptionService');
+const { PREVIEW_SIZES } = require('../services/renditionService');
+const { watermarkedCopy, linkRecipient } = require('../services/watermarkService');
+
+/**
+ * Find a document the current user may manage public links for
+ */
+const findSharableDocument = async (req) => {
+  const document = await Document.findOne({
+    _id: req.params.id,
+    tenantId: req.user.tenantId,
+    status: { $ne: 'deleted' },
+  });
+
+  if (!document) {
+    throw new AppError('Document not found', 404);
+  }
+
+  if (!document.hasAccess(req.user, 'admin')) {
+    throw new AppError('You do not have permission to share this document', 403);
+  }
+
+  return document;
+};
+
+/**
+ * Create a public share link
+ */
+exports.createShareLink = catchAsync(async (req, res, next) => {
+  const { permission, expiresAt, password, maxDownloads } = req.body;
+
+  const tenant = await Tenant.findOne({ tenantId: req.user.tenantId }).select('settings.features');
+  if (tenant && tenant.settings.features.documentSharing === false) {
+    return next(new AppError('Document sharing is disabled for your organization', 403));
+  }
+
+  const document = await findSharableDocument(req);
+
+  const { link, token } = await ShareLink.generate({
+    tenantId: req.user.tenantId,
+    document: document._id,
+    permission,
+    expiresAt,
+    password,
+    maxDownloads,
+    createdBy: req.user._id,
+  });
+
+  // Log activity
+  await log(req, 'share_link_create', 'document', document._id, {
+    documentName: document.title,
+    shareLink: link._id,
+    permission: link.permission,
+    expiresAt: link.expiresAt,
+    passwordProtected: Boolean(password),
+    maxDownloads: link.maxDownloads,
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      // The token cannot be recovered later; only its hash is stored
+      token,
+      url: ShareLink.urlFor(token),
+      link,
+    },
+  });
+});
+
+/**
+ * List a document's public share links
+ */
+exports.getShareLinks = catchAsync(async (req, res, next) => {
+  const document = await findSharableDocument(req);
+
+  const links = await ShareLink.find({ tenantId: req.user.tenantId, document: document._id })
+    .select('+password')
+    .populate('createdBy', 'firstName lastName email')
+    .sort('-createdAt');
+
+  res.status(200).json({
+    status: 'success',
+    results: links.length,
+    data: {
+      links,
+    },
+  });
+});
+
+/**
+ * Revoke a public share link
+ */
+exports.revokeShareLink = catchAsync(async (req, res, next) => {
+  const document = await findSharableDocument(req);
+
+  const link = await ShareLink.findOne({
+    _id: req.params.linkId,
+    tenantId: req.user.tenantId,
+    document: document._id,
+  });
+
+  if (!link) {
+    return next(new AppError('Share link not found', 404));
+  }
+
+  if (!link.revokedAt) {
+    link.revokedAt = Date.now();
+    link.revokedBy = req.user._id;
+    await link.save();
+  }
+
+  // Log activity
+  await log(req, 'share_link_revoke', 'document', document._id, {
+    documentName: document.title,
+    shareLink: link._id,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Share link revoked',
+  });
+});
+
+const INACTIVE_MESSAGES = {
+  revoked: 'This link has been revoked',
+  expired: 'This link has expired',
+  download_limit_reached: 'This link has reached its download limit',
+};
+
+/**
+ * Resolve a public link from its token and check its restrictions
+ *
+ * The password, if the link has one, is sent in the X-Share-Password header.
+ * Every attempt, allowed or not, is recorded in the activity log.
+ */
+const resolveLink = async (req, access) => {
+  const link = await ShareLink.findOne({ tokenHash: ShareLink.hashToken(req.params.token) }).select('+password');
+
+  try {
+    if (!link) {
+      throw new AppError('This link is invalid', 404);
+    }
+
+    // A spent download limit only stops downloads; the link can still be viewed
+    const reason = link.inactiveReason();
+    if (reason && (reason !== 'download_limit_reached' || access === 'download')) {
+      throw new AppError(INACTIVE_MESSAGES[reason], 410);
+    }
+
+    if (!(await link.comparePassword(req.get('x-share-password')))) {
+      throw new AppError(req.get('x-share-password')
+        ? 'Incorrect password for this link'
+        : 'This link is password protected', 401);
+    }
+
+    if (access === 'download' && link.permission !== 'download') {
+      throw new AppError('This link does not allow downloads', 403);
+    }
+
+    const document = await Document.findOne({
+      _id: link.document,
+      tenantId: link.tenantId,
+      status: { $ne: 'deleted' },
+    });
+
+    if (!document) {
+      throw new AppError('This document is no longer available', 410);
+    }
+
+    return { link, document };
+  } catch (error) {
+    await logShareLinkAccess(req, link, { access }, error);
+    throw error;
+  }
+};
+
+/**
+ * Stream a stored file of a shared document (or its watermarked copy), or fail
+ * before any byte is sent; onError runs when the file cannot be read
+ */
+const streamFile = (res, next, document, file, copy, onError) => {
+  (copy ? copy.stream : getDecryptedStream(document.tenantId, file.storageKey, document.encryptionFor(file.storageKey)))
+    .on('error', (err) => {
+      if (onError) onError(err);
+      if (!res.headersSent) return next(new AppError('File is not available', 404));
+      res.destroy(err);
+    })
+    .pipe(res);
+};
+
+/**
+ * Read a stored file of a shared document, stamped for the link's recipient
+ * under a watermark policy (null when it is served as stored)
+ */
+const watermarkedFile = (req, link, document, file) => {
+  return watermarkedCopy(
+    document,
+    {
+      storageKey: file.storageKey,
+      mimeType: file.mimeType,
+      fileSize: file.fileSize,
+      encryption: document.encryptionFor(file.storageKey),
+    },
+    linkRecipient(link, req.ip)
+  );
+};
+
+/**
+ * Get a shared document's details (public)
+ */
+exports.getSharedDocument = catchAsync(async (req, res, next) => {
+  const { link, document } = await resolveLink(req, 'view');
+
+  await ShareLink.updateOne({ _id: link._id }, { $inc: { viewCount: 1 }, lastAccessedAt: Date.now() });
+  await logShareLinkAccess(req, link, { access: 'view' });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      document: {
+        title: document.title,
+        description: document.description,
+        originalName: document.originalName,
+        mimeType: document.mimeType,
+        fileSize: document.fileSize,
+        fileSizeFormatted: document.fileSizeFormatted,
+        checksum: document.checksum,
+        previewStatus: document.previewStatus,
+        updatedAt: document.updatedAt,
+      },
+      link: {
+        permission: link.permission,
+        expiresAt: link.expiresAt,
+        downloadsRemaining: link.maxDownloads ? link.maxDownloads - link.downloadCount : null,
+      },
+    },
+  });
+});
+
+/**
+ * Get a preview image of a shared document (public, ?size=thumbnail|small|medium|large)
+ */
+exports.getSharedPreview = catchAsync(async (req, res, next) => {
+  const { size = 'medium' } = req.query;
+
+  if (!PREVIEW_SIZES[size]) {
+    return next(new AppError(`Preview size must be one of: ${Object.keys(PREVIEW_SIZES).join(', ')}`, 400));
+  }
+
+  const { link, document } = await resolveLink(req, 'preview');
+
+  const rendition = document.renditions.find(
+    r => r.name === size && r.version === document.version
+  );
+
+  if (!rendition) {
+    await logShareLinkAccess(req, link, { access: 'preview', size });
+    return next(new AppError('No preview is available for this document', 404));
+  }
+
+  const copy = await watermarkedFile(req, link, document, rendition);
+  await logShareLinkAccess(req, link, { access: 'preview', size, watermarkId: copy ? copy.watermark.id : undefined });
+
+  res.set({
+    'Content-Type': rendition.mimeType,
+    'Cache-Control': 'private, no-store',
+  });
+  if (copy) {
+    res.set('X-Watermark-Id', copy.watermark.id);
+  } else {
+    res.set('Content-Length', String(rendition.fileSize));
+  }
+
+  streamFile(res, next, document, rendition, copy);
+});
+
+/**
+ * Download a shared document (public, links with download permission only)
+ */
+exports.downloadSharedDocument = catchAsync(async (req, res, next) => {
+  const { link, document } = await resolveLink(req, 'download');
+
+  // Claim a download atomically so concurrent requests cannot exceed the limit
+  const claimed = await ShareLink.findOneAndUpdate(
+    {
+      _id: link._id,
+      ...(link.maxDownloads ? { downloadCount: { $lt: link.maxDownloads } } : {}),
+    },
+    { $inc: { downloadCount: 1 }, lastAccessedAt: Date.now() },
+    { new: true }
+  );
+
+  if (!claimed) {
+    const error = new AppError(INACTIVE_MESSAGES.download_limit_reached, 410);
+    await logShareLinkAccess(req, link, { access: 'download' }, error);
+    return next(error);
+  }
+
+  // Give the claimed download back when the file cannot be served
+  const releaseDownload = () => ShareLink.updateOne(
+    { _id: link._id, downloadCount: { $gt: 0 } },
+    { $inc: { downloadCount: -1 } }
+  ).exec();
+
+  // Under a watermark policy, the copy names the link and the address it was opened from
+  let copy;
+  try {
+    copy = await watermarkedFile(req, link, document, document);
+  } catch (error) {
+    await releaseDownload();
+    await logShareLinkAccess(req, link, { access: 'download' }, error);
+    throw error;
+  }
+
+  await Document.updateOne({ _id: document._id }, { $inc: { downloadCount: 1 } });
+  await logShareLinkAccess(req, link, {
+    access: 'download',
+    downloadCount: claimed.downloadCount,
+    watermarkId: copy ? copy.watermark.id : undefined,
+  });
+
+  res.set({
+    'Content-Type': document.mimeType || 'application/octet-stream',
+    'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(document.originalName)}`,
+    'Cache-Control': 'private, no-store',
+  });
+  if (copy) {
+    res.set('X-Watermark-Id', copy.watermark.id);
+  } else {
+    res.set({ 'Content-Length': String(document.fileSize), 'X-Checksum-SHA256': document.checksum });
+  }
+
+  streamFile(res, next, document, document, copy, (err) => {
+    releaseDownload().catch(() => {});
+    logShareLinkAccess(req, link, { access: 'download' }, err).catch(() => {});
+  });
+});
@@ -0,0 +1,509 @@
+const SignatureRequest = require('../models/SignatureRequest');
+const Document = require('../models/Document');
+const User = require('../models/User');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const { log } = require('../middleware/activityLogger');
+const { assertVersionControl } = require('../services/documentService');
+const { getDecryptedStream } = require('../services/encryptionService');
+const { watermarkedCopy, userRecipient } = require('../services/watermarkService');
+const {
+  renderTypedSignature,
+  normalizeDrawnSignature,
+  notifySigners,
+  notifyOutcome,
+  assertSignable,
+  completeRequest,
+  saveRequest,
+} = require('../services/signatureService');
+
+/**
+ * Find a signature request of the current tenant from the id in the URL
+ */
+const findRequest = async (req, { withSignatures = false } = {}) => {
+  const query = SignatureRequest.findOne({ _id: req.params.id, tenantId: req.user.tenantId });
+  if (withSignatures) query.select('+signers.signatureImage');
+
+  const request = await query;
+  if (!request) {
+    throw new AppError('Signature request not found', 404);
+  }
+  return request;
+};
+
+/**
+ * Find the document of a request, refusing when it changed since signatures were requested
+ */
+const findUnchangedDocument = async (request) => {
+  const document = await Document.findOne({
+    _id: request.document,
+    tenantId: request.tenantId,
+    status: { $ne: 'deleted' },
+  });
+
+  if (!document) {
+    throw new AppError('This document is no longer available', 410);
+  }
+  if (document.version !== request.version || document.checksum !== request.checksum) {
+    throw new AppError('The document changed after signatures were requested; the request must be sent again', 409);
+  }
+
+  return document;
+};
+
+/**
+ * Whether a user may see a request: its requester and signers, admins, and
+ * anyone who can view the document
+ */
+const canView = async (request, user) => {
+  if (request.involves(user) || user.role === 'Admin') return true;
+
+  const document = await Document.findOne({ _id: request.document, tenantId: request.tenantId });
+  return Boolean(document) && document.hasAccess(user, 'view');
+};
+
+/**
+ * Request signatures on a document (PDF), from tenant members in order or in parallel
+ */
+exports.createSignatureRequest = catchAsync(async (req, res, next) => {
+  const { signerIds, signingOrder, message } = req.body;
+
+  const document = await Document.findOne({
+    _id: req.params.id,
+    tenantId: req.user.tenantId,
+    status: { $ne: 'deleted' },
+  });
+
+  if (!document) {
+    return next(new AppError('Document not found', 404));
+  }
+
+  // Check permissions
+  if (!document.hasAccess(req.user, 'edit')) {
+    return next(new AppError('You do not have permission to request signatures on this document', 403));
+  }
+  if (document.isLockedFor(req.user)) {
+    return next(new AppError(`Document is checked out by another user until ${document.lock.expiresAt.toISOString()}`, 423));
+  }
+  if (document.mimeType !== 'application/pdf') {
+    return next(new AppError('Only PDF documents can be signed', 400));
+  }
+
+  // The signed PDF is stored as a new version
+  await assertVersionControl(req.user.tenantId);
+  await assertSignable(document);
+
+  if (await SignatureRequest.exists({ document: document._id, status: { $in: ['pending', 'completing'] } })) {
+    return next(new AppError('This document already has a signature request in progress', 409));
+  }
+
+  const ids = [...new Set(signerIds.map(String))];
+  const users = await User.find({ _id: { $in: ids }, tenantId: req.user.tenantId, isActive: true });
+  if (users.length !== ids.length) {
+    return next(new AppError('Signers must be active users of your organization', 400));
+  }
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  const request = new SignatureRequest({
+    tenantId: req.user.tenantId,
+    document: document._id,
+    title: document.title,
+    version: document.version,
+    checksum: document.checksum,
+    requestedBy: req.user._id,
+    message,
+    signingOrder,
+    // Signing order follows signerIds
+    signers: ids.map((id) => {
+      const user = usersById.get(id);
+      return { user: user._id, name: `${user.firstName} ${user.lastName}`, email: user.email };
+    }),
+  });
+  request.addEvent('created', { user: req.user, req });
+
+  await notifySigners(request, request.activateSigners(), { document, requestedBy: req.user });
+  await request.save();
+
+  // Log activity
+  await log(req, 'signature_request_create', 'document', document._id, {
+    documentName: document.title,
+    signatureRequest: request._id,
+    signingOrder: request.signingOrder,
+    signers: request.signers.map(signer => signer.email),
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      request,
+    },
+  });
+});
+
+/**
+ * List signature requests (?box=to_sign for those awaiting your signature,
+ * ?box=sent for those you sent; ?status= filter)
+ */
+exports.getSignatureRequests = catchAsync(async (req, res, next) => {
+  const { box = 'to_sign', status, page = 1, limit = 20 } = req.query;
+
+  const query = { tenantId: req.user.tenantId };
+  if (box === 'sent') {
+    query.requestedBy = req.user._id;
+  } else {
+    query.signers = { $elemMatch: { user: req.user._id, status: 'pending' } };
+    query.status = 'pending';
+  }
+  if (status && box === 'sent') query.status = status;
+
+  const [requests, total] = await Promise.all([
+    SignatureRequest.find(query)
+      .populate('requestedBy', 'firstName lastName email')
+      .sort('-createdAt')
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit)),
+    SignatureRequest.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: requests.length,
+    total,
+    page: parseInt(page),
+    pages: Math.ceil(total / limit),
+    data: {
+      requests,
+    },
+  });
+});
+
+/**
+ * List the signature requests of a document
+ */
+exports.getDocumentSignatureRequests = catchAsync(async (req, res, next) => {
+  const document = await Document.findOne({
+    _id: req.params.id,
+    tenantId: req.user.tenantId,
+    status: { $ne: 'deleted' },
+  });
+
+  if (!document) {
+    return next(new AppError('Document not found', 404));
+  }
+
+  // Check permissions
+  if (!document.hasAccess(req.user, 'view')) {
+    return next(new AppError('You do not have permission to view this document', 403));
+  }
+
+  const requests = await SignatureRequest.find({ tenantId: req.user.tenantId, document: document._id })
+    .populate('requestedBy', 'firstName lastName email')
+    .sort('-createdAt');
+
+  res.status(200).json({
+    status: 'success',
+    results: requests.length,
+    data: {
+      requests,
+    },
+  });
+});
+
+/**
+ * Get a signature request with its signers and audit trail
+ */
+exports.getSignatureRequest = catchAsync(async (req, res, next) => {
+  const request = await findRequest(req);
+
+  if (!(await canView(request, req.user))) {
+    return next(new AppError('You do not have permission to view this signature request', 403));
+  }
+
+  await request.populate('requestedBy', 'firstName lastName email');
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      request,
+      // Whether it is your turn to sign
+      canSign: request.currentSigners().some(signer => signer.user.equals(req.user._id)),
+    },
+  });
+});
+
+/**
+ * Download the PDF to sign (requester, signers and admins; viewing is recorded
+ * in the audit trail)
+ */
+exports.downloadDocumentToSign = catchAsync(async (req, res, next) => {
+  const request = await findRequest(req);
+
+  if (!request.involves(req.user) && req.user.role !== 'Admin') {
+    return next(new AppError('You do not have permission to view this signature request', 403));
+  }
+
+  const document = await Document.findOne({ _id: request.document, tenantId: request.tenantId, status: { $ne: 'deleted' } });
+  const entry = document && document.versionHistory.find(v => v.version === request.version);
+  if (!entry) {
+    return next(new AppError('This document is no longer available', 410));
+  }
+
+  // Under a watermark policy, the copy to read is stamped like a download (the
+  // signed PDF is still built from the archived original)
+  const encryption = document.encryptionFor(entry.storageKey);
+  const copy = await watermarkedCopy(
+    document,
+    { storageKey: entry.storageKey, mimeType: entry.mimeType || 'application/pdf', fileSize: entry.fileSize, encryption },
+    userRecipient(req.user)
+  );
+  const watermarkId = copy ? copy.watermark.id : undefined;
+
+  if (request.status === 'pending' && request.signerFor(req.user)) {
+    request.addEvent('viewed', { user: req.user, req });
+    await saveRequest(request);
+
+    // Log activity
+    await log(req, 'signature_request_view', 'document', document._id, {
+      documentName: document.title,
+      signatureRequest: request._id,
+      watermarkId,
+    });
+  } else if (copy) {
+    // Log activity
+    await log(req, 'document_download', 'document', document._id, {
+      documentName: document.title,
+      signatureRequest: request._id,
+      watermarkId,
+    });
+  }
+
+  res.set({
+    'Content-Type': entry.mimeType || 'application/pdf',
+    'Content-Disposition': `inline; filename*=UTF-8''${encodeURIComponent(entry.originalName || document.originalName)}`,
+    'Cache-Control': 'private, no-store',
+  });
+  if (copy) {
+    res.set('X-Watermark-Id', watermarkId);
+  } else {
+    res.set({ 'Content-Length': String(entry.fileSize), 'X-Checksum-SHA256': request.checksum });
+  }
+
+  (copy ? copy.stream : getDecryptedStream(document.tenantId, entry.storageKey, encryption))
+    .on('error', (err) => {
+      if (!res.headersSent) return next(new AppError('File is not available', 404));
+      res.destroy(err);
+    })
+    .pipe(res);
+});
+
+/**
+ * Store the signed PDF of a request everyone has signed, then tell the
+ * requester and signers
+ */
+const finishRequest = async (req, request) => {
+  const document = await Document.findOne({
+    _id: request.document,
+    tenantId: request.tenantId,
+    status: { $ne: 'deleted' },
+  });
+  if (!document) {
+    throw new AppError('This document is no longer available', 410);
+  }
+
+  await completeRequest(request, { document, user: req.user });
+
+  await notifyOutcome(request, {
+    document,
+    actor: req.user,
+    type: 'signature_completed',
+    title: 'Document signed',
+    message: `Everyone has signed "${document.title}". The signed PDF is version ${request.signedVersion}.`,
+  });
+
+  // Log activity
+  await log(req, 'signature_request_complete', 'document', document._id, {
+    documentName: document.title,
+    signatureRequest: request._id,
+    version: request.signedVersion,
+    checksum: request.signedChecksum,
+  });
+};
+
+/**
+ * Sign when it is your turn, with a typed name or a drawn signature; the last
+ * signature stores the signed PDF as the document's next version
+ *
+ * Once everyone has signed, signing again retries storing the signed PDF if it failed.
+ */
+exports.signDocument = catchAsync(async (req, res, next) => {
+  const { signatureType, typedName, image } = req.body;
+
+  const request = await findRequest(req, { withSignatures: true });
+  const signer = request.signerFor(req.user);
+
+  if (!signer) {
+    return next(new AppError('You were not asked to sign this document', 403));
+  }
+  if (request.awaitsCompletion()) {
+    await finishRequest(req, request);
+    return res.status(200).json({
+      status: 'success',
+      message: `Document signed; the signed PDF is version ${request.signedVersion}`,
+      data: {
+        request,
+      },
+    });
+  }
+  if (request.status !== 'pending') {
+    return next(new AppError(`This signature request is ${request.status}`, 409));
+  }
+  if (signer.status === 'signed') {
+    return next(new AppError('You have already signed this document', 409));
+  }
+  if (signer.status !== 'pending') {
+    return next(new AppError('It is not your turn to sign yet', 409));
+  }
+
+  const document = await findUnchangedDocument(request);
+
+  signer.signatureImage = signatureType === 'typed'
+    ? await renderTypedSignature(typedName)
+    : await normalizeDrawnSignature(image);
+  signer.signatureType = signatureType;
+  signer.typedName = signatureType === 'typed' ? typedName : undefined;
+  signer.status = 'signed';
+  signer.signedAt = new Date();
+  signer.ipAddress = req.ip;
+  signer.userAgent = req.get('user-agent');
+  request.addEvent('signed', { user: req.user, req, details: `${signatureType} signature` });
+
+  // Claim the signature before any further work so parallel signers cannot both finish the request
+  await saveRequest(request);
+
+  // Log activity
+  await log(req, 'signature_sign', 'document', document._id, {
+    documentName: document.title,
+    signatureRequest: request._id,
+    signatureType,
+  });
+
+  if (request.awaitsCompletion()) {
+    await finishRequest(req, request);
+  } else {
+    const requestedBy = await User.findById(request.requestedBy);
+    await notifySigners(request, request.activateSigners(), { document, requestedBy });
+    await saveRequest(request);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: request.status === 'completed'
+      ? `Document signed; the signed PDF is version ${request.signedVersion}`
+      : 'Signature recorded',
+    data: {
+      request,
+    },
+  });
+});
+
+/**
+ * Retry storing the signed PDF of a request everyone has signed (requester,
+ * signers and admins)
+ */
+exports.completeSignatureRequest = catchAsync(async (req, res, next) => {
+  const request = await findRequest(req, { withSignatures: true });
+
+  if (!request.involves(req.user) && req.user.role !== 'Admin') {
+    return next(new AppError('You do not have permission to complete this signature request', 403));
+  }
+  if (!request.awaitsCompletion()) {
+    return next(new AppError(request.status === 'pending'
+      ? 'Not everyone has signed yet'
+      : `This signature request is ${request.status}`, 409));
+  }
+
+  await finishRequest(req, request);
+
+  res.status(200).json({
+    status: 'success',
+    message: `Document signed; the signed PDF is version ${request.signedVersion}`,
+    data: {
+      request,
+    },
+  });
+});
+
+/**
+ * Decline to sign (ends the request)
+ */
+exports.declineSignature = catchAsync(async (req, res, next) => {
+  const { reason } = req.body;
+
+  const request = await findRequest(req);
+  const signer = request.signerFor(req.user);
+
+  if (!signer) {
+    return next(new AppError('You were not asked to sign this document', 403));
+  }
+  if (request.status !== 'pending' || signer.status === 'signed') {
+    return next(new AppError('This signature request can no longer be declined', 409));
+  }
+
+  signer.status = 'declined';
+  signer.declinedAt = new Date();
+  signer.declineReason = reason;
+  request.status = 'declined';
+  request.addEvent('declined', { user: req.user, req, details: reason });
+  await saveRequest(request);
+
+  const document = { _id: request.document, title: request.title };
+  await notifyOutcome(request, {
+    document,
+    actor: req.user,
+    type: 'signature_declined',
+    title: 'Signature declined',
+    message: `${req.user.firstName} ${req.user.lastName} declined to sign "${request.title}"${reason ? `: ${reason}` : '.'}`,
+  });
+
+  // Log activity
+  await log(req, 'signature_decline', 'document', request.document, {
+    documentName: request.title,
+    signatureRequest: request._id,
+    reason,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Signature declined',
+  });
+});
+
+/**
+ * Cancel a pending signature request (its requester or an admin)
+ */
+exports.cancelSignatureRequest = catchAsync(async (req, res, next) => {
+  const request = await findRequest(req);
+
+  if (!request.requestedBy.equals(req.user._id) && req.user.role !== 'Admin') {
+    return next(new AppError('Only the requester can cancel this signature request', 403));
+  }
+  // Requests stuck while completing (e.g. the document changed meanwhile) can be cancelled too
+  if (!['pending', 'completing'].includes(request.status)) {
+    return next(new AppError(`This signature request is already ${request.status}`, 409));
+  }
+
+  request.status = 'cancelled';
+  request.addEvent('cancelled', { user: req.user, req });
+  await saveRequest(request);
+
+  // Log activity
+  await log(req, 'signature_request_cancel', 'document', request.document, {
+    documentName: request.title,
+    signatureRequest: request._id,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Signature request cancelled',
+  });
+});
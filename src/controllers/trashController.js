@@ -0,0 +1,157 @@
+const Document = require('../models/Document');
+const Folder = require('../models/Folder');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const { log } = require('../middleware/activityLogger');
+const { purgeDocument } = require('../services/documentService');
+const { enqueueEmptyTrash, getRetentionDays } = require('../jobs/trashPurgeJob');
+
+/**
+ * Build the trash query for the requested scope ('user' by default, 'tenant' for admins)
+ */
+const trashQuery = (req) => {
+  const query = {
+    tenantId: req.user.tenantId,
+    status: 'deleted',
+  };
+
+  if (req.query.scope === 'tenant') {
+    if (req.user.role !== 'Admin') {
+      throw new AppError('Only admins can manage the tenant trash', 403);
+    }
+    return query;
+  }
+
+  query.owner = req.user._id;
+  return query;
+};
+
+/**
+ * Find a trashed document the current user may manage
+ */
+const findTrashedDocument = async (req) => {
+  const document = await Document.findOne({
+    _id: req.params.id,
+    tenantId: req.user.tenantId,
+    status: 'deleted',
+  });
+
+  if (!document) {
+    throw new AppError('Document not found in trash', 404);
+  }
+
+  if (req.user.role !== 'Admin' && !document.hasAccess(req.user, 'admin')) {
+    throw new AppError('You do not have permission to manage this document', 403);
+  }
+
+  return document;
+};
+
+/**
+ * Get trashed documents
+ */
+exports.getTrash = catchAsync(async (req, res, next) => {
+  const { page = 1, limit = 20, sortBy = '-deletedAt' } = req.query;
+
+  const query = trashQuery(req);
+  const retentionDays = await getRetentionDays(req.user.tenantId);
+
+  const [documents, total] = await Promise.all([
+    Document.find(query)
+      .populate('owner', 'firstName lastName email')
+      .populate('deletedBy', 'firstName lastName email')
+      .sort(sortBy)
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .lean(),
+    Document.countDocuments(query),
+  ]);
+
+  // Tell clients when each item will be purged automatically
+  documents.forEach((document) => {
+    document.purgeAt = new Date(new Date(document.deletedAt).getTime() + retentionDays * 24 * 60 * 60 * 1000);
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: documents.length,
+    total,
+    page: parseInt(page),
+    pages: Math.ceil(total / limit),
+    retentionDays,
+    data: {
+      documents,
+    },
+  });
+});
+
+/**
+ * Restore a document from the trash
+ */
+exports.restoreDocument = catchAsync(async (req, res, next) => {
+  const document = await findTrashedDocument(req);
+
+  // Restore to the root when the original folder no longer exists
+  if (document.folderId && !(await Folder.exists({ _id: document.folderId, tenantId: req.user.tenantId }))) {
+    document.folderId = null;
+  }
+
+  document.status = 'active';
+  document.deletedAt = undefined;
+  document.deletedBy = undefined;
+  await document.save();
+
+  // Log activity
+  await log(req, 'document_restore', 'document', document._id, { documentName: document.title });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Document restored successfully',
+    data: {
+      document,
+    },
+  });
+});
+
+/**
+ * Permanently delete a single trashed document
+ */
+exports.deleteForever = catchAsync(async (req, res, next) => {
+  const document = await findTrashedDocument(req);
+
+  await purgeDocument(document);
+
+  // Log activity
+  await log(req, 'document_permanent_delete', 'document', document._id, { documentName: document.title });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Document permanently deleted',
+  });
+});
+
+/**
+ * Empty the trash (the current user's, or the whole tenant's for admins)
+ */
+exports.emptyTrash = catchAsync(async (req, res, next) => {
+  const tenantScope = req.query.scope === 'tenant';
+  const count = await Document.countDocuments(trashQuery(req));
+
+  if (count > 0) {
+    await enqueueEmptyTrash({
+      tenantId: req.user.tenantId,
+      ownerId: tenantScope ? null : req.user._id.toString(),
+    });
+  }
+
+  // Log activity
+  await log(req, 'trash_empty', 'tenant', null, {
+    scope: tenantScope ? 'tenant' : 'user',
+    documentCount: count,
+  });
+
+  res.status(202).json({
+    status: 'success',
+    message: `${count} document(s) queued for permanent deletion`,
+  });
+});
@@ -0,0 +1,331 @@
+const { v4: uuidv4 } = require('uuid');
+const UploadSession = require('../models/UploadSession');
+const DocumentType = require('../models/DocumentType');
+const Folder = require('../models/Folder');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const { sha256Stream } = require('../utils/checksum');
+const { allowedTypes } = require('../middleware/upload');
+const storage = require('../config/storage');
+const { log } = require('../middleware/activityLogger');
+const { createDocumentRecord, documentCreated, storageName } = require('../services/documentService');
+const {
+  createDataKey,
+  unwrapDataKey,
+  createEncryptStream,
+  getDecryptedStream,
+  encryptedLength,
+  ALGORITHM,
+  SEGMENT_SIZE,
+} = require('../services/encryptionService');
+const { assertStorageAvailable, reserveStorage, releaseStorage } = require('../services/storageQuotaService');
+
+// S3 requires every part except the last to be at least 5MB, and allows at most 10,000 parts
+const MIN_CHUNK_SIZE = 5 * 1024 * 1024;
+const MAX_PARTS = 10000;
+const DEFAULT_CHUNK_SIZE = parseInt(process.env.UPLOAD_CHUNK_SIZE) || 8 * 1024 * 1024; // 8MB
+const MAX_RESUMABLE_FILE_SIZE = parseInt(process.env.MAX_RESUMABLE_FILE_SIZE) || 10737418240; // 10GB
+const SESSION_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+/**
+ * Find a pending upload session owned by the current user
+ */
+const findPendingSession = async (req) => {
+  const session = await UploadSession.findOne({
+    _id: req.params.id,
+    tenantId: req.user.tenantId,
+    owner: req.user._id,
+  });
+
+  if (!session) {
+    throw new AppError('Upload session not found', 404);
+  }
+
+  if (session.status !== 'pending') {
+    throw new AppError(`Upload session is already ${session.status}`, 409);
+  }
+
+  if (session.expiresAt < Date.now()) {
+    throw new AppError('Upload session has expired. Please start a new upload', 410);
+  }
+
+  return session;
+};
+
+/**
+ * Shape the progress information returned to clients
+ */
+const sessionProgress = (session) => ({
+  id: session._id,
+  status: session.status,
+  fileSize: session.fileSize,
+  chunkSize: session.chunkSize,
+  totalChunks: session.totalChunks,
+  receivedChunks: session.parts.map(part => part.number).sort((a, b) => a - b),
+  offset: session.offset,
+  nextChunk: session.nextChunk,
+  expiresAt: session.expiresAt,
+});
+
+/**
+ * Start a resumable upload session
+ */
+exports.createUploadSession = catchAsync(async (req, res, next) => {
+  const {
+    fileName,
+    mimeType,
+    fileSize,
+    chunkSize,
+    title,
+    description,
+    type,
+    category,
+    tags,
+    folderId,
+    expiresAt,
+    reviewAt,
+  } = req.body;
+
+  if (!allowedTypes.includes(mimeType)) {
+    return next(new AppError(`File type ${mimeType} is not supported`, 400));
+  }
+
+  if (fileSize > MAX_RESUMABLE_FILE_SIZE) {
+    return next(new AppError(`File size is too large. Maximum size is ${MAX_RESUMABLE_FILE_SIZE} bytes.`, 413));
+  }
+
+  // Make sure the target folder belongs to the tenant
+  if (folderId && !(await Folder.exists({ _id: folderId, tenantId: req.user.tenantId }))) {
+    return next(new AppError('Folder not found', 404));
+  }
+
+  // Fail fast; the space itself is only claimed when the upload completes
+  await assertStorageAvailable({ tenantId: req.user.tenantId, ownerId: req.user._id, bytes: fileSize });
+
+  // Chunks hold whole encryption segments so each can be encrypted on its own
+  const minPartSize = Math.max(MIN_CHUNK_SIZE, chunkSize || DEFAULT_CHUNK_SIZE, Math.ceil(fileSize / MAX_PARTS));
+  const partSize = Math.ceil(minPartSize / SEGMENT_SIZE) * SEGMENT_SIZE;
+  const totalChunks = Math.max(1, Math.ceil(fileSize / partSize));
+
+  const storageKey = `${req.user.tenantId}/documents/${Date.now()}-${uuidv4()}-${storageName(fileName)}`;
+  const { encryption } = await createDataKey(req.user.tenantId);
+  const uploadId = await storage.createMultipartUpload(storageKey, {
+    contentType: mimeType,
+    metadata: { uploadedBy: req.user._id.toString() },
+  });
+
+  const session = await UploadSession.create({
+    tenantId: req.user.tenantId,
+    owner: req.user._id,
+    originalName: fileName,
+    mimeType,
+    fileSize,
+    chunkSize: partSize,
+    totalChunks,
+    storageKey,
+    uploadId,
+    encryption,
+    metadata: {
+      title: title || fileName,
+      description,
+      type,
+      category,
+      tags,
+      folderId: folderId || null,
+      expiresAt: expiresAt || undefined,
+      reviewAt: reviewAt || undefined,
+      documentType: req.customFields && req.customFields.documentType ? req.customFields.documentType._id : undefined,
+      customFields: req.customFields ? req.customFields.values : undefined,
+    },
+    expiresAt: Date.now() + SESSION_TTL,
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      upload: sessionProgress(session),
+    },
+  });
+});
+
+/**
+ * Get upload session progress (used to resume after a dropped connection)
+ */
+exports.getUploadSession = catchAsync(async (req, res, next) => {
+  const session = await UploadSession.findOne({
+    _id: req.params.id,
+    tenantId: req.user.tenantId,
+    owner: req.user._id,
+  });
+
+  if (!session) {
+    return next(new AppError('Upload session not found', 404));
+  }
+
+  res.set('Upload-Offset', String(session.offset));
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      upload: sessionProgress(session),
+    },
+  });
+});
+
+/**
+ * Upload one chunk; the raw request body is encrypted as it streams to storage
+ */
+exports.uploadChunk = catchAsync(async (req, res, next) => {
+  const session = await findPendingSession(req);
+
+  const number = parseInt(req.params.number);
+  if (!Number.isInteger(number) || number < 1 || number > session.totalChunks) {
+    return next(new AppError(`Chunk number must be between 1 and ${session.totalChunks}`, 400));
+  }
+
+  const contentLength = parseInt(req.get('content-length'));
+  const expected = session.expectedChunkSize(number);
+  if (contentLength !== expected) {
+    return next(new AppError(`Chunk ${number} must be exactly ${expected} bytes`, 400));
+  }
+
+  // Sessions started before envelope encryption are finished unencrypted
+  let body = req;
+  let bodyLength = contentLength;
+  if (session.encryption && session.encryption.wrappedKey) {
+    const final = number === session.totalChunks;
+    body = createEncryptStream(unwrapDataKey(session.tenantId, session.encryption), {
+      firstSegment: (number - 1) * (session.chunkSize / SEGMENT_SIZE),
+      final,
+    });
+    req.on('error', error => body.destroy(error));
+    req.pipe(body);
+    bodyLength = encryptedLength(contentLength, { final });
+  }
+
+  const etag = await storage.uploadPart(session.storageKey, session.uploadId, number, body, bodyLength);
+  const part = { number, etag, size: contentLength };
+
+  // Replace a re-sent chunk, otherwise record it
+  const updated = await UploadSession.findOneAndUpdate(
+    { _id: session._id, 'parts.number': number },
+    { $set: { 'parts.$': part } },
+    { new: true }
+  ) || await UploadSession.findOneAndUpdate(
+    { _id: session._id },
+    { $push: { parts: part } },
+    { new: true }
+  );
+
+  res.set('Upload-Offset', String(updated.offset));
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      upload: sessionProgress(updated),
+    },
+  });
+});
+
+/**
+ * Complete the upload and create the document
+ */
+exports.completeUpload = catchAsync(async (req, res, next) => {
+  const session = await findPendingSession(req);
+
+  if (session.nextChunk !== null) {
+    return next(new AppError(`Upload is incomplete. Chunk ${session.nextChunk} is missing`, 400));
+  }
+
+  // The type may have been removed since the session started
+  const typeId = session.metadata.documentType;
+  const documentType = typeId ? await DocumentType.findOne({ _id: typeId, tenantId: req.user.tenantId }) : null;
+  if (typeId && !documentType) {
+    return next(new AppError('Document type not found', 404));
+  }
+
+  // Claim the session first so concurrent completes cannot store it twice
+  const claimed = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: 'pending' },
+    { status: 'completing' },
+    { new: true }
+  );
+  if (!claimed) {
+    return next(new AppError('Upload session is already being completed', 409));
+  }
+
+  const quota = { tenantId: req.user.tenantId, ownerId: req.user._id, bytes: session.fileSize };
+
+  let document;
+  try {
+    await reserveStorage(quota);
+
+    try {
+      const parts = [...session.parts].sort((a, b) => a.number - b.number);
+      await storage.completeMultipartUpload(session.storageKey, session.uploadId, parts);
+
+      // Hash the assembled plaintext by streaming it back rather than holding it in memory
+      const checksum = await sha256Stream(
+        getDecryptedStream(session.tenantId, session.storageKey, session.encryption)
+      );
+
+      document = await createDocumentRecord({
+        user: req.user,
+        file: {
+          storageKey: session.storageKey,
+          originalName: session.originalName,
+          mimeType: session.mimeType,
+          fileSize: session.fileSize,
+          checksum,
+          encryption: session.encryption,
+          encryptionAlgorithm: session.encryption && session.encryption.wrappedKey ? ALGORITHM : 'AES256',
+        },
+        metadata: { ...session.toObject().metadata, documentType },
+      });
+    } catch (error) {
+      await releaseStorage(quota);
+      throw error;
+    }
+  } catch (error) {
+    // Give the session back so the client can retry
+    await UploadSession.updateOne({ _id: session._id, status: 'completing' }, { status: 'pending' });
+    throw error;
+  }
+
+  claimed.status = 'completed';
+  claimed.document = document._id;
+  await claimed.save();
+
+  await documentCreated(document, req.user);
+
+  // Log activity
+  await log(req, 'document_upload', 'document', document._id, {
+    documentName: document.title,
+    resumable: true,
+    chunks: session.totalChunks,
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      document,
+    },
+  });
+});
+
+/**
+ * Abort an upload session and discard uploaded chunks
+ */
+exports.abortUpload = catchAsync(async (req, res, next) => {
+  const session = await findPendingSession(req);
+
+  await storage.abortMultipartUpload(session.storageKey, session.uploadId);
+
+  session.status = 'aborted';
+  await session.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Upload aborted successfully',
+  });
+});
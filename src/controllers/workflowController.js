@@ -0,0 +1,509 @@
+const Workflow = require('../models/Workflow');
+const WorkflowRun = require('../models/WorkflowRun');
+const Document = require('../models/Document');
+const DocumentType = require('../models/DocumentType');
+const User = require('../models/User');
+const Group = require('../models/Group');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const { log } = require('../middleware/activityLogger');
+const {
+  startRun,
+  decideStep,
+  resubmitRun,
+  cancelRun,
+  notifyStepsDue,
+  notifyOutcome,
+} = require('../services/workflowService');
+
+// Run states that still need decisions
+const OPEN_STATUSES = ['in_review', 'changes_requested'];
+
+/**
+ * Find a workflow of the current tenant from the id in the URL
+ */
+const findWorkflow = async (req) => {
+  const workflow = await Workflow.findOne({ _id: req.params.id, tenantId: req.user.tenantId });
+  if (!workflow) {
+    throw new AppError('Workflow not found', 404);
+  }
+  return workflow;
+};
+
+/**
+ * Find a workflow run of the current tenant from the id in the URL
+ */
+const findRun = async (req) => {
+  const run = await WorkflowRun.findOne({ _id: req.params.id, tenantId: req.user.tenantId });
+  if (!run) {
+    throw new AppError('Workflow run not found', 404);
+  }
+  return run;
+};
+
+/**
+ * Find a document of the current tenant, checking the user's permission on it
+ */
+const findDocument = async (req, id, permission) => {
+  const document = await Document.findOne({
+    _id: id,
+    tenantId: req.user.tenantId,
+    status: { $ne: 'deleted' },
+  });
+
+  if (!document) {
+    throw new AppError('Document not found', 404);
+  }
+
+  // Check permissions
+  if (!document.hasAccess(req.user, permission)) {
+    throw new AppError('You do not have permission to access this document', 403);
+  }
+
+  return document;
+};
+
+/**
+ * Check that the users, groups and document types a workflow refers to belong to the tenant
+ */
+const assertReferences = async (tenantId, { steps = [], appliesTo = {} }) => {
+  const userIds = [...new Set(steps.flatMap(step => step.users || []))];
+  const groupIds = [...new Set(steps.flatMap(step => step.groups || []))];
+  const typeIds = [...new Set(appliesTo.documentTypes || [])];
+
+  const [users, groups, types] = await Promise.all([
+    User.countDocuments({ _id: { $in: userIds }, tenantId, isActive: true }),
+    Group.countDocuments({ _id: { $in: groupIds }, tenantId }),
+    DocumentType.countDocuments({ _id: { $in: typeIds }, tenantId }),
+  ]);
+
+  if (users !== userIds.length) {
+    throw new AppError('Step assignees must be active users of your organization', 400);
+  }
+  if (groups !== groupIds.length) {
+    throw new AppError('One or more groups were not found', 404);
+  }
+  if (types !== typeIds.length) {
+    throw new AppError('One or more document types were not found', 404);
+  }
+};
+
+/**
+ * Check that no other workflow of the tenant already uses the name
+ */
+const assertNameAvailable = async (tenantId, name, excludeId = null) => {
+  const query = { tenantId, name };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  if (await Workflow.exists(query)) {
+    throw new AppError('A workflow with this name already exists', 400);
+  }
+};
+
+/**
+ * Check that a user is an assignee of an active step of the run and return the step
+ */
+const findActiveStep = (run, user, stepId) => {
+  if (run.status !== 'in_review') {
+    throw new AppError(`This review is ${run.status.replace('_', ' ')}`, 409);
+  }
+
+  const steps = run.activeSteps().filter(step => run.isAssignee(step, user));
+  const step = stepId ? steps.find(entry => entry._id.toString() === stepId) : steps[0];
+  if (!step) {
+    throw new AppError('No review step is waiting for your decision', 403);
+  }
+  return step;
+};
+
+/**
+ * Save a run, turning a concurrent decision into a retryable error
+ */
+const withRunSaved = async (action) => {
+  try {
+    return await action();
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      throw new AppError('The review changed meanwhile; please try again', 409);
+    }
+    throw error;
+  }
+};
+
+/**
+ * List the tenant's approval workflows
+ */
+exports.getWorkflows = catchAsync(async (req, res, next) => {
+  const workflows = await Workflow.find({ tenantId: req.user.tenantId })
+    .populate('createdBy', 'firstName lastName email')
+    .sort('name');
+
+  res.status(200).json({
+    status: 'success',
+    results: workflows.length,
+    data: {
+      workflows,
+    },
+  });
+});
+
+/**
+ * Get an approval workflow
+ */
+exports.getWorkflow = catchAsync(async (req, res, next) => {
+  const workflow = await findWorkflow(req);
+  await workflow.populate([
+    { path: 'steps.users', select: 'firstName lastName email' },
+    { path: 'steps.groups', select: 'name' },
+    { path: 'appliesTo.documentTypes', select: 'key name' },
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      workflow,
+    },
+  });
+});
+
+/**
+ * Create an approval workflow (admin)
+ */
+exports.createWorkflow = catchAsync(async (req, res, next) => {
+  const { name, description, stepOrder, steps, appliesTo, isActive } = req.body;
+
+  await assertNameAvailable(req.user.tenantId, name);
+  await assertReferences(req.user.tenantId, { steps, appliesTo });
+
+  const workflow = await Workflow.create({
+    tenantId: req.user.tenantId,
+    name,
+    description,
+    stepOrder,
+    steps,
+    appliesTo,
+    isActive,
+    createdBy: req.user._id,
+  });
+
+  // Log activity
+  await log(req, 'workflow_create', 'tenant', workflow._id, {
+    workflowName: workflow.name,
+    steps: workflow.steps.length,
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      workflow,
+    },
+  });
+});
+
+/**
+ * Update an approval workflow (admin; runs already started keep their steps)
+ */
+exports.updateWorkflow = catchAsync(async (req, res, next) => {
+  const { name, steps, appliesTo } = req.body;
+
+  const workflow = await findWorkflow(req);
+
+  if (name && name !== workflow.name) {
+    await assertNameAvailable(req.user.tenantId, name, workflow._id);
+  }
+  await assertReferences(req.user.tenantId, { steps, appliesTo });
+
+  for (const field of ['name', 'description', 'stepOrder', 'steps', 'appliesTo', 'isActive']) {
+    if (req.body[field] !== undefined) workflow[field] = req.body[field];
+  }
+  await workflow.save();
+
+  // Log activity
+  await log(req, 'workflow_update', 'tenant', workflow._id, { workflowName: workflow.name });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      workflow,
+    },
+  });
+});
+
+/**
+ * Delete an approval workflow (admin; not while documents are under review with it)
+ */
+exports.deleteWorkflow = catchAsync(async (req, res, next) => {
+  const workflow = await findWorkflow(req);
+
+  if (await WorkflowRun.exists({ workflow: workflow._id, status: { $in: OPEN_STATUSES } })) {
+    return next(new AppError('Documents are still under review with this workflow; deactivate it instead', 409));
+  }
+
+  await workflow.deleteOne();
+
+  // Log activity
+  await log(req, 'workflow_delete', 'tenant', workflow._id, { workflowName: workflow.name });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Workflow deleted',
+  });
+});
+
+/**
+ * Start an approval workflow on a document by hand
+ */
+exports.startWorkflow = catchAsync(async (req, res, next) => {
+  const document = await findDocument(req, req.params.id, 'edit');
+
+  const workflow = await Workflow.findOne({ _id: req.body.workflowId, tenantId: req.user.tenantId, isActive: true });
+  if (!workflow) {
+    return next(new AppError('Active workflow not found', 404));
+  }
+
+  if (await WorkflowRun.exists({ document: document._id, status: { $in: OPEN_STATUSES } })) {
+    return next(new AppError('This document is already under review', 409));
+  }
+
+  const run = await startRun({ workflow, document, user: req.user });
+
+  // Log activity
+  await log(req, 'workflow_start', 'document', document._id, {
+    documentName: document.title,
+    workflowName: workflow.name,
+    workflowRun: run._id,
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      run,
+    },
+  });
+});
+
+/**
+ * List a document's workflow runs, latest first
+ */
+exports.getDocumentWorkflowRuns = catchAsync(async (req, res, next) => {
+  const document = await findDocument(req, req.params.id, 'view');
+
+  const runs = await WorkflowRun.find({ tenantId: req.user.tenantId, document: document._id })
+    .populate('startedBy', 'firstName lastName email')
+    .populate('steps.decidedBy', 'firstName lastName email')
+    .sort('-createdAt');
+
+  res.status(200).json({
+    status: 'success',
+    results: runs.length,
+    data: {
+      runs,
+    },
+  });
+});
+
+/**
+ * List workflow runs (?box=assigned for reviews waiting on you, the default;
+ * ?box=started for the ones you started, with ?status=)
+ */
+exports.getWorkflowRuns = catchAsync(async (req, res, next) => {
+  const { box = 'assigned', status, page = 1, limit = 20 } = req.query;
+
+  const query = { tenantId: req.user.tenantId };
+  if (box === 'started') {
+    query.startedBy = req.user._id;
+    if (status) query.status = status;
+  } else {
+    query.status = 'in_review';
+    query.steps = {
+      $elemMatch: {
+        status: 'active',
+        $or: [
+          { users: req.user._id },
+          { roles: req.user.role },
+          { groups: { $in: req.user.groupIds || [] } },
+        ],
+      },
+    };
+  }
+
+  const [runs, total] = await Promise.all([
+    WorkflowRun.find(query)
+      .populate('document', 'title originalName type category owner')
+      .populate('startedBy', 'firstName lastName email')
+      .sort('-updatedAt')
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit)),
+    WorkflowRun.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: runs.length,
+    total,
+    page: parseInt(page),
+    pages: Math.ceil(total / limit),
+    data: {
+      runs,
+    },
+  });
+});
+
+/**
+ * Get a workflow run with its steps and history
+ */
+exports.getWorkflowRun = catchAsync(async (req, res, next) => {
+  const run = await findRun(req);
+
+  // Assignees may review documents they could not open otherwise
+  const isAssignee = run.steps.some(step => run.isAssignee(step, req.user));
+  if (!isAssignee) {
+    await findDocument(req, run.document, 'view');
+  }
+
+  await run.populate([
+    { path: 'document', select: 'title originalName type category owner version approvalStatus' },
+    { path: 'startedBy', select: 'firstName lastName email' },
+    { path: 'steps.decidedBy', select: 'firstName lastName email' },
+    { path: 'history.user', select: 'firstName lastName email' },
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      run,
+      // Active steps waiting on your decision
+      yourSteps: run.activeSteps().filter(step => run.isAssignee(step, req.user)).map(step => step._id),
+    },
+  });
+});
+
+const DECISIONS = {
+  approve: { decision: 'approved', action: 'workflow_approve', label: 'approved' },
+  reject: { decision: 'rejected', action: 'workflow_reject', label: 'rejected' },
+  'request-changes': { decision: 'changes_requested', action: 'workflow_request_changes', label: 'requested changes to' },
+};
+
+/**
+ * Handler deciding your active step of a run (?stepId= when several of the
+ * run's active steps are yours)
+ */
+const decide = (kind) => catchAsync(async (req, res, next) => {
+  const { decision, action, label } = DECISIONS[kind];
+  const { comment } = req.body;
+
+  if (decision !== 'approved' && !comment) {
+    return next(new AppError('Please add a comment explaining your decision', 400));
+  }
+
+  const run = await findRun(req);
+  const step = findActiveStep(run, req.user, req.query.stepId);
+
+  const document = await Document.findOne({ _id: run.document, tenantId: run.tenantId, status: { $ne: 'deleted' } });
+  if (!document) {
+    return next(new AppError('This document is no longer available', 410));
+  }
+  if (document.version !== run.version) {
+    return next(new AppError('The document has a newer version than the one under review; it must be resubmitted', 409));
+  }
+
+  const activated = await withRunSaved(() => decideStep(run, step, { user: req.user, decision, comment }));
+  await notifyStepsDue(run, activated, document);
+
+  if (run.status !== 'in_review') {
+    await notifyOutcome(run, document, {
+      user: req.user,
+      title: `Review ${run.status.replace('_', ' ')}`,
+      message: `${req.user.firstName} ${req.user.lastName} ${label} "${document.title}" (${run.workflowName}: ${step.name})${comment ? `: ${comment}` : '.'}`,
+    });
+  }
+
+  // Log activity
+  await log(req, action, 'document', document._id, {
+    documentName: document.title,
+    workflowRun: run._id,
+    step: step.name,
+    comment,
+    runStatus: run.status,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      run,
+    },
+  });
+});
+
+/**
+ * Approve your step of a review
+ */
+exports.approveWorkflowStep = decide('approve');
+
+/**
+ * Reject the document under review (comment required)
+ */
+exports.rejectWorkflowStep = decide('reject');
+
+/**
+ * Ask for changes to the document under review (comment required)
+ */
+exports.requestWorkflowChanges = decide('request-changes');
+
+/**
+ * Send a document back for review after changes were requested (anyone who can edit it)
+ */
+exports.resubmitWorkflowRun = catchAsync(async (req, res, next) => {
+  const run = await findRun(req);
+  const document = await findDocument(req, run.document, 'edit');
+
+  if (run.status !== 'changes_requested') {
+    return next(new AppError('Only reviews with requested changes can be resubmitted', 409));
+  }
+
+  await withRunSaved(() => resubmitRun(run, { user: req.user, document, comment: req.body.comment }));
+
+  // Log activity
+  await log(req, 'workflow_resubmit', 'document', document._id, {
+    documentName: document.title,
+    workflowRun: run._id,
+    version: run.version,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      run,
+    },
+  });
+});
+
+/**
+ * Cancel an open review (whoever started it, the document owner or an admin)
+ */
+exports.cancelWorkflowRun = catchAsync(async (req, res, next) => {
+  const run = await findRun(req);
+
+  if (!OPEN_STATUSES.includes(run.status)) {
+    return next(new AppError(`This review is already ${run.status.replace('_', ' ')}`, 409));
+  }
+
+  const document = await Document.findOne({ _id: run.document, tenantId: run.tenantId });
+  const isOwner = document && document.owner.equals(req.user._id);
+  if (!run.startedBy.equals(req.user._id) && !isOwner && req.user.role !== 'Admin') {
+    return next(new AppError('You do not have permission to cancel this review', 403));
+  }
+
+  await withRunSaved(() => cancelRun(run, { user: req.user, comment: req.body.comment }));
+
+  // Log activity
+  await log(req, 'workflow_cancel', 'document', run.document, {
+    documentName: document ? document.title : undefined,
+    workflowRun: run._id,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Review cancelled',
+  });
+});
@@ -0,0 +1,86 @@
+const RetentionPolicy = require('../models/RetentionPolicy');
+const DisposalList = require('../models/DisposalList');
+const logger = require('../utils/logger');
+const { getQueue } = require('./queue');
+const { buildDisposalList, executeDisposalList } = require('../services/retentionService');
+
+const QUEUE_NAME = 'disposition';
+
+/**
+ * Build disposal lists for one tenant, or every tenant with active policies
+ */
+const reviewTenants = async ({ tenantId, requestedBy }, trigger) => {
+  const tenantIds = tenantId ? [tenantId] : await RetentionPolicy.distinct('tenantId', { isActive: true });
+  const totals = { tenants: 0, lists: 0, documents: 0 };
+
+  for (const id of tenantIds) {
+    const list = await buildDisposalList(id, { trigger, requestedBy });
+    totals.tenants += 1;
+
+    if (list) {
+      totals.lists += 1;
+      totals.documents += list.items.length;
+      logger.info(`Disposal list ${list._id} for ${id}: ${list.items.length} document(s) due for review`);
+    }
+  }
+
+  return totals;
+};
+
+/**
+ * Process disposition jobs
+ *
+ * 'scheduled' and 'review' jobs list documents due for disposal; 'dispose'
+ * jobs carry out an approved list.
+ */
+const processJob = async (job) => {
+  if (job.name === 'dispose') {
+    const list = await DisposalList.findById(job.data.listId);
+    if (!list || list.status !== 'approved') return null;
+
+    try {
+      await executeDisposalList(list);
+    } catch (error) {
+      list.status = 'failed';
+      list.error = error.message;
+      await list.save();
+      throw error;
+    }
+
+    const { disposed, retained, skipped } = list.summary;
+    logger.info(`Disposal list ${list._id}: ${disposed} disposed, ${retained} retained, ${skipped} skipped`);
+    return list.summary;
+  }
+
+  const result = await reviewTenants(job.data, job.name === 'review' ? 'manual' : 'scheduled');
+  logger.info(`Disposition review: ${result.tenants} tenant(s), ${result.lists} list(s), ${result.documents} document(s)`);
+  return result;
+};
+
+/**
+ * Register the processor and the repeating review schedule
+ */
+exports.start = async () => {
+  const queue = getQueue(QUEUE_NAME);
+
+  queue.process('*', processJob);
+
+  await queue.add('scheduled', {}, {
+    repeat: { cron: process.env.DISPOSITION_REVIEW_CRON || '0 5 * * 1' },
+    jobId: 'disposition-scheduled',
+  });
+};
+
+/**
+ * Queue an on-demand disposition review of one tenant
+ */
+exports.enqueueDispositionReview = ({ tenantId, requestedBy = null }) => {
+  return getQueue(QUEUE_NAME).add('review', { tenantId, requestedBy });
+};
+
+/**
+ * Queue the disposal of an approved list
+ */
+exports.enqueueDisposal = (listId) => {
+  return getQueue(QUEUE_NAME).add('dispose', { listId: listId.toString() });
+};
@@ -0,0 +1,27 @@
+const logger = require('../utils/logger');
+const trashPurgeJob = require('./trashPurgeJob');
+const textExtractionJob = require('./textExtractionJob');
+const renditionJob = require('./renditionJob');
+const integrityJob = require('./integrityJob');
+const keyRotationJob = require('./keyRotationJob');
+const dispositionJob = require('./dispositionJob');
+const reminderJob = require('./reminderJob');
+const workflowJob = require('./workflowJob');
+
+/**
+ * Start background job processors and schedules
+ */
+exports.startJobs = async () => {
+  await trashPurgeJob.start();
+  await textExtractionJob.start();
+  await renditionJob.start();
+  await integrityJob.start();
+  await keyRotationJob.start();
+  await dispositionJob.start();
+  await reminderJob.start();
+  await workflowJob.start();
+
+  logger.info('Background jobs started');
+};
+
+exports.closeQueues = require('./queue').closeQueues;
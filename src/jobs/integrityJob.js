@@ -0,0 +1,57 @@
+const Document = require('../models/Document');
+const logger = require('../utils/logger');
+const { getQueue } = require('./queue');
+const { verifyTenantStorage } = require('../services/integrityService');
+
+const QUEUE_NAME = 'integrity-verification';
+
+/**
+ * Verify one tenant's storage, or every tenant's when no tenant is given
+ */
+const processJob = async (job) => {
+  const { tenantId, requestedBy } = job.data;
+  const trigger = job.name === 'verify' ? 'manual' : 'scheduled';
+
+  const tenantIds = tenantId ? [tenantId] : await Document.distinct('tenantId');
+  const totals = { tenants: 0, verified: 0, issues: 0, failed: 0 };
+
+  for (const id of tenantIds) {
+    const report = await verifyTenantStorage(id, { trigger, requestedBy });
+    const { verified, missing, mismatched, orphaned, unreadable } = report.summary;
+
+    totals.tenants += 1;
+    totals.verified += verified;
+    totals.issues += missing + mismatched + orphaned + unreadable;
+    if (report.status === 'failed') totals.failed += 1;
+
+    if (report.status === 'failed') {
+      logger.error(`Integrity verification failed for ${id}: ${report.error}`);
+    } else if (!report.passed) {
+      logger.warn(`Integrity verification for ${id}: ${missing} missing, ${mismatched} mismatched, ${orphaned} orphaned, ${unreadable} unreadable`);
+    }
+  }
+
+  logger.info(`Integrity verification: ${totals.tenants} tenant(s), ${totals.verified} object(s) verified, ${totals.issues} issue(s)`);
+  return totals;
+};
+
+/**
+ * Register the processor and the repeating verification schedule
+ */
+exports.start = async () => {
+  const queue = getQueue(QUEUE_NAME);
+
+  queue.process('*', processJob);
+
+  await queue.add('scheduled', {}, {
+    repeat: { cron: process.env.INTEGRITY_CHECK_CRON || '0 4 * * 0' },
+    jobId: 'integrity-verification-scheduled',
+  });
+};
+
+/**
+ * Queue an on-demand verification of one tenant (or all tenants)
+ */
+exports.enqueueVerification = ({ tenantId = null, requestedBy = null } = {}) => {
+  return getQueue(QUEUE_NAME).add('verify', { tenantId, requestedBy });
+};
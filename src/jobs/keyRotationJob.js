@@ -0,0 +1,130 @@
+const Document = require('../models/Document');
+const Tenant = require('../models/Tenant');
+const UploadSession = require('../models/UploadSession');
+const Seal = require('../models/Seal');
+const logger = require('../utils/logger');
+const { getQueue } = require('./queue');
+const { currentKeyOf, isWrappedWith, rewrapDataKey } = require('../services/encryptionService');
+
+const QUEUE_NAME = 'key-rotation';
+
+/**
+ * Re-wrapped copies of the entries whose data keys are not under the target tenant key
+ */
+const rewrapEntries = (tenantId, entries, tenantKey) => {
+  return entries
+    .filter(entry => entry.encryption && entry.encryption.wrappedKey && !isWrappedWith(entry.encryption, tenantKey))
+    .map(entry => ({ _id: entry._id, encryption: rewrapDataKey(tenantId, entry.encryption, tenantKey) }));
+};
+
+/**
+ * Move a tenant to a new key version and re-wrap every data key under it
+ *
+ * File contents are not re-encrypted; only the data keys stored with each
+ * version, rendition, pending upload and stamped copy of a seal are.
+ */
+const rotateTenant = async (tenantId) => {
+  await Tenant.updateOne(
+    { tenantId },
+    { $inc: { 'encryption.keyVersion': 1 }, 'encryption.rotatedAt': Date.now() }
+  );
+  const tenantKey = await currentKeyOf(tenantId);
+  const totals = { documents: 0, rewrapped: 0, failed: 0 };
+
+  const cursor = Document.find({ tenantId }).select('versionHistory renditions').cursor();
+  for await (const document of cursor) {
+    try {
+      const versions = rewrapEntries(tenantId, document.versionHistory, tenantKey);
+      const renditions = rewrapEntries(tenantId, document.renditions, tenantKey);
+      if (versions.length + renditions.length === 0) continue;
+
+      // Update entries in place so versions and renditions added meanwhile are kept
+      const update = {};
+      const arrayFilters = [];
+      versions.forEach((entry, i) => {
+        update[`versionHistory.$[v${i}].encryption`] = entry.encryption;
+        arrayFilters.push({ [`v${i}._id`]: entry._id });
+      });
+      renditions.forEach((entry, i) => {
+        update[`renditions.$[r${i}].encryption`] = entry.encryption;
+        arrayFilters.push({ [`r${i}._id`]: entry._id });
+      });
+      await Document.updateOne({ _id: document._id }, { $set: update }, { arrayFilters });
+
+      totals.documents += 1;
+      totals.rewrapped += versions.length + renditions.length;
+    } catch (error) {
+      totals.failed += 1;
+      logger.error(`Failed to re-wrap data keys of document ${document._id}: ${error.message}`);
+    }
+  }
+
+  const sessions = await UploadSession.find({ tenantId, status: 'pending', 'encryption.wrappedKey': { $exists: true } });
+  for (const session of sessions) {
+    if (isWrappedWith(session.encryption, tenantKey)) continue;
+
+    try {
+      await UploadSession.updateOne(
+        { _id: session._id },
+        { encryption: rewrapDataKey(tenantId, session.encryption, tenantKey) }
+      );
+      totals.rewrapped += 1;
+    } catch (error) {
+      totals.failed += 1;
+      logger.error(`Failed to re-wrap data key of upload session ${session._id}: ${error.message}`);
+    }
+  }
+
+  const seals = await Seal.find({ tenantId, 'stamped.encryption.wrappedKey': { $exists: true } }).select('stamped');
+  for (const seal of seals) {
+    if (isWrappedWith(seal.stamped.encryption, tenantKey)) continue;
+
+    try {
+      await Seal.updateOne(
+        { _id: seal._id },
+        { 'stamped.encryption': rewrapDataKey(tenantId, seal.stamped.encryption, tenantKey) }
+      );
+      totals.rewrapped += 1;
+    } catch (error) {
+      totals.failed += 1;
+      logger.error(`Failed to re-wrap data key of seal ${seal._id}: ${error.message}`);
+    }
+  }
+
+  return { ...totals, keyVersion: tenantKey.keyVersion, masterKeyId: tenantKey.masterKeyId };
+};
+
+/**
+ * Rotate one tenant's key, or every tenant's when no tenant is given
+ */
+const processJob = async (job) => {
+  const { tenantId } = job.data;
+
+  const tenantIds = tenantId ? [tenantId] : await Document.distinct('tenantId');
+  const totals = { tenants: 0, rewrapped: 0, failed: 0 };
+
+  for (const id of tenantIds) {
+    const result = await rotateTenant(id);
+    totals.tenants += 1;
+    totals.rewrapped += result.rewrapped;
+    totals.failed += result.failed;
+
+    logger.info(`Key rotation for ${id}: key v${result.keyVersion} (master ${result.masterKeyId}), ${result.rewrapped} data key(s) re-wrapped, ${result.failed} failed`);
+  }
+
+  return totals;
+};
+
+/**
+ * Register the processor
+ */
+exports.start = async () => {
+  getQueue(QUEUE_NAME).process(processJob);
+};
+
+/**
+ * Queue a key rotation of one tenant (or all tenants)
+ */
+exports.enqueueKeyRotation = ({ tenantId = null, requestedBy = null } = {}) => {
+  return getQueue(QUEUE_NAME).add({ tenantId, requestedBy });
+};
@@ -0,0 +1,45 @@
+const Queue = require('bull');
+const logger = require('../utils/logger');
+
+// Redis connection shared by all queues
+const redis = {
+  host: process.env.REDIS_HOST || 'localhost',
+  port: parseInt(process.env.REDIS_PORT) || 6379,
+  password: process.env.REDIS_PASSWORD || undefined,
+};
+
+const queues = {};
+
+/**
+ * Get (and lazily create) a named Bull queue
+ */
+exports.getQueue = (name) => {
+  if (!queues[name]) {
+    const queue = new Queue(name, {
+      redis,
+      defaultJobOptions: {
+        removeOnComplete: 100,
+        removeOnFail: 500,
+      },
+    });
+
+    queue.on('error', (err) => {
+      logger.error(`Queue ${name} error: ${err.message}`);
+    });
+
+    queue.on('failed', (job, err) => {
+      logger.error(`Job ${name}#${job.id} failed: ${err.message}`);
+    });
+
+    queues[name] = queue;
+  }
+
+  return queues[name];
+};
+
+/**
+ * Close every open queue connection
+ */
+exports.closeQueues = () => {
+  return Promise.all(Object.values(queues).map(queue => queue.close()));
+};
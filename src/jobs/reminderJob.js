@@ -0,0 +1,41 @@
+const logger = require('../utils/logger');
+const { getQueue } = require('./queue');
+const { sendTenantReminders, tenantsWithUpcomingDates } = require('../services/reminderService');
+
+const QUEUE_NAME = 'document-reminders';
+
+/**
+ * Send the expiry and review reminders due across all tenants
+ */
+const processJob = async () => {
+  const tenantIds = await tenantsWithUpcomingDates();
+  const totals = { tenants: 0, reminders: 0, recipients: 0 };
+
+  for (const tenantId of tenantIds) {
+    try {
+      const result = await sendTenantReminders(tenantId);
+      totals.tenants += 1;
+      totals.reminders += result.reminders;
+      totals.recipients += result.recipients;
+    } catch (error) {
+      logger.error(`Failed to send document reminders for ${tenantId}: ${error.message}`);
+    }
+  }
+
+  logger.info(`Document reminders: ${totals.reminders} reminder(s) to ${totals.recipients} recipient(s) across ${totals.tenants} tenant(s)`);
+  return totals;
+};
+
+/**
+ * Register the processor and the daily reminder schedule
+ */
+exports.start = async () => {
+  const queue = getQueue(QUEUE_NAME);
+
+  queue.process('*', processJob);
+
+  await queue.add('scheduled', {}, {
+    repeat: { cron: process.env.REMINDER_CRON || '0 7 * * *' },
+    jobId: 'document-reminders-scheduled',
+  });
+};
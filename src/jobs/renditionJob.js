@@ -0,0 +1,122 @@
+const Document = require('../models/Document');
+const logger = require('../utils/logger');
+const { getQueue } = require('./queue');
+const storage = require('../config/storage');
+const { getDecryptedBuffer, putEncrypted } = require('../services/encryptionService');
+const {
+  createPreviews,
+  createOptimizedCopy,
+  isPreviewable,
+  renditionKey,
+  renditionPrefix,
+} = require('../services/renditionService');
+
+const QUEUE_NAME = 'renditions';
+const MAX_PREVIEW_SOURCE_SIZE = parseInt(process.env.MAX_PREVIEW_SOURCE_SIZE) || 52428800; // 50MB
+
+/**
+ * Delete rendition objects, logging rather than failing on errors
+ */
+const deleteRenditions = async (keys) => {
+  for (const key of keys) {
+    try {
+      await storage.delete(key);
+    } catch (error) {
+      logger.error(`Failed to delete rendition ${key}: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Generate and store the previews (and optimized copy) of a document's current version
+ */
+const processJob = async (job) => {
+  const { documentId, version } = job.data;
+
+  const document = await Document.findById(documentId);
+  if (!document) return { skipped: 'Document no longer exists' };
+  if (document.version !== version) return { skipped: 'A newer version has been uploaded' };
+
+  const { tenantId, storageKey, mimeType, fileSize } = document;
+
+  if (!isPreviewable(mimeType) || fileSize > MAX_PREVIEW_SOURCE_SIZE) {
+    await Document.updateOne({ _id: document._id, version }, { previewStatus: 'unsupported' });
+    return { skipped: 'Unsupported file' };
+  }
+
+  try {
+    const original = await getDecryptedBuffer(tenantId, storageKey, document.encryptionFor(storageKey));
+    const optimized = await createOptimizedCopy(original, mimeType);
+    const outputs = [...await createPreviews(original, mimeType), ...(optimized ? [optimized] : [])];
+
+    const renditions = [];
+    for (const output of outputs) {
+      const key = renditionKey(storageKey, output.name, output.extension);
+      const encryption = await putEncrypted(tenantId, key, output.buffer, {
+        contentType: output.mimeType,
+        metadata: {
+          documentId: documentId.toString(),
+          version: version.toString(),
+          rendition: output.name,
+        },
+      });
+
+      renditions.push({
+        name: output.name,
+        version,
+        storageKey: key,
+        mimeType: output.mimeType,
+        width: output.width,
+        height: output.height,
+        fileSize: output.buffer.length,
+        encryption,
+      });
+    }
+
+    const created = new Set(renditions.map(rendition => rendition.storageKey));
+    const { modifiedCount } = await Document.updateOne(
+      { _id: document._id, version },
+      { renditions, previewStatus: 'ready' }
+    );
+
+    if (modifiedCount === 0) {
+      // Superseded while rendering; keep only what the current version may share
+      const current = await Document.findById(documentId).select('storageKey');
+      const shared = current ? renditionPrefix(current.storageKey) : null;
+      await deleteRenditions([...created].filter(key => !shared || !key.startsWith(shared)));
+      return { skipped: 'A newer version has been uploaded' };
+    }
+
+    // Renditions of the previous version are no longer served
+    await deleteRenditions(
+      document.renditions.map(rendition => rendition.storageKey).filter(key => !created.has(key))
+    );
+
+    return { renditions: renditions.length };
+  } catch (error) {
+    await Document.updateOne({ _id: document._id, version }, { previewStatus: 'failed' });
+    logger.error(`Preview generation failed for document ${documentId} v${version}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Register the processor
+ */
+exports.start = async () => {
+  getQueue(QUEUE_NAME).process(processJob);
+};
+
+/**
+ * Queue preview generation for a document's current version (fire and forget)
+ */
+exports.enqueueRenditions = (document) => {
+  return getQueue(QUEUE_NAME)
+    .add(
+      { documentId: document._id.toString(), version: document.version },
+      { attempts: 2, backoff: { type: 'exponential', delay: 60000 } }
+    )
+    .catch((err) => {
+      logger.error(`Failed to queue previews for document ${document._id}: ${err.message}`);
+    });
+};
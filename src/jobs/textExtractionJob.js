@@ -0,0 +1,80 @@
+const Document = require('../models/Document');
+const DocumentText = require('../models/DocumentText');
+const logger = require('../utils/logger');
+const { getQueue } = require('./queue');
+const { getDecryptedBuffer } = require('../services/encryptionService');
+const { extractText, isExtractable } = require('../services/textExtractionService');
+
+const QUEUE_NAME = 'text-extraction';
+const MAX_EXTRACTION_SIZE = parseInt(process.env.MAX_TEXT_EXTRACTION_SIZE) || 52428800; // 50MB
+
+/**
+ * Extract and store the text of one document version
+ */
+const processJob = async (job) => {
+  const { documentId, version } = job.data;
+
+  const document = await Document.findById(documentId);
+  if (!document) return { skipped: 'Document no longer exists' };
+
+  const entry = document.versionHistory.find(v => v.version === version);
+  const storageKey = entry ? entry.storageKey : document.storageKey;
+  const mimeType = (entry && entry.mimeType) || document.mimeType;
+  const fileSize = (entry && entry.fileSize) || document.fileSize;
+  const isCurrent = version === document.version;
+
+  const setStatus = async (textStatus) => {
+    if (isCurrent) await Document.updateOne({ _id: document._id, version }, { textStatus });
+  };
+
+  if (!isExtractable(mimeType) || fileSize > MAX_EXTRACTION_SIZE) {
+    await setStatus('unsupported');
+    return { skipped: 'Unsupported file' };
+  }
+
+  try {
+    const buffer = await getDecryptedBuffer(document.tenantId, storageKey, document.encryptionFor(storageKey));
+    const { text, truncated } = await extractText(buffer, mimeType);
+
+    await DocumentText.findOneAndUpdate(
+      { document: document._id, version },
+      { tenantId: document.tenantId, content: text, truncated, current: isCurrent },
+      { upsert: true }
+    );
+
+    if (isCurrent) {
+      await DocumentText.updateMany(
+        { document: document._id, version: { $ne: version } },
+        { current: false }
+      );
+    }
+
+    await setStatus('indexed');
+    return { characters: text.length, truncated };
+  } catch (error) {
+    await setStatus('failed');
+    logger.error(`Text extraction failed for document ${documentId} v${version}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Register the processor
+ */
+exports.start = async () => {
+  getQueue(QUEUE_NAME).process(processJob);
+};
+
+/**
+ * Queue text extraction for a document's current version (fire and forget)
+ */
+exports.enqueueTextExtraction = (document) => {
+  return getQueue(QUEUE_NAME)
+    .add(
+      { documentId: document._id.toString(), version: document.version },
+      { attempts: 2, backoff: { type: 'exponential', delay: 60000 } }
+    )
+    .catch((err) => {
+      logger.error(`Failed to queue text extraction for document ${document._id}: ${err.message}`);
+    });
+};
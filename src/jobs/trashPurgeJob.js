@@ -0,0 +1,104 @@
+const Document = require('../models/Document');
+const Tenant = require('../models/Tenant');
+const LegalHold = require('../models/LegalHold');
+const logger = require('../utils/logger');
+const { getQueue } = require('./queue');
+const { purgeDocument } = require('../services/documentService');
+
+const QUEUE_NAME = 'trash-purge';
+// For tenants without a record; new tenants get settings.trashRetentionDays
+const DEFAULT_RETENTION_DAYS = 30;
+
+/**
+ * Get a tenant's trash retention period in days
+ */
+const getRetentionDays = async (tenantId) => {
+  const tenant = await Tenant.findOne({ tenantId }).select('settings.trashRetentionDays');
+  return tenant?.settings?.trashRetentionDays || DEFAULT_RETENTION_DAYS;
+};
+
+/**
+ * Purge every trashed document matching the query (documents under legal hold stay)
+ */
+const purgeMatching = async (query) => {
+  let purged = 0;
+  let failed = 0;
+
+  const exclusion = await LegalHold.exclusionFilter(query.tenantId);
+  const cursor = Document.find({ ...query, ...exclusion, status: 'deleted' }).cursor();
+  for await (const document of cursor) {
+    try {
+      await purgeDocument(document);
+      purged += 1;
+    } catch (error) {
+      failed += 1;
+      logger.error(`Failed to purge document ${document._id}: ${error.message}`);
+    }
+  }
+
+  return { purged, failed };
+};
+
+/**
+ * Purge trashed documents older than each tenant's retention period
+ */
+const purgeExpired = async () => {
+  const tenantIds = await Document.distinct('tenantId', { status: 'deleted' });
+  const totals = { purged: 0, failed: 0 };
+
+  for (const tenantId of tenantIds) {
+    const retentionDays = await getRetentionDays(tenantId);
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+
+    const { purged, failed } = await purgeMatching({ tenantId, deletedAt: { $lte: cutoff } });
+    totals.purged += purged;
+    totals.failed += failed;
+  }
+
+  return totals;
+};
+
+/**
+ * Process trash purge jobs
+ *
+ * 'scheduled' jobs purge expired items across all tenants; 'empty' jobs empty
+ * the trash of one tenant, optionally limited to a single owner.
+ */
+const processJob = async (job) => {
+  if (job.name === 'empty') {
+    const { tenantId, ownerId } = job.data;
+    const query = { tenantId };
+    if (ownerId) query.owner = ownerId;
+
+    const result = await purgeMatching(query);
+    logger.info(`Emptied trash for ${tenantId}${ownerId ? ` (user ${ownerId})` : ''}: ${result.purged} purged, ${result.failed} failed`);
+    return result;
+  }
+
+  const result = await purgeExpired();
+  logger.info(`Scheduled trash purge: ${result.purged} purged, ${result.failed} failed`);
+  return result;
+};
+
+/**
+ * Register the processor and the repeating purge schedule
+ */
+exports.start = async () => {
+  const queue = getQueue(QUEUE_NAME);
+
+  queue.process('*', processJob);
+
+  await queue.add('scheduled', {}, {
+    repeat: { cron: process.env.TRASH_PURGE_CRON || '0 3 * * *' },
+    jobId: 'trash-purge-scheduled',
+  });
+};
+
+/**
+ * Queue a job to empty a tenant's (or a single user's) trash
+ */
+exports.enqueueEmptyTrash = ({ tenantId, ownerId = null }) => {
+  return getQueue(QUEUE_NAME).add('empty', { tenantId, ownerId });
+};
+
+exports.getRetentionDays = getRetentionDays;
@@ -0,0 +1,29 @@
+const logger = require('../utils/logger');
+const { getQueue } = require('./queue');
+const { sendOverdueNotifications } = require('../services/workflowService');
+
+const QUEUE_NAME = 'workflow-reminders';
+
+/**
+ * Remind assignees of review steps that are past their due date
+ */
+const processJob = async () => {
+  const totals = await sendOverdueNotifications();
+
+  logger.info(`Workflow reminders: ${totals.steps} overdue step(s) notified`);
+  return totals;
+};
+
+/**
+ * Register the processor and the reminder schedule
+ */
+exports.start = async () => {
+  const queue = getQueue(QUEUE_NAME);
+
+  queue.process('*', processJob);
+
+  await queue.add('scheduled', {}, {
+    repeat: { cron: process.env.WORKFLOW_REMINDER_CRON || '0 8 * * *' },
+    jobId: 'workflow-reminders-scheduled',
+  });
+};
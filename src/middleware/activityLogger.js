@@ -101,6 +101,31 @@ exports.logFailure = async (req, action, error, details = {}) => {
   await logActivity(logData);
 };
 
+/**
+ * Log an access through a public share link, successful or not
+ *
+ * Visitors are usually anonymous; the user is recorded when one is signed in.
+ */
+exports.logShareLinkAccess = async (req, link, details = {}, error = null) => {
+  const logData = {
+    tenantId: link ? link.tenantId : 'system',
+    user: req.user?._id,
+    action: 'share_link_access',
+    resourceType: 'document',
+    resourceId: link ? link.document : null,
+    details: {
+      shareLink: link ? link._id : null,
+      ...details,
+    },
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('user-agent'),
+    status: error ? 'failure' : 'success',
+    errorMessage: error ? error.message : undefined,
+  };
+
+  await logActivity(logData);
+};
+
 /**
  * Sanitize request body for logging
  */
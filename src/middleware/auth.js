@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Group = require('../models/Group');
+const Folder = require('../models/Folder');
 const AppError = require('../utils/appError');
 const { promisify } = require('util');
 
@@ -51,6 +53,26 @@ exports.protect = async (req, res, next) => {
   }
 };
 
+/**
+ * Attach the user's groups and the folders shared with them, so access checks
+ * reflect the current group membership
+ *
+ * Use after protect on the routes that check document, folder or review
+ * access; other requests skip these lookups.
+ */
+exports.loadGroupAccess = async (req, res, next) => {
+  try {
+    const { user } = req;
+    if (user && !user.groupIds) {
+      user.groupIds = await Group.idsForUser(user);
+      user.folderPermissions = await Folder.permissionsForGroups(user.tenantId, user.groupIds);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Restrict routes to specific roles
  */
@@ -43,3 +43,24 @@ exports.passwordResetLimiter = rateLimit({
     next(new AppError('Too many password reset attempts. Please try again later.', 429));
   },
 });
+
+// Public share link limiter (slows down guessing of tokens and link passwords)
+exports.shareLinkLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // 20 failed requests per window
+  skipSuccessfulRequests: true,
+  message: 'Too many share link attempts, please try again later.',
+  handler: (req, res, next) => {
+    next(new AppError('Too many share link attempts. Please try again after 15 minutes.', 429));
+  },
+});
+
+// Public seal verification limiter (each check reads the sealed file back from storage)
+exports.sealVerificationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // 30 verifications per window
+  message: 'Too many verification requests, please try again later.',
+  handler: (req, res, next) => {
+    next(new AppError('Too many verification requests. Please try again after 15 minutes.', 429));
+  },
+});
@@ -5,25 +5,43 @@ const AppError = require('../utils/appError');
 // Configure multer for memory storage
 const storage = multer.memoryStorage();
 
+// Allowed file types
+const allowedTypes = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'text/plain',
+  'application/zip',
+  'application/x-rar-compressed',
+];
+
+// File extensions mapped to their MIME types (used when no type is supplied, e.g. ZIP entries)
+const extensionTypes = {
+  pdf: 'application/pdf',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xls: 'application/vnd.ms-excel',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  ppt: 'application/vnd.ms-powerpoint',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  txt: 'text/plain',
+  zip: 'application/zip',
+  rar: 'application/x-rar-compressed',
+};
+
 // File filter
 const fileFilter = (req, file, cb) => {
-  // Allowed file types
-  const allowedTypes = [
-    'application/pdf',
-    'application/msword',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'application/vnd.ms-excel',
-    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-    'application/vnd.ms-powerpoint',
-    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
-    'image/jpeg',
-    'image/png',
-    'image/gif',
-    'text/plain',
-    'application/zip',
-    'application/x-rar-compressed',
-  ];
-
   if (allowedTypes.includes(file.mimetype)) {
     cb(null, true);
   } else {
@@ -31,20 +49,104 @@ const fileFilter = (req, file, cb) => {
   }
 };
 
+// Batch file filter: skip unsupported files and record them instead of failing the request
+const batchFileFilter = (req, file, cb) => {
+  if (allowedTypes.includes(file.mimetype)) {
+    return cb(null, true);
+  }
+
+  req.rejectedFiles = req.rejectedFiles || [];
+  req.rejectedFiles.push({
+    file: file.originalname,
+    reason: `File type ${file.mimetype} is not supported`,
+  });
+  cb(null, false);
+};
+
+// Largest accepted file
+const maxFileSize = parseInt(process.env.MAX_FILE_SIZE) || 104857600; // 100MB default
+
 // Multer upload configuration
 const upload = multer({
   storage: storage,
   fileFilter: fileFilter,
   limits: {
-    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 104857600, // 100MB default
+    fileSize: maxFileSize,
     files: parseInt(process.env.MAX_FILES_PER_UPLOAD) || 10,
   },
 });
 
+// Batch storage: keep files in memory like memoryStorage, but drain (rather than
+// buffer) anything over the size limit so one large file does not fail the batch
+const batchStorage = {
+  _handleFile(req, file, cb) {
+    const chunks = [];
+    let size = 0;
+
+    file.stream.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxFileSize) {
+        chunks.length = 0;
+      } else {
+        chunks.push(chunk);
+      }
+    });
+    file.stream.on('error', cb);
+    file.stream.on('end', () => {
+      if (size > maxFileSize) {
+        return cb(null, { size, tooLarge: true });
+      }
+      cb(null, { buffer: Buffer.concat(chunks), size });
+    });
+  },
+
+  _removeFile(req, file, cb) {
+    delete file.buffer;
+    cb(null);
+  },
+};
+
+// Multer batch upload configuration
+const batchUpload = multer({
+  storage: batchStorage,
+  fileFilter: batchFileFilter,
+  limits: {
+    files: parseInt(process.env.MAX_FILES_PER_UPLOAD) || 10,
+  },
+});
+
+// Move oversized batch files to the rejected list
+const rejectOversizedFiles = (req, res, next) => {
+  const files = req.files || [];
+
+  req.files = files.filter(file => !file.tooLarge);
+  for (const file of files.filter(file => file.tooLarge)) {
+    req.rejectedFiles = req.rejectedFiles || [];
+    req.rejectedFiles.push({
+      file: file.originalname,
+      reason: `File is larger than the ${Math.round(maxFileSize / 1024 / 1024)}MB limit`,
+    });
+  }
+  next();
+};
+
+/**
+ * Resolve the MIME type for a file name from its extension
+ */
+const mimeTypeFromName = (fileName) => {
+  const extension = path.extname(fileName).slice(1).toLowerCase();
+  return extensionTypes[extension] || 'application/octet-stream';
+};
+
 // Export upload middleware
+exports.allowedTypes = allowedTypes;
+exports.mimeTypeFromName = mimeTypeFromName;
 exports.upload = upload;
 exports.uploadSingle = upload.single('file');
-exports.uploadMultiple = upload.array('files', parseInt(process.env.MAX_FILES_PER_UPLOAD) || 10);
+exports.uploadMultiple = [
+  batchUpload.array('files', parseInt(process.env.MAX_FILES_PER_UPLOAD) || 10),
+  rejectOversizedFiles,
+];
 
 // Error handler for multer errors
 exports.handleMulterError = (err, req, res, next) => {
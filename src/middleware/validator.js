@@ -1,5 +1,27 @@
 const Joi = require('joi');
 const AppError = require('../utils/appError');
+const Document = require('../models/Document');
+const DocumentType = require('../models/DocumentType');
+const User = require('../models/User');
+
+// Review step of an approval workflow (needs at least one assignee)
+const workflowStep = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  users: Joi.array().items(Joi.string().hex().length(24)).unique(),
+  roles: Joi.array().items(Joi.string().valid('Student', 'Notary', 'Teacher', 'Lawyer', 'Professional', 'Admin')).unique(),
+  groups: Joi.array().items(Joi.string().hex().length(24)).unique(),
+  dueInDays: Joi.number().integer().min(0).max(365).optional(),
+}).custom((step, helpers) => {
+  const assignees = [...(step.users || []), ...(step.roles || []), ...(step.groups || [])];
+  return assignees.length > 0 ? step : helpers.message('Each step needs at least one user, role or group');
+});
+
+// Uploads that start an approval workflow
+const workflowAppliesTo = Joi.object({
+  types: Joi.array().items(Joi.string().valid('General', 'Contract', 'Legal', 'Academic', 'Financial', 'Personal', 'Other')).unique(),
+  categories: Joi.array().items(Joi.string().trim().min(1).max(100)).unique(),
+  documentTypes: Joi.array().items(Joi.string().hex().length(24)).unique(),
+});
 
 // Validation schemas
 const schemas = {
@@ -15,6 +37,15 @@ const schemas = {
     tenantId: Joi.string().optional(),
   }),
 
+  // Register from a document invitation
+  acceptInvitation: Joi.object({
+    firstName: Joi.string().trim().min(2).max(50).required(),
+    lastName: Joi.string().trim().min(2).max(50).required(),
+    password: Joi.string().min(8).max(128).required()
+      .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+      .message('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+  }),
+
   // User login
   login: Joi.object({
     email: Joi.string().email().required(),
@@ -65,6 +96,12 @@ const schemas = {
     tags: Joi.array().items(Joi.string().trim()).optional(),
     category: Joi.string().trim().optional(),
     folder: Joi.string().trim().optional(),
+    folderId: Joi.string().hex().length(24).optional().allow(null, ''),
+    expiresAt: Joi.date().iso().optional().allow(null, ''),
+    reviewAt: Joi.date().iso().optional().allow(null, ''),
+    documentTypeId: Joi.string().hex().length(24).optional().allow(null, ''),
+    // Checked against the document type by validateCustomFields (a JSON string in multipart uploads)
+    customFields: Joi.alternatives(Joi.object(), Joi.string()).optional(),
   }),
 
   // Update document
@@ -75,6 +112,120 @@ const schemas = {
     tags: Joi.array().items(Joi.string().trim()).optional(),
     category: Joi.string().trim().optional(),
     folder: Joi.string().trim().optional(),
+    folderId: Joi.string().hex().length(24).optional().allow(null, ''),
+    expiresAt: Joi.date().iso().optional().allow(null, ''),
+    reviewAt: Joi.date().iso().optional().allow(null, ''),
+    watermarkDownloads: Joi.boolean().optional(),
+    documentTypeId: Joi.string().hex().length(24).optional().allow(null, ''),
+    // Checked against the document type by validateCustomFields (a JSON string in multipart uploads)
+    customFields: Joi.alternatives(Joi.object(), Joi.string()).optional(),
+  }),
+
+  // Check out document
+  checkOutDocument: Joi.object({
+    durationHours: Joi.number().min(0.25).max(168).optional(),
+    note: Joi.string().trim().max(500).optional(),
+  }),
+
+  // Batch upload
+  batchUpload: Joi.object({
+    folderId: Joi.string().hex().length(24).optional().allow(null, ''),
+    extractZip: Joi.string().valid('true', 'false').optional(),
+    type: Joi.string().valid('General', 'Contract', 'Legal', 'Academic', 'Financial', 'Personal', 'Other').optional(),
+    category: Joi.string().trim().optional(),
+    tags: Joi.string().trim().optional().allow(''),
+  }),
+
+  // Bulk document actions
+  bulkDocuments: Joi.object({
+    action: Joi.string()
+      .valid('move', 'retag', 'changeType', 'changeCategory', 'archive', 'unarchive', 'delete', 'restore', 'share')
+      .required(),
+    documentIds: Joi.array().items(Joi.string().hex().length(24)).unique().min(1).max(500).required(),
+    folderId: Joi.when('action', {
+      is: 'move',
+      then: Joi.string().hex().length(24).allow(null).required(),
+      otherwise: Joi.forbidden(),
+    }),
+    tags: Joi.when('action', {
+      is: 'retag',
+      then: Joi.object({
+        set: Joi.array().items(Joi.string().trim()).optional(),
+        add: Joi.array().items(Joi.string().trim()).optional(),
+        remove: Joi.array().items(Joi.string().trim()).optional(),
+      }).or('set', 'add', 'remove').required(),
+      otherwise: Joi.forbidden(),
+    }),
+    // changeType sets either the built-in type or a tenant-defined one (null clears it)
+    type: Joi.when('action', {
+      is: 'changeType',
+      then: Joi.string().valid('General', 'Contract', 'Legal', 'Academic', 'Financial', 'Personal', 'Other').optional(),
+      otherwise: Joi.forbidden(),
+    }),
+    documentTypeId: Joi.when('action', {
+      is: 'changeType',
+      then: Joi.string().hex().length(24).allow(null).optional(),
+      otherwise: Joi.forbidden(),
+    }),
+    category: Joi.when('action', {
+      is: 'changeCategory',
+      then: Joi.string().trim().min(1).required(),
+      otherwise: Joi.forbidden(),
+    }),
+    userId: Joi.when('action', {
+      is: 'share',
+      then: Joi.string().hex().length(24).required(),
+      otherwise: Joi.forbidden(),
+    }),
+    permission: Joi.when('action', {
+      is: 'share',
+      then: Joi.string().valid('view', 'edit', 'admin').default('view'),
+      otherwise: Joi.forbidden(),
+    }),
+  }).when(Joi.object({ action: 'changeType' }).unknown(), {
+    then: Joi.object().xor('type', 'documentTypeId'),
+  }),
+
+  // Upload document version
+  uploadVersion: Joi.object({
+    changes: Joi.string().trim().max(500).optional().allow(''),
+  }),
+
+  // Start resumable upload
+  createUploadSession: Joi.object({
+    fileName: Joi.string().trim().min(1).max(255).required(),
+    mimeType: Joi.string().trim().required(),
+    fileSize: Joi.number().integer().min(1).required(),
+    chunkSize: Joi.number().integer().min(1).optional(),
+    title: Joi.string().trim().min(1).max(255).optional(),
+    description: Joi.string().trim().max(1000).optional().allow(''),
+    type: Joi.string().valid('General', 'Contract', 'Legal', 'Academic', 'Financial', 'Personal', 'Other').default('General'),
+    tags: Joi.array().items(Joi.string().trim()).optional(),
+    category: Joi.string().trim().optional(),
+    folderId: Joi.string().hex().length(24).optional().allow(null, ''),
+    expiresAt: Joi.date().iso().optional().allow(null, ''),
+    reviewAt: Joi.date().iso().optional().allow(null, ''),
+    documentTypeId: Joi.string().hex().length(24).optional().allow(null, ''),
+    // Checked against the document type by validateCustomFields
+    customFields: Joi.object().optional(),
+  }),
+
+  // Create folder
+  createFolder: Joi.object({
+    name: Joi.string().trim().min(1).max(255).required(),
+    description: Joi.string().trim().max(1000).optional().allow(''),
+    parentId: Joi.string().hex().length(24).optional().allow(null, ''),
+  }),
+
+  // Rename folder
+  renameFolder: Joi.object({
+    name: Joi.string().trim().min(1).max(255).optional(),
+    description: Joi.string().trim().max(1000).optional().allow(''),
+  }).or('name', 'description'),
+
+  // Move folder
+  moveFolder: Joi.object({
+    parentId: Joi.string().hex().length(24).required().allow(null),
   }),
 
   // Share document
@@ -84,6 +235,216 @@ const schemas = {
     message: Joi.string().max(500).optional(),
   }),
 
+  // Share document or folder with a group
+  shareWithGroup: Joi.object({
+    groupId: Joi.string().hex().length(24).required(),
+    permission: Joi.string().valid('view', 'edit', 'admin').default('view'),
+  }),
+
+  // Create group
+  createGroup: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    description: Joi.string().trim().max(1000).optional().allow(''),
+    memberIds: Joi.array().items(Joi.string().hex().length(24)).max(500).optional(),
+  }),
+
+  // Update group
+  updateGroup: Joi.object({
+    name: Joi.string().trim().min(1).max(100).optional(),
+    description: Joi.string().trim().max(1000).optional().allow(''),
+    ownerId: Joi.string().hex().length(24).optional(),
+  }).or('name', 'description', 'ownerId'),
+
+  // Add group members
+  addGroupMembers: Joi.object({
+    userIds: Joi.array().items(Joi.string().hex().length(24)).min(1).max(500).required(),
+  }),
+
+  // Create public share link
+  createShareLink: Joi.object({
+    permission: Joi.string().valid('view', 'download').default('view'),
+    expiresAt: Joi.date().iso().greater('now').optional(),
+    password: Joi.string().min(6).max(128).optional(),
+    maxDownloads: Joi.number().integer().min(1).optional(),
+  }),
+
+  // Notarial seal
+  createSeal: Joi.object({
+    version: Joi.number().integer().min(1).optional(),
+    statement: Joi.string().trim().max(1000).allow('').optional(),
+  }),
+
+  // Signature requests
+  createSignatureRequest: Joi.object({
+    signerIds: Joi.array().items(Joi.string().hex().length(24)).min(1).max(20).unique().required(),
+    signingOrder: Joi.string().valid('sequential', 'parallel').default('sequential'),
+    message: Joi.string().trim().max(1000).allow('').optional(),
+  }),
+
+  signDocument: Joi.object({
+    signatureType: Joi.string().valid('typed', 'drawn').required(),
+    typedName: Joi.string().trim().min(2).max(100).when('signatureType', {
+      is: 'typed',
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    }),
+    // PNG or JPEG data URL from a signature pad
+    image: Joi.string().max(1000000).when('signatureType', {
+      is: 'drawn',
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    }),
+    consent: Joi.boolean().valid(true).required().messages({
+      'any.only': 'You must agree to sign electronically',
+    }),
+  }),
+
+  declineSignature: Joi.object({
+    reason: Joi.string().trim().max(500).allow('').optional(),
+  }),
+
+  // Update tenant settings
+  updateTenantSettings: Joi.object({
+    trashRetentionDays: Joi.number().integer().min(1).max(3650).optional(),
+    maxStoragePerUser: Joi.number().integer().min(0).optional(),
+    totalStorageLimit: Joi.number().integer().min(0).optional(),
+    reminderLeadDays: Joi.array().items(Joi.number().integer().min(0).max(3650)).max(10).optional(),
+    watermarkDownloads: Joi.boolean().optional(),
+  }).min(1),
+
+  // Start storage integrity verification
+  startIntegrityCheck: Joi.object({
+    tenantId: Joi.string().trim().optional(),
+  }),
+
+  // Start encryption key rotation
+  startKeyRotation: Joi.object({
+    tenantId: Joi.string().trim().optional(),
+  }),
+
+  // Create document type
+  createDocumentType: Joi.object({
+    key: Joi.string().trim().lowercase().pattern(/^[a-z][a-z0-9-]*$/).max(50).required(),
+    name: Joi.string().trim().min(1).max(100).required(),
+    description: Joi.string().trim().max(1000).optional().allow(''),
+    baseType: Joi.string().valid('General', 'Contract', 'Legal', 'Academic', 'Financial', 'Personal', 'Other').optional(),
+    fields: Joi.array().items(Joi.object({
+      key: Joi.string().pattern(/^[a-zA-Z][a-zA-Z0-9_]*$/).max(50).required(),
+      label: Joi.string().trim().min(1).max(100).required(),
+      type: Joi.string().valid('text', 'number', 'date', 'enum', 'user').required(),
+      required: Joi.boolean().optional(),
+      multiple: Joi.boolean().optional(),
+      options: Joi.when('type', {
+        is: 'enum',
+        then: Joi.array().items(Joi.string().trim().min(1).max(100)).min(1).unique().required(),
+        otherwise: Joi.forbidden(),
+      }),
+      description: Joi.string().trim().max(500).optional().allow(''),
+    })).max(50).unique('key').default([]),
+  }),
+
+  // Update document type
+  updateDocumentType: Joi.object({
+    name: Joi.string().trim().min(1).max(100).optional(),
+    description: Joi.string().trim().max(1000).optional().allow(''),
+    baseType: Joi.string().valid('General', 'Contract', 'Legal', 'Academic', 'Financial', 'Personal', 'Other').optional(),
+    fields: Joi.array().items(Joi.object({
+      key: Joi.string().pattern(/^[a-zA-Z][a-zA-Z0-9_]*$/).max(50).required(),
+      label: Joi.string().trim().min(1).max(100).required(),
+      type: Joi.string().valid('text', 'number', 'date', 'enum', 'user').required(),
+      required: Joi.boolean().optional(),
+      multiple: Joi.boolean().optional(),
+      options: Joi.when('type', {
+        is: 'enum',
+        then: Joi.array().items(Joi.string().trim().min(1).max(100)).min(1).unique().required(),
+        otherwise: Joi.forbidden(),
+      }),
+      description: Joi.string().trim().max(500).optional().allow(''),
+    })).max(50).unique('key').optional(),
+    isActive: Joi.boolean().optional(),
+  }).min(1),
+
+  // Create approval workflow
+  createWorkflow: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    description: Joi.string().trim().max(1000).optional().allow(''),
+    stepOrder: Joi.string().valid('sequential', 'parallel').optional(),
+    steps: Joi.array().items(workflowStep).min(1).max(20).required(),
+    appliesTo: workflowAppliesTo.optional(),
+    isActive: Joi.boolean().optional(),
+  }),
+
+  // Update approval workflow (runs already started keep their steps)
+  updateWorkflow: Joi.object({
+    name: Joi.string().trim().min(1).max(100).optional(),
+    description: Joi.string().trim().max(1000).optional().allow(''),
+    stepOrder: Joi.string().valid('sequential', 'parallel').optional(),
+    steps: Joi.array().items(workflowStep).min(1).max(20).optional(),
+    appliesTo: workflowAppliesTo.optional(),
+    isActive: Joi.boolean().optional(),
+  }).min(1),
+
+  // Start an approval workflow on a document
+  startWorkflow: Joi.object({
+    workflowId: Joi.string().hex().length(24).required(),
+  }),
+
+  // Approve, reject or request changes on a review step
+  workflowDecision: Joi.object({
+    comment: Joi.string().trim().max(1000).optional().allow(''),
+  }),
+
+  // Create retention policy
+  createRetentionPolicy: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    description: Joi.string().trim().max(1000).optional().allow(''),
+    documentType: Joi.string().valid('General', 'Contract', 'Legal', 'Academic', 'Financial', 'Personal', 'Other').optional(),
+    category: Joi.string().trim().max(100).optional(),
+    retentionPeriod: Joi.number().integer().min(1).max(1000).required(),
+    retentionUnit: Joi.string().valid('days', 'months', 'years').default('years'),
+    trigger: Joi.string().valid('created', 'modified').default('created'),
+    isActive: Joi.boolean().optional(),
+  }),
+
+  // Update retention policy (null clears the type or category criterion)
+  updateRetentionPolicy: Joi.object({
+    name: Joi.string().trim().min(1).max(100).optional(),
+    description: Joi.string().trim().max(1000).optional().allow(''),
+    documentType: Joi.string().valid('General', 'Contract', 'Legal', 'Academic', 'Financial', 'Personal', 'Other').optional().allow(null),
+    category: Joi.string().trim().max(100).optional().allow(null),
+    retentionPeriod: Joi.number().integer().min(1).max(1000).optional(),
+    retentionUnit: Joi.string().valid('days', 'months', 'years').optional(),
+    trigger: Joi.string().valid('created', 'modified').optional(),
+    isActive: Joi.boolean().optional(),
+  }).min(1),
+
+  // Place legal hold
+  createLegalHold: Joi.object({
+    name: Joi.string().trim().min(1).max(200).required(),
+    reason: Joi.string().trim().max(2000).optional().allow(''),
+    documentIds: Joi.array().items(Joi.string().hex().length(24)).max(5000).optional(),
+    folderIds: Joi.array().items(Joi.string().hex().length(24)).max(500).optional(),
+  }).or('documentIds', 'folderIds'),
+
+  // Update legal hold
+  updateLegalHold: Joi.object({
+    name: Joi.string().trim().min(1).max(200).optional(),
+    reason: Joi.string().trim().max(2000).optional().allow(''),
+    documentIds: Joi.array().items(Joi.string().hex().length(24)).max(5000).optional(),
+    folderIds: Joi.array().items(Joi.string().hex().length(24)).max(500).optional(),
+  }).min(1),
+
+  // Review disposal list items
+  updateDisposalItems: Joi.object({
+    documentIds: Joi.array().items(Joi.string().hex().length(24)).min(1).required(),
+    decision: Joi.string().valid('dispose', 'retain').required(),
+  }),
+
+  // Approve or reject disposal list
+  reviewDisposalList: Joi.object({
+    note: Joi.string().trim().max(1000).optional(),
+  }),
+
   // Add comment
   addComment: Joi.object({
     text: Joi.string().trim().min(1).max(1000).required(),
@@ -128,7 +489,125 @@ const validate = (schema) => {
   };
 };
 
+/**
+ * Joi schema for the custom field values of a document type
+ */
+const customFieldsSchema = (documentType) => {
+  const keys = {};
+
+  for (const field of documentType.fields) {
+    let rule;
+    switch (field.type) {
+      case 'number':
+        rule = Joi.number();
+        break;
+      case 'date':
+        rule = Joi.date().iso();
+        break;
+      case 'enum':
+        rule = Joi.string().valid(...field.options);
+        break;
+      case 'user':
+        rule = Joi.string().hex().length(24);
+        break;
+      default:
+        rule = Joi.string().trim().max(1000);
+    }
+
+    if (field.multiple) {
+      rule = Joi.array().items(rule).max(100);
+      if (field.required) rule = rule.min(1);
+    }
+
+    keys[field.key] = (field.required ? rule.required() : rule.optional()).label(field.label);
+  }
+
+  return Joi.object(keys);
+};
+
+/**
+ * Validate custom field values against the tenant's document type
+ *
+ * Runs after validate('uploadDocument') or validate('updateDocument'). On
+ * update, values are merged into the document's current ones (null clears a
+ * field) unless the type changes. The converted values are left in
+ * req.customFields for the controller; requests that touch neither the type
+ * nor its fields pass through unchanged.
+ */
+const validateCustomFields = async (req, res, next) => {
+  try {
+    let { documentTypeId, customFields } = req.body;
+
+    if (typeof customFields === 'string') {
+      try {
+        customFields = JSON.parse(customFields);
+      } catch (error) {
+        return next(new AppError('customFields must be a JSON object', 400));
+      }
+    }
+
+    if (documentTypeId === undefined && customFields === undefined) return next();
+
+    // Existing document on update
+    let document = null;
+    if (req.params.id) {
+      document = await Document.findOne({ _id: req.params.id, tenantId: req.user.tenantId })
+        .select('documentType customFields');
+      if (!document) {
+        return next(new AppError('Document not found', 404));
+      }
+    }
+
+    const typeChanged = documentTypeId !== undefined
+      && String(documentTypeId || '') !== String((document && document.documentType) || '');
+    const typeId = documentTypeId !== undefined ? documentTypeId : document && document.documentType;
+
+    if (!typeId) {
+      if (customFields && Object.keys(customFields).length > 0) {
+        return next(new AppError('Custom fields require a document type', 400));
+      }
+      req.customFields = { documentType: null, values: {} };
+      return next();
+    }
+
+    const documentType = await DocumentType.findOne({ _id: typeId, tenantId: req.user.tenantId });
+    if (!documentType || (typeChanged && !documentType.isActive)) {
+      return next(new AppError('Document type not found', 404));
+    }
+
+    const merged = { ...(document && !typeChanged ? document.customFields : {}), ...(customFields || {}) };
+    Object.keys(merged).forEach((key) => {
+      if (merged[key] === null || merged[key] === '') delete merged[key];
+    });
+
+    const { error, value } = customFieldsSchema(documentType).validate(merged, { abortEarly: false });
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: ['customFields', ...detail.path].join('.'),
+        message: detail.message,
+      }));
+      return next(new AppError('Validation failed', 400, errors));
+    }
+
+    // User references must point at members of the tenant
+    const userIds = documentType.fields
+      .filter(field => field.type === 'user' && value[field.key] !== undefined)
+      .flatMap(field => [].concat(value[field.key]));
+    const uniqueIds = [...new Set(userIds)];
+    if (uniqueIds.length > 0
+      && await User.countDocuments({ _id: { $in: uniqueIds }, tenantId: req.user.tenantId }) !== uniqueIds.length) {
+      return next(new AppError('Custom fields refer to users outside your organization', 400));
+    }
+
+    req.customFields = { documentType, values: value };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   validate,
+  validateCustomFields,
   schemas,
 };
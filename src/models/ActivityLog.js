@@ -8,11 +8,10 @@ const activityLogSchema = new mongoose.Schema({
     index: true,
   },
   
-  // User who performed the action
+  // User who performed the action (absent for anonymous public share link visitors)
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
     index: true,
   },
   
@@ -31,20 +30,77 @@ const activityLogSchema = new mongoose.Schema({
       'document_download',
       'document_edit',
       'document_delete',
+      'document_restore',
+      'document_permanent_delete',
+      'trash_empty',
       'document_share',
       'document_unshare',
+      'document_share_group',
+      'document_unshare_group',
+      'document_invite',
+      'invitation_accept',
+      'invitation_revoke',
+      'share_link_create',
+      'share_link_revoke',
+      'share_link_access',
+      'document_version_upload',
+      'document_checkout',
+      'document_checkin',
+      'document_unlock',
+      'document_restore_version',
+      'folder_create',
+      'folder_rename',
+      'folder_move',
+      'folder_delete',
+      'folder_share_group',
+      'folder_unshare_group',
+      'group_create',
+      'group_update',
+      'group_delete',
+      'group_member_add',
+      'group_member_remove',
       'comment_add',
       'comment_edit',
       'comment_delete',
       'permission_change',
       'settings_change',
+      'integrity_check',
+      'key_rotation',
+      'document_type_create',
+      'document_type_update',
+      'document_type_delete',
+      'document_seal',
+      'seal_download',
+      'signature_request_create',
+      'signature_request_view',
+      'signature_sign',
+      'signature_decline',
+      'signature_request_cancel',
+      'signature_request_complete',
+      'workflow_create',
+      'workflow_update',
+      'workflow_delete',
+      'workflow_start',
+      'workflow_approve',
+      'workflow_reject',
+      'workflow_request_changes',
+      'workflow_resubmit',
+      'workflow_cancel',
+      'retention_policy_create',
+      'retention_policy_update',
+      'retention_policy_delete',
+      'legal_hold_create',
+      'legal_hold_update',
+      'legal_hold_release',
+      'disposition_approve',
+      'disposition_reject',
     ],
   },
   
   // Resource affected
   resourceType: {
     type: String,
-    enum: ['user', 'document', 'comment', 'tenant', 'system'],
+    enum: ['user', 'document', 'folder', 'group', 'comment', 'tenant', 'retention', 'system'],
   },
   resourceId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -75,6 +131,8 @@ const activityLogSchema = new mongoose.Schema({
 activityLogSchema.index({ tenantId: 1, createdAt: -1 });
 activityLogSchema.index({ tenantId: 1, user: 1, createdAt: -1 });
 activityLogSchema.index({ tenantId: 1, action: 1 });
+// Trace a leaked copy back to its download
+activityLogSchema.index({ 'details.watermarkId': 1 }, { sparse: true });
 
 // TTL index to auto-delete old logs (optional - 90 days)
 activityLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7776000 });
@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const disposalListSchema = new mongoose.Schema({
+  // Multi-tenant identifier
+  tenantId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+
+  // Run Information
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    default: 'scheduled',
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  status: {
+    type: String,
+    enum: ['pending_review', 'approved', 'rejected', 'completed', 'failed'],
+    default: 'pending_review',
+  },
+  error: String,
+
+  // Documents whose retention period ended (capped; see itemsTruncated)
+  items: [{
+    _id: false,
+    document: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Document',
+      required: true,
+    },
+    // Snapshot of the record, kept after the document itself is gone
+    title: String,
+    originalName: String,
+    type: { type: String },
+    category: String,
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    fileSize: Number,
+    checksum: String,
+    version: Number,
+    documentCreatedAt: Date,
+    policy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RetentionPolicy',
+    },
+    policyName: String,
+    retentionEndsAt: Date,
+
+    // Reviewer decision and outcome
+    decision: {
+      type: String,
+      enum: ['dispose', 'retain'],
+      default: 'dispose',
+    },
+    result: {
+      type: String,
+      enum: ['pending', 'disposed', 'retained', 'skipped'],
+      default: 'pending',
+    },
+    reason: String,
+    disposedAt: Date,
+  }],
+  itemsTruncated: {
+    type: Boolean,
+    default: false,
+  },
+
+  // Review
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  reviewedAt: Date,
+  reviewNote: String,
+  completedAt: Date,
+
+  // Audit certificate (issued once disposal completes)
+  certificate: {
+    issuedAt: Date,
+    digest: String,
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Indexes
+disposalListSchema.index({ tenantId: 1, createdAt: -1 });
+disposalListSchema.index({ tenantId: 1, status: 1, 'items.document': 1 });
+
+// Item counts by outcome
+disposalListSchema.virtual('summary').get(function() {
+  const summary = { total: 0, dispose: 0, retain: 0, disposed: 0, retained: 0, skipped: 0 };
+  for (const item of this.items || []) {
+    summary.total += 1;
+    summary[item.decision] += 1;
+    if (item.result !== 'pending') summary[item.result] += 1;
+  }
+  return summary;
+});
+
+// Content of the audit certificate, in a fixed order so its digest can be recomputed
+disposalListSchema.methods.certificateContent = function() {
+  const idOf = value => (value && value._id ? value._id : value);
+
+  return {
+    certificate: this._id.toString(),
+    tenantId: this.tenantId,
+    issuedAt: this.certificate.issuedAt.toISOString(),
+    reviewedBy: this.reviewedBy ? idOf(this.reviewedBy).toString() : null,
+    reviewedAt: this.reviewedAt ? this.reviewedAt.toISOString() : null,
+    completedAt: this.completedAt ? this.completedAt.toISOString() : null,
+    items: this.items.map(item => ({
+      document: item.document.toString(),
+      title: item.title,
+      originalName: item.originalName,
+      type: item.type,
+      category: item.category,
+      version: item.version,
+      fileSize: item.fileSize,
+      checksum: item.checksum,
+      documentCreatedAt: item.documentCreatedAt ? item.documentCreatedAt.toISOString() : null,
+      policy: item.policyName,
+      retentionEndsAt: item.retentionEndsAt ? item.retentionEndsAt.toISOString() : null,
+      result: item.result,
+      reason: item.reason || null,
+      disposedAt: item.disposedAt ? item.disposedAt.toISOString() : null,
+    })),
+  };
+};
+
+// SHA-256 of the certificate content
+disposalListSchema.methods.certificateDigest = function() {
+  return crypto.createHash('sha256').update(JSON.stringify(this.certificateContent())).digest('hex');
+};
+
+module.exports = mongoose.model('DisposalList', disposalListSchema);
@@ -1,4 +1,12 @@
 const mongoose = require('mongoose');
+const { highest, satisfies } = require('../utils/permissions');
+
+// Wrapped data key of one stored object (envelope encryption)
+const encryptionSchema = new mongoose.Schema({
+  wrappedKey: String,
+  masterKeyId: String,
+  keyVersion: Number,
+}, { _id: false });
 
 const documentSchema = new mongoose.Schema({
   // Multi-tenant identifier
@@ -33,6 +41,16 @@ const documentSchema = new mongoose.Schema({
     default: 'General',
   },
   
+  // Tenant-defined type and the values of its custom fields, keyed by field key
+  documentType: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DocumentType',
+  },
+  customFields: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  
   // File Information
   fileName: {
     type: String,
@@ -66,14 +84,39 @@ const documentSchema = new mongoose.Schema({
     required: true,
   },
   
+  // Content search (text of the current version lives in DocumentText)
+  textStatus: {
+    type: String,
+    enum: ['pending', 'indexed', 'unsupported', 'failed'],
+    default: 'pending',
+  },
+  
+  // Previews (thumbnail and web preview renditions of the current version)
+  previewStatus: {
+    type: String,
+    enum: ['pending', 'ready', 'unsupported', 'failed'],
+    default: 'pending',
+  },
+  renditions: [{
+    name: String,
+    version: Number,
+    storageKey: String,
+    mimeType: String,
+    width: Number,
+    height: Number,
+    fileSize: Number,
+    encryption: encryptionSchema,
+  }],
+  
   // Security
   encrypted: {
     type: Boolean,
     default: true,
   },
+  // 'AES-256-GCM' for envelope encryption; older files only have Wasabi's 'AES256'
   encryptionAlgorithm: {
     type: String,
-    default: 'AES256',
+    default: 'AES-256-GCM',
   },
   
   // Metadata
@@ -86,6 +129,26 @@ const documentSchema = new mongoose.Schema({
     default: 'Uncategorized',
   },
   
+  // Key dates (contract expiry and review), with the reminders already sent for them
+  expiresAt: Date,
+  reviewAt: Date,
+  remindersSent: [{
+    _id: false,
+    kind: {
+      type: String,
+      enum: ['expiry', 'review'],
+    },
+    dueAt: Date,
+    leadDays: Number,
+    sentAt: Date,
+  }],
+
+  // Stamp the downloader's identity on downloads, whatever the tenant setting
+  watermarkDownloads: {
+    type: Boolean,
+    default: false,
+  },
+  
   // Version Control
   version: {
     type: Number,
@@ -101,6 +164,10 @@ const documentSchema = new mongoose.Schema({
     updatedAt: Date,
     changes: String,
     fileSize: Number,
+    checksum: String,
+    mimeType: String,
+    originalName: String,
+    encryption: encryptionSchema,
   }],
   
   // Sharing and Permissions
@@ -127,6 +194,36 @@ const documentSchema = new mongoose.Schema({
       ref: 'User',
     },
   }],
+  sharedGroups: [{
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Group',
+    },
+    permission: {
+      type: String,
+      enum: ['view', 'edit', 'admin'],
+      default: 'view',
+    },
+    sharedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    sharedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  }],
+  
+  // Check-out lock (only the holder may edit or add versions until it expires)
+  lock: {
+    holder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    lockedAt: Date,
+    expiresAt: Date,
+    note: String,
+  },
   
   // Status
   status: {
@@ -135,7 +232,19 @@ const documentSchema = new mongoose.Schema({
     default: 'active',
   },
   
+  // Approval state from the document's latest workflow run ('none' if never reviewed)
+  approvalStatus: {
+    type: String,
+    enum: ['none', 'in_review', 'changes_requested', 'approved', 'rejected'],
+    default: 'none',
+  },
+  
   // Folder/Organization
+  folderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+    default: null,
+  },
   folder: {
     type: String,
     default: 'root',
@@ -173,9 +282,16 @@ documentSchema.index({ tenantId: 1, owner: 1 });
 documentSchema.index({ tenantId: 1, status: 1 });
 documentSchema.index({ tenantId: 1, isShared: 1 });
 documentSchema.index({ tenantId: 1, type: 1 });
+documentSchema.index({ tenantId: 1, approvalStatus: 1 });
 documentSchema.index({ tenantId: 1, createdAt: -1 });
 documentSchema.index({ tenantId: 1, tags: 1 });
+documentSchema.index({ tenantId: 1, folderId: 1 });
+documentSchema.index({ tenantId: 1, checksum: 1 });
 documentSchema.index({ 'sharedWith.user': 1 });
+documentSchema.index({ 'sharedGroups.group': 1 });
+documentSchema.index({ tenantId: 1, documentType: 1 });
+documentSchema.index({ tenantId: 1, expiresAt: 1 });
+documentSchema.index({ tenantId: 1, reviewAt: 1 });
 
 // Text search index
 documentSchema.index({ 
@@ -203,32 +319,139 @@ documentSchema.virtual('fileSizeFormatted').get(function() {
 });
 
 // Method to check if user has access
-documentSchema.methods.hasAccess = function(userId, requiredPermission = 'view') {
+//
+// `user` is the request user, whose `groupIds` and `folderPermissions` (set by
+// loadGroupAccess) grant access through groups and shared folders. A bare
+// user id only matches ownership and direct shares.
+documentSchema.methods.hasAccess = function(user, requiredPermission = 'view') {
+  const userId = (user._id || user).toString();
+
   // Owner has full access
-  if (this.owner.toString() === userId.toString()) {
+  if (this.owner.toString() === userId) {
     return true;
   }
-  
+
+  const granted = [];
+
   // Check shared permissions
-  const sharedEntry = this.sharedWith.find(
-    entry => entry.user.toString() === userId.toString()
+  const sharedEntry = this.sharedWith.find(entry => entry.user.toString() === userId);
+  if (sharedEntry) granted.push(sharedEntry.permission);
+
+  // Check group shares
+  const groupIds = (user.groupIds || []).map(id => id.toString());
+  for (const entry of this.sharedGroups || []) {
+    if (groupIds.includes(entry.group.toString())) granted.push(entry.permission);
+  }
+
+  // Check folders shared with the user's groups
+  if (this.folderId && user.folderPermissions) {
+    const folderPermission = user.folderPermissions.get(this.folderId.toString());
+    if (folderPermission) granted.push(folderPermission);
+  }
+
+  return satisfies(highest(granted), requiredPermission);
+};
+
+// Share with a group, or change the permission of an existing group share
+documentSchema.methods.addGroupShare = function(groupId, permission, sharedBy) {
+  const existingShare = this.sharedGroups.find(
+    share => share.group.toString() === groupId.toString()
   );
-  
-  if (!sharedEntry) return false;
-  
-  if (requiredPermission === 'view') {
-    return ['view', 'edit', 'admin'].includes(sharedEntry.permission);
+
+  if (existingShare) {
+    existingShare.permission = permission;
+  } else {
+    this.sharedGroups.push({ group: groupId, permission, sharedBy });
   }
-  
-  if (requiredPermission === 'edit') {
-    return ['edit', 'admin'].includes(sharedEntry.permission);
+  this.isShared = true;
+};
+
+// Share with a user, or change the permission of an existing share
+documentSchema.methods.addShare = function(userId, permission, sharedBy) {
+  const existingShare = this.sharedWith.find(
+    share => share.user.toString() === userId.toString()
+  );
+
+  if (existingShare) {
+    existingShare.permission = permission;
+  } else {
+    this.sharedWith.push({ user: userId, permission, sharedBy });
   }
-  
-  if (requiredPermission === 'admin') {
-    return sharedEntry.permission === 'admin';
+  this.isShared = true;
+};
+
+// Build a query filter matching documents the user can see
+documentSchema.statics.accessFilter = function(user) {
+  if (user.role === 'Admin') return {};
+
+  const filters = [
+    { owner: user._id },
+    { 'sharedWith.user': user._id },
+  ];
+
+  if (user.groupIds && user.groupIds.length > 0) {
+    filters.push({ 'sharedGroups.group': { $in: user.groupIds } });
   }
-  
-  return false;
+  if (user.folderPermissions && user.folderPermissions.size > 0) {
+    const folderIds = [...user.folderPermissions.keys()].map(id => new mongoose.Types.ObjectId(id));
+    filters.push({ folderId: { $in: folderIds } });
+  }
+
+  return { $or: filters };
+};
+
+// Wrapped data key of one of the document's stored objects (null if stored unencrypted)
+documentSchema.methods.encryptionFor = function(storageKey) {
+  const entry = [...this.versionHistory, ...this.renditions].find(
+    e => e.storageKey === storageKey && e.encryption && e.encryption.wrappedKey
+  );
+  return entry ? entry.encryption : null;
+};
+
+// Current check-out lock (null if the document is not checked out or the lock expired)
+documentSchema.methods.activeLock = function() {
+  if (!this.lock || !this.lock.holder) return null;
+  if (this.lock.expiresAt && this.lock.expiresAt <= Date.now()) return null;
+  return this.lock;
+};
+
+// Check if someone other than the user holds the lock
+documentSchema.methods.isLockedFor = function(user) {
+  const lock = this.activeLock();
+  return Boolean(lock) && lock.holder.toString() !== (user._id || user).toString();
+};
+
+// Take or extend the lock, unless another user holds it (atomic; null if locked).
+// Extending keeps the original check-out time.
+documentSchema.statics.acquireLock = function(documentId, user, expiresAt, note) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      _id: documentId,
+      $or: [
+        { 'lock.holder': null },
+        { 'lock.expiresAt': { $lte: now } },
+        { 'lock.holder': user._id },
+      ],
+    },
+    [{
+      $set: {
+        lock: {
+          holder: user._id,
+          lockedAt: {
+            $cond: [
+              { $and: [{ $eq: ['$lock.holder', user._id] }, { $gt: ['$lock.expiresAt', now] }] },
+              '$lock.lockedAt',
+              now,
+            ],
+          },
+          expiresAt,
+          note: note || null,
+        },
+      },
+    }],
+    { new: true }
+  );
 };
 
 // Increment access count
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const documentTextSchema = new mongoose.Schema({
+  // Multi-tenant identifier
+  tenantId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+
+  // Document version the text was extracted from
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true,
+  },
+  version: {
+    type: Number,
+    required: true,
+  },
+
+  // Only the text of a document's current version is searched
+  current: {
+    type: Boolean,
+    default: true,
+  },
+
+  // Extracted content
+  content: {
+    type: String,
+    default: '',
+  },
+  truncated: {
+    type: Boolean,
+    default: false,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+documentTextSchema.index({ document: 1, version: 1 }, { unique: true });
+
+// Full-text search index over contents
+documentTextSchema.index(
+  { tenantId: 1, content: 'text' },
+  { name: 'content_text', default_language: 'english' }
+);
+
+module.exports = mongoose.model('DocumentText', documentTextSchema);
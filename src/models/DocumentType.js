@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+const FIELD_TYPES = ['text', 'number', 'date', 'enum', 'user'];
+
+const fieldSchema = new mongoose.Schema({
+  // Key the value is stored under in Document.customFields
+  key: {
+    type: String,
+    required: true,
+    match: /^[a-zA-Z][a-zA-Z0-9_]*$/,
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  type: {
+    type: String,
+    enum: FIELD_TYPES,
+    required: true,
+  },
+  required: {
+    type: Boolean,
+    default: false,
+  },
+  // Holds a list of values (e.g. the parties of a contract)
+  multiple: {
+    type: Boolean,
+    default: false,
+  },
+  // Allowed values of enum fields
+  options: [{
+    type: String,
+    trim: true,
+  }],
+  description: String,
+}, { _id: false });
+
+const documentTypeSchema = new mongoose.Schema({
+  // Multi-tenant identifier
+  tenantId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+
+  // Type Information
+  key: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z][a-z0-9-]*$/,
+  },
+  name: {
+    type: String,
+    required: [true, 'Document type name is required'],
+    trim: true,
+    maxlength: 100,
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  // Built-in type documents of this type get (retention policies match on it)
+  baseType: {
+    type: String,
+    enum: ['General', 'Contract', 'Legal', 'Academic', 'Financial', 'Personal', 'Other'],
+    default: 'General',
+  },
+
+  // Custom fields
+  fields: [fieldSchema],
+
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Indexes
+documentTypeSchema.index({ tenantId: 1, key: 1 }, { unique: true });
+
+// Find a field definition by key
+documentTypeSchema.methods.fieldFor = function(key) {
+  return this.fields.find(field => field.key === key) || null;
+};
+
+documentTypeSchema.statics.FIELD_TYPES = FIELD_TYPES;
+
+module.exports = mongoose.model('DocumentType', documentTypeSchema);
@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const { highest } = require('../utils/permissions');
+
+const folderSchema = new mongoose.Schema({
+  // Multi-tenant identifier
+  tenantId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+
+  // Folder Information
+  name: {
+    type: String,
+    required: [true, 'Folder name is required'],
+    trim: true,
+    maxlength: 255,
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+
+  // Owner
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+
+  // Hierarchy (null parent means the folder sits at the tenant root)
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+    default: null,
+  },
+  // Ordered list of ancestor ids, root first
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+  }],
+
+  // Groups the folder is shared with (covers its documents and subfolders)
+  sharedGroups: [{
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Group',
+    },
+    permission: {
+      type: String,
+      enum: ['view', 'edit', 'admin'],
+      default: 'view',
+    },
+    sharedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    sharedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  }],
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Indexes
+folderSchema.index({ tenantId: 1, parent: 1, name: 1 }, { unique: true });
+folderSchema.index({ tenantId: 1, ancestors: 1 });
+folderSchema.index({ 'sharedGroups.group': 1 });
+
+// Virtual for nesting depth
+folderSchema.virtual('depth').get(function() {
+  return this.ancestors ? this.ancestors.length : 0;
+});
+
+// Check if user can modify this folder (admin group shares included)
+folderSchema.methods.canModify = function(user) {
+  if (user.role === 'Admin' || this.owner.toString() === user._id.toString()) return true;
+  return Boolean(user.folderPermissions) && user.folderPermissions.get(this._id.toString()) === 'admin';
+};
+
+// Check if this folder is the given folder or one of its ancestors
+folderSchema.methods.isAncestorOf = function(folder) {
+  if (this._id.equals(folder._id)) return true;
+  return folder.ancestors.some(id => id.equals(this._id));
+};
+
+// Find a child folder by name, creating it if it does not exist yet
+folderSchema.statics.findOrCreateChild = function(tenantId, parent, name, owner) {
+  return this.findOneAndUpdate(
+    { tenantId, parent: parent ? parent._id : null, name },
+    {
+      $setOnInsert: {
+        owner,
+        ancestors: parent ? [...parent.ancestors, parent._id] : [],
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Permission granted by group shares on every folder they reach, as a map of
+// folder id to permission. Subfolders inherit the strongest share above them.
+folderSchema.statics.permissionsForGroups = async function(tenantId, groupIds) {
+  const permissions = new Map();
+  if (!groupIds || groupIds.length === 0) return permissions;
+
+  const ids = groupIds.map(id => id.toString());
+  const shared = await this.find({ tenantId, 'sharedGroups.group': { $in: groupIds } })
+    .select('sharedGroups')
+    .lean();
+  if (shared.length === 0) return permissions;
+
+  const sharedPermission = new Map(shared.map(folder => [
+    folder._id.toString(),
+    highest(folder.sharedGroups
+      .filter(entry => ids.includes(entry.group.toString()))
+      .map(entry => entry.permission)),
+  ]));
+
+  const reached = await this.find({
+    tenantId,
+    $or: [
+      { _id: { $in: shared.map(folder => folder._id) } },
+      { ancestors: { $in: shared.map(folder => folder._id) } },
+    ],
+  })
+    .select('ancestors')
+    .lean();
+
+  for (const folder of reached) {
+    const granted = [folder._id, ...folder.ancestors]
+      .map(id => sharedPermission.get(id.toString()))
+      .filter(Boolean);
+    permissions.set(folder._id.toString(), highest(granted));
+  }
+
+  return permissions;
+};
+
+module.exports = mongoose.model('Folder', folderSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const groupSchema = new mongoose.Schema({
+  // Multi-tenant identifier
+  tenantId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+
+  // Group Information
+  name: {
+    type: String,
+    required: [true, 'Group name is required'],
+    trim: true,
+    maxlength: 100,
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+
+  // Owner (manages the group along with tenant admins)
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+
+  // Members
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  }],
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Indexes
+groupSchema.index({ tenantId: 1, name: 1 }, { unique: true });
+groupSchema.index({ tenantId: 1, members: 1 });
+
+// Virtual for member count
+groupSchema.virtual('memberCount').get(function() {
+  return this.members ? this.members.length : 0;
+});
+
+// Check if user can manage this group and its members
+groupSchema.methods.canManage = function(user) {
+  return user.role === 'Admin' || this.owner.toString() === user._id.toString();
+};
+
+// Ids of the groups a user belongs to
+groupSchema.statics.idsForUser = function(user) {
+  return this.find({ tenantId: user.tenantId, members: user._id }).distinct('_id');
+};
+
+module.exports = mongoose.model('Group', groupSchema);
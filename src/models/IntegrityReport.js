@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const integrityReportSchema = new mongoose.Schema({
+  // Multi-tenant identifier
+  tenantId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+
+  // Run Information
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    default: 'scheduled',
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running',
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  completedAt: Date,
+  error: String,
+
+  // Totals
+  summary: {
+    documents: { type: Number, default: 0 },
+    objectsChecked: { type: Number, default: 0 },
+    verified: { type: Number, default: 0 },
+    missing: { type: Number, default: 0 },
+    mismatched: { type: Number, default: 0 },
+    orphaned: { type: Number, default: 0 },
+    unreadable: { type: Number, default: 0 },
+    // Objects without a stored checksum to compare against
+    skipped: { type: Number, default: 0 },
+  },
+
+  // Problems found (capped; see issuesTruncated)
+  issues: [{
+    _id: false,
+    type: {
+      type: String,
+      enum: ['missing', 'mismatched', 'orphaned', 'unreadable'],
+      required: true,
+    },
+    storageKey: String,
+    document: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Document',
+    },
+    version: Number,
+    expectedChecksum: String,
+    actualChecksum: String,
+    size: Number,
+    lastModified: Date,
+    message: String,
+  }],
+  issuesTruncated: {
+    type: Boolean,
+    default: false,
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Indexes
+integrityReportSchema.index({ tenantId: 1, startedAt: -1 });
+
+// Virtual for whether every object checked out
+integrityReportSchema.virtual('passed').get(function() {
+  const { missing, mismatched, orphaned, unreadable } = this.summary;
+  return this.status === 'completed' && missing + mismatched + orphaned + unreadable === 0;
+});
+
+module.exports = mongoose.model('IntegrityReport', integrityReportSchema);
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const invitationSchema = new mongoose.Schema({
+  // Multi-tenant identifier
+  tenantId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+
+  // Invited address (not a member of the tenant when invited)
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+  },
+
+  // Document shared with the recipient once they accept
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true,
+  },
+  permission: {
+    type: String,
+    enum: ['view', 'edit', 'admin'],
+    default: 'view',
+  },
+  message: {
+    type: String,
+    trim: true,
+  },
+
+  // SHA-256 of the invitation token (the token itself is only emailed)
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+
+  // Status
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending',
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  acceptedAt: Date,
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+
+  // Share link issued for viewing as a guest (revoked with the invitation)
+  guestLink: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ShareLink',
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.tokenHash;
+      return ret;
+    },
+  },
+  toObject: { virtuals: true },
+});
+
+// Indexes
+invitationSchema.index({ tenantId: 1, status: 1, createdAt: -1 });
+invitationSchema.index({ tenantId: 1, document: 1, email: 1, status: 1 });
+
+// Hash an invitation token for lookup
+invitationSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Check whether the invitation can still be used
+invitationSchema.virtual('isExpired').get(function() {
+  return this.expiresAt < Date.now();
+});
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+const legalHoldSchema = new mongoose.Schema({
+  // Multi-tenant identifier
+  tenantId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+
+  // Hold Information
+  name: {
+    type: String,
+    required: [true, 'Hold name is required'],
+    trim: true,
+    maxlength: 200,
+  },
+  // Matter or case the hold preserves records for
+  reason: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+
+  // Held documents, and folders whose documents (subfolders included) are held
+  documents: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+  }],
+  folders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+  }],
+
+  // Status
+  status: {
+    type: String,
+    enum: ['active', 'released'],
+    default: 'active',
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  releasedAt: Date,
+  releasedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Indexes
+legalHoldSchema.index({ tenantId: 1, status: 1 });
+
+// Everything the tenant's active holds cover: held document ids, and the held
+// folders with all of their subfolders
+legalHoldSchema.statics.heldScope = async function(tenantId) {
+  const holds = await this.find({ tenantId, status: 'active' }).select('documents folders').lean();
+
+  const documentIds = holds.flatMap(hold => hold.documents);
+  const heldFolders = holds.flatMap(hold => hold.folders);
+
+  const folderIds = heldFolders.length > 0
+    ? await mongoose.model('Folder').find({
+      tenantId,
+      $or: [{ _id: { $in: heldFolders } }, { ancestors: { $in: heldFolders } }],
+    }).distinct('_id')
+    : [];
+
+  return { documentIds, folderIds };
+};
+
+// Query conditions matching held documents
+legalHoldSchema.statics.heldFilter = async function(tenantId) {
+  const { documentIds, folderIds } = await this.heldScope(tenantId);
+  return {
+    $or: [
+      { _id: { $in: documentIds } },
+      { folderId: { $in: folderIds } },
+    ],
+  };
+};
+
+// Check if a held scope (see heldScope) covers a document
+legalHoldSchema.statics.covers = function(scope, document) {
+  if (scope.documentIds.some(id => id.equals(document._id))) return true;
+  return Boolean(document.folderId) && scope.folderIds.some(id => id.equals(document.folderId));
+};
+
+// Query conditions excluding held documents
+legalHoldSchema.statics.exclusionFilter = async function(tenantId) {
+  const { documentIds, folderIds } = await this.heldScope(tenantId);
+  return {
+    _id: { $nin: documentIds },
+    folderId: { $nin: folderIds },
+  };
+};
+
+// Active holds covering a document
+legalHoldSchema.statics.holdsFor = async function(document) {
+  const folderIds = [];
+  if (document.folderId) {
+    const folder = await mongoose.model('Folder').findById(document.folderId).select('ancestors');
+    if (folder) folderIds.push(folder._id, ...folder.ancestors);
+  }
+
+  return this.find({
+    tenantId: document.tenantId,
+    status: 'active',
+    $or: [{ documents: document._id }, { folders: { $in: folderIds } }],
+  }).select('name reason');
+};
+
+module.exports = mongoose.model('LegalHold', legalHoldSchema);
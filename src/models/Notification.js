@@ -19,7 +19,7 @@ const notificationSchema = new mongoose.Schema({
   // Notification details
   type: {
     type: String,
-    enum: ['document_shared', 'comment_added', 'document_uploaded', 'mention', 'system', 'security', 'support_response', 'message_received'],
+    enum: ['document_shared', 'comment_added', 'document_uploaded', 'mention', 'system', 'security', 'support_response', 'message_received', 'document_unlocked', 'document_expiring', 'document_review_due', 'signature_requested', 'signature_completed', 'signature_declined', 'approval_requested', 'approval_overdue', 'approval_decided'],
     required: true,
   },
   title: {
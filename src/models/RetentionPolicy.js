@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const UNIT_DAYS = { days: 1, months: 30, years: 365 };
+
+const retentionPolicySchema = new mongoose.Schema({
+  // Multi-tenant identifier
+  tenantId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+
+  // Policy Information
+  name: {
+    type: String,
+    required: [true, 'Policy name is required'],
+    trim: true,
+    maxlength: 100,
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+
+  // Documents covered (a policy without criteria covers every document)
+  documentType: {
+    type: String,
+    enum: ['General', 'Contract', 'Legal', 'Academic', 'Financial', 'Personal', 'Other'],
+  },
+  category: {
+    type: String,
+    trim: true,
+  },
+
+  // How long to keep covered documents, counted from their creation or last change
+  retentionPeriod: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  retentionUnit: {
+    type: String,
+    enum: ['days', 'months', 'years'],
+    default: 'years',
+  },
+  trigger: {
+    type: String,
+    enum: ['created', 'modified'],
+    default: 'created',
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Indexes
+retentionPolicySchema.index({ tenantId: 1, name: 1 }, { unique: true });
+
+// Check if the policy covers a document
+retentionPolicySchema.methods.appliesTo = function(document) {
+  if (this.documentType && this.documentType !== document.type) return false;
+  if (this.category && this.category !== document.category) return false;
+  return true;
+};
+
+// Date a covered document's retention period ends
+retentionPolicySchema.methods.retentionEndsAt = function(document) {
+  const start = new Date(this.trigger === 'modified' ? document.updatedAt : document.createdAt);
+  const end = new Date(start);
+
+  if (this.retentionUnit === 'years') {
+    end.setUTCFullYear(end.getUTCFullYear() + this.retentionPeriod);
+  } else if (this.retentionUnit === 'months') {
+    end.setUTCMonth(end.getUTCMonth() + this.retentionPeriod);
+  } else {
+    end.setUTCDate(end.getUTCDate() + this.retentionPeriod);
+  }
+
+  return end;
+};
+
+// Approximate retention in days, for comparing policies
+retentionPolicySchema.virtual('retentionDays').get(function() {
+  return this.retentionPeriod * UNIT_DAYS[this.retentionUnit];
+});
+
+module.exports = mongoose.model('RetentionPolicy', retentionPolicySchema);
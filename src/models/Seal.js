@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// previousHash of the first seal of a tenant
+const GENESIS_HASH = '0'.repeat(64);
+
+// Wrapped data key of the stamped copy (envelope encryption)
+const encryptionSchema = new mongoose.Schema({
+  wrappedKey: String,
+  masterKeyId: String,
+  keyVersion: Number,
+}, { _id: false });
+
+const sealSchema = new mongoose.Schema({
+  // Multi-tenant identifier
+  tenantId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+
+  // Position in the tenant's chain of seals (1 for the first)
+  sequence: {
+    type: Number,
+    required: true,
+  },
+
+  // Public code of the verification page the QR code points to
+  verificationCode: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+
+  // Sealed document version (snapshot, so the seal outlives the document)
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true,
+    index: true,
+  },
+  title: String,
+  version: {
+    type: Number,
+    required: true,
+  },
+  originalName: String,
+  mimeType: String,
+  fileSize: Number,
+  // SHA-256 of the sealed file as archived
+  checksum: {
+    type: String,
+    required: true,
+  },
+
+  // Notary
+  notary: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  notaryName: {
+    type: String,
+    required: true,
+  },
+  statement: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: '',
+  },
+  sealedAt: {
+    type: Date,
+    required: true,
+  },
+
+  // Stamped copy with the QR code (removed when the document is purged)
+  stamped: {
+    storageKey: String,
+    mimeType: String,
+    fileSize: Number,
+    checksum: String,
+    encryption: encryptionSchema,
+  },
+
+  // Hash chain: this seal's hash covers its content and the previous seal's hash
+  previousHash: {
+    type: String,
+    required: true,
+  },
+  hash: {
+    type: String,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+sealSchema.index({ tenantId: 1, sequence: 1 }, { unique: true });
+sealSchema.index({ tenantId: 1, notary: 1, sealedAt: -1 });
+
+// Content covered by the seal hash, in a fixed order so it can be recomputed
+sealSchema.methods.hashContent = function() {
+  return {
+    tenantId: this.tenantId,
+    sequence: this.sequence,
+    verificationCode: this.verificationCode,
+    document: this.document.toString(),
+    version: this.version,
+    originalName: this.originalName,
+    checksum: this.checksum,
+    stampedChecksum: this.stamped ? this.stamped.checksum || null : null,
+    notary: this.notary.toString(),
+    notaryName: this.notaryName,
+    statement: this.statement,
+    sealedAt: this.sealedAt.toISOString(),
+    previousHash: this.previousHash,
+  };
+};
+
+// SHA-256 over the seal content and the previous seal's hash
+sealSchema.methods.computeHash = function() {
+  return crypto.createHash('sha256').update(JSON.stringify(this.hashContent())).digest('hex');
+};
+
+// Check that the seal is unaltered and still linked to the seal before it
+sealSchema.methods.verifyChain = async function() {
+  const intact = this.computeHash() === this.hash;
+
+  let linked = this.previousHash === GENESIS_HASH && this.sequence === 1;
+  if (this.sequence > 1) {
+    const previous = await this.constructor.findOne({ tenantId: this.tenantId, sequence: this.sequence - 1 })
+      .select('hash');
+    linked = Boolean(previous) && previous.hash === this.previousHash;
+  }
+
+  return { intact, linked, valid: intact && linked };
+};
+
+// Random code for the public verification page
+sealSchema.statics.generateCode = function() {
+  return crypto.randomBytes(16).toString('hex');
+};
+
+// Public verification page of a seal
+sealSchema.statics.urlFor = function(verificationCode) {
+  return `${process.env.FRONTEND_URL}/verify/${verificationCode}`;
+};
+
+// Latest seal of a tenant's chain (null before the first)
+sealSchema.statics.lastOf = function(tenantId) {
+  return this.findOne({ tenantId }).sort('-sequence').select('sequence hash');
+};
+
+sealSchema.statics.GENESIS_HASH = GENESIS_HASH;
+
+module.exports = mongoose.model('Seal', sealSchema);
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+const shareLinkSchema = new mongoose.Schema({
+  // Multi-tenant identifier
+  tenantId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+
+  // Shared document
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true,
+    index: true,
+  },
+
+  // SHA-256 of the link token (the token itself is only returned on creation)
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+
+  // What the recipient may do: view previews only, or also download the file
+  permission: {
+    type: String,
+    enum: ['view', 'download'],
+    default: 'view',
+  },
+
+  // Optional restrictions
+  password: {
+    type: String,
+    select: false,
+  },
+  expiresAt: Date,
+  maxDownloads: {
+    type: Number,
+    min: 1,
+  },
+
+  // Usage
+  downloadCount: {
+    type: Number,
+    default: 0,
+  },
+  viewCount: {
+    type: Number,
+    default: 0,
+  },
+  lastAccessedAt: Date,
+
+  // Creator
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+
+  // Revocation
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.tokenHash;
+      delete ret.password;
+      return ret;
+    },
+  },
+  toObject: { virtuals: true },
+});
+
+// Indexes
+shareLinkSchema.index({ tenantId: 1, document: 1, createdAt: -1 });
+
+// Hash a link token for lookup
+shareLinkSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Create a link with a new random token (returned once, never stored)
+shareLinkSchema.statics.generate = async function(data) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const link = await this.create({ ...data, tokenHash: this.hashToken(token) });
+  return { link, token };
+};
+
+// Public URL a link's token resolves at (served by the frontend)
+shareLinkSchema.statics.urlFor = function(token) {
+  return `${process.env.FRONTEND_URL}/share/${token}`;
+};
+
+// Hash password before saving
+shareLinkSchema.pre('save', async function(next) {
+  if (!this.isModified('password') || !this.password) return next();
+
+  const rounds = process.env.NODE_ENV === 'development' ? 4 : parseInt(process.env.BCRYPT_ROUNDS) || 10;
+  this.password = await bcrypt.hash(this.password, rounds);
+  next();
+});
+
+// Whether the link is password protected (needs the password field selected)
+shareLinkSchema.virtual('hasPassword').get(function() {
+  return Boolean(this.password);
+});
+
+// Compare password method
+shareLinkSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return true;
+  if (!candidatePassword) return false;
+  return await bcrypt.compare(candidatePassword, this.password);
+};
+
+// Why the link can no longer be used (null if it is active)
+shareLinkSchema.methods.inactiveReason = function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt && this.expiresAt < Date.now()) return 'expired';
+  if (this.maxDownloads && this.downloadCount >= this.maxDownloads) return 'download_limit_reached';
+  return null;
+};
+
+// Link status for listings
+shareLinkSchema.virtual('status').get(function() {
+  return this.inactiveReason() || 'active';
+});
+
+module.exports = mongoose.model('ShareLink', shareLinkSchema);
@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+
+// One person asked to sign, in signing order
+const signerSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Snapshot for the audit trail
+  name: String,
+  email: String,
+  status: {
+    type: String,
+    enum: ['waiting', 'pending', 'signed', 'declined'],
+    default: 'waiting',
+  },
+  notifiedAt: Date,
+  signedAt: Date,
+  declinedAt: Date,
+  declineReason: String,
+
+  // Signature
+  signatureType: {
+    type: String,
+    enum: ['typed', 'drawn'],
+  },
+  typedName: String,
+  // PNG of the signature as placed on the signed PDF
+  signatureImage: {
+    type: Buffer,
+    select: false,
+  },
+  ipAddress: String,
+  userAgent: String,
+});
+
+// Signature images are only read to build the signed PDF
+signerSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.signatureImage;
+    return ret;
+  },
+});
+
+// Audit trail entry, appended to the signed PDF
+const eventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['created', 'notified', 'viewed', 'signed', 'declined', 'cancelled', 'completed', 'document_purged'],
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  name: String,
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+  ipAddress: String,
+  userAgent: String,
+  details: String,
+}, { _id: false });
+
+const signatureRequestSchema = new mongoose.Schema({
+  // Multi-tenant identifier
+  tenantId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+
+  // Document version to sign (checked again before every signature)
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true,
+    index: true,
+  },
+  title: String,
+  version: {
+    type: Number,
+    required: true,
+  },
+  checksum: {
+    type: String,
+    required: true,
+  },
+
+  // Request
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: '',
+  },
+  // sequential: one signer at a time, in order; parallel: everyone at once
+  signingOrder: {
+    type: String,
+    enum: ['sequential', 'parallel'],
+    default: 'sequential',
+  },
+  signers: {
+    type: [signerSchema],
+    validate: [signers => signers.length > 0, 'A signature request needs at least one signer'],
+  },
+
+  // Status (completing: everyone signed and the signed PDF is being stored;
+  // document_purged: the document was permanently deleted before the request ended)
+  status: {
+    type: String,
+    enum: ['pending', 'completing', 'completed', 'declined', 'cancelled', 'document_purged'],
+    default: 'pending',
+  },
+  completedAt: Date,
+  // Document version holding the signed PDF
+  signedVersion: Number,
+  signedChecksum: String,
+
+  events: [eventSchema],
+}, {
+  timestamps: true,
+  // Parallel signers save the same request; a stale copy must not overwrite a signature
+  optimisticConcurrency: true,
+});
+
+// Indexes
+signatureRequestSchema.index({ tenantId: 1, 'signers.user': 1, status: 1 });
+signatureRequestSchema.index({ tenantId: 1, requestedBy: 1, createdAt: -1 });
+
+// Signers who can sign now
+signatureRequestSchema.methods.currentSigners = function() {
+  if (this.status !== 'pending') return [];
+  return this.signers.filter(signer => signer.status === 'pending');
+};
+
+// When no one has a turn, give it to the next signer in order (or to every
+// signer in parallel); returns the signers to notify
+signatureRequestSchema.methods.activateSigners = function() {
+  if (this.status !== 'pending' || this.currentSigners().length > 0) return [];
+
+  const waiting = this.signers.filter(signer => signer.status === 'waiting');
+  const next = this.signingOrder === 'parallel' ? waiting : waiting.slice(0, 1);
+  for (const signer of next) {
+    signer.status = 'pending';
+    signer.notifiedAt = new Date();
+  }
+  return next;
+};
+
+// Whether everyone signed but the signed PDF is not stored yet (a failed
+// completion is retried from this state)
+signatureRequestSchema.methods.awaitsCompletion = function() {
+  return ['pending', 'completing'].includes(this.status)
+    && this.signers.every(signer => signer.status === 'signed');
+};
+
+// Signer entry of a user (null if they were not asked to sign)
+signatureRequestSchema.methods.signerFor = function(user) {
+  return this.signers.find(signer => signer.user.equals(user._id)) || null;
+};
+
+// Whether a user takes part in the request (requester or signer)
+signatureRequestSchema.methods.involves = function(user) {
+  return this.requestedBy.equals(user._id) || Boolean(this.signerFor(user));
+};
+
+// Record an audit trail event
+signatureRequestSchema.methods.addEvent = function(type, { user, req, details } = {}) {
+  this.events.push({
+    type,
+    user: user ? user._id : undefined,
+    name: user ? user.fullName || `${user.firstName} ${user.lastName}` : undefined,
+    at: new Date(),
+    ipAddress: req ? req.ip : undefined,
+    userAgent: req ? req.get('user-agent') : undefined,
+    details,
+  });
+};
+
+module.exports = mongoose.model('SignatureRequest', signatureRequestSchema);
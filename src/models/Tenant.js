@@ -44,6 +44,21 @@ const tenantSchema = new mongoose.Schema({
     allowedFileTypes: [{
       type: String,
     }],
+    trashRetentionDays: {
+      type: Number,
+      default: 30,
+      min: 1,
+    },
+    // Days before a document's expiry or review date that reminders go out
+    reminderLeadDays: [{
+      type: Number,
+      min: 0,
+    }],
+    // Stamp the downloader's identity on every downloaded PDF and image
+    watermarkDownloads: {
+      type: Boolean,
+      default: false,
+    },
     features: {
       twoFactorAuth: {
         type: Boolean,
@@ -118,6 +133,15 @@ const tenantSchema = new mongoose.Schema({
     default: 'active',
   },
   
+  // Envelope encryption (the tenant key is derived from the master key and this version)
+  encryption: {
+    keyVersion: {
+      type: Number,
+      default: 1,
+    },
+    rotatedAt: Date,
+  },
+  
   // Custom branding
   branding: {
     logo: String,
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+const uploadSessionSchema = new mongoose.Schema({
+  // Multi-tenant identifier
+  tenantId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+
+  // Uploader
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+
+  // File Information
+  originalName: {
+    type: String,
+    required: true,
+  },
+  mimeType: {
+    type: String,
+    required: true,
+  },
+  fileSize: {
+    type: Number,
+    required: true,
+  },
+  chunkSize: {
+    type: Number,
+    required: true,
+  },
+  totalChunks: {
+    type: Number,
+    required: true,
+  },
+
+  // Storage (S3 multipart upload)
+  storageKey: {
+    type: String,
+    required: true,
+  },
+  uploadId: {
+    type: String,
+    required: true,
+  },
+  parts: [{
+    _id: false,
+    number: Number,
+    etag: String,
+    size: Number,
+  }],
+  // Wrapped data key the parts are encrypted with
+  encryption: {
+    wrappedKey: String,
+    masterKeyId: String,
+    keyVersion: Number,
+  },
+
+  // Document metadata applied on completion
+  metadata: {
+    title: String,
+    description: String,
+    // Spelled out so mongoose does not read `type` as the type of `metadata` itself
+    type: { type: String },
+    category: String,
+    tags: [String],
+    folderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Folder',
+    },
+    expiresAt: Date,
+    reviewAt: Date,
+    // Validated against the type when the session starts
+    documentType: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DocumentType',
+    },
+    customFields: mongoose.Schema.Types.Mixed,
+  },
+
+  // Status (completing: a complete request is assembling the file)
+  status: {
+    type: String,
+    enum: ['pending', 'completing', 'completed', 'aborted'],
+    default: 'pending',
+  },
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+  },
+
+  // Sessions expire if not completed in time
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Indexes
+uploadSessionSchema.index({ tenantId: 1, owner: 1, status: 1 });
+
+// TTL index to drop stale session records (incomplete S3 uploads should be
+// cleaned up by the bucket's abort-incomplete-multipart lifecycle rule)
+uploadSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Bytes received contiguously from the start of the file
+uploadSessionSchema.virtual('offset').get(function() {
+  const received = new Set(this.parts.map(part => part.number));
+  let chunks = 0;
+  while (received.has(chunks + 1)) chunks += 1;
+
+  return Math.min(chunks * this.chunkSize, this.fileSize);
+});
+
+// First chunk number not yet received (null when every chunk is in)
+uploadSessionSchema.virtual('nextChunk').get(function() {
+  const received = new Set(this.parts.map(part => part.number));
+  for (let number = 1; number <= this.totalChunks; number++) {
+    if (!received.has(number)) return number;
+  }
+  return null;
+});
+
+// Expected byte length of a given chunk
+uploadSessionSchema.methods.expectedChunkSize = function(number) {
+  if (number < this.totalChunks) return this.chunkSize;
+  return this.fileSize - this.chunkSize * (this.totalChunks - 1);
+};
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
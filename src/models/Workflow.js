@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+// Roles a step can be assigned to (User.role)
+const ROLES = ['Student', 'Notary', 'Teacher', 'Lawyer', 'Professional', 'Admin'];
+
+// One review step; any one of its assignees decides it
+const stepSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Step name is required'],
+    trim: true,
+    maxlength: 100,
+  },
+  users: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  }],
+  roles: [{
+    type: String,
+    enum: ROLES,
+  }],
+  groups: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+  }],
+  // Days the assignees have to decide once the step starts
+  dueInDays: {
+    type: Number,
+    min: 0,
+    max: 365,
+    default: 3,
+  },
+}, { _id: false });
+
+const workflowSchema = new mongoose.Schema({
+  // Multi-tenant identifier
+  tenantId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+
+  // Workflow Information
+  name: {
+    type: String,
+    required: [true, 'Workflow name is required'],
+    trim: true,
+    maxlength: 100,
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+
+  // sequential: steps one after another; parallel: every step at once
+  stepOrder: {
+    type: String,
+    enum: ['sequential', 'parallel'],
+    default: 'sequential',
+  },
+  steps: {
+    type: [stepSchema],
+    validate: [steps => steps.length > 0, 'A workflow needs at least one step'],
+  },
+
+  // Uploads matching any of these start the workflow (none: started by hand only)
+  appliesTo: {
+    types: [{
+      type: String,
+      enum: ['General', 'Contract', 'Legal', 'Academic', 'Financial', 'Personal', 'Other'],
+    }],
+    categories: [{
+      type: String,
+      trim: true,
+    }],
+    documentTypes: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DocumentType',
+    }],
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+workflowSchema.index({ tenantId: 1, name: 1 }, { unique: true });
+
+// Whether uploading the document starts this workflow
+workflowSchema.methods.matches = function(document) {
+  const { types = [], categories = [], documentTypes = [] } = this.appliesTo || {};
+
+  return types.includes(document.type)
+    || categories.includes(document.category)
+    || Boolean(document.documentType && documentTypes.some(id => id.equals(document.documentType._id || document.documentType)));
+};
+
+workflowSchema.statics.ROLES = ROLES;
+
+module.exports = mongoose.model('Workflow', workflowSchema);
@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+
+// A step of a run, copied from the workflow when the run starts
+const runStepSchema = new mongoose.Schema({
+  name: String,
+  users: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  }],
+  roles: [String],
+  groups: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+  }],
+  dueInDays: Number,
+
+  status: {
+    type: String,
+    enum: ['waiting', 'active', 'approved', 'rejected', 'changes_requested'],
+    default: 'waiting',
+  },
+  startedAt: Date,
+  dueAt: Date,
+  // Set once the assignees have been told the step is overdue
+  overdueNotifiedAt: Date,
+
+  // Decision
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  decidedAt: Date,
+  comment: String,
+});
+
+// Everything that happened on the run, in order
+const historySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['started', 'approved', 'rejected', 'changes_requested', 'resubmitted', 'cancelled'],
+    required: true,
+  },
+  step: String,
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  comment: String,
+  version: Number,
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const workflowRunSchema = new mongoose.Schema({
+  // Multi-tenant identifier
+  tenantId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+
+  workflow: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workflow',
+    required: true,
+  },
+  workflowName: String,
+  stepOrder: {
+    type: String,
+    enum: ['sequential', 'parallel'],
+    default: 'sequential',
+  },
+
+  // Document and the version under review
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true,
+    index: true,
+  },
+  version: Number,
+
+  status: {
+    type: String,
+    enum: ['in_review', 'changes_requested', 'approved', 'rejected', 'cancelled'],
+    default: 'in_review',
+  },
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  completedAt: Date,
+
+  steps: [runStepSchema],
+  history: [historySchema],
+}, {
+  timestamps: true,
+  // Parallel steps are decided on the same run; a stale copy must not overwrite a decision
+  optimisticConcurrency: true,
+});
+
+// Indexes
+workflowRunSchema.index({ tenantId: 1, status: 1, 'steps.status': 1, 'steps.dueAt': 1 });
+workflowRunSchema.index({ document: 1, createdAt: -1 });
+
+// Whether a run still needs decisions
+workflowRunSchema.virtual('isOpen').get(function() {
+  return this.status === 'in_review' || this.status === 'changes_requested';
+});
+
+// Steps waiting for a decision now
+workflowRunSchema.methods.activeSteps = function() {
+  if (this.status !== 'in_review') return [];
+  return this.steps.filter(step => step.status === 'active');
+};
+
+// When no step is active, start the next one in order (or every step in
+// parallel); returns the steps whose assignees should be notified
+workflowRunSchema.methods.activateSteps = function() {
+  if (this.status !== 'in_review' || this.activeSteps().length > 0) return [];
+
+  const waiting = this.steps.filter(step => step.status === 'waiting');
+  const next = this.stepOrder === 'parallel' ? waiting : waiting.slice(0, 1);
+  const now = new Date();
+  for (const step of next) {
+    step.status = 'active';
+    step.startedAt = now;
+    step.dueAt = new Date(now.getTime() + (step.dueInDays || 0) * 24 * 60 * 60 * 1000);
+    step.overdueNotifiedAt = undefined;
+  }
+  return next;
+};
+
+// Whether a user is an assignee of a step (by name, role or group)
+workflowRunSchema.methods.isAssignee = function(step, user) {
+  const groupIds = (user.groupIds || []).map(String);
+
+  return step.users.some(id => id.equals(user._id))
+    || step.roles.includes(user.role)
+    || step.groups.some(id => groupIds.includes(id.toString()));
+};
+
+// Record an entry in the run's history
+workflowRunSchema.methods.record = function(action, { step, user, comment } = {}) {
+  this.history.push({
+    action,
+    step: step ? step.name : undefined,
+    user: user ? user._id : undefined,
+    comment,
+    version: this.version,
+    at: new Date(),
+  });
+};
+
+module.exports = mongoose.model('WorkflowRun', workflowRunSchema);
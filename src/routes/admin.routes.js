@@ -1,6 +1,7 @@
 const express = require('express');
 const adminController = require('../controllers/adminController');
 const { protect, restrictTo } = require('../middleware/auth');
+const { validate } = require('../middleware/validator');
 
 const router = express.Router();
 
@@ -22,6 +23,7 @@ router.delete('/users/:userId', adminController.deleteUser);
 
 // Tenant Management
 router.get('/tenants', adminController.getAllTenants);
+router.patch('/tenants/:tenantId/settings', validate('updateTenantSettings'), adminController.updateTenantSettings);
 
 // Activity Monitoring
 router.get('/activities', adminController.getActivityLogs);
@@ -29,4 +31,12 @@ router.get('/activities', adminController.getActivityLogs);
 // Document Management
 router.get('/documents', adminController.getAllDocuments);
 
+// Storage Integrity
+router.post('/integrity/verify', validate('startIntegrityCheck'), adminController.startIntegrityCheck);
+router.get('/integrity/reports', adminController.getIntegrityReports);
+router.get('/integrity/reports/:reportId', adminController.getIntegrityReport);
+
+// Encryption
+router.post('/encryption/rotate', validate('startKeyRotation'), adminController.startKeyRotation);
+
 module.exports = router;
@@ -8,6 +8,7 @@ const router = express.Router();
 
 // Public routes with rate limiting
 router.post('/register', authLimiter, validate('register'), authController.register);
+router.post('/invitations/:token/register', authLimiter, validate('acceptInvitation'), authController.registerFromInvitation);
 router.post('/login', authLimiter, validate('login'), authController.login);
 router.post('/forgot-password', passwordResetLimiter, validate('forgotPassword'), authController.forgotPassword);
 router.patch('/reset-password/:token', passwordResetLimiter, validate('resetPassword'), authController.resetPassword);
@@ -1,40 +1,89 @@
 const express = require('express');
 const documentController = require('../controllers/documentController');
-const { protect, restrictTo } = require('../middleware/auth');
-const { upload } = require('../middleware/upload');
-const { validate } = require('../middleware/validator');
+const shareLinkController = require('../controllers/shareLinkController');
+const searchController = require('../controllers/searchController');
+const sealController = require('../controllers/sealController');
+const signatureController = require('../controllers/signatureController');
+const workflowController = require('../controllers/workflowController');
+const { protect, restrictTo, loadGroupAccess } = require('../middleware/auth');
+const { upload, uploadMultiple } = require('../middleware/upload');
+const { validate, validateCustomFields } = require('../middleware/validator');
 const { uploadLimiter } = require('../middleware/rateLimiter');
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(protect);
+router.use(loadGroupAccess);
 
 // Document routes
 router
   .route('/')
   .get(documentController.getAllDocuments)
-  .post(uploadLimiter, upload.single('file'), validate('uploadDocument'), documentController.uploadDocument);
+  .post(uploadLimiter, upload.single('file'), validate('uploadDocument'), validateCustomFields, documentController.uploadDocument);
 
+router.post('/batch', uploadLimiter, uploadMultiple, validate('batchUpload'), documentController.batchUpload);
+
+router.post('/bulk', validate('bulkDocuments'), documentController.bulkUpdateDocuments);
+
+router.get('/search', searchController.searchDocuments);
+router.get('/expiring', documentController.getExpiringDocuments);
 router.get('/statistics', documentController.getStatistics);
 router.get('/dashboard-stats', documentController.getDashboardStats);
 
 router
   .route('/:id')
   .get(documentController.getDocument)
-  .patch(validate('updateDocument'), documentController.updateDocument)
+  .patch(validate('updateDocument'), validateCustomFields, documentController.updateDocument)
   .delete(documentController.deleteDocument);
 
 router.delete('/:id/permanent', restrictTo('admin'), documentController.permanentDeleteDocument);
 
 router.get('/:id/download', documentController.downloadDocument);
+router.get('/:id/preview', documentController.getPreview);
+router.get('/:id/retention', documentController.getRetention);
+
+// Check-out routes
+router.post('/:id/checkout', validate('checkOutDocument'), documentController.checkOutDocument);
+router.post('/:id/checkin', upload.single('file'), validate('uploadVersion'), documentController.checkInDocument);
+router.delete('/:id/lock', restrictTo('Admin'), documentController.forceUnlockDocument);
 
 // Sharing routes
 router.post('/:id/share', validate('shareDocument'), documentController.shareDocument);
 router.delete('/:id/share/:userId', documentController.unshareDocument);
+router.post('/:id/groups', validate('shareWithGroup'), documentController.shareDocumentWithGroup);
+router.delete('/:id/groups/:groupId', documentController.unshareDocumentWithGroup);
+
+// Public share links
+router
+  .route('/:id/links')
+  .get(shareLinkController.getShareLinks)
+  .post(validate('createShareLink'), shareLinkController.createShareLink);
+router.delete('/:id/links/:linkId', shareLinkController.revokeShareLink);
+
+// Notarial seals
+router
+  .route('/:id/seals')
+  .get(sealController.getDocumentSeals)
+  .post(restrictTo('Notary'), validate('createSeal'), sealController.createSeal);
+
+// Signature requests
+router
+  .route('/:id/signature-requests')
+  .get(signatureController.getDocumentSignatureRequests)
+  .post(validate('createSignatureRequest'), signatureController.createSignatureRequest);
+
+// Approval workflows
+router
+  .route('/:id/workflow')
+  .get(workflowController.getDocumentWorkflowRuns)
+  .post(validate('startWorkflow'), workflowController.startWorkflow);
 
 // Version routes
-router.get('/:id/versions', documentController.getVersions);
+router
+  .route('/:id/versions')
+  .get(documentController.getVersions)
+  .post(uploadLimiter, upload.single('file'), validate('uploadVersion'), documentController.uploadVersion);
 router.post('/:id/versions/:versionNumber/restore', documentController.restoreVersion);
 
 module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const documentTypeController = require('../controllers/documentTypeController');
+const { protect, restrictTo } = require('../middleware/auth');
+const { validate } = require('../middleware/validator');
+
+const router = express.Router();
+
+// All routes require authentication; managing types is for admins
+router.use(protect);
+
+router
+  .route('/')
+  .get(documentTypeController.getDocumentTypes)
+  .post(restrictTo('Admin'), validate('createDocumentType'), documentTypeController.createDocumentType);
+
+router
+  .route('/:id')
+  .get(documentTypeController.getDocumentType)
+  .patch(restrictTo('Admin'), validate('updateDocumentType'), documentTypeController.updateDocumentType)
+  .delete(restrictTo('Admin'), documentTypeController.deleteDocumentType);
+
+module.exports = router;
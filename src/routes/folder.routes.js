@@ -0,0 +1,32 @@
+const express = require('express');
+const folderController = require('../controllers/folderController');
+const { protect, loadGroupAccess } = require('../middleware/auth');
+const { validate } = require('../middleware/validator');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+router.use(loadGroupAccess);
+
+// Folder routes
+router
+  .route('/')
+  .get(folderController.getFolders)
+  .post(validate('createFolder'), folderController.createFolder);
+
+router
+  .route('/:id')
+  .get(folderController.getFolder)
+  .patch(validate('renameFolder'), folderController.renameFolder)
+  .delete(folderController.deleteFolder);
+
+router.post('/:id/move', validate('moveFolder'), folderController.moveFolder);
+router.get('/:id/contents', folderController.getFolderContents);
+router.get('/:id/breadcrumbs', folderController.getBreadcrumbs);
+
+// Group sharing routes
+router.post('/:id/groups', validate('shareWithGroup'), folderController.shareFolderWithGroup);
+router.delete('/:id/groups/:groupId', folderController.unshareFolderWithGroup);
+
+module.exports = router;
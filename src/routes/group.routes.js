@@ -0,0 +1,27 @@
+const express = require('express');
+const groupController = require('../controllers/groupController');
+const { protect } = require('../middleware/auth');
+const { validate } = require('../middleware/validator');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Group routes
+router
+  .route('/')
+  .get(groupController.getGroups)
+  .post(validate('createGroup'), groupController.createGroup);
+
+router
+  .route('/:id')
+  .get(groupController.getGroup)
+  .patch(validate('updateGroup'), groupController.updateGroup)
+  .delete(groupController.deleteGroup);
+
+// Membership routes
+router.post('/:id/members', validate('addGroupMembers'), groupController.addMembers);
+router.delete('/:id/members/:userId', groupController.removeMember);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const invitationController = require('../controllers/invitationController');
+const { protect, loadGroupAccess } = require('../middleware/auth');
+const { shareLinkLimiter } = require('../middleware/rateLimiter');
+
+const router = express.Router();
+
+// Public routes (the invitation token is the authorization; registering is under /auth)
+router.get('/:token', shareLinkLimiter, invitationController.getInvitation);
+router.post('/:token/guest', shareLinkLimiter, invitationController.viewAsGuest);
+
+// Protected routes
+router.use(protect);
+router.use(loadGroupAccess);
+
+router.get('/', invitationController.getInvitations);
+router.delete('/:id', invitationController.revokeInvitation);
+
+module.exports = router;
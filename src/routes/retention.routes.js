@@ -0,0 +1,44 @@
+const express = require('express');
+const retentionController = require('../controllers/retentionController');
+const { protect, restrictTo } = require('../middleware/auth');
+const { validate } = require('../middleware/validator');
+
+const router = express.Router();
+
+// Records management is for tenant admins
+router.use(protect);
+router.use(restrictTo('Admin'));
+
+// Retention policies
+router
+  .route('/policies')
+  .get(retentionController.getPolicies)
+  .post(validate('createRetentionPolicy'), retentionController.createPolicy);
+router
+  .route('/policies/:id')
+  .patch(validate('updateRetentionPolicy'), retentionController.updatePolicy)
+  .delete(retentionController.deletePolicy);
+
+// Legal holds
+router
+  .route('/holds')
+  .get(retentionController.getHolds)
+  .post(validate('createLegalHold'), retentionController.createHold);
+router
+  .route('/holds/:id')
+  .get(retentionController.getHold)
+  .patch(validate('updateLegalHold'), retentionController.updateHold);
+router.post('/holds/:id/release', retentionController.releaseHold);
+
+// Disposition
+router
+  .route('/dispositions')
+  .get(retentionController.getDisposalLists)
+  .post(retentionController.startDispositionReview);
+router.get('/dispositions/:id', retentionController.getDisposalList);
+router.patch('/dispositions/:id/items', validate('updateDisposalItems'), retentionController.updateDisposalItems);
+router.post('/dispositions/:id/approve', validate('reviewDisposalList'), retentionController.approveDisposalList);
+router.post('/dispositions/:id/reject', validate('reviewDisposalList'), retentionController.rejectDisposalList);
+router.get('/dispositions/:id/certificate', retentionController.getDisposalCertificate);
+
+module.exports = router;
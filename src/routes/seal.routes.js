@@ -0,0 +1,22 @@
+const express = require('express');
+const sealController = require('../controllers/sealController');
+const { protect, loadGroupAccess } = require('../middleware/auth');
+const { upload } = require('../middleware/upload');
+const { sealVerificationLimiter } = require('../middleware/rateLimiter');
+
+const router = express.Router();
+
+// Public verification (the QR code on a stamped copy leads here)
+router
+  .route('/verify/:code')
+  .get(sealVerificationLimiter, sealController.verifySeal)
+  .post(sealVerificationLimiter, upload.single('file'), sealController.verifySealedFile);
+
+// Protected routes
+router.use(protect);
+router.use(loadGroupAccess);
+
+router.get('/', sealController.getSeals);
+router.get('/:id/download', sealController.downloadStampedCopy);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const shareLinkController = require('../controllers/shareLinkController');
+const { optionalAuth } = require('../middleware/auth');
+const { shareLinkLimiter } = require('../middleware/rateLimiter');
+
+const router = express.Router();
+
+// Public share links carry their own authorization; signed-in visitors are recorded
+router.use(shareLinkLimiter);
+router.use(optionalAuth);
+
+router.get('/:token', shareLinkController.getSharedDocument);
+router.get('/:token/preview', shareLinkController.getSharedPreview);
+router.get('/:token/download', shareLinkController.downloadSharedDocument);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const signatureController = require('../controllers/signatureController');
+const { protect, loadGroupAccess } = require('../middleware/auth');
+const { validate } = require('../middleware/validator');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+router.use(loadGroupAccess);
+
+router.get('/', signatureController.getSignatureRequests);
+router.get('/:id', signatureController.getSignatureRequest);
+router.get('/:id/document', signatureController.downloadDocumentToSign);
+router.post('/:id/sign', validate('signDocument'), signatureController.signDocument);
+router.post('/:id/complete', signatureController.completeSignatureRequest);
+router.post('/:id/decline', validate('declineSignature'), signatureController.declineSignature);
+router.post('/:id/cancel', signatureController.cancelSignatureRequest);
+
+module.exports = router;
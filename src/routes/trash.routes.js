@@ -0,0 +1,20 @@
+const express = require('express');
+const trashController = require('../controllers/trashController');
+const { protect, loadGroupAccess } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+router.use(loadGroupAccess);
+
+// Trash routes (?scope=tenant lets admins manage the whole tenant's trash)
+router
+  .route('/')
+  .get(trashController.getTrash)
+  .delete(trashController.emptyTrash);
+
+router.post('/:id/restore', trashController.restoreDocument);
+router.delete('/:id', trashController.deleteForever);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const uploadController = require('../controllers/uploadController');
+const { protect } = require('../middleware/auth');
+const { validate, validateCustomFields } = require('../middleware/validator');
+const { uploadLimiter } = require('../middleware/rateLimiter');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Resumable upload routes
+router.post('/', uploadLimiter, validate('createUploadSession'), validateCustomFields, uploadController.createUploadSession);
+
+router
+  .route('/:id')
+  .get(uploadController.getUploadSession)
+  .delete(uploadController.abortUpload);
+
+router.put('/:id/chunks/:number', uploadController.uploadChunk);
+router.post('/:id/complete', uploadController.completeUpload);
+
+module.exports = router;
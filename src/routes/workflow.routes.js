@@ -0,0 +1,32 @@
+const express = require('express');
+const workflowController = require('../controllers/workflowController');
+const { protect, restrictTo, loadGroupAccess } = require('../middleware/auth');
+const { validate } = require('../middleware/validator');
+
+const router = express.Router();
+
+// All routes require authentication; managing workflows is for admins
+router.use(protect);
+router.use(loadGroupAccess);
+
+// Reviews in progress
+router.get('/runs', workflowController.getWorkflowRuns);
+router.get('/runs/:id', workflowController.getWorkflowRun);
+router.post('/runs/:id/approve', validate('workflowDecision'), workflowController.approveWorkflowStep);
+router.post('/runs/:id/reject', validate('workflowDecision'), workflowController.rejectWorkflowStep);
+router.post('/runs/:id/request-changes', validate('workflowDecision'), workflowController.requestWorkflowChanges);
+router.post('/runs/:id/resubmit', validate('workflowDecision'), workflowController.resubmitWorkflowRun);
+router.post('/runs/:id/cancel', validate('workflowDecision'), workflowController.cancelWorkflowRun);
+
+router
+  .route('/')
+  .get(workflowController.getWorkflows)
+  .post(restrictTo('Admin'), validate('createWorkflow'), workflowController.createWorkflow);
+
+router
+  .route('/:id')
+  .get(workflowController.getWorkflow)
+  .patch(restrictTo('Admin'), validate('updateWorkflow'), workflowController.updateWorkflow)
+  .delete(restrictTo('Admin'), workflowController.deleteWorkflow);
+
+module.exports = router;
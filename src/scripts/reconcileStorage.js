@@ -0,0 +1,71 @@
+/**
+ * Recompute user and tenant storage usage from the Document collection
+ *
+ * Usage: npm run storage:reconcile -- [--tenant=<tenantId>] [--dry-run]
+ *
+ * Run it while uploads are quiet: usage counters are overwritten with the
+ * recomputed totals.
+ */
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+dotenv.config();
+
+const User = require('../models/User');
+const Tenant = require('../models/Tenant');
+const { computeStorageUsage } = require('../services/storageQuotaService');
+
+const args = process.argv.slice(2);
+const tenantArg = (args.find(arg => arg.startsWith('--tenant=')) || '').split('=')[1] || null;
+const dryRun = args.includes('--dry-run');
+
+const reconcile = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const usage = await computeStorageUsage(tenantArg);
+  const tenantIds = tenantArg
+    ? [tenantArg]
+    : [...new Set([...(await User.distinct('tenantId')), ...Object.keys(usage)])];
+
+  let usersFixed = 0;
+  let tenantsFixed = 0;
+
+  for (const tenantId of tenantIds) {
+    const owners = usage[tenantId] || {};
+    const tenantTotal = Object.values(owners).reduce((total, bytes) => total + bytes, 0);
+
+    const users = await User.find({ tenantId }).select('email storageUsed');
+    for (const user of users) {
+      const actual = owners[user._id.toString()] || 0;
+      if (user.storageUsed === actual) continue;
+
+      console.log(`${tenantId} ${user.email}: ${user.storageUsed} -> ${actual} bytes`);
+      usersFixed += 1;
+      if (!dryRun) await User.updateOne({ _id: user._id }, { storageUsed: actual });
+    }
+
+    const tenant = await Tenant.findOne({ tenantId }).select('usage.storageUsed');
+    const recorded = tenant?.usage?.storageUsed || 0;
+    if (recorded !== tenantTotal) {
+      console.log(`${tenantId} (tenant): ${recorded} -> ${tenantTotal} bytes`);
+      tenantsFixed += 1;
+      if (!dryRun) {
+        await Tenant.updateOne(
+          { tenantId },
+          { $set: { 'usage.storageUsed': tenantTotal }, $setOnInsert: { name: tenantId } },
+          { upsert: true }
+        );
+      }
+    }
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Reconciled ${tenantIds.length} tenant(s): ${usersFixed} user and ${tenantsFixed} tenant counter(s) ${dryRun ? 'would be ' : ''}corrected`);
+};
+
+reconcile()
+  .then(() => mongoose.disconnect())
+  .catch(async (err) => {
+    console.error('Storage reconciliation failed:', err.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
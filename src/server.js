@@ -1,6 +1,7 @@
 const dotenv = require('dotenv');
 const app = require('./app');
 const connectDB = require('./config/database');
+const { startJobs, closeQueues } = require('./jobs');
 
 // Load environment variables
 dotenv.config();
@@ -16,6 +17,13 @@ process.on('uncaughtException', (err) => {
 // Connect to database
 connectDB();
 
+// Start background jobs (with DISABLE_JOBS=true, run them with `npm run worker` instead)
+if (process.env.DISABLE_JOBS !== 'true') {
+  startJobs().catch((err) => {
+    console.error('Failed to start background jobs:', err.message);
+  });
+}
+
 // Start server
 const PORT = process.env.PORT || 5000;
 const server = app.listen(PORT, () => {
@@ -34,7 +42,9 @@ process.on('unhandledRejection', (err) => {
 // Handle SIGTERM
 process.on('SIGTERM', () => {
   console.log('👋 SIGTERM RECEIVED. Shutting down gracefully');
-  server.close(() => {
+  server.close(async () => {
+    // Let running jobs finish and release the Redis connections
+    await closeQueues().catch(err => console.error('Failed to close job queues:', err.message));
     console.log('💥 Process terminated!');
   });
 });
@@ -42,7 +52,9 @@ process.on('SIGTERM', () => {
 // Handle SIGINT (Ctrl+C)
 process.on('SIGINT', () => {
   console.log('👋 SIGINT RECEIVED. Shutting down gracefully');
-  server.close(() => {
+  server.close(async () => {
+    // Let running jobs finish and release the Redis connections
+    await closeQueues().catch(err => console.error('Failed to close job queues:', err.message));
     console.log('💥 Process terminated!');
   });
 });
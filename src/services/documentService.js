@@ -0,0 +1,279 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const Document = require('../models/Document');
+const Tenant = require('../models/Tenant');
+const DocumentText = require('../models/DocumentText');
+const ShareLink = require('../models/ShareLink');
+const LegalHold = require('../models/LegalHold');
+const Seal = require('../models/Seal');
+const SignatureRequest = require('../models/SignatureRequest');
+const WorkflowRun = require('../models/WorkflowRun');
+const AppError = require('../utils/appError');
+const { sha256 } = require('../utils/checksum');
+const storage = require('../config/storage');
+const { enqueueTextExtraction } = require('../jobs/textExtractionJob');
+const { enqueueRenditions } = require('../jobs/renditionJob');
+const { putEncrypted, ALGORITHM } = require('./encryptionService');
+const { reserveStorage, releaseStorage, storedBytesOf } = require('./storageQuotaService');
+const { startMatchingWorkflow } = require('./workflowService');
+
+/**
+ * Find an existing (not deleted) document in the tenant with the same content
+ */
+exports.findDuplicate = (tenantId, checksum) => {
+  return Document.findOne({
+    tenantId,
+    checksum,
+    status: { $ne: 'deleted' },
+  }).select('title originalName folderId');
+};
+
+/**
+ * Reduce a client-supplied file name to one safe storage key segment (the name
+ * as given is kept in originalName)
+ */
+exports.storageName = (originalName) => {
+  const name = path.basename(String(originalName || '').replace(/\\/g, '/')).replace(/[^\w.\- ]/g, '_');
+  return name && name !== '.' && name !== '..' ? name : 'file';
+};
+
+/**
+ * Encrypt and store a file and create its document record
+ */
+exports.storeDocument = async ({ user, buffer, originalName, mimeType, checksum, metadata = {} }) => {
+  const fileChecksum = checksum || sha256(buffer);
+  const fileName = `${Date.now()}-${uuidv4()}-${exports.storageName(originalName)}`;
+  const storageKey = `${user.tenantId}/documents/${fileName}`;
+
+  // Counts against the uploader's and the tenant's storage quotas
+  const quota = { tenantId: user.tenantId, ownerId: user._id, bytes: buffer.length };
+  await reserveStorage(quota);
+
+  let document;
+  try {
+    const encryption = await putEncrypted(user.tenantId, storageKey, buffer, {
+      contentType: mimeType,
+      metadata: {
+        uploadedBy: user._id.toString(),
+        checksum: fileChecksum,
+      },
+    });
+
+    document = await exports.createDocumentRecord({
+      user,
+      file: { storageKey, fileName, originalName, mimeType, fileSize: buffer.length, checksum: fileChecksum, encryption },
+      metadata,
+    });
+  } catch (error) {
+    await releaseStorage(quota);
+    throw error;
+  }
+
+  await exports.documentCreated(document, user);
+
+  return document;
+};
+
+/**
+ * Create the record of a stored file as version 1 of a new document
+ *
+ * Shared by every upload path; call documentCreated once the upload is settled.
+ */
+exports.createDocumentRecord = ({ user, file, metadata = {} }) => {
+  const { storageKey, originalName, mimeType, fileSize, checksum, encryption, encryptionAlgorithm = ALGORITHM } = file;
+  const fileName = file.fileName || path.basename(storageKey);
+
+  return Document.create({
+    tenantId: user.tenantId,
+    owner: user._id,
+    title: metadata.title || originalName,
+    description: metadata.description,
+    type: metadata.type || (metadata.documentType && metadata.documentType.baseType),
+    documentType: metadata.documentType ? metadata.documentType._id : undefined,
+    customFields: metadata.customFields,
+    fileName,
+    originalName,
+    mimeType,
+    fileSize,
+    fileExtension: path.extname(originalName).slice(1).toLowerCase(),
+    storageKey,
+    checksum,
+    encryptionAlgorithm,
+    tags: metadata.tags,
+    category: metadata.category,
+    folderId: metadata.folderId || null,
+    expiresAt: metadata.expiresAt || undefined,
+    reviewAt: metadata.reviewAt || undefined,
+    versionHistory: [{
+      version: 1,
+      storageKey,
+      updatedBy: user._id,
+      updatedAt: Date.now(),
+      changes: 'Initial upload',
+      fileSize,
+      checksum,
+      mimeType,
+      originalName,
+      encryption,
+    }],
+  });
+};
+
+/**
+ * Start what follows a new upload: text extraction, previews and any matching
+ * approval workflow
+ */
+exports.documentCreated = async (document, user) => {
+  exports.enqueueProcessing(document);
+  await startMatchingWorkflow(document, user);
+};
+
+/**
+ * Ensure the tenant has version control enabled
+ */
+exports.assertVersionControl = async (tenantId) => {
+  const tenant = await Tenant.findOne({ tenantId }).select('settings.features');
+
+  if (tenant && tenant.settings.features.versionControl === false) {
+    throw new AppError('Version control is disabled for your organization', 403);
+  }
+};
+
+/**
+ * Encrypt and store a file as the document's next version (saves the document)
+ */
+exports.storeVersion = async ({ user, document, buffer, originalName, mimeType, changes }) => {
+  const versionNumber = document.version + 1;
+  const checksum = sha256(buffer);
+
+  // New versions count against the document owner's quota
+  const quota = { tenantId: document.tenantId, ownerId: document.owner, bytes: buffer.length };
+  await reserveStorage(quota);
+
+  // Store under a key of its own so earlier versions stay intact
+  const storageKey = `${document.tenantId}/documents/${document._id}/versions/${versionNumber}-${Date.now()}-${exports.storageName(originalName)}`;
+  let encryption;
+  try {
+    encryption = await putEncrypted(document.tenantId, storageKey, buffer, {
+      contentType: mimeType,
+      metadata: {
+        documentId: document._id.toString(),
+        version: versionNumber.toString(),
+        checksum,
+      },
+    });
+  } catch (error) {
+    await releaseStorage(quota);
+    throw error;
+  }
+
+  document.versionHistory.push({
+    version: versionNumber,
+    storageKey,
+    updatedBy: user._id,
+    updatedAt: Date.now(),
+    changes: changes || `Version ${versionNumber}`,
+    fileSize: buffer.length,
+    checksum,
+    mimeType,
+    originalName,
+    encryption,
+  });
+
+  document.version = versionNumber;
+  document.storageKey = storageKey;
+  document.fileSize = buffer.length;
+  document.checksum = checksum;
+  document.mimeType = mimeType;
+  document.originalName = originalName;
+  document.fileExtension = path.extname(originalName).slice(1).toLowerCase();
+  document.encryptionAlgorithm = ALGORITHM;
+  document.textStatus = 'pending';
+  document.previewStatus = 'pending';
+
+  await document.save();
+
+  exports.enqueueProcessing(document);
+
+  return { version: versionNumber, checksum };
+};
+
+/**
+ * Queue background processing (text extraction and previews) for a document's current version
+ */
+exports.enqueueProcessing = (document) => {
+  enqueueTextExtraction(document);
+  enqueueRenditions(document);
+};
+
+/**
+ * Storage keys of every version of a document
+ */
+exports.storageKeysOf = (document) => {
+  const keys = [document.storageKey, ...document.versionHistory.map(version => version.storageKey)];
+  return [...new Set(keys.filter(Boolean))];
+};
+
+/**
+ * Refuse to delete (or otherwise `action`) a document that a legal hold covers
+ */
+exports.assertNotHeld = async (document, action = 'deleted') => {
+  const holds = await LegalHold.holdsFor(document);
+  if (holds.length > 0) {
+    throw new AppError(`Document is under legal hold (${holds.map(hold => hold.name).join(', ')}) and cannot be ${action}`, 423);
+  }
+};
+
+/**
+ * Permanently delete a document: every version's object, preview and stamped
+ * copy in storage, then the record, and give its space back to the owner's and
+ * tenant's quotas (seal, signature and review records are kept)
+ */
+exports.purgeDocument = async (document) => {
+  await exports.assertNotHeld(document);
+
+  const renditionKeys = document.renditions.map(rendition => rendition.storageKey);
+  for (const key of [...exports.storageKeysOf(document), ...renditionKeys]) {
+    await storage.delete(key);
+  }
+
+  // Seal records stay verifiable; only their stamped copies go
+  const seals = await Seal.find({ document: document._id, 'stamped.storageKey': { $exists: true } }).select('stamped.storageKey');
+  for (const seal of seals) {
+    await storage.delete(seal.stamped.storageKey);
+  }
+  await Seal.updateMany(
+    { document: document._id },
+    { $unset: { 'stamped.storageKey': 1, 'stamped.encryption': 1 } }
+  );
+
+  await DocumentText.deleteMany({ document: document._id });
+  await ShareLink.deleteMany({ document: document._id });
+
+  // Signature requests and review runs stay as the record of who signed or
+  // approved what; open ones can no longer go on
+  const purgedAt = new Date();
+  await SignatureRequest.updateMany(
+    { document: document._id, status: { $in: ['pending', 'completing'] } },
+    { $set: { status: 'document_purged' } }
+  );
+  await SignatureRequest.updateMany(
+    { document: document._id },
+    { $push: { events: { type: 'document_purged', at: purgedAt } } }
+  );
+  await WorkflowRun.updateMany(
+    { document: document._id, status: { $in: ['in_review', 'changes_requested'] } },
+    {
+      $set: { status: 'cancelled', completedAt: purgedAt },
+      $push: { history: { action: 'cancelled', comment: 'Document purged', at: purgedAt } },
+    }
+  );
+
+  await Document.deleteOne({ _id: document._id });
+
+  await releaseStorage({
+    tenantId: document.tenantId,
+    ownerId: document.owner,
+    bytes: storedBytesOf(document),
+  });
+};
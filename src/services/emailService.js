@@ -105,20 +105,78 @@ class EmailService {
   /**
    * Send document shared notification
    */
-  async sendDocumentSharedEmail(user, document, sharedBy) {
+  async sendDocumentSharedEmail(user, document, sharedBy, message) {
     return this.send({
       to: user.email,
       subject: 'A Document Has Been Shared With You',
       template: 'documentShared',
       data: {
         name: user.firstName,
-        documentName: document.name,
+        documentName: document.title,
         sharedBy: `${sharedBy.firstName} ${sharedBy.lastName}`,
+        message,
+        documentUrl: `${process.env.FRONTEND_URL}/documents/${document._id}`,
+      },
+    });
+  }
+
+  /**
+   * Send a document invitation to someone outside the tenant
+   */
+  async sendDocumentInvitationEmail(email, document, invitedBy, { organization, message, invitationUrl, expiresAt }) {
+    return this.send({
+      to: email,
+      subject: `${invitedBy.firstName} ${invitedBy.lastName} Invited You to View a Document`,
+      template: 'documentInvitation',
+      data: {
+        documentName: document.title,
+        invitedBy: `${invitedBy.firstName} ${invitedBy.lastName}`,
+        organization,
+        message,
+        invitationUrl,
+        expiresAt: expiresAt.toDateString(),
+      },
+    });
+  }
+
+  /**
+   * Send a reminder that a document expires or is due for review
+   */
+  async sendDocumentReminderEmail(user, document, { kind, dueAt, daysLeft }) {
+    const what = kind === 'expiry' ? 'Expires' : 'Is Due for Review';
+    return this.send({
+      to: user.email,
+      subject: `Reminder: "${document.title}" ${what} ${daysLeft === 0 ? 'Today' : `in ${daysLeft} Day${daysLeft === 1 ? '' : 's'}`}`,
+      template: 'documentReminder',
+      data: {
+        name: user.firstName,
+        documentName: document.title,
+        kind,
+        dueAt: dueAt.toDateString(),
+        daysLeft,
         documentUrl: `${process.env.FRONTEND_URL}/documents/${document._id}`,
       },
     });
   }
 
+  /**
+   * Send a request to sign a document
+   */
+  async sendSignatureRequestEmail(user, document, requestedBy, { message, signUrl }) {
+    return this.send({
+      to: user.email,
+      subject: `${requestedBy.firstName} ${requestedBy.lastName} Requested Your Signature on "${document.title}"`,
+      template: 'signatureRequest',
+      data: {
+        name: user.firstName,
+        documentName: document.title,
+        requestedBy: `${requestedBy.firstName} ${requestedBy.lastName}`,
+        message,
+        signUrl,
+      },
+    });
+  }
+
   /**
    * Send comment notification
    */
@@ -147,5 +205,8 @@ module.exports = {
   sendPasswordResetEmail: emailService.sendPasswordResetEmail.bind(emailService),
   sendWelcomeEmail: emailService.sendWelcomeEmail.bind(emailService),
   sendDocumentSharedEmail: emailService.sendDocumentSharedEmail.bind(emailService),
+  sendDocumentInvitationEmail: emailService.sendDocumentInvitationEmail.bind(emailService),
+  sendDocumentReminderEmail: emailService.sendDocumentReminderEmail.bind(emailService),
+  sendSignatureRequestEmail: emailService.sendSignatureRequestEmail.bind(emailService),
   sendCommentNotificationEmail: emailService.sendCommentNotificationEmail.bind(emailService),
 };
@@ -0,0 +1,314 @@
+const crypto = require('crypto');
+const { PassThrough, Transform, pipeline } = require('stream');
+const Tenant = require('../models/Tenant');
+const storage = require('../config/storage');
+
+// Recorded in Document.encryptionAlgorithm for files stored with envelope encryption
+const ALGORITHM = 'AES-256-GCM';
+
+// Files are encrypted in fixed-size segments, each with its own IV and tag, so
+// they can be streamed (and uploaded in parts) without being held in memory
+const SEGMENT_SIZE = 64 * 1024;
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const SEGMENT_OVERHEAD = IV_LENGTH + TAG_LENGTH;
+
+/**
+ * Parse a 256-bit key given as 64 hex characters or base64
+ */
+const parseKey = (value, name) => {
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== KEY_LENGTH) {
+    throw new Error(`${name} must be a 256-bit key (64 hex characters or base64)`);
+  }
+  return key;
+};
+
+/**
+ * Id of the master key new data keys are wrapped under
+ */
+const currentMasterKeyId = () => process.env.ENCRYPTION_MASTER_KEY_ID || '1';
+
+/**
+ * Get a master key by id
+ *
+ * ENCRYPTION_MASTER_KEY is the current key. Keys it replaced are listed in
+ * ENCRYPTION_RETIRED_MASTER_KEYS (`id:key,id:key`) until a rotation has
+ * re-wrapped every data key under the current one.
+ */
+const getMasterKey = (id) => {
+  if (!process.env.ENCRYPTION_MASTER_KEY) {
+    throw new Error('ENCRYPTION_MASTER_KEY is not configured');
+  }
+
+  if (id === currentMasterKeyId()) {
+    return parseKey(process.env.ENCRYPTION_MASTER_KEY, 'ENCRYPTION_MASTER_KEY');
+  }
+
+  const retired = (process.env.ENCRYPTION_RETIRED_MASTER_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim().split(':'))
+    .find(([retiredId]) => retiredId === id);
+
+  if (!retired) {
+    throw new Error(`Master key "${id}" is not configured`);
+  }
+  return parseKey(retired[1], `Retired master key "${id}"`);
+};
+
+/**
+ * Derive a tenant's key-encryption key for a master key and key version
+ */
+const deriveTenantKey = (tenantId, { masterKeyId, keyVersion }) => {
+  return Buffer.from(crypto.hkdfSync(
+    'sha256',
+    getMasterKey(masterKeyId),
+    tenantId,
+    `docarchive:tenant-key:v${keyVersion}`,
+    KEY_LENGTH
+  ));
+};
+
+/**
+ * Master key id and tenant key version new data keys are wrapped under
+ */
+exports.currentKeyOf = async (tenantId) => {
+  const tenant = await Tenant.findOne({ tenantId }).select('encryption.keyVersion');
+
+  return {
+    masterKeyId: currentMasterKeyId(),
+    keyVersion: tenant?.encryption?.keyVersion || 1,
+  };
+};
+
+/**
+ * Check whether a data key is wrapped under the given tenant key
+ */
+exports.isWrappedWith = (encryption, { masterKeyId, keyVersion }) => {
+  return encryption.masterKeyId === masterKeyId && encryption.keyVersion === keyVersion;
+};
+
+/**
+ * Wrap a data key with a tenant key; the tenant id is bound in as associated data
+ */
+const wrapDataKey = (tenantId, dataKey, tenantKey) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveTenantKey(tenantId, tenantKey), iv);
+  cipher.setAAD(Buffer.from(tenantId));
+
+  const wrapped = Buffer.concat([iv, cipher.update(dataKey), cipher.final(), cipher.getAuthTag()]);
+
+  return {
+    wrappedKey: wrapped.toString('base64'),
+    masterKeyId: tenantKey.masterKeyId,
+    keyVersion: tenantKey.keyVersion,
+  };
+};
+
+/**
+ * Unwrap a stored data key
+ */
+const unwrapDataKey = (tenantId, encryption) => {
+  const wrapped = Buffer.from(encryption.wrappedKey, 'base64');
+  const decipher = crypto.createDecipheriv(
+    'aes-256-gcm',
+    deriveTenantKey(tenantId, encryption),
+    wrapped.subarray(0, IV_LENGTH)
+  );
+  decipher.setAAD(Buffer.from(tenantId));
+  decipher.setAuthTag(wrapped.subarray(wrapped.length - TAG_LENGTH));
+
+  return Buffer.concat([
+    decipher.update(wrapped.subarray(IV_LENGTH, wrapped.length - TAG_LENGTH)),
+    decipher.final(),
+  ]);
+};
+
+/**
+ * Generate a data key for a new file, returning it with its wrapped form to store
+ */
+exports.createDataKey = async (tenantId) => {
+  const dataKey = crypto.randomBytes(KEY_LENGTH);
+  const encryption = wrapDataKey(tenantId, dataKey, await exports.currentKeyOf(tenantId));
+
+  return { dataKey, encryption };
+};
+
+/**
+ * Re-wrap a stored data key under another tenant key (key rotation)
+ */
+exports.rewrapDataKey = (tenantId, encryption, tenantKey) => {
+  return wrapDataKey(tenantId, unwrapDataKey(tenantId, encryption), tenantKey);
+};
+
+exports.unwrapDataKey = unwrapDataKey;
+
+/**
+ * Associated data of a segment: its position, and whether it ends the file,
+ * so segments cannot be reordered, dropped or the file truncated
+ */
+const segmentAad = (index, final) => {
+  const aad = Buffer.alloc(5);
+  aad.writeUInt32BE(index);
+  aad[4] = final ? 1 : 0;
+  return aad;
+};
+
+const encryptSegment = (dataKey, index, final, plaintext) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', dataKey, iv);
+  cipher.setAAD(segmentAad(index, final));
+
+  return Buffer.concat([iv, cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+};
+
+const decryptSegment = (dataKey, index, final, segment) => {
+  if (segment.length < SEGMENT_OVERHEAD) {
+    throw new Error('Encrypted file is truncated');
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', dataKey, segment.subarray(0, IV_LENGTH));
+  decipher.setAAD(segmentAad(index, final));
+  decipher.setAuthTag(segment.subarray(segment.length - TAG_LENGTH));
+
+  try {
+    return Buffer.concat([
+      decipher.update(segment.subarray(IV_LENGTH, segment.length - TAG_LENGTH)),
+      decipher.final(),
+    ]);
+  } catch (error) {
+    throw new Error('Encrypted file failed authentication (corrupted or tampered with)');
+  }
+};
+
+/**
+ * Size of a file (or of one part of it) once encrypted
+ *
+ * `final: false` is for parts other than the last, which must hold whole segments.
+ */
+exports.encryptedLength = (plainLength, { final = true } = {}) => {
+  const segments = Math.ceil(plainLength / SEGMENT_SIZE);
+  return plainLength + Math.max(segments, final ? 1 : 0) * SEGMENT_OVERHEAD;
+};
+
+/**
+ * Create a transform stream encrypting plaintext with a data key
+ *
+ * A multipart upload encrypts each part separately: `firstSegment` is the
+ * index of the part's first segment and `final` marks the last part.
+ */
+exports.createEncryptStream = (dataKey, { firstSegment = 0, final = true } = {}) => {
+  let pending = Buffer.alloc(0);
+  let index = firstSegment;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      pending = Buffer.concat([pending, chunk]);
+
+      // The last full segment of a file may be its final one, so hold it back
+      while (pending.length > SEGMENT_SIZE || (!final && pending.length === SEGMENT_SIZE)) {
+        this.push(encryptSegment(dataKey, index, false, pending.subarray(0, SEGMENT_SIZE)));
+        pending = pending.subarray(SEGMENT_SIZE);
+        index += 1;
+      }
+      callback();
+    },
+
+    flush(callback) {
+      if (final) {
+        this.push(encryptSegment(dataKey, index, true, pending));
+      } else if (pending.length > 0) {
+        return callback(new Error(`Parts other than the last must be a multiple of ${SEGMENT_SIZE} bytes`));
+      }
+      callback();
+    },
+  });
+};
+
+/**
+ * Create a transform stream decrypting a whole encrypted file
+ */
+exports.createDecryptStream = (dataKey) => {
+  const encryptedSegmentSize = SEGMENT_SIZE + SEGMENT_OVERHEAD;
+  let pending = Buffer.alloc(0);
+  let index = 0;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      pending = Buffer.concat([pending, chunk]);
+
+      try {
+        // Only the end of the input tells which segment is the final one
+        while (pending.length > encryptedSegmentSize) {
+          this.push(decryptSegment(dataKey, index, false, pending.subarray(0, encryptedSegmentSize)));
+          pending = pending.subarray(encryptedSegmentSize);
+          index += 1;
+        }
+      } catch (error) {
+        return callback(error);
+      }
+      callback();
+    },
+
+    flush(callback) {
+      try {
+        this.push(decryptSegment(dataKey, index, true, pending));
+      } catch (error) {
+        return callback(error);
+      }
+      callback();
+    },
+  });
+};
+
+/**
+ * Encrypt a buffer with a new data key and store it, returning the wrapped key to record
+ */
+exports.putEncrypted = async (tenantId, storageKey, buffer, options = {}) => {
+  const { dataKey, encryption } = await exports.createDataKey(tenantId);
+
+  const segments = [];
+  const count = Math.max(1, Math.ceil(buffer.length / SEGMENT_SIZE));
+  for (let index = 0; index < count; index++) {
+    const plaintext = buffer.subarray(index * SEGMENT_SIZE, (index + 1) * SEGMENT_SIZE);
+    segments.push(encryptSegment(dataKey, index, index === count - 1, plaintext));
+  }
+
+  await storage.put(storageKey, Buffer.concat(segments), options);
+
+  return encryption;
+};
+
+/**
+ * Get a readable stream of a stored file's plaintext
+ *
+ * Files stored before envelope encryption (no wrapped key) are returned as is.
+ */
+exports.getDecryptedStream = (tenantId, storageKey, encryption) => {
+  if (!encryption || !encryption.wrappedKey) return storage.getStream(storageKey);
+
+  let decrypt;
+  try {
+    decrypt = exports.createDecryptStream(unwrapDataKey(tenantId, encryption));
+  } catch (error) {
+    // Fail the way an unreadable object does: as an error on the stream
+    const failed = new PassThrough();
+    process.nextTick(() => failed.destroy(error));
+    return failed;
+  }
+
+  return pipeline(storage.getStream(storageKey), decrypt, () => {});
+};
+
+/**
+ * Read a stored file's plaintext into a buffer
+ */
+exports.getDecryptedBuffer = async (tenantId, storageKey, encryption) => {
+  const chunks = [];
+  for await (const chunk of exports.getDecryptedStream(tenantId, storageKey, encryption)) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+exports.ALGORITHM = ALGORITHM;
+exports.SEGMENT_SIZE = SEGMENT_SIZE;
@@ -0,0 +1,153 @@
+const Document = require('../models/Document');
+const UploadSession = require('../models/UploadSession');
+const Seal = require('../models/Seal');
+const IntegrityReport = require('../models/IntegrityReport');
+const { sha256Stream } = require('../utils/checksum');
+const storage = require('../config/storage');
+const { getDecryptedStream } = require('./encryptionService');
+
+// Keep reports well inside MongoDB's 16MB document limit
+const MAX_REPORTED_ISSUES = parseInt(process.env.INTEGRITY_MAX_REPORTED_ISSUES) || 1000;
+const PROGRESS_INTERVAL = 500;
+
+/**
+ * Stored objects of a document (one entry per key) with their expected checksums
+ * and wrapped data keys
+ */
+const objectsOf = (document) => {
+  const objects = new Map();
+
+  for (const entry of document.versionHistory) {
+    if (!entry.storageKey) continue;
+    objects.set(entry.storageKey, {
+      storageKey: entry.storageKey,
+      version: entry.version,
+      checksum: entry.checksum,
+      encryption: document.encryptionFor(entry.storageKey),
+    });
+  }
+
+  // The current version's checksum is authoritative for its key
+  objects.set(document.storageKey, {
+    storageKey: document.storageKey,
+    version: document.version,
+    checksum: document.checksum,
+    encryption: document.encryptionFor(document.storageKey),
+  });
+
+  return [...objects.values()];
+};
+
+/**
+ * Verify every stored object of a tenant and record the results
+ *
+ * Each version of every document (including trashed ones) is streamed back,
+ * decrypted and hashed against its stored SHA-256 checksum. Objects under the
+ * tenant's prefix that no document, seal or pending upload refers to are
+ * reported as orphaned.
+ */
+exports.verifyTenantStorage = async (tenantId, { trigger = 'scheduled', requestedBy } = {}) => {
+  const report = await IntegrityReport.create({ tenantId, trigger, requestedBy });
+  const { summary } = report;
+  const knownKeys = new Set();
+
+  const addIssue = (issue) => {
+    summary[issue.type] += 1;
+    if (report.issues.length < MAX_REPORTED_ISSUES) {
+      report.issues.push(issue);
+    } else {
+      report.issuesTruncated = true;
+    }
+  };
+
+  try {
+    const cursor = Document.find({ tenantId })
+      .select('storageKey checksum version versionHistory renditions')
+      .cursor();
+
+    for await (const document of cursor) {
+      summary.documents += 1;
+
+      for (const rendition of document.renditions) {
+        knownKeys.add(rendition.storageKey);
+      }
+
+      for (const object of objectsOf(document)) {
+        knownKeys.add(object.storageKey);
+        summary.objectsChecked += 1;
+
+        if (!object.checksum) {
+          summary.skipped += 1;
+          continue;
+        }
+
+        try {
+          const actual = await sha256Stream(getDecryptedStream(tenantId, object.storageKey, object.encryption));
+
+          if (actual === object.checksum) {
+            summary.verified += 1;
+          } else {
+            addIssue({
+              type: 'mismatched',
+              storageKey: object.storageKey,
+              document: document._id,
+              version: object.version,
+              expectedChecksum: object.checksum,
+              actualChecksum: actual,
+            });
+          }
+        } catch (error) {
+          addIssue({
+            type: storage.isNotFound(error) ? 'missing' : 'unreadable',
+            storageKey: object.storageKey,
+            document: document._id,
+            version: object.version,
+            expectedChecksum: object.checksum,
+            message: error.message,
+          });
+        }
+
+        if (summary.objectsChecked % PROGRESS_INTERVAL === 0) {
+          await report.save();
+        }
+      }
+    }
+
+    // Resumable uploads in progress own their keys until completed or aborted
+    const pendingKeys = await UploadSession.find({ tenantId, status: 'pending' }).distinct('storageKey');
+    pendingKeys.forEach(key => knownKeys.add(key));
+
+    // Stamped copies belong to their seals, which outlive the document
+    const stampedKeys = await Seal.find({ tenantId, 'stamped.storageKey': { $exists: true } }).distinct('stamped.storageKey');
+    stampedKeys.forEach(key => knownKeys.add(key));
+
+    let continuationToken;
+    do {
+      const page = await storage.list(`${tenantId}/`, { continuationToken });
+
+      for (const object of page.objects) {
+        // Objects written after the run started may belong to documents not yet seen
+        if (knownKeys.has(object.key) || object.lastModified > report.startedAt) continue;
+
+        addIssue({
+          type: 'orphaned',
+          storageKey: object.key,
+          size: object.size,
+          lastModified: object.lastModified,
+        });
+      }
+
+      continuationToken = page.nextContinuationToken;
+    } while (continuationToken);
+
+    report.status = 'completed';
+  } catch (error) {
+    report.status = 'failed';
+    report.error = error.message;
+  }
+
+  report.completedAt = Date.now();
+  await report.save();
+
+  return report;
+};
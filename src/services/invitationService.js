@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const Invitation = require('../models/Invitation');
+const ShareLink = require('../models/ShareLink');
+const Tenant = require('../models/Tenant');
+const { sendDocumentInvitationEmail } = require('./emailService');
+
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_EXPIRY_DAYS) || 14;
+
+/**
+ * URL of the frontend page an invitation token resolves at
+ */
+const invitationUrl = token => `${process.env.FRONTEND_URL}/invitations/${token}`;
+
+/**
+ * Invite someone outside the tenant to a document and email them the invitation
+ *
+ * Inviting the same address to the same document again replaces the pending
+ * invitation's token, so only the latest email works.
+ */
+exports.inviteToDocument = async ({ document, email, permission, message, invitedBy }) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const invitation = await Invitation.findOneAndUpdate(
+    { tenantId: document.tenantId, document: document._id, email, status: 'pending' },
+    {
+      permission,
+      message,
+      tokenHash: Invitation.hashToken(token),
+      invitedBy: invitedBy._id,
+      expiresAt,
+    },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  const tenant = await Tenant.findOne({ tenantId: document.tenantId }).select('name');
+  await sendDocumentInvitationEmail(email, document, invitedBy, {
+    organization: tenant ? tenant.name : 'their organization',
+    message,
+    invitationUrl: invitationUrl(token),
+    expiresAt,
+  });
+
+  return invitation;
+};
+
+/**
+ * Find a usable invitation from its token
+ */
+exports.findPendingInvitation = (token) => {
+  return Invitation.findOne({
+    tokenHash: Invitation.hashToken(token),
+    status: 'pending',
+    expiresAt: { $gt: Date.now() },
+  });
+};
+
+/**
+ * Revoke an invitation and the guest link issued from it
+ */
+exports.revokeInvitation = async (invitation, revokedBy) => {
+  invitation.status = 'revoked';
+  invitation.revokedAt = Date.now();
+  invitation.revokedBy = revokedBy;
+  await invitation.save();
+
+  if (invitation.guestLink) {
+    await ShareLink.updateOne(
+      { _id: invitation.guestLink, revokedAt: null },
+      { revokedAt: Date.now(), revokedBy }
+    );
+  }
+};
@@ -0,0 +1,153 @@
+const Document = require('../models/Document');
+const Tenant = require('../models/Tenant');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const logger = require('../utils/logger');
+const { sendDocumentReminderEmail } = require('./emailService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const DEFAULT_LEAD_DAYS = (process.env.REMINDER_LEAD_DAYS || '90,30,7')
+  .split(',')
+  .map(days => parseInt(days))
+  .filter(days => days >= 0);
+
+// Date field and notification type of each kind of reminder
+const KINDS = {
+  expiry: { field: 'expiresAt', type: 'document_expiring' },
+  review: { field: 'reviewAt', type: 'document_review_due' },
+};
+
+/**
+ * Reminder lead times of a tenant in days, longest first
+ */
+const getLeadDays = async (tenantId) => {
+  const tenant = await Tenant.findOne({ tenantId }).select('settings.reminderLeadDays');
+  const leadDays = tenant?.settings?.reminderLeadDays?.length ? tenant.settings.reminderLeadDays : DEFAULT_LEAD_DAYS;
+  return [...new Set(leadDays)].sort((a, b) => b - a);
+};
+
+/**
+ * Whole days from now until a date (0 on the day itself)
+ */
+const daysUntil = (date, now) => Math.max(0, Math.ceil((date - now) / DAY));
+
+/**
+ * Lead time a reminder for the date is due at now (null if it is too early or
+ * a reminder at this or a shorter lead time went out already)
+ */
+const dueLeadDays = (document, kind, dueAt, leadDays, now) => {
+  const daysLeft = daysUntil(dueAt, now);
+  const reached = leadDays.filter(days => days >= daysLeft);
+  if (reached.length === 0) return null;
+
+  // Only the most urgent lead time reached, so a late run sends one reminder, not several
+  const leadDay = Math.min(...reached);
+  const alreadySent = document.remindersSent.some(reminder =>
+    reminder.kind === kind
+    && reminder.dueAt.getTime() === dueAt.getTime()
+    && reminder.leadDays <= leadDay
+  );
+
+  return alreadySent ? null : leadDay;
+};
+
+/**
+ * Users reminded about a document: its owner and those it is shared with for editing
+ */
+const recipientsOf = (document) => {
+  const ids = [
+    document.owner,
+    ...document.sharedWith
+      .filter(share => ['edit', 'admin'].includes(share.permission))
+      .map(share => share.user),
+  ];
+  return User.find({ _id: { $in: ids }, tenantId: document.tenantId, isActive: true });
+};
+
+/**
+ * Notify and email the recipients of one reminder
+ */
+const sendReminder = async (document, kind, dueAt, leadDays, now) => {
+  const daysLeft = daysUntil(dueAt, now);
+  const when = daysLeft === 0 ? 'today' : `in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`;
+  const recipients = await recipientsOf(document);
+
+  for (const user of recipients) {
+    await Notification.create({
+      tenantId: document.tenantId,
+      user: user._id,
+      type: KINDS[kind].type,
+      title: kind === 'expiry' ? 'Document expiring' : 'Document review due',
+      message: kind === 'expiry'
+        ? `"${document.title}" expires ${when} (${dueAt.toDateString()}).`
+        : `"${document.title}" is due for review ${when} (${dueAt.toDateString()}).`,
+      relatedDocument: document._id,
+      actionUrl: `/documents/${document._id}`,
+      priority: leadDays <= 7 ? 'high' : 'normal',
+    });
+
+    if (user.preferences?.notifications?.email === false) continue;
+
+    try {
+      await sendDocumentReminderEmail(user, document, { kind, dueAt, daysLeft });
+    } catch (error) {
+      logger.error(`Failed to email ${kind} reminder for document ${document._id} to ${user.email}: ${error.message}`);
+    }
+  }
+
+  return recipients.length;
+};
+
+/**
+ * Send every expiry and review reminder that is due for a tenant
+ */
+exports.sendTenantReminders = async (tenantId, now = new Date()) => {
+  const leadDays = await getLeadDays(tenantId);
+  const totals = { documents: 0, reminders: 0, recipients: 0 };
+  if (leadDays.length === 0) return totals;
+
+  const horizon = new Date(now.getTime() + leadDays[0] * DAY);
+  const cursor = Document.find({
+    tenantId,
+    status: { $in: ['active', 'archived'] },
+    $or: [
+      { expiresAt: { $gte: now, $lte: horizon } },
+      { reviewAt: { $gte: now, $lte: horizon } },
+    ],
+  }).cursor();
+
+  for await (const document of cursor) {
+    totals.documents += 1;
+    let sent = false;
+
+    for (const kind of Object.keys(KINDS)) {
+      const dueAt = document[KINDS[kind].field];
+      if (!dueAt || dueAt < now) continue;
+
+      const leadDay = dueLeadDays(document, kind, dueAt, leadDays, now);
+      if (leadDay === null) continue;
+
+      totals.recipients += await sendReminder(document, kind, dueAt, leadDay, now);
+      totals.reminders += 1;
+      document.remindersSent.push({ kind, dueAt, leadDays: leadDay, sentAt: now });
+      sent = true;
+    }
+
+    if (sent) await document.save();
+  }
+
+  return totals;
+};
+
+/**
+ * Tenants with documents expiring or due for review from now on
+ */
+exports.tenantsWithUpcomingDates = (now = new Date()) => {
+  return Document.distinct('tenantId', {
+    status: { $in: ['active', 'archived'] },
+    $or: [{ expiresAt: { $gte: now } }, { reviewAt: { $gte: now } }],
+  });
+};
+
+exports.getLeadDays = getLeadDays;
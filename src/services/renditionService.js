@@ -0,0 +1,190 @@
+const path = require('path');
+const sharp = require('sharp');
+
+// Preview variants, by longest edge in pixels
+const PREVIEW_SIZES = {
+  thumbnail: 200,
+  small: 400,
+  medium: 800,
+  large: 1600,
+};
+
+const LARGEST_SIZE = Math.max(...Object.values(PREVIEW_SIZES));
+const RENDITION_MIME_TYPE = 'image/jpeg';
+
+// Optimized copies of images for everyday viewing, by longest edge in pixels
+const OPTIMIZED_SIZE = 2000;
+
+// Text previews show the start of the file as a page
+const TEXT_PAGE = { width: 1240, height: 1754, margin: 80, fontSize: 22, lineHeight: 30, columns: 80 };
+
+// pdf.js needs its bundled font data to draw the standard 14 PDF fonts
+const STANDARD_FONT_DATA_URL = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep;
+
+/**
+ * Escape text for use inside SVG markup
+ */
+const escapeXml = (text) => {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+/**
+ * Render the first page of a PDF to PNG
+ */
+const renderPdfPage = async (buffer) => {
+  // pdf.js only ships as an ES module
+  const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  const { createCanvas } = require('@napi-rs/canvas');
+
+  const pdf = await pdfjs.getDocument({
+    data: new Uint8Array(buffer),
+    disableFontFace: true,
+    isEvalSupported: false,
+    standardFontDataUrl: STANDARD_FONT_DATA_URL,
+    verbosity: 0,
+  }).promise;
+
+  try {
+    const page = await pdf.getPage(1);
+    const { width, height } = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({ scale: Math.min(4, LARGEST_SIZE / Math.max(width, height)) });
+
+    const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    await page.render({ canvasContext: context, viewport, canvas }).promise;
+
+    return canvas.toBuffer('image/png');
+  } finally {
+    await pdf.destroy();
+  }
+};
+
+/**
+ * Render the opening lines of a text file as a page image
+ */
+const renderTextPage = async (buffer) => {
+  const { width, height, margin, fontSize, lineHeight, columns } = TEXT_PAGE;
+  const maxLines = Math.floor((height - margin * 2) / lineHeight);
+
+  // Only the start of the file can ever be visible
+  const lines = buffer
+    .subarray(0, maxLines * columns * 4)
+    .toString('utf8')
+    .replace(/\r\n?/g, '\n')
+    .replace(/\t/g, '    ')
+    .split('\n')
+    .flatMap(line => line.match(new RegExp(`.{1,${columns}}`, 'gu')) || [''])
+    .slice(0, maxLines);
+
+  const text = lines
+    .map((line, index) => `<text x="${margin}" y="${margin + (index + 1) * lineHeight}" xml:space="preserve">${escapeXml(line)}</text>`)
+    .join('');
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">`
+    + '<rect width="100%" height="100%" fill="#ffffff"/>'
+    + `<g font-family="monospace" font-size="${fontSize}" fill="#222222">${text}</g>`
+    + '</svg>';
+
+  return sharp(Buffer.from(svg)).png().toBuffer();
+};
+
+// Source renderers keyed by MIME type; each returns an image sharp can read
+const renderers = {
+  'image/jpeg': async (buffer) => buffer,
+  'image/png': async (buffer) => buffer,
+  'image/gif': async (buffer) => buffer,
+  'application/pdf': renderPdfPage,
+  'text/plain': renderTextPage,
+};
+
+// Encoders for optimized copies keyed by MIME type; the original format is kept
+const optimizers = {
+  'image/jpeg': { extension: 'jpg', encode: image => image.jpeg({ quality: 90, mozjpeg: true }) },
+  'image/png': { extension: 'png', encode: image => image.png({ compressionLevel: 9, adaptiveFiltering: true }) },
+};
+
+/**
+ * Check whether previews can be generated for a MIME type
+ */
+exports.isPreviewable = (mimeType) => Boolean(renderers[mimeType]);
+
+/**
+ * Storage key prefix shared by every rendition of an original
+ */
+exports.renditionPrefix = (storageKey) => `${storageKey}.renditions/`;
+
+/**
+ * Storage key of a rendition, stored next to the original
+ */
+exports.renditionKey = (storageKey, name, extension = 'jpg') => {
+  return `${exports.renditionPrefix(storageKey)}${name}.${extension}`;
+};
+
+/**
+ * Generate every preview size for a file
+ *
+ * Returns null for unsupported types.
+ */
+exports.createPreviews = async (buffer, mimeType) => {
+  const renderer = renderers[mimeType];
+  if (!renderer) return null;
+
+  const source = await renderer(buffer);
+  const previews = [];
+
+  for (const [name, size] of Object.entries(PREVIEW_SIZES)) {
+    const { data, info } = await sharp(source)
+      .rotate()
+      .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: 80, mozjpeg: true })
+      .toBuffer({ resolveWithObject: true });
+
+    previews.push({
+      name,
+      buffer: data,
+      mimeType: RENDITION_MIME_TYPE,
+      extension: 'jpg',
+      width: info.width,
+      height: info.height,
+    });
+  }
+
+  return previews;
+};
+
+/**
+ * Generate a downsized copy of an image in its original format
+ *
+ * Returns null for unsupported types, or when the copy would not be smaller
+ * than the original.
+ */
+exports.createOptimizedCopy = async (buffer, mimeType) => {
+  const optimizer = optimizers[mimeType];
+  if (!optimizer) return null;
+
+  const { data, info } = await optimizer
+    .encode(sharp(buffer).rotate().resize(OPTIMIZED_SIZE, OPTIMIZED_SIZE, { fit: 'inside', withoutEnlargement: true }))
+    .toBuffer({ resolveWithObject: true });
+
+  if (data.length >= buffer.length) return null;
+
+  return {
+    name: 'optimized',
+    buffer: data,
+    mimeType,
+    extension: optimizer.extension,
+    width: info.width,
+    height: info.height,
+  };
+};
+
+exports.escapeXml = escapeXml;
+exports.PREVIEW_SIZES = PREVIEW_SIZES;
@@ -0,0 +1,147 @@
+const Document = require('../models/Document');
+const RetentionPolicy = require('../models/RetentionPolicy');
+const LegalHold = require('../models/LegalHold');
+const DisposalList = require('../models/DisposalList');
+const logger = require('../utils/logger');
+const { purgeDocument } = require('./documentService');
+
+// Keep lists well inside MongoDB's 16MB document limit; the rest follow in the next run
+const MAX_LIST_ITEMS = parseInt(process.env.DISPOSAL_MAX_LIST_ITEMS) || 2000;
+
+/**
+ * Policy governing a document: of the active policies covering it, the one
+ * that keeps it longest (null if none covers it)
+ */
+const governingPolicy = (policies, document) => {
+  let governing = null;
+
+  for (const policy of policies) {
+    if (!policy.appliesTo(document)) continue;
+
+    const endsAt = policy.retentionEndsAt(document);
+    if (!governing || endsAt > governing.endsAt) {
+      governing = { policy, endsAt };
+    }
+  }
+
+  return governing;
+};
+
+/**
+ * Retention of one document under the tenant's active policies
+ */
+exports.retentionOf = async (document) => {
+  const policies = await RetentionPolicy.find({ tenantId: document.tenantId, isActive: true });
+  const governing = governingPolicy(policies, document);
+  const holds = await LegalHold.holdsFor(document);
+
+  return {
+    policy: governing ? { id: governing.policy._id, name: governing.policy.name } : null,
+    retainUntil: governing ? governing.endsAt : null,
+    legalHolds: holds,
+  };
+};
+
+/**
+ * List the tenant's documents whose retention period has ended, for review
+ *
+ * Held documents and documents already on an open list are left out. Returns
+ * null when nothing is due.
+ */
+exports.buildDisposalList = async (tenantId, { trigger = 'scheduled', requestedBy } = {}) => {
+  const policies = await RetentionPolicy.find({ tenantId, isActive: true });
+  if (policies.length === 0) return null;
+
+  const listed = await DisposalList.find({
+    tenantId,
+    status: { $in: ['pending_review', 'approved'] },
+  }).distinct('items.document');
+  const held = await LegalHold.heldScope(tenantId);
+
+  const cursor = Document.find({
+    tenantId,
+    status: { $in: ['active', 'archived'] },
+    _id: { $nin: [...held.documentIds, ...listed] },
+    folderId: { $nin: held.folderIds },
+  })
+    .select('title originalName type category owner fileSize checksum version createdAt updatedAt')
+    .cursor();
+
+  const now = new Date();
+  const items = [];
+  let truncated = false;
+
+  for await (const document of cursor) {
+    const governing = governingPolicy(policies, document);
+    if (!governing || governing.endsAt > now) continue;
+
+    if (items.length >= MAX_LIST_ITEMS) {
+      truncated = true;
+      break;
+    }
+
+    items.push({
+      document: document._id,
+      title: document.title,
+      originalName: document.originalName,
+      type: document.type,
+      category: document.category,
+      owner: document.owner,
+      fileSize: document.fileSize,
+      checksum: document.checksum,
+      version: document.version,
+      documentCreatedAt: document.createdAt,
+      policy: governing.policy._id,
+      policyName: governing.policy.name,
+      retentionEndsAt: governing.endsAt,
+    });
+  }
+
+  if (items.length === 0) return null;
+
+  return DisposalList.create({ tenantId, trigger, requestedBy, items, itemsTruncated: truncated });
+};
+
+/**
+ * Dispose of the approved items of a list and issue its audit certificate
+ *
+ * Holds are checked again for every document, so a hold placed after the
+ * review still protects it.
+ */
+exports.executeDisposalList = async (list) => {
+  for (const item of list.items) {
+    if (item.result !== 'pending') continue;
+
+    if (item.decision === 'retain') {
+      item.result = 'retained';
+      continue;
+    }
+
+    const document = await Document.findOne({ _id: item.document, tenantId: list.tenantId });
+    if (!document) {
+      item.result = 'skipped';
+      item.reason = 'Document no longer exists';
+      continue;
+    }
+
+    try {
+      await purgeDocument(document);
+      item.result = 'disposed';
+      item.disposedAt = new Date();
+    } catch (error) {
+      if (!error.isOperational) {
+        logger.error(`Failed to dispose of document ${document._id}: ${error.message}`);
+      }
+      item.result = 'skipped';
+      item.reason = error.message;
+    }
+  }
+
+  list.status = 'completed';
+  list.completedAt = new Date();
+  list.certificate = { issuedAt: list.completedAt };
+  list.certificate.digest = list.certificateDigest();
+  await list.save();
+
+  return list;
+};
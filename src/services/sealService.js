@@ -0,0 +1,286 @@
+const path = require('path');
+const sharp = require('sharp');
+const QRCode = require('qrcode');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const Seal = require('../models/Seal');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const { sha256, sha256Stream } = require('../utils/checksum');
+const storage = require('../config/storage');
+const { getDecryptedBuffer, getDecryptedStream, putEncrypted } = require('./encryptionService');
+const { escapeXml } = require('./renditionService');
+
+// File types a stamped copy can be produced for, with sharp's output format for images
+const IMAGE_FORMATS = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/tiff': 'tiff',
+};
+const PDF_MIME_TYPE = 'application/pdf';
+
+// Seals are appended to the chain optimistically; concurrent seals retry with the next sequence
+const MAX_CHAIN_ATTEMPTS = 5;
+
+// Certification page of stamped PDFs (A4, in points)
+const PDF_PAGE = { width: 595.28, height: 841.89, margin: 56, qrSize: 150 };
+
+/**
+ * Whether a stamped copy can be produced for a file type
+ */
+exports.isSealable = (mimeType) => mimeType === PDF_MIME_TYPE || Boolean(IMAGE_FORMATS[mimeType]);
+
+/**
+ * Lines of text printed on the stamp
+ */
+const stampLines = (stamp) => {
+  return [
+    `Document: ${stamp.title}`,
+    `File: ${stamp.originalName} (version ${stamp.version})`,
+    `SHA-256: ${stamp.checksum}`,
+    `Notary: ${stamp.notaryName}`,
+    `Sealed: ${stamp.sealedAt.toISOString()}`,
+    `Verify: ${stamp.url}`,
+  ];
+};
+
+/**
+ * Replace characters the standard PDF fonts cannot encode
+ */
+const winAnsi = (text) => String(text).replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+
+/**
+ * Split text into lines no wider than the given width
+ */
+const wrapText = (text, font, size, maxWidth) => {
+  const lines = [];
+  let line = '';
+
+  for (const word of winAnsi(text).split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (font.widthOfTextAtSize(candidate, size) <= maxWidth) {
+      line = candidate;
+      continue;
+    }
+    if (line) lines.push(line);
+
+    // Words longer than a line (URLs, hashes) are broken anywhere
+    line = '';
+    for (const char of word) {
+      if (font.widthOfTextAtSize(line + char, size) > maxWidth) {
+        lines.push(line);
+        line = '';
+      }
+      line += char;
+    }
+  }
+  if (line) lines.push(line);
+
+  return lines;
+};
+
+/**
+ * Append a certification page with the seal details and QR code to a PDF
+ */
+const stampPdf = async (buffer, stamp, qrPng) => {
+  let pdf;
+  try {
+    pdf = await PDFDocument.load(buffer);
+  } catch (error) {
+    throw new AppError(`This PDF cannot be stamped (${error.message})`, 422);
+  }
+
+  const { width, height, margin, qrSize } = PDF_PAGE;
+  const page = pdf.addPage([width, height]);
+  const regular = await pdf.embedFont(StandardFonts.Helvetica);
+  const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+  const qr = await pdf.embedPng(qrPng);
+
+  let y = height - margin - 20;
+  page.drawText('Notarial Seal', { x: margin, y, size: 20, font: bold });
+  y -= 36;
+
+  const textWidth = width - margin * 2;
+  const paragraphs = stamp.statement ? [...stampLines(stamp), '', stamp.statement] : stampLines(stamp);
+  for (const paragraph of paragraphs) {
+    for (const line of wrapText(paragraph, regular, 10, textWidth)) {
+      page.drawText(line, { x: margin, y, size: 10, font: regular });
+      y -= 15;
+    }
+    y -= paragraph ? 4 : 10;
+  }
+
+  page.drawImage(qr, { x: margin, y: y - qrSize - 10, width: qrSize, height: qrSize });
+  page.drawText('Scan to verify that this document is unaltered', {
+    x: margin,
+    y: y - qrSize - 26,
+    size: 9,
+    font: regular,
+    color: rgb(0.35, 0.35, 0.35),
+  });
+
+  return Buffer.from(await pdf.save());
+};
+
+/**
+ * Add a band with the seal details and QR code below an image
+ */
+const stampImage = async (buffer, stamp, mimeType) => {
+  let image;
+  try {
+    // Orientation is applied first so the band ends up at the bottom as viewed
+    const oriented = await sharp(buffer).rotate().toBuffer();
+    image = { buffer: oriented, ...(await sharp(oriented).metadata()) };
+  } catch (error) {
+    throw new AppError(`This image cannot be stamped (${error.message})`, 422);
+  }
+
+  const bandWidth = Math.max(image.width, 800);
+  const qrSize = Math.round(Math.min(Math.max(bandWidth * 0.15, 160), 400));
+  const padding = Math.round(qrSize / 8);
+  const bandHeight = qrSize + padding * 2;
+
+  // Shrink the text until the longest line fits beside the QR code
+  const lines = ['Notarial Seal', ...stampLines(stamp)].map(line => (line.length > 90 ? `${line.slice(0, 89)}…` : line));
+  const longest = Math.max(...lines.map(line => line.length));
+  const fontSize = Math.floor(Math.min(qrSize / 11, (bandWidth - qrSize - padding * 3) / (longest * 0.62)));
+  const text = lines.map((line, i) => {
+    const weight = i === 0 ? ' font-weight="bold"' : '';
+    return `<text x="${qrSize + padding * 2}" y="${Math.round(padding + fontSize * 1.4 * (i + 1))}"${weight}>${escapeXml(line)}</text>`;
+  }).join('');
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${bandWidth}" height="${bandHeight}">`
+    + `<g font-family="sans-serif" font-size="${fontSize}" fill="#000000">${text}</g></svg>`;
+
+  const qrPng = await QRCode.toBuffer(stamp.url, { width: qrSize, margin: 1 });
+
+  return sharp(image.buffer)
+    .extend({
+      bottom: bandHeight,
+      right: bandWidth - image.width,
+      background: '#ffffff',
+    })
+    .composite([
+      { input: Buffer.from(svg), left: 0, top: image.height },
+      { input: qrPng, left: padding, top: image.height + padding },
+    ])
+    .toFormat(IMAGE_FORMATS[mimeType])
+    .toBuffer();
+};
+
+/**
+ * Produce the stamped copy of a sealed file
+ */
+const stampFile = async (buffer, mimeType, stamp) => {
+  if (mimeType === PDF_MIME_TYPE) {
+    const qrPng = await QRCode.toBuffer(stamp.url, { width: 600, margin: 1 });
+    return stampPdf(buffer, stamp, qrPng);
+  }
+  return stampImage(buffer, stamp, mimeType);
+};
+
+/**
+ * Version entry of a document (documents stored before version history only have their current file)
+ */
+const versionEntry = (document, version) => {
+  return document.versionHistory.find(v => v.version === version)
+    || (version === document.version ? document : null);
+};
+
+/**
+ * Seal a version of a document: verify the archived file against its checksum,
+ * store a stamped copy with a QR code to the verification page and append the
+ * seal to the tenant's hash chain
+ */
+exports.issueSeal = async ({ notary, document, versionNumber, statement = '' }) => {
+  const version = versionNumber || document.version;
+  const entry = versionEntry(document, version);
+  if (!entry) {
+    throw new AppError('Version not found', 404);
+  }
+
+  const mimeType = entry.mimeType || document.mimeType;
+  if (!exports.isSealable(mimeType)) {
+    throw new AppError('Only PDF and image files (JPEG, PNG, WebP, TIFF) can be sealed', 400);
+  }
+
+  const buffer = await getDecryptedBuffer(document.tenantId, entry.storageKey, document.encryptionFor(entry.storageKey));
+  const checksum = sha256(buffer);
+  if (entry.checksum && entry.checksum !== checksum) {
+    throw new AppError('The archived file no longer matches its checksum and cannot be sealed', 409);
+  }
+
+  const verificationCode = Seal.generateCode();
+  const originalName = entry.originalName || document.originalName;
+  const fields = {
+    tenantId: document.tenantId,
+    verificationCode,
+    document: document._id,
+    title: document.title,
+    version,
+    originalName,
+    mimeType,
+    fileSize: buffer.length,
+    checksum,
+    notary: notary._id,
+    notaryName: notary.fullName || `${notary.firstName} ${notary.lastName}`,
+    statement,
+    sealedAt: new Date(),
+  };
+
+  const stampedBuffer = await stampFile(buffer, mimeType, { ...fields, url: Seal.urlFor(verificationCode) });
+  const storageKey = `${document.tenantId}/seals/${verificationCode}${path.extname(originalName).toLowerCase()}`;
+  const encryption = await putEncrypted(document.tenantId, storageKey, stampedBuffer, {
+    contentType: mimeType,
+    metadata: { seal: verificationCode, checksum },
+  });
+  fields.stamped = {
+    storageKey,
+    mimeType,
+    fileSize: stampedBuffer.length,
+    checksum: sha256(stampedBuffer),
+    encryption,
+  };
+
+  try {
+    for (let attempt = 1; ; attempt++) {
+      const last = await Seal.lastOf(document.tenantId);
+      const seal = new Seal({
+        ...fields,
+        sequence: last ? last.sequence + 1 : 1,
+        previousHash: last ? last.hash : Seal.GENESIS_HASH,
+      });
+      seal.hash = seal.computeHash();
+
+      try {
+        return await seal.save();
+      } catch (error) {
+        // Another seal took this place in the chain
+        if (error.code !== 11000 || !error.keyPattern || !error.keyPattern.sequence || attempt >= MAX_CHAIN_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  } catch (error) {
+    await storage.delete(storageKey).catch((err) => {
+      logger.error(`Failed to delete stamped copy ${storageKey}: ${err.message}`);
+    });
+    throw error;
+  }
+};
+
+/**
+ * Whether the archived file of a seal still matches the sealed checksum
+ * (null when the document or version is no longer archived)
+ */
+exports.checkArchivedFile = async (seal, document) => {
+  const entry = document && versionEntry(document, seal.version);
+  if (!entry) return null;
+
+  try {
+    const stream = getDecryptedStream(document.tenantId, entry.storageKey, document.encryptionFor(entry.storageKey));
+    return (await sha256Stream(stream)) === seal.checksum;
+  } catch (error) {
+    logger.error(`Failed to read sealed file of document ${document._id}: ${error.message}`);
+    return null;
+  }
+};
@@ -0,0 +1,401 @@
+const mongoose = require('mongoose');
+const Document = require('../models/Document');
+const DocumentText = require('../models/DocumentText');
+const AppError = require('../utils/appError');
+
+// Upper bound on text matches considered per search (among documents the user can see)
+const MAX_CANDIDATES = parseInt(process.env.SEARCH_MAX_CANDIDATES) || 1000;
+
+// Metadata (title, description, tags) matches rank above body matches
+const METADATA_WEIGHT = 2;
+
+/**
+ * Escape a string for use inside a regular expression
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+exports.escapeRegex = escapeRegex;
+
+/**
+ * Crude stemmer so highlights line up with MongoDB's stemmed matches
+ */
+const stem = (term) => {
+  if (term.length <= 4) return term;
+  return term.replace(/(ies|ing|ed|es|s)$/, '');
+};
+
+/**
+ * Split a search string into quoted phrases and plain terms (negated terms are dropped)
+ */
+const parseQuery = (query) => {
+  const phrases = [...query.matchAll(/"([^"]+)"/g)].map(match => match[1].trim()).filter(Boolean);
+  const terms = query
+    .replace(/"[^"]*"/g, ' ')
+    .split(/\s+/)
+    .filter(term => term && !term.startsWith('-'))
+    .map(term => term.replace(/[^\p{L}\p{N}]/gu, ''))
+    .filter(Boolean);
+
+  return { phrases, terms };
+};
+
+/**
+ * Build highlighted snippets for the places a query matches in a text
+ *
+ * Each snippet carries the excerpt plus the character ranges to highlight in it.
+ */
+exports.buildSnippets = (content, query, { maxSnippets = 3, radius = 80 } = {}) => {
+  if (!content) return [];
+
+  const { phrases, terms } = parseQuery(query);
+  const patterns = [
+    ...phrases.map(phrase => escapeRegex(phrase).replace(/\s+/g, '\\s+')),
+    ...terms.map(term => `${escapeRegex(stem(term))}[\\p{L}\\p{N}]*`),
+  ];
+  if (patterns.length === 0) return [];
+
+  const regex = new RegExp(`(?<![\\p{L}\\p{N}])(?:${patterns.join('|')})`, 'giu');
+
+  // Group nearby matches into windows
+  const windows = [];
+  let match;
+  while ((match = regex.exec(content)) !== null) {
+    const start = match.index;
+    const end = start + match[0].length;
+    const current = windows[windows.length - 1];
+
+    if (current && start <= current.end + radius) {
+      current.end = end;
+      current.matches.push({ start, end });
+    } else {
+      if (windows.length === maxSnippets) break;
+      windows.push({ start, end, matches: [{ start, end }] });
+    }
+  }
+
+  return windows.map((window) => {
+    let from = Math.max(0, window.start - radius);
+    let to = Math.min(content.length, window.end + radius);
+
+    // Avoid cutting words in half
+    if (from > 0) {
+      const space = content.indexOf(' ', from);
+      if (space !== -1 && space < window.start) from = space + 1;
+    }
+    if (to < content.length) {
+      const space = content.lastIndexOf(' ', to);
+      if (space > window.end) to = space;
+    }
+
+    return {
+      text: content.slice(from, to).replace(/\s+/g, ' '),
+      truncatedStart: from > 0,
+      truncatedEnd: to < content.length,
+      highlights: window.matches.map(({ start, end }) => ({
+        start: content.slice(from, start).replace(/\s+/g, ' ').length,
+        end: content.slice(from, end).replace(/\s+/g, ' ').length,
+      })),
+    };
+  });
+};
+
+/**
+ * Find matching document ids with a relevance score, from contents and metadata
+ *
+ * `documentMatch` (tenant, status and access conditions, aggregation-ready) is
+ * applied before the candidate cap, so the best matches the user can see are kept.
+ */
+exports.findTextMatches = async (documentMatch, query) => {
+  const [contentHits, metadataHits] = await Promise.all([
+    DocumentText.aggregate([
+      { $match: { tenantId: documentMatch.tenantId, current: true, $text: { $search: query } } },
+      { $project: { document: 1, score: { $meta: 'textScore' } } },
+      {
+        $lookup: {
+          from: Document.collection.name,
+          let: { documentId: '$document' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$_id', '$$documentId'] } } },
+            { $match: documentMatch },
+            { $project: { _id: 1 } },
+          ],
+          as: 'visible',
+        },
+      },
+      { $match: { 'visible.0': { $exists: true } } },
+      { $sort: { score: -1 } },
+      { $limit: MAX_CANDIDATES },
+      { $project: { visible: 0 } },
+    ]),
+    Document.aggregate([
+      { $match: { ...documentMatch, $text: { $search: query } } },
+      { $project: { score: { $meta: 'textScore' } } },
+      { $sort: { score: -1 } },
+      { $limit: MAX_CANDIDATES },
+    ]),
+  ]);
+
+  const matches = new Map();
+  const add = (id, score, field) => {
+    const key = id.toString();
+    const entry = matches.get(key) || { score: 0, matchedIn: [] };
+    entry.score += score;
+    entry.matchedIn.push(field);
+    matches.set(key, entry);
+  };
+
+  contentHits.forEach(hit => add(hit.document, hit.score, 'content'));
+  metadataHits.forEach(hit => add(hit._id, hit.score * METADATA_WEIGHT, 'metadata'));
+
+  return matches;
+};
+
+/**
+ * Attach snippets from the current version's text to a page of results
+ */
+exports.attachSnippets = async (documents, query) => {
+  const texts = await DocumentText.find({
+    document: { $in: documents.map(document => document._id) },
+    current: true,
+  })
+    .select('document content')
+    .lean();
+
+  const byDocument = new Map(texts.map(text => [text.document.toString(), text.content]));
+
+  return documents.map(document => ({
+    ...document,
+    snippets: exports.buildSnippets(byDocument.get(document._id.toString()), query),
+  }));
+};
+
+// Upload-date buckets (cumulative, so each one also works as a filter)
+const DAY = 24 * 60 * 60 * 1000;
+const UPLOAD_BUCKETS = {
+  last_7_days: 7,
+  last_30_days: 30,
+  last_365_days: 365,
+};
+
+/**
+ * Split a comma-separated (or repeated) query parameter into a list
+ */
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(item => String(item).trim()).filter(Boolean);
+};
+
+/**
+ * Build the match condition for one upload-date bucket
+ */
+const uploadedCondition = (bucket, now) => {
+  if (bucket === 'older') {
+    return { createdAt: { $lt: new Date(now - UPLOAD_BUCKETS.last_365_days * DAY) } };
+  }
+  return { createdAt: { $gte: new Date(now - UPLOAD_BUCKETS[bucket] * DAY) } };
+};
+
+/**
+ * Build facet filters from query parameters, keyed by facet name
+ *
+ * Values within a facet are OR'ed; different facets are AND'ed.
+ */
+exports.buildFacetFilters = (params, now = Date.now()) => {
+  const filters = {};
+
+  const type = toList(params.type);
+  if (type.length) filters.type = { type: { $in: type } };
+
+  const category = toList(params.category);
+  if (category.length) filters.category = { category: { $in: category } };
+
+  const tags = toList(params.tags);
+  if (tags.length) filters.tags = { tags: { $in: tags } };
+
+  const owner = toList(params.owner).filter(id => mongoose.isValidObjectId(id));
+  if (owner.length) filters.owner = { owner: { $in: owner.map(id => new mongoose.Types.ObjectId(id)) } };
+
+  const extension = toList(params.extension).map(ext => ext.replace(/^\./, '').toLowerCase());
+  if (extension.length) filters.extension = { fileExtension: { $in: extension } };
+
+  const uploaded = toList(params.uploaded).filter(bucket => bucket === 'older' || UPLOAD_BUCKETS[bucket]);
+  if (uploaded.length) filters.uploaded = { $or: uploaded.map(bucket => uploadedCondition(bucket, now)) };
+
+  return filters;
+};
+
+// Comparison operators accepted on number and date custom fields
+const RANGE_OPERATORS = { gt: '$gt', gte: '$gte', lt: '$lt', lte: '$lte' };
+
+/**
+ * Cast a query string value to the stored type of a custom field
+ */
+const castFieldValue = (field, raw) => {
+  if (field.type === 'number') {
+    const number = Number(raw);
+    if (raw === '' || Number.isNaN(number)) throw new AppError(`${field.label} must be a number`, 400);
+    return number;
+  }
+  if (field.type === 'date') {
+    const date = new Date(raw);
+    if (Number.isNaN(date.getTime())) throw new AppError(`${field.label} must be a date`, 400);
+    return date;
+  }
+  return String(raw);
+};
+
+/**
+ * Build the filter on a document type's custom fields from `fields[key]=value`
+ * parameters
+ *
+ * Text fields match case-insensitively on part of the value; enum and user
+ * fields take comma-separated alternatives; number and date fields also take
+ * ranges such as `fields[value][gte]=1000`.
+ */
+exports.buildCustomFieldFilter = (documentType, params) => {
+  if (!params || typeof params !== 'object') return null;
+
+  const conditions = Object.entries(params).map(([key, raw]) => {
+    const field = documentType.fieldFor(key);
+    if (!field) {
+      throw new AppError(`Unknown field "${key}" for document type ${documentType.name}`, 400);
+    }
+    const path = `customFields.${field.key}`;
+
+    if (raw && typeof raw === 'object' && !Array.isArray(raw)) {
+      if (!['number', 'date'].includes(field.type)) {
+        throw new AppError(`${field.label} does not support ranges`, 400);
+      }
+      const range = {};
+      for (const [operator, value] of Object.entries(raw)) {
+        if (!RANGE_OPERATORS[operator]) throw new AppError(`Unknown operator "${operator}"`, 400);
+        range[RANGE_OPERATORS[operator]] = castFieldValue(field, value);
+      }
+      return { [path]: range };
+    }
+
+    if (field.type === 'text') {
+      return { [path]: { $regex: escapeRegex(String(raw)), $options: 'i' } };
+    }
+
+    const values = toList(raw).map(value => castFieldValue(field, value));
+    return { [path]: values.length === 1 ? values[0] : { $in: values } };
+  });
+
+  return conditions.length ? { $and: conditions } : null;
+};
+
+/**
+ * Combine every facet filter except the excluded one into a $match stage
+ */
+const matchFilters = (filters, exclude = null) => {
+  const conditions = Object.entries(filters)
+    .filter(([name]) => name !== exclude)
+    .map(([, condition]) => condition);
+
+  return { $match: conditions.length ? { $and: conditions } : {} };
+};
+
+/**
+ * Turn a sort string such as '-createdAt title fields.value' into a $sort specification
+ */
+const parseSort = (sortBy) => {
+  const sort = {};
+  String(sortBy).split(/[\s,]+/).filter(Boolean).forEach((spec) => {
+    const descending = spec.startsWith('-');
+    // Custom fields sort as fields.<key>
+    const field = (descending ? spec.slice(1) : spec).replace(/^fields\.(?=[a-zA-Z]\w*$)/, 'customFields.');
+    sort[field] = descending ? -1 : 1;
+  });
+  if (!sort._id) sort._id = -1;
+  return sort;
+};
+
+/**
+ * Run a faceted search with a single aggregation
+ *
+ * Each facet is counted with every filter except its own applied, so selecting
+ * a value narrows the other facets while its siblings stay selectable. When
+ * `idsOnly` is set, all matching ids are returned for the caller to rank instead
+ * of a sorted page of documents.
+ */
+exports.facetedSearch = async ({ baseMatch, filters, sortBy = '-createdAt', skip = 0, limit = 20, idsOnly = false }) => {
+  const countBy = (field, facetLimit = 50) => [
+    { $group: { _id: field, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: facetLimit },
+  ];
+
+  const now = Date.now();
+  const bucketCounts = {};
+  Object.entries(UPLOAD_BUCKETS).forEach(([bucket, days]) => {
+    bucketCounts[bucket] = { $sum: { $cond: [{ $gte: ['$createdAt', new Date(now - days * DAY)] }, 1, 0] } };
+  });
+  bucketCounts.older = {
+    $sum: { $cond: [{ $lt: ['$createdAt', new Date(now - UPLOAD_BUCKETS.last_365_days * DAY)] }, 1, 0] },
+  };
+
+  const [result] = await Document.aggregate([
+    { $match: baseMatch },
+    {
+      $facet: {
+        hits: idsOnly
+          ? [matchFilters(filters), { $project: { _id: 1 } }]
+          : [
+            matchFilters(filters),
+            { $sort: parseSort(sortBy) },
+            { $skip: skip },
+            { $limit: limit },
+            { $project: { versionHistory: 0, sharedWith: 0, sharedGroups: 0 } },
+          ],
+        total: [matchFilters(filters), { $count: 'count' }],
+        type: [matchFilters(filters, 'type'), ...countBy('$type')],
+        category: [matchFilters(filters, 'category'), ...countBy('$category')],
+        tags: [matchFilters(filters, 'tags'), { $unwind: '$tags' }, ...countBy('$tags')],
+        extension: [matchFilters(filters, 'extension'), ...countBy('$fileExtension')],
+        documentType: [
+          matchFilters(filters, 'documentType'),
+          { $match: { documentType: { $ne: null } } },
+          ...countBy('$documentType'),
+          { $lookup: { from: 'documenttypes', localField: '_id', foreignField: '_id', as: 'documentType' } },
+          { $unwind: { path: '$documentType', preserveNullAndEmptyArrays: true } },
+          { $project: { count: 1, key: '$documentType.key', name: '$documentType.name' } },
+        ],
+        owner: [
+          matchFilters(filters, 'owner'),
+          ...countBy('$owner'),
+          { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+          { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } },
+          {
+            $project: {
+              count: 1,
+              name: { $concat: [{ $ifNull: ['$user.firstName', ''] }, ' ', { $ifNull: ['$user.lastName', ''] }] },
+              email: '$user.email',
+            },
+          },
+        ],
+        uploaded: [matchFilters(filters, 'uploaded'), { $group: { _id: null, ...bucketCounts } }],
+      },
+    },
+  ]);
+
+  const toFacet = buckets => buckets.map(({ _id, count, ...rest }) => ({ value: _id, count, ...rest }));
+  const uploadCounts = result.uploaded[0] || {};
+
+  return {
+    hits: result.hits,
+    total: result.total[0] ? result.total[0].count : 0,
+    facets: {
+      type: toFacet(result.type),
+      category: toFacet(result.category),
+      tags: toFacet(result.tags),
+      owner: toFacet(result.owner),
+      extension: toFacet(result.extension),
+      documentType: toFacet(result.documentType),
+      uploaded: [...Object.keys(UPLOAD_BUCKETS), 'older'].map(bucket => ({
+        value: bucket,
+        count: uploadCounts[bucket] || 0,
+      })),
+    },
+  };
+};
@@ -0,0 +1,307 @@
+const sharp = require('sharp');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const { sha256 } = require('../utils/checksum');
+const { getDecryptedBuffer } = require('./encryptionService');
+const { storeVersion } = require('./documentService');
+const { sendSignatureRequestEmail } = require('./emailService');
+const { escapeXml } = require('./renditionService');
+
+// Signature images, in pixels
+const SIGNATURE_IMAGE = { width: 600, height: 200 };
+
+// Appended signature and audit trail pages (A4, in points)
+const PDF_PAGE = { width: 595.28, height: 841.89, margin: 56 };
+
+// A completion this recent may still be storing the signed PDF and is not started again
+const COMPLETION_GRACE_MS = 5 * 60 * 1000;
+
+const EVENT_LABELS = {
+  created: 'Request created',
+  notified: 'Signer notified',
+  viewed: 'Document viewed',
+  signed: 'Signed',
+  declined: 'Declined',
+  cancelled: 'Request cancelled',
+  completed: 'Signed PDF generated',
+};
+
+/**
+ * Render a typed name as a signature image
+ */
+exports.renderTypedSignature = (name) => {
+  const { width, height } = SIGNATURE_IMAGE;
+  const fontSize = Math.min(72, Math.floor(width / (name.length * 0.55)));
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">`
+    + `<text x="20" y="${Math.round(height / 2 + fontSize / 3)}" font-family="'Brush Script MT', 'Segoe Script', cursive"`
+    + ` font-style="italic" font-size="${fontSize}" fill="#1a237e">${escapeXml(name)}</text></svg>`;
+
+  return sharp(Buffer.from(svg)).trim().png().toBuffer();
+};
+
+/**
+ * Check a drawn signature (PNG or JPEG data URL) and scale it to the signature size
+ */
+exports.normalizeDrawnSignature = async (dataUrl) => {
+  const match = /^data:image\/(png|jpeg);base64,([A-Za-z0-9+/=]+)$/.exec(dataUrl);
+  if (!match) {
+    throw new AppError('Drawn signatures must be a PNG or JPEG data URL', 400);
+  }
+
+  try {
+    return await sharp(Buffer.from(match[2], 'base64'))
+      .resize(SIGNATURE_IMAGE.width, SIGNATURE_IMAGE.height, { fit: 'inside', withoutEnlargement: true })
+      .png()
+      .toBuffer();
+  } catch (error) {
+    throw new AppError('The drawn signature is not a valid image', 400);
+  }
+};
+
+/**
+ * Check up front that signatures can be appended to the document's PDF
+ * (encrypted or damaged PDFs cannot)
+ */
+exports.assertSignable = async (document) => {
+  const buffer = await getDecryptedBuffer(document.tenantId, document.storageKey, document.encryptionFor(document.storageKey));
+  try {
+    await PDFDocument.load(buffer);
+  } catch (error) {
+    throw new AppError(`This PDF cannot be signed (${error.message})`, 422);
+  }
+};
+
+/**
+ * Tell signers it is their turn, in the app and by email
+ */
+exports.notifySigners = async (request, signers, { document, requestedBy }) => {
+  const users = await User.find({ _id: { $in: signers.map(signer => signer.user) } });
+
+  for (const user of users) {
+    await Notification.create({
+      tenantId: request.tenantId,
+      user: user._id,
+      type: 'signature_requested',
+      title: 'Signature requested',
+      message: `${requestedBy.firstName} ${requestedBy.lastName} asked you to sign "${document.title}".`,
+      relatedDocument: document._id,
+      relatedUser: requestedBy._id,
+    });
+
+    try {
+      await sendSignatureRequestEmail(user, document, requestedBy, {
+        message: request.message,
+        signUrl: `${process.env.FRONTEND_URL}/signature-requests/${request._id}`,
+      });
+    } catch (error) {
+      logger.error(`Failed to email signature request ${request._id} to ${user.email}: ${error.message}`);
+    }
+
+    request.addEvent('notified', { user });
+  }
+};
+
+/**
+ * Notify the requester and signers of how a request ended
+ */
+exports.notifyOutcome = async (request, { document, actor, type, title, message }) => {
+  const recipients = [request.requestedBy, ...request.signers.map(signer => signer.user)]
+    .filter((id, i, ids) => !id.equals(actor._id) && ids.findIndex(other => other.equals(id)) === i);
+
+  await Notification.insertMany(recipients.map(user => ({
+    tenantId: request.tenantId,
+    user,
+    type,
+    title,
+    message,
+    relatedDocument: document._id,
+    relatedUser: actor._id,
+  })));
+};
+
+/**
+ * Replace characters the standard PDF fonts cannot encode
+ */
+const winAnsi = (text) => String(text).replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+
+/**
+ * Shorten text to fit a width
+ */
+const fitText = (text, font, size, maxWidth) => {
+  let fitted = text;
+  while (fitted.length > 1 && font.widthOfTextAtSize(fitted, size) > maxWidth) {
+    fitted = `${fitted.slice(0, -2)}…`;
+  }
+  return fitted;
+};
+
+/**
+ * Writes lines and images down appended pages, starting a new page when one is full
+ */
+const createPageWriter = async (pdf) => {
+  const { width, height, margin } = PDF_PAGE;
+  const regular = await pdf.embedFont(StandardFonts.Helvetica);
+  const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+  let page;
+  let y;
+
+  const newPage = () => {
+    page = pdf.addPage([width, height]);
+    y = height - margin;
+  };
+  const ensureSpace = (needed) => {
+    if (!page || y - needed < margin) newPage();
+  };
+
+  return {
+    newPage,
+    heading(text) {
+      ensureSpace(40);
+      y -= 20;
+      page.drawText(winAnsi(text), { x: margin, y, size: 18, font: bold });
+      y -= 16;
+    },
+    line(text, { size = 10, indent = 0, isBold = false, color } = {}) {
+      ensureSpace(size + 5);
+      y -= size + 5;
+      page.drawText(fitText(winAnsi(text), regular, size, width - margin * 2 - indent), {
+        x: margin + indent,
+        y,
+        size,
+        font: isBold ? bold : regular,
+        color,
+      });
+    },
+    image(embedded, drawWidth, drawHeight) {
+      ensureSpace(drawHeight + 8);
+      y -= drawHeight + 8;
+      page.drawImage(embedded, { x: margin, y, width: drawWidth, height: drawHeight });
+    },
+    gap(points) {
+      y -= points;
+    },
+  };
+};
+
+/**
+ * Append the signatures and the audit trail of a completed request to the signed PDF
+ */
+const buildSignedPdf = async (buffer, request, document) => {
+  let pdf;
+  try {
+    pdf = await PDFDocument.load(buffer);
+  } catch (error) {
+    throw new AppError(`This PDF cannot be signed (${error.message})`, 422);
+  }
+
+  const writer = await createPageWriter(pdf);
+  const grey = rgb(0.35, 0.35, 0.35);
+
+  writer.newPage();
+  writer.heading('Signatures');
+  for (const signer of request.signers) {
+    const image = await pdf.embedPng(signer.signatureImage);
+    const scale = Math.min(200 / image.width, 60 / image.height, 1);
+
+    writer.gap(10);
+    writer.image(image, image.width * scale, image.height * scale);
+    writer.line(`${signer.name} <${signer.email}>`, { isBold: true });
+    writer.line(`Signed ${signer.signedAt.toISOString()} (${signer.signatureType} signature) from ${signer.ipAddress || 'unknown address'}`, { color: grey });
+  }
+
+  writer.gap(20);
+  writer.heading('Audit Trail');
+  writer.line(`Document: ${document.title}`);
+  writer.line(`Signed file: ${document.originalName} (version ${request.version})`);
+  writer.line(`SHA-256 before signing: ${request.checksum}`);
+  writer.line(`Signature request: ${request._id} (${request.signingOrder} signing)`);
+  writer.gap(8);
+  for (const event of request.events) {
+    writer.line(`${event.at.toISOString()}  ${EVENT_LABELS[event.type]}${event.name ? ` - ${event.name}` : ''}`, { size: 9 });
+    const context = [event.details, event.ipAddress && `IP ${event.ipAddress}`, event.userAgent].filter(Boolean).join(' | ');
+    if (context) writer.line(context, { size: 8, indent: 12, color: grey });
+  }
+
+  return Buffer.from(await pdf.save());
+};
+
+/**
+ * Save a request, turning a concurrent change into a retryable error
+ */
+exports.saveRequest = async (request) => {
+  try {
+    await request.save();
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      throw new AppError('The signature request changed meanwhile; please try again', 409);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Mark a request completed with the version holding its signed PDF
+ */
+const markCompleted = async (request, version) => {
+  request.status = 'completed';
+  request.completedAt = new Date();
+  request.signedVersion = version;
+  await exports.saveRequest(request);
+  return request;
+};
+
+/**
+ * Produce the signed PDF of a request whose signers have all signed and store
+ * it as the document's next version
+ *
+ * The request is saved as `completing`, with the signed PDF's checksum, before
+ * the version is stored. A failed completion can therefore be run again: it
+ * finds the signed version if it was stored, and starts over otherwise.
+ */
+exports.completeRequest = async (request, { document, user }) => {
+  if (request.status === 'completing') {
+    const stored = document.versionHistory.find(v => v.checksum === request.signedChecksum);
+    if (stored) return markCompleted(request, stored.version);
+
+    if (Date.now() - request.updatedAt.getTime() < COMPLETION_GRACE_MS) {
+      throw new AppError('The signed PDF is being stored; please try again in a few minutes', 409);
+    }
+  }
+
+  if (document.version !== request.version || document.checksum !== request.checksum) {
+    throw new AppError('The document changed after signatures were requested; the request must be sent again', 409);
+  }
+
+  const entry = document.versionHistory.find(v => v.version === request.version);
+  if (!entry) {
+    throw new AppError('The version to sign is no longer available', 410);
+  }
+
+  const original = await getDecryptedBuffer(document.tenantId, entry.storageKey, document.encryptionFor(entry.storageKey));
+  if (sha256(original) !== request.checksum) {
+    throw new AppError('The archived file no longer matches its checksum and cannot be signed', 409);
+  }
+
+  // A failed attempt left its event behind; the audit trail lists the stored one only
+  request.events = request.events.filter(event => event.type !== 'completed');
+  request.addEvent('completed', { details: `Stored as version ${document.version + 1}` });
+
+  const signed = await buildSignedPdf(original, request, document);
+  request.status = 'completing';
+  request.signedChecksum = sha256(signed);
+  await exports.saveRequest(request);
+
+  const { version } = await storeVersion({
+    user,
+    document,
+    buffer: signed,
+    originalName: entry.originalName || document.originalName,
+    mimeType: 'application/pdf',
+    changes: `Signed by ${request.signers.map(signer => signer.name).join(', ')}`,
+  });
+
+  return markCompleted(request, version);
+};
@@ -0,0 +1,279 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+
+// Internal directories under the root, hidden from listings
+const META_DIR = '.meta';
+const MULTIPART_DIR = '.multipart';
+
+const notFound = (key) => {
+  const error = new Error(`Object not found: ${key}`);
+  error.code = 'NotFound';
+  error.statusCode = 404;
+  return error;
+};
+
+/**
+ * Storage driver keeping objects as files under a directory (local disk or a NAS mount)
+ *
+ * Content type and metadata are kept in JSON sidecars under `.meta/`.
+ */
+class LocalDriver {
+  constructor({ root }) {
+    this.name = 'local';
+    this.root = path.resolve(root);
+  }
+
+  /**
+   * Resolve a key to a path under the root, refusing keys that escape it
+   *
+   * Empty, `.` and `..` segments are refused outright rather than normalized, so
+   * a key can never land somewhere other than where it reads.
+   */
+  resolve(key, base = this.root) {
+    const segments = String(key).split('/');
+    if (segments.some(segment => segment === '' || segment === '.' || segment === '..' || segment.includes('\\'))) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    const filePath = path.resolve(base, ...segments);
+    if (!filePath.startsWith(base + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  metaPath(key) {
+    return `${this.resolve(key, path.join(this.root, META_DIR))}.json`;
+  }
+
+  /**
+   * Write a body to a file atomically (via a temporary file), returning its MD5
+   */
+  async writeFile(filePath, body) {
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+
+    const hash = crypto.createHash('md5');
+    const tempPath = path.join(this.root, MULTIPART_DIR, 'tmp', uuidv4());
+    await fsp.mkdir(path.dirname(tempPath), { recursive: true });
+    const source = Buffer.isBuffer(body) || typeof body === 'string' ? Readable.from([Buffer.from(body)]) : body;
+
+    try {
+      await pipeline(
+        source,
+        new Transform({
+          transform(chunk, encoding, callback) {
+            hash.update(chunk);
+            callback(null, chunk);
+          },
+        }),
+        fs.createWriteStream(tempPath)
+      );
+      await fsp.rename(tempPath, filePath);
+    } catch (error) {
+      await fsp.rm(tempPath, { force: true });
+      throw error;
+    }
+
+    return hash.digest('hex');
+  }
+
+  /**
+   * Store an object (body may be a buffer or a stream)
+   */
+  async put(key, body, { contentType, metadata = {} } = {}) {
+    await this.writeFile(this.resolve(key), body);
+    await this.writeFile(this.metaPath(key), JSON.stringify({ contentType, metadata }));
+
+    return { key };
+  }
+
+  /**
+   * Get a readable stream of an object
+   */
+  getStream(key) {
+    const stream = fs.createReadStream(this.resolve(key));
+
+    // Report missing files the same way as the other drivers
+    stream.prependListener('error', (error) => {
+      if (error.code === 'ENOENT') {
+        error.code = 'NotFound';
+        error.statusCode = 404;
+      }
+    });
+
+    return stream;
+  }
+
+  /**
+   * Delete an object (missing objects are ignored)
+   */
+  async delete(key) {
+    await fsp.rm(this.resolve(key), { force: true });
+    await fsp.rm(this.metaPath(key), { force: true });
+  }
+
+  /**
+   * Copy an object
+   */
+  async copy(sourceKey, destinationKey) {
+    const head = await this.head(sourceKey);
+    if (!head) throw notFound(sourceKey);
+
+    await this.put(destinationKey, fs.createReadStream(this.resolve(sourceKey)), head);
+  }
+
+  /**
+   * List objects under a prefix in key order, one page at a time
+   */
+  async list(prefix, { continuationToken, limit = 1000 } = {}) {
+    // Only walk the deepest directory the prefix pins down
+    const prefixDir = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+    const startDir = prefixDir ? this.resolve(prefixDir) : this.root;
+
+    const keys = [];
+    const walk = async (dir, keyPrefix) => {
+      let entries;
+      try {
+        entries = await fsp.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const key = `${keyPrefix}${entry.name}`;
+        if (!keyPrefix && [META_DIR, MULTIPART_DIR].includes(entry.name)) continue;
+
+        if (entry.isDirectory()) {
+          const dirKey = `${key}/`;
+          if (dirKey.startsWith(prefix) || prefix.startsWith(dirKey)) {
+            await walk(path.join(dir, entry.name), dirKey);
+          }
+        } else if (key.startsWith(prefix)) {
+          keys.push(key);
+        }
+      }
+    };
+    await walk(startDir, prefixDir ? `${prefixDir}/` : '');
+
+    const remaining = keys.sort().filter(key => !continuationToken || key > continuationToken);
+    const page = remaining.slice(0, limit);
+
+    const objects = await Promise.all(page.map(async (key) => {
+      const stats = await fsp.stat(this.resolve(key));
+      return { key, size: stats.size, lastModified: stats.mtime };
+    }));
+
+    return {
+      objects,
+      nextContinuationToken: remaining.length > limit ? page[page.length - 1] : null,
+    };
+  }
+
+  /**
+   * Get object details, or null if it does not exist
+   */
+  async head(key) {
+    let stats;
+    try {
+      stats = await fsp.stat(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    let meta = {};
+    try {
+      meta = JSON.parse(await fsp.readFile(this.metaPath(key), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    return {
+      size: stats.size,
+      contentType: meta.contentType,
+      lastModified: stats.mtime,
+      metadata: meta.metadata || {},
+    };
+  }
+
+  /**
+   * Start a multipart upload; parts are staged under `.multipart/<uploadId>/`
+   */
+  async createMultipartUpload(key, { contentType, metadata = {} } = {}) {
+    const uploadId = uuidv4();
+    const uploadDir = path.join(this.root, MULTIPART_DIR, uploadId);
+
+    await fsp.mkdir(uploadDir, { recursive: true });
+    await fsp.writeFile(path.join(uploadDir, 'upload.json'), JSON.stringify({ key, contentType, metadata }));
+
+    return uploadId;
+  }
+
+  /**
+   * Read a pending multipart upload's details
+   */
+  async getUpload(key, uploadId) {
+    const uploadDir = this.resolve(uploadId, path.join(this.root, MULTIPART_DIR));
+    try {
+      const upload = JSON.parse(await fsp.readFile(path.join(uploadDir, 'upload.json'), 'utf8'));
+      if (upload.key === key) return { ...upload, uploadDir };
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    throw notFound(`upload ${uploadId}`);
+  }
+
+  /**
+   * Upload one part of a multipart upload (body may be a stream)
+   */
+  async uploadPart(key, uploadId, partNumber, body) {
+    const { uploadDir } = await this.getUpload(key, uploadId);
+    const md5 = await this.writeFile(path.join(uploadDir, `part-${partNumber}`), body);
+
+    return `"${md5}"`;
+  }
+
+  /**
+   * Complete a multipart upload by concatenating its parts in order
+   */
+  async completeMultipartUpload(key, uploadId, parts) {
+    const { uploadDir, contentType, metadata } = await this.getUpload(key, uploadId);
+
+    const partPaths = parts.map(part => path.join(uploadDir, `part-${part.number}`));
+    await Promise.all(partPaths.map(partPath => fsp.access(partPath)));
+
+    const body = Readable.from((async function* () {
+      for (const partPath of partPaths) {
+        yield* fs.createReadStream(partPath);
+      }
+    })());
+
+    await this.put(key, body, { contentType, metadata });
+    await fsp.rm(uploadDir, { recursive: true, force: true });
+  }
+
+  /**
+   * Abort a multipart upload and discard its parts
+   */
+  async abortMultipartUpload(key, uploadId) {
+    const { uploadDir } = await this.getUpload(key, uploadId);
+    await fsp.rm(uploadDir, { recursive: true, force: true });
+  }
+
+  /**
+   * Check that the root directory is writable
+   */
+  async checkHealth() {
+    await fsp.mkdir(this.root, { recursive: true });
+    await fsp.access(this.root, fs.constants.R_OK | fs.constants.W_OK);
+    return { status: 'connected', root: this.root };
+  }
+}
+
+module.exports = LocalDriver;
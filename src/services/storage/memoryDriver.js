@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Read a buffer or stream body into a buffer
+ */
+const toBuffer = async (body) => {
+  if (Buffer.isBuffer(body)) return body;
+  if (typeof body === 'string') return Buffer.from(body);
+
+  const chunks = [];
+  for await (const chunk of body) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks);
+};
+
+const notFound = (key) => {
+  const error = new Error(`Object not found: ${key}`);
+  error.code = 'NotFound';
+  error.statusCode = 404;
+  return error;
+};
+
+/**
+ * Storage driver keeping objects in process memory (tests and throwaway environments)
+ */
+class MemoryDriver {
+  constructor() {
+    this.name = 'memory';
+    this.objects = new Map();
+    this.uploads = new Map();
+  }
+
+  /**
+   * Store an object (body may be a buffer or a stream)
+   */
+  async put(key, body, { contentType, metadata = {} } = {}) {
+    this.objects.set(key, {
+      body: await toBuffer(body),
+      contentType,
+      metadata,
+      lastModified: new Date(),
+    });
+
+    return { key };
+  }
+
+  /**
+   * Get a readable stream of an object
+   */
+  getStream(key) {
+    const object = this.objects.get(key);
+    if (!object) {
+      const stream = new Readable({ read() {} });
+      process.nextTick(() => stream.destroy(notFound(key)));
+      return stream;
+    }
+
+    return Readable.from([object.body]);
+  }
+
+  /**
+   * Delete an object (missing objects are ignored)
+   */
+  async delete(key) {
+    this.objects.delete(key);
+  }
+
+  /**
+   * Copy an object
+   */
+  async copy(sourceKey, destinationKey) {
+    const object = this.objects.get(sourceKey);
+    if (!object) throw notFound(sourceKey);
+
+    this.objects.set(destinationKey, { ...object, lastModified: new Date() });
+  }
+
+  /**
+   * List objects under a prefix in key order, one page at a time
+   */
+  async list(prefix, { continuationToken, limit = 1000 } = {}) {
+    const keys = [...this.objects.keys()]
+      .filter(key => key.startsWith(prefix) && (!continuationToken || key > continuationToken))
+      .sort();
+    const page = keys.slice(0, limit);
+
+    return {
+      objects: page.map(key => ({
+        key,
+        size: this.objects.get(key).body.length,
+        lastModified: this.objects.get(key).lastModified,
+      })),
+      nextContinuationToken: keys.length > limit ? page[page.length - 1] : null,
+    };
+  }
+
+  /**
+   * Get object details, or null if it does not exist
+   */
+  async head(key) {
+    const object = this.objects.get(key);
+    if (!object) return null;
+
+    return {
+      size: object.body.length,
+      contentType: object.contentType,
+      lastModified: object.lastModified,
+      metadata: object.metadata,
+    };
+  }
+
+  /**
+   * Start a multipart upload
+   */
+  async createMultipartUpload(key, { contentType, metadata = {} } = {}) {
+    const uploadId = uuidv4();
+    this.uploads.set(uploadId, { key, contentType, metadata, parts: new Map() });
+    return uploadId;
+  }
+
+  /**
+   * Upload one part of a multipart upload
+   */
+  async uploadPart(key, uploadId, partNumber, body) {
+    const upload = this.uploads.get(uploadId);
+    if (!upload || upload.key !== key) throw notFound(`upload ${uploadId}`);
+
+    const buffer = await toBuffer(body);
+    const etag = `"${crypto.createHash('md5').update(buffer).digest('hex')}"`;
+    upload.parts.set(partNumber, { buffer, etag });
+
+    return etag;
+  }
+
+  /**
+   * Complete a multipart upload from its parts ({ number, etag })
+   */
+  async completeMultipartUpload(key, uploadId, parts) {
+    const upload = this.uploads.get(uploadId);
+    if (!upload || upload.key !== key) throw notFound(`upload ${uploadId}`);
+
+    const buffers = parts.map((part) => {
+      const stored = upload.parts.get(part.number);
+      if (!stored || stored.etag !== part.etag) {
+        throw new Error(`Part ${part.number} is missing or does not match its ETag`);
+      }
+      return stored.buffer;
+    });
+
+    await this.put(key, Buffer.concat(buffers), upload);
+    this.uploads.delete(uploadId);
+  }
+
+  /**
+   * Abort a multipart upload and discard its parts
+   */
+  async abortMultipartUpload(key, uploadId) {
+    this.uploads.delete(uploadId);
+  }
+
+  /**
+   * Always healthy; reports the number of stored objects
+   */
+  async checkHealth() {
+    return { status: 'connected', objects: this.objects.size };
+  }
+}
+
+module.exports = MemoryDriver;
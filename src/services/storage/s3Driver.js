@@ -0,0 +1,167 @@
+const AWS = require('aws-sdk');
+
+/**
+ * Storage driver for Wasabi and other S3-compatible object stores
+ */
+class S3Driver {
+  constructor({ endpoint, region, accessKeyId, secretAccessKey, bucket, timeout }) {
+    this.name = 's3';
+    this.bucket = bucket;
+    this.region = region;
+    this.configured = Boolean(endpoint && accessKeyId);
+    this.s3 = new AWS.S3({
+      endpoint,
+      region,
+      accessKeyId,
+      secretAccessKey,
+      signatureVersion: 'v4',
+      httpOptions: timeout ? { timeout } : undefined,
+    });
+  }
+
+  /**
+   * Store an object (body may be a buffer or a stream)
+   */
+  async put(key, body, { contentType, metadata = {}, contentLength } = {}) {
+    await this.s3.upload({
+      Bucket: this.bucket,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+      ContentLength: contentLength,
+      Metadata: metadata,
+      ServerSideEncryption: 'AES256',
+    }).promise();
+
+    return { key };
+  }
+
+  /**
+   * Get a readable stream of an object
+   */
+  getStream(key) {
+    return this.s3.getObject({ Bucket: this.bucket, Key: key }).createReadStream();
+  }
+
+  /**
+   * Delete an object (missing objects are ignored)
+   */
+  async delete(key) {
+    await this.s3.deleteObject({ Bucket: this.bucket, Key: key }).promise();
+  }
+
+  /**
+   * Copy an object within the bucket
+   */
+  async copy(sourceKey, destinationKey) {
+    await this.s3.copyObject({
+      Bucket: this.bucket,
+      CopySource: `${this.bucket}/${sourceKey.split('/').map(encodeURIComponent).join('/')}`,
+      Key: destinationKey,
+      ServerSideEncryption: 'AES256',
+    }).promise();
+  }
+
+  /**
+   * List objects under a prefix, one page at a time
+   */
+  async list(prefix, { continuationToken, limit = 1000 } = {}) {
+    const page = await this.s3.listObjectsV2({
+      Bucket: this.bucket,
+      Prefix: prefix,
+      ContinuationToken: continuationToken,
+      MaxKeys: limit,
+    }).promise();
+
+    return {
+      objects: (page.Contents || []).map(object => ({
+        key: object.Key,
+        size: object.Size,
+        lastModified: object.LastModified,
+      })),
+      nextContinuationToken: page.IsTruncated ? page.NextContinuationToken : null,
+    };
+  }
+
+  /**
+   * Get object details, or null if it does not exist
+   */
+  async head(key) {
+    try {
+      const object = await this.s3.headObject({ Bucket: this.bucket, Key: key }).promise();
+      return {
+        size: object.ContentLength,
+        contentType: object.ContentType,
+        lastModified: object.LastModified,
+        metadata: object.Metadata || {},
+      };
+    } catch (error) {
+      if (error.code === 'NotFound' || error.statusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Start a multipart upload
+   */
+  async createMultipartUpload(key, { contentType, metadata = {} } = {}) {
+    const { UploadId } = await this.s3.createMultipartUpload({
+      Bucket: this.bucket,
+      Key: key,
+      ContentType: contentType,
+      Metadata: metadata,
+      ServerSideEncryption: 'AES256',
+    }).promise();
+
+    return UploadId;
+  }
+
+  /**
+   * Upload one part of a multipart upload (body may be a stream)
+   */
+  async uploadPart(key, uploadId, partNumber, body, contentLength) {
+    const { ETag } = await this.s3.uploadPart({
+      Bucket: this.bucket,
+      Key: key,
+      UploadId: uploadId,
+      PartNumber: partNumber,
+      Body: body,
+      ContentLength: contentLength,
+    }).promise();
+
+    return ETag;
+  }
+
+  /**
+   * Complete a multipart upload from its parts ({ number, etag })
+   */
+  async completeMultipartUpload(key, uploadId, parts) {
+    await this.s3.completeMultipartUpload({
+      Bucket: this.bucket,
+      Key: key,
+      UploadId: uploadId,
+      MultipartUpload: {
+        Parts: parts.map(part => ({ ETag: part.etag, PartNumber: part.number })),
+      },
+    }).promise();
+  }
+
+  /**
+   * Abort a multipart upload and discard its parts
+   */
+  async abortMultipartUpload(key, uploadId) {
+    await this.s3.abortMultipartUpload({ Bucket: this.bucket, Key: key, UploadId: uploadId }).promise();
+  }
+
+  /**
+   * Check that the bucket is reachable
+   */
+  async checkHealth() {
+    if (!this.configured) return { status: 'not_configured' };
+
+    await this.s3.headBucket({ Bucket: this.bucket }).promise();
+    return { status: 'connected', bucket: this.bucket, region: this.region };
+  }
+}
+
+module.exports = S3Driver;
@@ -0,0 +1,180 @@
+const User = require('../models/User');
+const Tenant = require('../models/Tenant');
+const Document = require('../models/Document');
+const AppError = require('../utils/appError');
+
+/**
+ * Format a byte count for error messages
+ */
+const formatBytes = (bytes) => {
+  if (bytes <= 0) return '0 Bytes';
+
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(k)), sizes.length - 1);
+
+  return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+};
+
+/**
+ * Load the owner's and the tenant's storage limits
+ *
+ * Tenants without a record yet get the schema defaults.
+ */
+const getLimits = async (tenantId, ownerId) => {
+  const [owner, tenant] = await Promise.all([
+    User.findById(ownerId).select('storageUsed storageLimit'),
+    Tenant.findOne({ tenantId }).select('settings usage'),
+  ]);
+
+  if (!owner) {
+    throw new AppError('Document owner not found', 404);
+  }
+
+  const { settings, usage } = tenant || new Tenant({ tenantId });
+
+  return {
+    owner,
+    userLimit: Math.min(owner.storageLimit, settings.maxStoragePerUser),
+    tenantLimit: settings.totalStorageLimit,
+    tenantUsed: usage.storageUsed,
+  };
+};
+
+const userQuotaError = (bytes, used, limit) => new AppError(
+  `Storage quota exceeded. This upload needs ${formatBytes(bytes)} but only ${formatBytes(limit - used)} of the ${formatBytes(limit)} quota is free`,
+  413
+);
+
+const tenantQuotaError = (bytes, used, limit) => new AppError(
+  `Your organization's storage limit of ${formatBytes(limit)} has been reached. This upload needs ${formatBytes(bytes)} but only ${formatBytes(limit - used)} is free`,
+  413
+);
+
+/**
+ * Check that an upload would fit in both quotas, without reserving anything
+ */
+exports.assertStorageAvailable = async ({ tenantId, ownerId, bytes }) => {
+  const { owner, userLimit, tenantLimit, tenantUsed } = await getLimits(tenantId, ownerId);
+
+  if (owner.storageUsed + bytes > userLimit) {
+    throw userQuotaError(bytes, owner.storageUsed, userLimit);
+  }
+  if (tenantUsed + bytes > tenantLimit) {
+    throw tenantQuotaError(bytes, tenantUsed, tenantLimit);
+  }
+};
+
+/**
+ * Atomically add bytes to the owner's and the tenant's usage, if both quotas allow it
+ *
+ * Call releaseStorage with the same values if the upload fails afterwards.
+ */
+exports.reserveStorage = async ({ tenantId, ownerId, bytes }) => {
+  const { owner, userLimit, tenantLimit } = await getLimits(tenantId, ownerId);
+
+  const reservedUser = await User.findOneAndUpdate(
+    { _id: ownerId, storageUsed: { $lte: userLimit - bytes } },
+    { $inc: { storageUsed: bytes } }
+  );
+  if (!reservedUser) {
+    throw userQuotaError(bytes, owner.storageUsed, userLimit);
+  }
+
+  // Make sure the tenant record exists so its usage can be updated conditionally
+  await Tenant.updateOne({ tenantId }, { $setOnInsert: { name: tenantId } }, { upsert: true });
+
+  const reservedTenant = await Tenant.findOneAndUpdate(
+    {
+      tenantId,
+      $or: [
+        { 'usage.storageUsed': { $exists: false } },
+        { 'usage.storageUsed': { $lte: tenantLimit - bytes } },
+      ],
+    },
+    { $inc: { 'usage.storageUsed': bytes } },
+    { new: true }
+  );
+  if (!reservedTenant) {
+    await User.updateOne({ _id: ownerId }, { $inc: { storageUsed: -bytes } });
+    const { tenantUsed } = await getLimits(tenantId, ownerId);
+    throw tenantQuotaError(bytes, tenantUsed, tenantLimit);
+  }
+};
+
+/**
+ * Atomically subtract bytes from the owner's and the tenant's usage
+ */
+exports.releaseStorage = async ({ tenantId, ownerId, bytes }) => {
+  if (!bytes) return;
+
+  await Promise.all([
+    User.updateOne({ _id: ownerId }, { $inc: { storageUsed: -bytes } }),
+    Tenant.updateOne({ tenantId }, { $inc: { 'usage.storageUsed': -bytes } }),
+  ]);
+};
+
+/**
+ * Bytes a document occupies in storage: every distinct version object
+ */
+exports.storedBytesOf = (document) => {
+  const sizes = new Map();
+
+  for (const entry of document.versionHistory) {
+    if (entry.storageKey) sizes.set(entry.storageKey, entry.fileSize || 0);
+  }
+  sizes.set(document.storageKey, document.fileSize || 0);
+
+  return [...sizes.values()].reduce((total, size) => total + size, 0);
+};
+
+/**
+ * Recompute storage usage from the Document collection
+ *
+ * Returns per-owner totals (bytes) for the tenant, or for every tenant when
+ * tenantId is omitted, as { tenantId: { ownerId: bytes } }.
+ */
+exports.computeStorageUsage = async (tenantId) => {
+  const match = tenantId ? { tenantId } : {};
+
+  const rows = await Document.aggregate([
+    { $match: match },
+    {
+      $project: {
+        tenantId: 1,
+        owner: 1,
+        objects: {
+          $concatArrays: [
+            { $ifNull: ['$versionHistory', []] },
+            [{ storageKey: '$storageKey', fileSize: '$fileSize' }],
+          ],
+        },
+      },
+    },
+    { $unwind: '$objects' },
+    { $match: { 'objects.storageKey': { $ne: null } } },
+    // Versions restored from an earlier one share its object
+    {
+      $group: {
+        _id: { document: '$_id', storageKey: '$objects.storageKey' },
+        tenantId: { $first: '$tenantId' },
+        owner: { $first: '$owner' },
+        fileSize: { $max: { $ifNull: ['$objects.fileSize', 0] } },
+      },
+    },
+    {
+      $group: {
+        _id: { tenantId: '$tenantId', owner: '$owner' },
+        bytes: { $sum: '$fileSize' },
+      },
+    },
+  ]);
+
+  const usage = {};
+  for (const { _id, bytes } of rows) {
+    usage[_id.tenantId] = usage[_id.tenantId] || {};
+    usage[_id.tenantId][_id.owner.toString()] = bytes;
+  }
+
+  return usage;
+};
@@ -0,0 +1,111 @@
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const mammoth = require('mammoth');
+const XLSX = require('xlsx');
+const yauzl = require('yauzl');
+
+// Cap stored text so a single document stays well inside MongoDB's 16MB limit
+const MAX_TEXT_LENGTH = parseInt(process.env.MAX_EXTRACTED_TEXT_LENGTH) || 2000000;
+
+/**
+ * Decode the XML entities used in Office documents
+ */
+const decodeXml = (text) => {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&amp;/g, '&');
+};
+
+/**
+ * Read the slide XML files of a PPTX package, in slide order
+ */
+const readSlides = (buffer) => {
+  return new Promise((resolve, reject) => {
+    yauzl.fromBuffer(buffer, { lazyEntries: true }, (err, zipfile) => {
+      if (err) return reject(err);
+
+      const slides = [];
+      zipfile.on('error', reject);
+      zipfile.on('end', () => {
+        slides.sort((a, b) => a.number - b.number);
+        resolve(slides.map(slide => slide.xml));
+      });
+      zipfile.on('entry', (entry) => {
+        const match = entry.fileName.match(/^ppt\/slides\/slide(\d+)\.xml$/);
+        if (!match) return zipfile.readEntry();
+
+        zipfile.openReadStream(entry, (streamErr, stream) => {
+          if (streamErr) return reject(streamErr);
+
+          const chunks = [];
+          stream.on('data', chunk => chunks.push(chunk));
+          stream.on('error', reject);
+          stream.on('end', () => {
+            slides.push({ number: parseInt(match[1], 10), xml: Buffer.concat(chunks).toString('utf8') });
+            zipfile.readEntry();
+          });
+        });
+      });
+
+      zipfile.readEntry();
+    });
+  });
+};
+
+// Extractors keyed by MIME type
+const extractors = {
+  'application/pdf': async (buffer) => {
+    const { text } = await pdfParse(buffer);
+    return text;
+  },
+
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': async (buffer) => {
+    const { value } = await mammoth.extractRawText({ buffer });
+    return value;
+  },
+
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': async (buffer) => {
+    const workbook = XLSX.read(buffer, { type: 'buffer' });
+    return workbook.SheetNames
+      .map(name => `${name}\n${XLSX.utils.sheet_to_csv(workbook.Sheets[name], { blankrows: false })}`)
+      .join('\n\n');
+  },
+
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': async (buffer) => {
+    const slides = await readSlides(buffer);
+    return slides
+      .map(xml => [...xml.matchAll(/<a:t>([^<]*)<\/a:t>/g)].map(match => decodeXml(match[1])).join(' '))
+      .join('\n\n');
+  },
+
+  'text/plain': async (buffer) => buffer.toString('utf8'),
+};
+
+/**
+ * Check whether text can be extracted from a MIME type
+ */
+exports.isExtractable = (mimeType) => Boolean(extractors[mimeType]);
+
+/**
+ * Extract plain text from a file
+ *
+ * Returns null for unsupported types.
+ */
+exports.extractText = async (buffer, mimeType) => {
+  const extractor = extractors[mimeType];
+  if (!extractor) return null;
+
+  const text = (await extractor(buffer))
+    .replaceAll('\u0000', '')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return {
+    text: text.slice(0, MAX_TEXT_LENGTH),
+    truncated: text.length > MAX_TEXT_LENGTH,
+  };
+};
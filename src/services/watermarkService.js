@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const sharp = require('sharp');
+const { PDFDocument, StandardFonts, degrees, rgb } = require('pdf-lib');
+const Tenant = require('../models/Tenant');
+const AppError = require('../utils/appError');
+const { escapeXml } = require('./renditionService');
+const { getDecryptedBuffer, getDecryptedStream } = require('./encryptionService');
+
+// File types a watermarked copy can be produced for, with sharp's output format for images
+const IMAGE_FORMATS = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/tiff': 'tiff',
+  // Animated GIFs are flattened to their first frame
+  'image/gif': 'gif',
+};
+const PDF_MIME_TYPE = 'application/pdf';
+
+// Largest file stamped on the fly; the whole file is decoded in memory to do it
+const MAX_WATERMARK_SIZE = parseInt(process.env.MAX_WATERMARK_SIZE) || 50 * 1024 * 1024;
+
+/**
+ * Whether a watermarked copy can be produced for a file type
+ */
+exports.isWatermarkable = (mimeType) => mimeType === PDF_MIME_TYPE || Boolean(IMAGE_FORMATS[mimeType]);
+
+/**
+ * Whether downloads of a document are watermarked (set on the document or for the whole tenant)
+ *
+ * Takes anything with a tenantId, so files that outlive their document still follow the tenant.
+ */
+exports.watermarkApplies = async (document) => {
+  if (document.watermarkDownloads) return true;
+
+  const tenant = await Tenant.findOne({ tenantId: document.tenantId }).select('settings.watermarkDownloads');
+  return Boolean(tenant && tenant.settings.watermarkDownloads);
+};
+
+/**
+ * Name a signed-in downloader in a watermark
+ */
+exports.userRecipient = (user) => {
+  const name = `${user.firstName} ${user.lastName}`;
+  return { label: `${name} · ${user.email}`, description: `${name} <${user.email}>` };
+};
+
+/**
+ * Name the anonymous recipient of a public link by the link and the address it was opened from
+ */
+exports.linkRecipient = (link, ipAddress) => {
+  return { label: `Shared link ${link._id} · ${ipAddress}`, description: `shared link ${link._id} from ${ipAddress}` };
+};
+
+/**
+ * Identify a recipient and a download in a watermark
+ */
+exports.createWatermark = (recipient, date = new Date()) => {
+  const id = `WM-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+
+  return {
+    id,
+    date,
+    // Printed across each page
+    banner: recipient.label,
+    // Printed along the bottom edge
+    footer: `Downloaded by ${recipient.description} on ${date.toISOString()} · ${id}`,
+  };
+};
+
+/**
+ * Replace characters the standard PDF fonts cannot encode
+ */
+const winAnsi = (text) => String(text).replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+
+/**
+ * Stamp the watermark diagonally across and along the bottom of every page of a PDF
+ */
+const watermarkPdf = async (buffer, watermark) => {
+  let pdf;
+  try {
+    pdf = await PDFDocument.load(buffer);
+  } catch (error) {
+    throw new AppError(`This PDF cannot be watermarked (${error.message})`, 422);
+  }
+
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  const banner = winAnsi(watermark.banner);
+  const footer = winAnsi(watermark.footer);
+
+  for (const page of pdf.getPages()) {
+    const { x, y, width, height } = page.getCropBox();
+
+    // Across the diagonal, centered on the visible area
+    const angle = Math.atan2(height, width);
+    const size = Math.min(48, (Math.hypot(width, height) * 0.7) / font.widthOfTextAtSize(banner, 1));
+    const textWidth = font.widthOfTextAtSize(banner, size);
+    page.drawText(banner, {
+      x: x + width / 2 - (Math.cos(angle) * textWidth) / 2 + (Math.sin(angle) * size) / 3,
+      y: y + height / 2 - (Math.sin(angle) * textWidth) / 2 - (Math.cos(angle) * size) / 3,
+      size,
+      font,
+      rotate: degrees((angle * 180) / Math.PI),
+      color: rgb(0.5, 0.5, 0.5),
+      opacity: 0.25,
+    });
+
+    const footerSize = Math.min(8, (width - 20) / font.widthOfTextAtSize(footer, 1));
+    page.drawText(footer, {
+      x: x + 10,
+      y: y + 8,
+      size: footerSize,
+      font,
+      color: rgb(0.3, 0.3, 0.3),
+      opacity: 0.8,
+    });
+  }
+
+  return Buffer.from(await pdf.save());
+};
+
+/**
+ * Read an image from a stream, resolving once sharp has its dimensions
+ */
+const readImage = (input) => new Promise((resolve, reject) => {
+  const image = sharp();
+  input.once('error', reject);
+  input.pipe(image);
+  image.metadata().then(metadata => resolve({ image, metadata }), reject);
+});
+
+/**
+ * Stamp the watermark diagonally across and along the bottom of an image read
+ * from a stream, returning the stamped image as a stream
+ */
+const watermarkImage = async (input, watermark, mimeType) => {
+  let image;
+  let metadata;
+  try {
+    ({ image, metadata } = await readImage(input));
+  } catch (error) {
+    throw new AppError(`This image cannot be watermarked (${error.message})`, 422);
+  }
+
+  // Orientation is applied first so the watermark reads upright as viewed
+  const turned = metadata.orientation >= 5;
+  const width = turned ? metadata.height : metadata.width;
+  const height = turned ? metadata.width : metadata.height;
+
+  const angle = (Math.atan2(height, width) * 180) / Math.PI;
+  const bannerSize = Math.max(10, Math.floor((Math.hypot(width, height) * 0.7) / (watermark.banner.length * 0.6)));
+  const footerSize = Math.max(8, Math.floor(Math.min(width / 60, (width - 20) / (watermark.footer.length * 0.6))));
+  const stripHeight = Math.round(footerSize * 1.8);
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">`
+    + `<text x="${width / 2}" y="${height / 2}" transform="rotate(${-angle} ${width / 2} ${height / 2})"`
+    + ` text-anchor="middle" dominant-baseline="middle" font-family="sans-serif" font-size="${bannerSize}"`
+    + ` fill="#808080" fill-opacity="0.3">${escapeXml(watermark.banner)}</text>`
+    + `<rect x="0" y="${height - stripHeight}" width="${width}" height="${stripHeight}" fill="#ffffff" fill-opacity="0.6"/>`
+    + `<text x="10" y="${height - Math.round(stripHeight * 0.3)}" font-family="sans-serif" font-size="${footerSize}"`
+    + ` fill="#333333">${escapeXml(watermark.footer)}</text>`
+    + '</svg>';
+
+  return image.clone()
+    .rotate()
+    .composite([{ input: Buffer.from(svg), left: 0, top: 0 }])
+    .toFormat(IMAGE_FORMATS[mimeType]);
+};
+
+/**
+ * Produce the watermarked copy of a stored PDF or image as a stream
+ */
+const watermarkStored = async (tenantId, file, watermark) => {
+  if (file.mimeType === PDF_MIME_TYPE) {
+    // pdf-lib works on whole documents, so PDFs are stamped in memory
+    const buffer = await watermarkPdf(await getDecryptedBuffer(tenantId, file.storageKey, file.encryption), watermark);
+    return Readable.from([buffer]);
+  }
+  return watermarkImage(getDecryptedStream(tenantId, file.storageKey, file.encryption), watermark, file.mimeType);
+};
+
+/**
+ * Read a stored file ({ storageKey, mimeType, fileSize, encryption }) and stamp
+ * it with a new watermark for the recipient when the policy applies
+ *
+ * Resolves to null when the file is served as stored, or to the watermark and
+ * a stream of the stamped copy (its length is not known up front). Files over
+ * MAX_WATERMARK_SIZE are refused rather than served unstamped.
+ */
+exports.watermarkedCopy = async (document, file, recipient) => {
+  if (!exports.isWatermarkable(file.mimeType) || !(await exports.watermarkApplies(document))) {
+    return null;
+  }
+
+  if (!(file.fileSize <= MAX_WATERMARK_SIZE)) {
+    throw new AppError(`This file is too large to be watermarked (limit ${Math.round(MAX_WATERMARK_SIZE / 1024 / 1024)}MB)`, 413);
+  }
+
+  const watermark = exports.createWatermark(recipient);
+  return { watermark, stream: await watermarkStored(document.tenantId, file, watermark) };
+};
@@ -0,0 +1,245 @@
+const Workflow = require('../models/Workflow');
+const WorkflowRun = require('../models/WorkflowRun');
+const Document = require('../models/Document');
+const User = require('../models/User');
+const Group = require('../models/Group');
+const Notification = require('../models/Notification');
+const logger = require('../utils/logger');
+
+/**
+ * Active users assigned to a step, by name, role or group membership
+ */
+const assigneesOf = async (tenantId, step) => {
+  const members = step.groups.length > 0
+    ? await Group.find({ _id: { $in: step.groups }, tenantId }).distinct('members')
+    : [];
+
+  return User.find({
+    tenantId,
+    isActive: true,
+    $or: [
+      { _id: { $in: [...step.users, ...members] } },
+      { role: { $in: step.roles } },
+    ],
+  }).distinct('_id');
+};
+
+/**
+ * Notify the assignees of each step (without notifying anyone twice)
+ */
+const notifyAssignees = async (run, steps, { type, title, message }) => {
+  const notified = new Set();
+
+  for (const step of steps) {
+    const assignees = await assigneesOf(run.tenantId, step);
+    const recipients = assignees.filter(id => !notified.has(id.toString()));
+    recipients.forEach(id => notified.add(id.toString()));
+
+    if (recipients.length === 0) {
+      logger.warn(`Workflow run ${run._id}: step "${step.name}" has no active assignees`);
+      continue;
+    }
+
+    await Notification.insertMany(recipients.map(user => ({
+      tenantId: run.tenantId,
+      user,
+      type,
+      title,
+      message: message(step),
+      relatedDocument: run.document,
+    })));
+  }
+};
+
+/**
+ * Tell the assignees of newly started steps that their review is due
+ */
+exports.notifyStepsDue = (run, steps, document) => {
+  return notifyAssignees(run, steps, {
+    type: 'approval_requested',
+    title: 'Approval requested',
+    message: step => `"${document.title}" is waiting for your review (${run.workflowName}: ${step.name}), due ${step.dueAt.toDateString()}.`,
+  });
+};
+
+/**
+ * Record the approval state of a document
+ */
+const setApprovalStatus = (run) => {
+  const approvalStatus = run.status === 'cancelled' ? 'none' : run.status;
+  return Document.updateOne({ _id: run.document }, { approvalStatus });
+};
+
+/**
+ * Start a workflow on a document's current version
+ */
+exports.startRun = async ({ workflow, document, user }) => {
+  const run = new WorkflowRun({
+    tenantId: document.tenantId,
+    workflow: workflow._id,
+    workflowName: workflow.name,
+    stepOrder: workflow.stepOrder,
+    document: document._id,
+    version: document.version,
+    startedBy: user._id,
+    steps: workflow.steps.map(step => ({
+      name: step.name,
+      users: step.users,
+      roles: step.roles,
+      groups: step.groups,
+      dueInDays: step.dueInDays,
+    })),
+  });
+  run.record('started', { user });
+
+  const activated = run.activateSteps();
+  await run.save();
+  await setApprovalStatus(run);
+  await exports.notifyStepsDue(run, activated, document);
+
+  return run;
+};
+
+/**
+ * Start the tenant's first matching active workflow on a new upload, if any
+ *
+ * Errors are logged rather than thrown so the upload itself still succeeds.
+ */
+exports.startMatchingWorkflow = async (document, user) => {
+  try {
+    const workflows = await Workflow.find({ tenantId: document.tenantId, isActive: true }).sort('createdAt');
+    const workflow = workflows.find(candidate => candidate.matches(document));
+    if (!workflow) return null;
+
+    return await exports.startRun({ workflow, document, user });
+  } catch (error) {
+    logger.error(`Failed to start a workflow on document ${document._id}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Apply an assignee's decision on an active step and move the run on
+ *
+ * Approving the last step approves the run; rejecting or requesting changes
+ * ends the review at once. Returns the steps that became due.
+ */
+exports.decideStep = async (run, step, { user, decision, comment }) => {
+  step.status = decision;
+  step.decidedBy = user._id;
+  step.decidedAt = new Date();
+  step.comment = comment;
+  run.record(decision, { step, user, comment });
+
+  let activated = [];
+  if (decision === 'approved') {
+    activated = run.activateSteps();
+    if (run.steps.every(entry => entry.status === 'approved')) {
+      run.status = 'approved';
+      run.completedAt = new Date();
+    }
+  } else {
+    run.status = decision;
+    if (decision === 'rejected') run.completedAt = new Date();
+  }
+
+  await run.save();
+  await setApprovalStatus(run);
+
+  return activated;
+};
+
+/**
+ * Send a run that needed changes back for review, on the document's current version
+ */
+exports.resubmitRun = async (run, { user, document, comment }) => {
+  for (const step of run.steps) {
+    step.status = 'waiting';
+    step.startedAt = undefined;
+    step.dueAt = undefined;
+    step.decidedBy = undefined;
+    step.decidedAt = undefined;
+    step.comment = undefined;
+  }
+  run.version = document.version;
+  run.status = 'in_review';
+  run.record('resubmitted', { user, comment });
+
+  const activated = run.activateSteps();
+  await run.save();
+  await setApprovalStatus(run);
+  await exports.notifyStepsDue(run, activated, document);
+
+  return run;
+};
+
+/**
+ * Cancel an open run (the document goes back to not reviewed)
+ */
+exports.cancelRun = async (run, { user, comment }) => {
+  run.status = 'cancelled';
+  run.completedAt = new Date();
+  run.record('cancelled', { user, comment });
+
+  await run.save();
+  await setApprovalStatus(run);
+
+  return run;
+};
+
+/**
+ * Tell the document owner and whoever started the run how a review ended
+ */
+exports.notifyOutcome = async (run, document, { user, title, message }) => {
+  const recipients = [document.owner, run.startedBy]
+    .filter((id, i, ids) => id && !id.equals(user._id) && ids.findIndex(other => other && other.equals(id)) === i);
+
+  await Notification.insertMany(recipients.map(recipient => ({
+    tenantId: run.tenantId,
+    user: recipient,
+    type: 'approval_decided',
+    title,
+    message,
+    relatedDocument: document._id,
+    relatedUser: user._id,
+  })));
+};
+
+/**
+ * Remind the assignees of steps that reached their due date, once per step
+ */
+exports.sendOverdueNotifications = async () => {
+  const now = new Date();
+  const totals = { steps: 0 };
+
+  const cursor = WorkflowRun.find({
+    status: 'in_review',
+    steps: { $elemMatch: { status: 'active', dueAt: { $lte: now }, overdueNotifiedAt: null } },
+  }).cursor();
+
+  for await (const run of cursor) {
+    try {
+      const overdue = run.activeSteps().filter(step => step.dueAt <= now && !step.overdueNotifiedAt);
+      const document = await Document.findById(run.document).select('title');
+      if (!document) continue;
+
+      await notifyAssignees(run, overdue, {
+        type: 'approval_overdue',
+        title: 'Review overdue',
+        message: step => `Your review of "${document.title}" (${run.workflowName}: ${step.name}) was due ${step.dueAt.toDateString()}.`,
+      });
+
+      // Only mark the steps, so decisions made meanwhile are kept
+      await WorkflowRun.updateOne(
+        { _id: run._id },
+        { $set: { 'steps.$[step].overdueNotifiedAt': now } },
+        { arrayFilters: [{ 'step._id': { $in: overdue.map(step => step._id) } }] }
+      );
+      totals.steps += overdue.length;
+    } catch (error) {
+      logger.error(`Failed to send overdue review reminders for workflow run ${run._id}: ${error.message}`);
+    }
+  }
+
+  return totals;
+};
@@ -0,0 +1,21 @@
+const crypto = require('crypto');
+
+/**
+ * Compute the SHA-256 hex digest of a buffer
+ */
+exports.sha256 = (buffer) => {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+};
+
+/**
+ * Compute the SHA-256 hex digest of a readable stream without buffering it
+ */
+exports.sha256Stream = (stream) => {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+
+    stream.on('data', chunk => hash.update(chunk));
+    stream.on('end', () => resolve(hash.digest('hex')));
+    stream.on('error', reject);
+  });
+};
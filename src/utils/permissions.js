@@ -0,0 +1,21 @@
+// Sharing permissions, weakest first; each includes the ones before it
+const PERMISSIONS = ['view', 'edit', 'admin'];
+
+/**
+ * Strongest of several permissions (null if none)
+ */
+exports.highest = (permissions) => {
+  return permissions.reduce((best, permission) => {
+    if (!PERMISSIONS.includes(permission)) return best;
+    return !best || PERMISSIONS.indexOf(permission) > PERMISSIONS.indexOf(best) ? permission : best;
+  }, null);
+};
+
+/**
+ * Check whether a granted permission covers the required one
+ */
+exports.satisfies = (granted, required) => {
+  return Boolean(granted) && PERMISSIONS.indexOf(granted) >= PERMISSIONS.indexOf(required);
+};
+
+exports.PERMISSIONS = PERMISSIONS;
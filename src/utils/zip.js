@@ -0,0 +1,61 @@
+const yauzl = require('yauzl');
+const AppError = require('./appError');
+
+/**
+ * Read a zip entry into a buffer
+ */
+const readEntry = (zipfile, entry) => {
+  return new Promise((resolve, reject) => {
+    zipfile.openReadStream(entry, (err, stream) => {
+      if (err) return reject(err);
+
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('end', () => resolve(Buffer.concat(chunks)));
+      stream.on('error', reject);
+    });
+  });
+};
+
+/**
+ * Walk the files of a ZIP archive one at a time
+ *
+ * onFile receives { path, size, read } where read() loads the entry into memory,
+ * so callers can skip oversized entries without inflating them.
+ */
+exports.walkZip = (buffer, onFile, { maxEntries = 1000 } = {}) => {
+  return new Promise((resolve, reject) => {
+    const fail = (err) => {
+      reject(err instanceof AppError ? err : new AppError(`Invalid ZIP archive: ${err.message}`, 400));
+    };
+
+    yauzl.fromBuffer(buffer, { lazyEntries: true }, (err, zipfile) => {
+      if (err) return fail(err);
+
+      let count = 0;
+
+      zipfile.on('error', fail);
+      zipfile.on('end', resolve);
+      zipfile.on('entry', (entry) => {
+        // Directories are recreated from the file paths
+        if (entry.fileName.endsWith('/')) return zipfile.readEntry();
+
+        count += 1;
+        if (count > maxEntries) {
+          zipfile.close();
+          return fail(new AppError(`ZIP archives may contain at most ${maxEntries} files`, 400));
+        }
+
+        onFile({
+          path: entry.fileName,
+          size: entry.uncompressedSize,
+          read: () => readEntry(zipfile, entry),
+        })
+          .then(() => zipfile.readEntry())
+          .catch(fail);
+      });
+
+      zipfile.readEntry();
+    });
+  });
+};
@@ -0,0 +1,39 @@
+/**
+ * Background job worker
+ *
+ * Usage: npm run worker
+ *
+ * Runs the job processors and schedules on their own, for deployments that
+ * start the API with DISABLE_JOBS=true.
+ */
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+const connectDB = require('./config/database');
+const logger = require('./utils/logger');
+const { startJobs, closeQueues } = require('./jobs');
+
+/**
+ * Let running jobs finish, then exit
+ */
+const shutdown = async (signal) => {
+  logger.info(`${signal} received, closing job queues`);
+  try {
+    await closeQueues();
+  } catch (err) {
+    logger.error(`Failed to close job queues: ${err.message}`);
+  }
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+connectDB()
+  .then(startJobs)
+  .catch((err) => {
+    logger.error(`Failed to start background jobs: ${err.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,128 @@
+const ActivityLog = require('../../src/models/ActivityLog');
+const Document = require('../../src/models/Document');
+const Folder = require('../../src/models/Folder');
+const LegalHold = require('../../src/models/LegalHold');
+const { updateDocument, deleteDocument, bulkUpdateDocuments } = require('../../src/controllers/documentController');
+const { query, objectId, user, request, run } = require('../helpers');
+
+const TENANT = 'tenant-a';
+
+describe('documentController legal holds', () => {
+  const owner = user({ tenantId: TENANT });
+  const heldFolder = new Folder({ tenantId: TENANT, name: 'Litigation', owner: owner._id });
+  const otherFolder = new Folder({ tenantId: TENANT, name: 'General', owner: owner._id });
+
+  const createDocument = (fields = {}) => new Document({
+    tenantId: TENANT,
+    title: 'Board minutes',
+    owner: owner._id,
+    status: 'active',
+    ...fields,
+  });
+
+  let held;
+  let free;
+
+  beforeEach(() => {
+    held = createDocument({ folderId: heldFolder._id });
+    free = createDocument({ folderId: otherFolder._id });
+
+    jest.spyOn(Document.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+    jest.spyOn(ActivityLog, 'create').mockResolvedValue({});
+    jest.spyOn(Folder, 'exists').mockResolvedValue({ _id: otherFolder._id });
+    jest.spyOn(Folder, 'findOne').mockReturnValue(query(otherFolder));
+    jest.spyOn(Folder, 'findById').mockImplementation(id => query(
+      [heldFolder, otherFolder].find(folder => folder._id.equals(id)) || null
+    ));
+
+    // One active hold on the Litigation folder
+    jest.spyOn(LegalHold, 'find').mockImplementation(({ $or }) => query(
+      $or[1].folders.$in.some(id => id.equals(heldFolder._id)) ? [{ name: 'Smith v. Acme' }] : []
+    ));
+    jest.spyOn(LegalHold, 'heldScope').mockResolvedValue({ documentIds: [], folderIds: [heldFolder._id] });
+  });
+
+  const update = (document, body) => {
+    jest.spyOn(Document, 'findOne').mockReturnValue(query(document));
+    return run(updateDocument, request({ user: owner, params: { id: document._id.toString() }, body }));
+  };
+
+  it('refuses to move a held document to another folder', async () => {
+    const { error } = await update(held, { folderId: otherFolder._id.toString() });
+
+    expect(error).toMatchObject({ statusCode: 423, message: expect.stringContaining('cannot be moved') });
+    expect(Document.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('refuses to move a held document to the root', async () => {
+    const { error } = await update(held, { folderId: null });
+
+    expect(error).toMatchObject({ statusCode: 423 });
+  });
+
+  it('still lets a held document be edited in place', async () => {
+    const { res, error } = await update(held, { title: 'Board minutes (signed)', folderId: heldFolder._id.toString() });
+
+    expect(error).toBeUndefined();
+    expect(res.body.data.document.title).toBe('Board minutes (signed)');
+  });
+
+  it('moves documents no hold covers', async () => {
+    const { res } = await update(createDocument(), { folderId: otherFolder._id.toString() });
+
+    expect(res.body.data.document.folderId).toEqual(otherFolder._id);
+  });
+
+  it('refuses to move a held document to the trash', async () => {
+    jest.spyOn(Document, 'findOne').mockReturnValue(query(held));
+
+    const { error } = await run(deleteDocument, request({ user: owner, params: { id: held._id.toString() } }));
+
+    expect(error).toMatchObject({ statusCode: 423, message: expect.stringContaining('cannot be deleted') });
+    expect(held.status).toBe('active');
+  });
+
+  it.each([
+    ['move', { folderId: otherFolder._id.toString() }, 'Document is under legal hold and cannot be moved'],
+    ['delete', {}, 'Document is under legal hold and cannot be deleted'],
+  ])('reports held documents as failed in a bulk %s', async (action, body, reason) => {
+    jest.spyOn(Document, 'find').mockResolvedValue([held, free]);
+
+    const { res } = await run(bulkUpdateDocuments, request({
+      user: owner,
+      body: { action, documentIds: [held._id.toString(), free._id.toString()], ...body },
+    }));
+
+    expect(res.body.data.documents).toEqual([
+      { documentId: held._id.toString(), status: 'failed', reason },
+      { documentId: free._id.toString(), status: 'success' },
+    ]);
+    expect(Document.prototype.save).toHaveBeenCalledTimes(1);
+  });
+
+  it('skips held documents already in the bulk move target', async () => {
+    jest.spyOn(Folder, 'findOne').mockReturnValue(query(heldFolder));
+    jest.spyOn(Document, 'find').mockResolvedValue([held]);
+
+    const { res } = await run(bulkUpdateDocuments, request({
+      user: owner,
+      body: { action: 'move', documentIds: [held._id.toString()], folderId: heldFolder._id.toString() },
+    }));
+
+    expect(res.body.data.documents).toEqual([{ documentId: held._id.toString(), status: 'success' }]);
+  });
+});
+
+describe('documentController', () => {
+  it('returns 404 for documents outside the tenant', async () => {
+    jest.spyOn(Document, 'findOne').mockReturnValue(query(null));
+
+    const { error } = await run(updateDocument, request({
+      user: user({ tenantId: TENANT }),
+      params: { id: objectId().toString() },
+      body: { title: 'x' },
+    }));
+
+    expect(error).toMatchObject({ statusCode: 404 });
+  });
+});
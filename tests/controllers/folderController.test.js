@@ -0,0 +1,145 @@
+const ActivityLog = require('../../src/models/ActivityLog');
+const Folder = require('../../src/models/Folder');
+const LegalHold = require('../../src/models/LegalHold');
+const { moveFolder, getBreadcrumbs } = require('../../src/controllers/folderController');
+const { query, objectId, user, request, run } = require('../helpers');
+
+const TENANT = 'tenant-a';
+
+describe('folderController', () => {
+  const owner = user({ tenantId: TENANT });
+
+  // Folder tree: Clients > Acme > Contracts, and Archive at the root
+  const clients = new Folder({ tenantId: TENANT, name: 'Clients', owner: owner._id, parent: null, ancestors: [] });
+  const acme = new Folder({ tenantId: TENANT, name: 'Acme', owner: owner._id, parent: clients._id, ancestors: [clients._id] });
+  const contracts = new Folder({
+    tenantId: TENANT,
+    name: 'Contracts',
+    owner: owner._id,
+    parent: acme._id,
+    ancestors: [clients._id, acme._id],
+  });
+  const archive = new Folder({ tenantId: TENANT, name: 'Archive', owner: owner._id, parent: null, ancestors: [] });
+  const folders = [clients, acme, contracts, archive];
+
+  beforeEach(() => {
+    jest.spyOn(Folder, 'findOne').mockImplementation(({ _id }) => {
+      const found = folders.find(folder => folder._id.equals(_id));
+      return query(found ? Folder.hydrate(found.toObject()) : null);
+    });
+    jest.spyOn(Folder, 'exists').mockResolvedValue(null);
+    jest.spyOn(Folder.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+    jest.spyOn(Folder, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(LegalHold, 'heldScope').mockResolvedValue({ documentIds: [], folderIds: [] });
+    jest.spyOn(ActivityLog, 'create').mockResolvedValue({});
+  });
+
+  describe('moveFolder', () => {
+    const move = (folder, parentId) => run(moveFolder, request({
+      user: owner,
+      params: { id: folder._id.toString() },
+      body: { parentId },
+    }));
+
+    it('moves a folder under a new parent and re-roots its subfolders', async () => {
+      const { res, error } = await move(acme, archive._id.toString());
+
+      expect(error).toBeUndefined();
+      expect(res.statusCode).toBe(200);
+      const moved = res.body.data.folder;
+      expect(moved.parent).toEqual(archive._id);
+      expect([...moved.ancestors]).toEqual([archive._id]);
+
+      // Descendants swap the old ancestor prefix (depth 1) for the new one
+      expect(Folder.updateMany).toHaveBeenCalledWith(
+        { tenantId: TENANT, ancestors: acme._id },
+        [{
+          $set: {
+            ancestors: {
+              $concatArrays: [[archive._id], { $slice: ['$ancestors', 1, { $size: '$ancestors' }] }],
+            },
+          },
+        }]
+      );
+    });
+
+    it('moves a folder to the root', async () => {
+      const { res } = await move(contracts, 'root');
+
+      expect(res.body.data.folder.parent).toBeNull();
+      expect([...res.body.data.folder.ancestors]).toEqual([]);
+    });
+
+    it.each([
+      ['itself', () => acme],
+      ['one of its subfolders', () => contracts],
+    ])('refuses to move a folder into %s', async (label, target) => {
+      const { error } = await move(acme, target()._id.toString());
+
+      expect(error).toMatchObject({ statusCode: 400 });
+      expect(Folder.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('refuses a name already used in the new location', async () => {
+      Folder.exists.mockResolvedValue({ _id: objectId() });
+
+      const { error } = await move(contracts, archive._id.toString());
+
+      expect(error).toMatchObject({ statusCode: 409, message: 'A folder named "Contracts" already exists in this location' });
+    });
+
+    it('refuses to move a folder out of a held parent', async () => {
+      LegalHold.heldScope.mockResolvedValue({ documentIds: [], folderIds: [clients._id, acme._id, contracts._id] });
+
+      const { error } = await move(contracts, archive._id.toString());
+
+      expect(error).toMatchObject({ statusCode: 423 });
+      expect(Folder.prototype.save).not.toHaveBeenCalled();
+      expect(Folder.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('lets a held folder tree be moved as a whole', async () => {
+      // Only Clients and below are held; moving Clients itself keeps its contents together
+      LegalHold.heldScope.mockResolvedValue({ documentIds: [], folderIds: [clients._id, acme._id, contracts._id] });
+
+      const { res } = await move(clients, archive._id.toString());
+
+      expect(res.statusCode).toBe(200);
+    });
+
+    it('refuses users who cannot modify the folder', async () => {
+      const { error } = await run(moveFolder, request({
+        user: user({ tenantId: TENANT }),
+        params: { id: acme._id.toString() },
+        body: { parentId: 'root' },
+      }));
+
+      expect(error).toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('getBreadcrumbs', () => {
+    it('lists the path from the root down to the folder', async () => {
+      // Ancestors come back in any order
+      jest.spyOn(Folder, 'find').mockReturnValue(query([acme, clients]));
+
+      const { res } = await run(getBreadcrumbs, request({ user: owner, params: { id: contracts._id.toString() } }));
+
+      expect(res.body.data.breadcrumbs).toEqual([
+        { _id: clients._id, name: 'Clients' },
+        { _id: acme._id, name: 'Acme' },
+        { _id: contracts._id, name: 'Contracts' },
+      ]);
+      expect(Folder.find).toHaveBeenCalledWith({ _id: { $in: contracts.ancestors }, tenantId: TENANT });
+    });
+
+    it('returns 404 for a folder of another tenant', async () => {
+      const { error } = await run(getBreadcrumbs, request({
+        user: user({ tenantId: 'tenant-b' }),
+        params: { id: objectId().toString() },
+      }));
+
+      expect(error).toMatchObject({ statusCode: 404 });
+    });
+  });
+});
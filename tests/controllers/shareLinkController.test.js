@@ -0,0 +1,205 @@
+const { PassThrough } = require('stream');
+const bcrypt = require('bcryptjs');
+const storage = require('../../src/config/storage');
+const ActivityLog = require('../../src/models/ActivityLog');
+const Document = require('../../src/models/Document');
+const ShareLink = require('../../src/models/ShareLink');
+const Tenant = require('../../src/models/Tenant');
+const MemoryDriver = require('../../src/services/storage/memoryDriver');
+const { putEncrypted } = require('../../src/services/encryptionService');
+const { getSharedDocument, downloadSharedDocument } = require('../../src/controllers/shareLinkController');
+const { query, objectId, request, run } = require('../helpers');
+
+const TENANT = 'tenant-a';
+const TOKEN = 'public-token';
+const CONTENT = 'The quarterly report';
+
+/**
+ * A response the handler can pipe a file into
+ */
+const streamResponse = () => {
+  const res = new PassThrough();
+  res.headers = {};
+  res.statusCode = 200;
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.set = (name, value) => {
+    Object.assign(res.headers, typeof name === 'object' ? name : { [name]: value });
+    return res;
+  };
+  return res;
+};
+
+const collect = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+};
+
+describe('ShareLink.inactiveReason', () => {
+  const link = fields => new ShareLink({ tenantId: TENANT, document: objectId(), tokenHash: 'x', createdBy: objectId(), ...fields });
+
+  it.each([
+    ['active', {}, null],
+    ['revoked', { revokedAt: new Date() }, 'revoked'],
+    ['expired', { expiresAt: new Date(Date.now() - 1000) }, 'expired'],
+    ['not yet expired', { expiresAt: new Date(Date.now() + 60000) }, null],
+    ['out of downloads', { maxDownloads: 3, downloadCount: 3 }, 'download_limit_reached'],
+    ['under its download limit', { maxDownloads: 3, downloadCount: 2 }, null],
+  ])('reports a link that is %s', (label, fields, reason) => {
+    expect(link(fields).inactiveReason()).toBe(reason);
+    expect(link(fields).status).toBe(reason || 'active');
+  });
+});
+
+describe('shareLinkController', () => {
+  let document;
+  let link;
+
+  beforeEach(async () => {
+    storage.setDriver(new MemoryDriver());
+    jest.spyOn(Tenant, 'findOne').mockReturnValue(query(null));
+
+    const storageKey = `${TENANT}/documents/report.txt`;
+    const encryption = await putEncrypted(TENANT, storageKey, Buffer.from(CONTENT));
+    document = new Document({
+      tenantId: TENANT,
+      title: 'Quarterly report',
+      owner: objectId(),
+      originalName: 'report.txt',
+      mimeType: 'text/plain',
+      fileSize: CONTENT.length,
+      storageKey,
+      versionHistory: [{ version: 1, storageKey, fileSize: CONTENT.length, encryption }],
+    });
+    link = new ShareLink({
+      tenantId: TENANT,
+      document: document._id,
+      tokenHash: ShareLink.hashToken(TOKEN),
+      permission: 'download',
+      maxDownloads: 2,
+      downloadCount: 0,
+      createdBy: objectId(),
+    });
+
+    jest.spyOn(ShareLink, 'findOne').mockImplementation(({ tokenHash }) => query(tokenHash === link.tokenHash ? link : null));
+    jest.spyOn(ShareLink, 'updateOne').mockReturnValue(query({}));
+    jest.spyOn(ShareLink, 'findOneAndUpdate').mockImplementation(async (conditions) => {
+      if (conditions.downloadCount && link.downloadCount >= conditions.downloadCount.$lt) return null;
+      link.downloadCount += 1;
+      return link;
+    });
+    jest.spyOn(Document, 'findOne').mockReturnValue(query(document));
+    jest.spyOn(Document, 'updateOne').mockResolvedValue({});
+    jest.spyOn(ActivityLog, 'create').mockResolvedValue({});
+  });
+
+  const publicRequest = (headers = {}) => request({ params: { token: TOKEN }, headers });
+
+  const download = async (headers) => {
+    const res = streamResponse();
+    const failed = new Promise(resolve => downloadSharedDocument(publicRequest(headers), res, resolve));
+    const outcome = await Promise.race([collect(res).then(body => ({ body })), failed.then(error => ({ error }))]);
+    return { res, ...outcome };
+  };
+
+  // Activity log entries of link accesses
+  const accessLog = () => ActivityLog.create.mock.calls.map(([entry]) => entry);
+
+  describe('downloads', () => {
+    it('serves the file and counts the download', async () => {
+      const { res, body } = await download();
+
+      expect(body).toBe(CONTENT);
+      expect(res.headers['Content-Disposition']).toBe("attachment; filename*=UTF-8''report.txt");
+      expect(link.downloadCount).toBe(1);
+      expect(accessLog()).toContainEqual(expect.objectContaining({
+        action: 'share_link_access',
+        status: 'success',
+        details: expect.objectContaining({ access: 'download', downloadCount: 1 }),
+      }));
+    });
+
+    it('stops at the download limit', async () => {
+      await download();
+      await download();
+      const { error } = await download();
+
+      expect(error).toMatchObject({ statusCode: 410, message: 'This link has reached its download limit' });
+      expect(link.downloadCount).toBe(2);
+    });
+
+    it('refuses a download claimed by a concurrent request at the limit', async () => {
+      // Another request takes the last download between the check and the claim
+      ShareLink.findOneAndUpdate.mockResolvedValueOnce(null);
+
+      const { error } = await download();
+
+      expect(error).toMatchObject({ statusCode: 410 });
+      expect(accessLog()).toContainEqual(expect.objectContaining({ status: 'failure' }));
+    });
+
+    it('gives the download back when the file cannot be served', async () => {
+      // Watermarking a file that is not a valid PDF fails before anything is sent
+      document.watermarkDownloads = true;
+      document.mimeType = 'application/pdf';
+
+      const { error } = await download();
+
+      expect(error).toMatchObject({ statusCode: 422 });
+      expect(ShareLink.updateOne).toHaveBeenCalledWith(
+        { _id: link._id, downloadCount: { $gt: 0 } },
+        { $inc: { downloadCount: -1 } }
+      );
+      expect(Document.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('refuses links that only allow viewing', async () => {
+      link.permission = 'view';
+
+      const { error } = await download();
+
+      expect(error).toMatchObject({ statusCode: 403 });
+      expect(ShareLink.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('asks for the password of protected links', async () => {
+      link.password = await bcrypt.hash('s3cret', 4);
+
+      expect((await download()).error).toMatchObject({ statusCode: 401, message: 'This link is password protected' });
+      expect((await download({ 'x-share-password': 'guess' })).error).toMatchObject({ statusCode: 401 });
+      expect((await download({ 'x-share-password': 's3cret' })).body).toBe(CONTENT);
+    });
+  });
+
+  describe('viewing', () => {
+    it('stays possible once the download limit is spent', async () => {
+      link.downloadCount = 2;
+
+      const { res, error } = await run(getSharedDocument, publicRequest());
+
+      expect(error).toBeUndefined();
+      expect(res.body.data.link.downloadsRemaining).toBe(0);
+      expect(res.body.data.document.title).toBe('Quarterly report');
+    });
+
+    it.each([
+      ['revoked', { revokedAt: new Date() }, 'This link has been revoked'],
+      ['expired', { expiresAt: new Date(Date.now() - 1000) }, 'This link has expired'],
+    ])('is refused once the link is %s', async (label, fields, message) => {
+      Object.assign(link, fields);
+
+      const { error } = await run(getSharedDocument, publicRequest());
+
+      expect(error).toMatchObject({ statusCode: 410, message });
+    });
+
+    it('returns 404 for an unknown token', async () => {
+      const { error } = await run(getSharedDocument, request({ params: { token: 'unknown' } }));
+
+      expect(error).toMatchObject({ statusCode: 404 });
+    });
+  });
+});
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+/**
+ * Stand-in for a mongoose query: chainable like one, and resolving to the result
+ */
+exports.query = (result) => {
+  const query = {};
+  for (const method of ['select', 'populate', 'sort', 'skip', 'limit', 'lean']) {
+    query[method] = jest.fn(() => query);
+  }
+  query.exec = jest.fn(() => Promise.resolve(result));
+  query.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return query;
+};
+
+/**
+ * Stand-in for a query cursor over documents
+ */
+exports.cursor = (documents) => {
+  const query = {
+    select: jest.fn(() => query),
+    cursor: () => (async function* () { yield* documents; })(),
+  };
+  return query;
+};
+
+exports.objectId = () => new mongoose.Types.ObjectId();
+
+/**
+ * A signed-in user of a tenant
+ */
+exports.user = (fields = {}) => ({
+  _id: exports.objectId(),
+  tenantId: 'tenant-a',
+  role: 'User',
+  firstName: 'Ada',
+  lastName: 'Lovelace',
+  email: 'ada@example.com',
+  ...fields,
+});
+
+/**
+ * An Express request as the handlers read it
+ */
+exports.request = ({ user, params = {}, body = {}, query = {}, headers = {} } = {}) => ({
+  user,
+  tenantId: user ? user.tenantId : undefined,
+  params,
+  body,
+  query,
+  ip: '203.0.113.7',
+  connection: {},
+  get: name => headers[name.toLowerCase()],
+});
+
+/**
+ * Run a route handler, resolving with the response once it replies with JSON,
+ * or with the error it passes to next
+ */
+exports.run = (handler, req) => new Promise((resolve) => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set(name, value) {
+      Object.assign(this.headers, typeof name === 'object' ? name : { [name]: value });
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      resolve({ res: this });
+      return this;
+    },
+  };
+
+  handler(req, res, error => resolve({ res, error }));
+});
@@ -0,0 +1,92 @@
+jest.mock('../../src/jobs/queue', () => {
+  const queue = { process: jest.fn(), add: jest.fn() };
+  return { getQueue: () => queue, closeQueues: jest.fn() };
+});
+jest.mock('../../src/services/documentService', () => ({
+  purgeDocument: jest.fn(),
+}));
+
+const Document = require('../../src/models/Document');
+const Tenant = require('../../src/models/Tenant');
+const LegalHold = require('../../src/models/LegalHold');
+const trashPurgeJob = require('../../src/jobs/trashPurgeJob');
+const { getQueue } = require('../../src/jobs/queue');
+const { purgeDocument } = require('../../src/services/documentService');
+const { query, cursor, objectId } = require('../helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-03-01T03:00:00Z').getTime();
+
+describe('trashPurgeJob', () => {
+  let processJob;
+  const heldId = objectId();
+  const exclusion = { _id: { $nin: [heldId] }, folderId: { $nin: [] } };
+
+  beforeAll(async () => {
+    await trashPurgeJob.start();
+    processJob = getQueue('trash-purge').process.mock.calls[0][1];
+  });
+
+  beforeEach(() => {
+    purgeDocument.mockReset();
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+    jest.spyOn(LegalHold, 'exclusionFilter').mockResolvedValue(exclusion);
+  });
+
+  it('schedules the purge once a day by default', () => {
+    expect(getQueue('trash-purge').add).toHaveBeenCalledWith('scheduled', {}, expect.objectContaining({
+      repeat: { cron: '0 3 * * *' },
+    }));
+  });
+
+  it("purges trashed documents older than each tenant's retention period, sparing held ones", async () => {
+    jest.spyOn(Document, 'distinct').mockResolvedValue(['tenant-a', 'tenant-b']);
+    jest.spyOn(Tenant, 'findOne').mockImplementation(({ tenantId }) => query(
+      tenantId === 'tenant-a' ? { settings: { trashRetentionDays: 7 } } : null
+    ));
+    const documents = { 'tenant-a': [{ _id: objectId() }, { _id: objectId() }], 'tenant-b': [{ _id: objectId() }] };
+    const find = jest.spyOn(Document, 'find').mockImplementation(({ tenantId }) => cursor(documents[tenantId]));
+
+    const result = await processJob({ name: 'scheduled', data: {} });
+
+    expect(result).toEqual({ purged: 3, failed: 0 });
+    expect(find).toHaveBeenCalledWith({
+      tenantId: 'tenant-a',
+      deletedAt: { $lte: new Date(NOW - 7 * DAY) },
+      ...exclusion,
+      status: 'deleted',
+    });
+    // Tenants without a record keep trash for 30 days
+    expect(find).toHaveBeenCalledWith(expect.objectContaining({
+      tenantId: 'tenant-b',
+      deletedAt: { $lte: new Date(NOW - 30 * DAY) },
+    }));
+    expect(purgeDocument).toHaveBeenCalledTimes(3);
+  });
+
+  it('keeps going when a document fails to purge', async () => {
+    const documents = [{ _id: objectId() }, { _id: objectId() }, { _id: objectId() }];
+    jest.spyOn(Document, 'find').mockReturnValue(cursor(documents));
+    purgeDocument.mockResolvedValueOnce().mockRejectedValueOnce(new Error('storage unavailable')).mockResolvedValueOnce();
+
+    const result = await processJob({ name: 'empty', data: { tenantId: 'tenant-a', ownerId: null } });
+
+    expect(result).toEqual({ purged: 2, failed: 1 });
+    expect(purgeDocument).toHaveBeenCalledTimes(3);
+  });
+
+  it("empties one user's trash regardless of age", async () => {
+    const ownerId = objectId();
+    const find = jest.spyOn(Document, 'find').mockReturnValue(cursor([]));
+
+    await processJob({ name: 'empty', data: { tenantId: 'tenant-a', ownerId } });
+
+    expect(find).toHaveBeenCalledWith({ tenantId: 'tenant-a', owner: ownerId, ...exclusion, status: 'deleted' });
+  });
+
+  it('reads the retention period from the tenant settings', async () => {
+    jest.spyOn(Tenant, 'findOne').mockReturnValue(query({ settings: { trashRetentionDays: 90 } }));
+
+    await expect(trashPurgeJob.getRetentionDays('tenant-a')).resolves.toBe(90);
+  });
+});
@@ -0,0 +1,43 @@
+const express = require('express');
+const request = require('supertest');
+
+describe('uploadMultiple', () => {
+  let app;
+
+  beforeAll(() => {
+    process.env.MAX_FILE_SIZE = '1024';
+    jest.isolateModules(() => {
+      const { uploadMultiple, handleMulterError } = require('../../src/middleware/upload');
+
+      app = express();
+      app.post('/batch', uploadMultiple, (req, res) => res.json({
+        files: req.files.map(file => ({ name: file.originalname, size: file.buffer.length })),
+        rejected: req.rejectedFiles || [],
+      }));
+      app.use(handleMulterError);
+    });
+  });
+
+  afterAll(() => {
+    delete process.env.MAX_FILE_SIZE;
+  });
+
+  it('rejects oversized and unsupported files one by one and keeps the rest of the batch', async () => {
+    const res = await request(app)
+      .post('/batch')
+      .attach('files', Buffer.alloc(512, 'a'), { filename: 'small.txt', contentType: 'text/plain' })
+      .attach('files', Buffer.alloc(4096, 'b'), { filename: 'large.txt', contentType: 'text/plain' })
+      .attach('files', Buffer.from('x'), { filename: 'tool.exe', contentType: 'application/x-msdownload' })
+      .attach('files', Buffer.alloc(1024, 'c'), { filename: 'exact.txt', contentType: 'text/plain' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.files).toEqual([
+      { name: 'small.txt', size: 512 },
+      { name: 'exact.txt', size: 1024 },
+    ]);
+    expect(res.body.rejected).toEqual([
+      { file: 'tool.exe', reason: 'File type application/x-msdownload is not supported' },
+      { file: 'large.txt', reason: expect.stringContaining('is larger than the') },
+    ]);
+  });
+});
@@ -0,0 +1,141 @@
+const storage = require('../../src/config/storage');
+const Document = require('../../src/models/Document');
+const DocumentText = require('../../src/models/DocumentText');
+const Folder = require('../../src/models/Folder');
+const LegalHold = require('../../src/models/LegalHold');
+const Seal = require('../../src/models/Seal');
+const ShareLink = require('../../src/models/ShareLink');
+const SignatureRequest = require('../../src/models/SignatureRequest');
+const Tenant = require('../../src/models/Tenant');
+const User = require('../../src/models/User');
+const WorkflowRun = require('../../src/models/WorkflowRun');
+const MemoryDriver = require('../../src/services/storage/memoryDriver');
+const { assertNotHeld, purgeDocument } = require('../../src/services/documentService');
+const { query, objectId } = require('../helpers');
+
+const TENANT = 'tenant-a';
+
+const createDocument = (fields = {}) => new Document({
+  tenantId: TENANT,
+  title: 'Contract',
+  owner: objectId(),
+  status: 'deleted',
+  storageKey: `${TENANT}/documents/v2`,
+  fileSize: 200,
+  versionHistory: [
+    { version: 1, storageKey: `${TENANT}/documents/v1`, fileSize: 100 },
+    { version: 2, storageKey: `${TENANT}/documents/v2`, fileSize: 200 },
+  ],
+  renditions: [{ name: 'thumbnail', version: 2, storageKey: `${TENANT}/renditions/thumbnail.webp` }],
+  ...fields,
+});
+
+// Active holds as read by LegalHold.holdsFor
+const useHolds = (holds, folder = null) => {
+  jest.spyOn(Folder, 'findById').mockReturnValue(query(folder));
+  return jest.spyOn(LegalHold, 'find').mockReturnValue(query(holds));
+};
+
+describe('legal holds', () => {
+  it('allow a document no hold covers', async () => {
+    useHolds([]);
+
+    await expect(assertNotHeld(createDocument())).resolves.toBeUndefined();
+  });
+
+  it('block a document held directly or through any folder above it', async () => {
+    const parent = objectId();
+    const folder = { _id: objectId(), ancestors: [objectId(), parent] };
+    const document = createDocument({ folderId: folder._id });
+    const find = useHolds([{ name: 'Smith v. Acme' }], folder);
+
+    await expect(assertNotHeld(document, 'moved')).rejects.toMatchObject({
+      statusCode: 423,
+      message: 'Document is under legal hold (Smith v. Acme) and cannot be moved',
+    });
+    expect(find).toHaveBeenCalledWith({
+      tenantId: TENANT,
+      status: 'active',
+      $or: [{ documents: document._id }, { folders: { $in: [folder._id, ...folder.ancestors] } }],
+    });
+  });
+
+  it('cover the documents and subfolders of held folders', async () => {
+    const heldDocument = objectId();
+    const heldFolder = objectId();
+    const subfolder = objectId();
+    jest.spyOn(LegalHold, 'find').mockReturnValue(query([{ documents: [heldDocument], folders: [heldFolder] }]));
+    const findFolders = jest.spyOn(Folder, 'find').mockReturnValue({ distinct: () => Promise.resolve([heldFolder, subfolder]) });
+
+    const scope = await LegalHold.heldScope(TENANT);
+
+    expect(findFolders).toHaveBeenCalledWith({
+      tenantId: TENANT,
+      $or: [{ _id: { $in: [heldFolder] } }, { ancestors: { $in: [heldFolder] } }],
+    });
+    expect(LegalHold.covers(scope, { _id: heldDocument, folderId: null })).toBe(true);
+    expect(LegalHold.covers(scope, { _id: objectId(), folderId: subfolder })).toBe(true);
+    expect(LegalHold.covers(scope, { _id: objectId(), folderId: objectId() })).toBe(false);
+    expect(LegalHold.covers(scope, { _id: objectId(), folderId: null })).toBe(false);
+  });
+});
+
+describe('purgeDocument', () => {
+  let driver;
+  let document;
+
+  beforeEach(async () => {
+    driver = new MemoryDriver();
+    storage.setDriver(driver);
+    document = createDocument();
+
+    for (const key of [...document.versionHistory.map(v => v.storageKey), `${TENANT}/renditions/thumbnail.webp`, `${TENANT}/seals/stamped.pdf`]) {
+      await storage.put(key, Buffer.from(key));
+    }
+
+    useHolds([]);
+    jest.spyOn(Seal, 'find').mockReturnValue(query([{ stamped: { storageKey: `${TENANT}/seals/stamped.pdf` } }]));
+    jest.spyOn(Seal, 'updateMany').mockResolvedValue({});
+    jest.spyOn(DocumentText, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(ShareLink, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(SignatureRequest, 'updateMany').mockResolvedValue({});
+    jest.spyOn(WorkflowRun, 'updateMany').mockResolvedValue({});
+    jest.spyOn(Document, 'deleteOne').mockResolvedValue({});
+    jest.spyOn(User, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Tenant, 'updateOne').mockResolvedValue({});
+  });
+
+  it('deletes every stored object of the document and gives its space back', async () => {
+    await purgeDocument(document);
+
+    expect((await storage.list(`${TENANT}/`)).objects).toEqual([]);
+    expect(Document.deleteOne).toHaveBeenCalledWith({ _id: document._id });
+    expect(ShareLink.deleteMany).toHaveBeenCalledWith({ document: document._id });
+    expect(User.updateOne).toHaveBeenCalledWith({ _id: document.owner }, { $inc: { storageUsed: -300 } });
+    expect(Tenant.updateOne).toHaveBeenCalledWith({ tenantId: TENANT }, { $inc: { 'usage.storageUsed': -300 } });
+  });
+
+  it('ends open signature requests and leaves finished ones as they were', async () => {
+    await purgeDocument(document);
+
+    expect(SignatureRequest.updateMany).toHaveBeenCalledWith(
+      { document: document._id, status: { $in: ['pending', 'completing'] } },
+      { $set: { status: 'document_purged' } }
+    );
+    // Every request, finished or not, records the purge in its audit trail
+    expect(SignatureRequest.updateMany).toHaveBeenCalledWith(
+      { document: document._id },
+      { $push: { events: { type: 'document_purged', at: expect.any(Date) } } }
+    );
+  });
+
+  it('refuses a held document and deletes nothing', async () => {
+    useHolds([{ name: 'Audit 2026' }]);
+
+    await expect(purgeDocument(document)).rejects.toMatchObject({ statusCode: 423 });
+
+    expect((await storage.list(`${TENANT}/`)).objects).toHaveLength(4);
+    expect(Document.deleteOne).not.toHaveBeenCalled();
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+jest.mock('../../src/jobs/queue', () => {
+  const queue = { process: jest.fn(), add: jest.fn() };
+  return { getQueue: () => queue, closeQueues: jest.fn() };
+});
+
+const storage = require('../../src/config/storage');
+const Tenant = require('../../src/models/Tenant');
+const Document = require('../../src/models/Document');
+const UploadSession = require('../../src/models/UploadSession');
+const Seal = require('../../src/models/Seal');
+const MemoryDriver = require('../../src/services/storage/memoryDriver');
+const encryption = require('../../src/services/encryptionService');
+const keyRotationJob = require('../../src/jobs/keyRotationJob');
+const { getQueue } = require('../../src/jobs/queue');
+const { query, cursor, objectId } = require('../helpers');
+
+const TENANT = 'tenant-a';
+
+const collect = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+// Current tenant key version, as read by currentKeyOf
+const useKeyVersion = (keyVersion) => {
+  jest.spyOn(Tenant, 'findOne').mockReturnValue(query({ encryption: { keyVersion } }));
+};
+
+describe('encryptionService', () => {
+  const masterKey = process.env.ENCRYPTION_MASTER_KEY;
+
+  beforeEach(() => {
+    storage.setDriver(new MemoryDriver());
+    useKeyVersion(1);
+  });
+
+  afterEach(() => {
+    process.env.ENCRYPTION_MASTER_KEY = masterKey;
+    process.env.ENCRYPTION_MASTER_KEY_ID = '1';
+    delete process.env.ENCRYPTION_RETIRED_MASTER_KEYS;
+  });
+
+  describe('round trip', () => {
+    it.each([
+      ['an empty file', 0],
+      ['a file smaller than a segment', 1000],
+      ['a file of exactly one segment', encryption.SEGMENT_SIZE],
+      ['a file spanning several segments', encryption.SEGMENT_SIZE * 2 + 17],
+    ])('stores and reads back %s', async (label, size) => {
+      const plaintext = crypto.randomBytes(size);
+
+      const stored = await encryption.putEncrypted(TENANT, `${TENANT}/documents/file`, plaintext);
+
+      const ciphertext = await storage.getBuffer(`${TENANT}/documents/file`);
+      expect(ciphertext.length).toBe(encryption.encryptedLength(size));
+      expect(stored).toMatchObject({ masterKeyId: '1', keyVersion: 1 });
+      expect((await encryption.getDecryptedBuffer(TENANT, `${TENANT}/documents/file`, stored)).equals(plaintext)).toBe(true);
+    });
+
+    it('does not store the plaintext', async () => {
+      const plaintext = Buffer.from('Quarterly figures: confidential');
+
+      await encryption.putEncrypted(TENANT, `${TENANT}/documents/file`, plaintext);
+
+      expect((await storage.getBuffer(`${TENANT}/documents/file`)).includes(plaintext)).toBe(false);
+    });
+
+    it('decrypts what the encrypt stream produced in separately encrypted parts', async () => {
+      const { dataKey } = await encryption.createDataKey(TENANT);
+      const plaintext = crypto.randomBytes(encryption.SEGMENT_SIZE * 3 + 5);
+      const partSize = encryption.SEGMENT_SIZE * 2;
+
+      const first = await collect(Readable.from([plaintext.subarray(0, partSize)])
+        .pipe(encryption.createEncryptStream(dataKey, { firstSegment: 0, final: false })));
+      const last = await collect(Readable.from([plaintext.subarray(partSize)])
+        .pipe(encryption.createEncryptStream(dataKey, { firstSegment: 2, final: true })));
+
+      expect(first.length).toBe(encryption.encryptedLength(partSize, { final: false }));
+      const decrypted = await collect(Readable.from([first, last]).pipe(encryption.createDecryptStream(dataKey)));
+      expect(decrypted.equals(plaintext)).toBe(true);
+    });
+
+    it('reads files stored before encryption as they are', async () => {
+      await storage.put(`${TENANT}/legacy.txt`, Buffer.from('plain'));
+
+      expect((await encryption.getDecryptedBuffer(TENANT, `${TENANT}/legacy.txt`, null)).toString()).toBe('plain');
+    });
+
+    it('detects tampered and truncated files', async () => {
+      const key = `${TENANT}/documents/file`;
+      const stored = await encryption.putEncrypted(TENANT, key, crypto.randomBytes(encryption.SEGMENT_SIZE + 10));
+      const ciphertext = await storage.getBuffer(key);
+
+      const tampered = Buffer.from(ciphertext);
+      tampered[40] ^= 1;
+      await storage.put(key, tampered);
+      await expect(encryption.getDecryptedBuffer(TENANT, key, stored)).rejects.toThrow('failed authentication');
+
+      // Dropping the final segment leaves a full segment that was not marked final
+      await storage.put(key, ciphertext.subarray(0, encryption.encryptedLength(encryption.SEGMENT_SIZE, { final: false })));
+      await expect(encryption.getDecryptedBuffer(TENANT, key, stored)).rejects.toThrow('failed authentication');
+    });
+
+    it('binds data keys to their tenant', async () => {
+      const stored = await encryption.putEncrypted(TENANT, `${TENANT}/documents/file`, Buffer.from('secret'));
+
+      await expect(encryption.getDecryptedBuffer('tenant-b', `${TENANT}/documents/file`, stored)).rejects.toThrow();
+    });
+  });
+
+  describe('rotation', () => {
+    it('re-wraps a data key under a new tenant key version without touching the file', async () => {
+      const key = `${TENANT}/documents/file`;
+      const stored = await encryption.putEncrypted(TENANT, key, Buffer.from('contract'));
+      const before = await storage.getBuffer(key);
+
+      const rewrapped = encryption.rewrapDataKey(TENANT, stored, { masterKeyId: '1', keyVersion: 2 });
+
+      expect(rewrapped.wrappedKey).not.toBe(stored.wrappedKey);
+      expect(encryption.isWrappedWith(rewrapped, { masterKeyId: '1', keyVersion: 2 })).toBe(true);
+      expect(encryption.unwrapDataKey(TENANT, rewrapped)).toEqual(encryption.unwrapDataKey(TENANT, stored));
+      expect(await storage.getBuffer(key)).toEqual(before);
+      expect((await encryption.getDecryptedBuffer(TENANT, key, rewrapped)).toString()).toBe('contract');
+    });
+
+    it('moves data keys to a new master key while the old one is retired', async () => {
+      const key = `${TENANT}/documents/file`;
+      const stored = await encryption.putEncrypted(TENANT, key, Buffer.from('contract'));
+
+      process.env.ENCRYPTION_RETIRED_MASTER_KEYS = `1:${masterKey}`;
+      process.env.ENCRYPTION_MASTER_KEY = crypto.randomBytes(32).toString('base64');
+      process.env.ENCRYPTION_MASTER_KEY_ID = '2';
+
+      // Still readable under the retired key, then re-wrapped under the new one
+      expect((await encryption.getDecryptedBuffer(TENANT, key, stored)).toString()).toBe('contract');
+      const rewrapped = encryption.rewrapDataKey(TENANT, stored, await encryption.currentKeyOf(TENANT));
+      expect(rewrapped).toMatchObject({ masterKeyId: '2', keyVersion: 1 });
+
+      delete process.env.ENCRYPTION_RETIRED_MASTER_KEYS;
+      expect((await encryption.getDecryptedBuffer(TENANT, key, rewrapped)).toString()).toBe('contract');
+      await expect(encryption.getDecryptedBuffer(TENANT, key, stored)).rejects.toThrow('Master key "1" is not configured');
+    });
+
+    it('re-wraps every stored data key of a tenant in the rotation job', async () => {
+      const storedA = await encryption.putEncrypted(TENANT, `${TENANT}/a`, Buffer.from('first'));
+      const storedB = await encryption.putEncrypted(TENANT, `${TENANT}/b`, Buffer.from('second'));
+      const document = {
+        _id: objectId(),
+        versionHistory: [
+          { _id: objectId(), storageKey: `${TENANT}/a`, encryption: storedA },
+          { _id: objectId(), storageKey: `${TENANT}/b`, encryption: storedB },
+          { _id: objectId(), storageKey: `${TENANT}/legacy` },
+        ],
+        renditions: [],
+      };
+
+      useKeyVersion(2);
+      jest.spyOn(Tenant, 'updateOne').mockResolvedValue({});
+      jest.spyOn(Document, 'find').mockReturnValue(cursor([document]));
+      const updateOne = jest.spyOn(Document, 'updateOne').mockResolvedValue({});
+      jest.spyOn(UploadSession, 'find').mockResolvedValue([]);
+      jest.spyOn(Seal, 'find').mockReturnValue(query([]));
+
+      await keyRotationJob.start();
+      const processJob = getQueue('key-rotation').process.mock.calls[0][0];
+      const totals = await processJob({ data: { tenantId: TENANT } });
+
+      expect(totals).toEqual({ tenants: 1, rewrapped: 2, failed: 0 });
+      const [, { $set }, { arrayFilters }] = updateOne.mock.calls[0];
+      expect(arrayFilters).toEqual([
+        { 'v0._id': document.versionHistory[0]._id },
+        { 'v1._id': document.versionHistory[1]._id },
+      ]);
+      expect($set['versionHistory.$[v0].encryption']).toMatchObject({ masterKeyId: '1', keyVersion: 2 });
+      expect((await encryption.getDecryptedBuffer(TENANT, `${TENANT}/b`, $set['versionHistory.$[v1].encryption'])).toString())
+        .toBe('second');
+    });
+  });
+
+  it('fails the stream, not the call, when a data key cannot be unwrapped', async () => {
+    const stream = encryption.getDecryptedStream(TENANT, `${TENANT}/file`, {
+      wrappedKey: 'AAAA',
+      masterKeyId: 'missing',
+      keyVersion: 1,
+    });
+
+    await expect(pipeline(stream, async function* (source) { yield* source; })).rejects.toThrow('Master key "missing" is not configured');
+  });
+});
@@ -0,0 +1,180 @@
+jest.mock('../../src/services/documentService', () => ({
+  ...jest.requireActual('../../src/services/documentService'),
+  storeVersion: jest.fn(),
+}));
+
+const sharp = require('sharp');
+const { PDFDocument } = require('pdf-lib');
+const storage = require('../../src/config/storage');
+const Document = require('../../src/models/Document');
+const SignatureRequest = require('../../src/models/SignatureRequest');
+const Tenant = require('../../src/models/Tenant');
+const MemoryDriver = require('../../src/services/storage/memoryDriver');
+const { putEncrypted } = require('../../src/services/encryptionService');
+const { storeVersion } = require('../../src/services/documentService');
+const { completeRequest } = require('../../src/services/signatureService');
+const { sha256 } = require('../../src/utils/checksum');
+const { query, objectId, user } = require('../helpers');
+
+const TENANT = 'tenant-a';
+
+describe('SignatureRequest', () => {
+  const signers = statuses => statuses.map(status => ({ user: objectId(), name: 'Signer', email: 's@example.com', status }));
+  const create = (fields) => new SignatureRequest({
+    tenantId: TENANT,
+    document: objectId(),
+    version: 1,
+    checksum: 'abc',
+    requestedBy: objectId(),
+    ...fields,
+  });
+
+  it('hands the turn to one signer at a time in sequential order', () => {
+    const request = create({ signers: signers(['signed', 'waiting', 'waiting']) });
+
+    expect(request.activateSigners()).toEqual([request.signers[1]]);
+    expect(request.signers.map(signer => signer.status)).toEqual(['signed', 'pending', 'waiting']);
+    // Nothing changes while someone has the turn
+    expect(request.activateSigners()).toEqual([]);
+  });
+
+  it('hands the turn to every signer at once in parallel order', () => {
+    const request = create({ signingOrder: 'parallel', signers: signers(['waiting', 'waiting']) });
+
+    expect(request.activateSigners()).toHaveLength(2);
+    expect(request.currentSigners()).toHaveLength(2);
+  });
+
+  it.each([
+    ['pending', ['signed', 'signed'], true],
+    ['completing', ['signed', 'signed'], true],
+    ['pending', ['signed', 'pending'], false],
+    ['completed', ['signed', 'signed'], false],
+    ['document_purged', ['signed', 'signed'], false],
+  ])('knows whether a %s request with signers %j awaits completion', (status, statuses, expected) => {
+    expect(create({ status, signers: signers(statuses) }).awaitsCompletion()).toBe(expected);
+  });
+});
+
+describe('completeRequest', () => {
+  const requester = user({ tenantId: TENANT });
+  let original;
+  let document;
+  let request;
+
+  beforeEach(async () => {
+    storage.setDriver(new MemoryDriver());
+    jest.spyOn(Tenant, 'findOne').mockReturnValue(query(null));
+    jest.spyOn(SignatureRequest.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+    storeVersion.mockReset().mockResolvedValue({ version: 2, checksum: 'signed' });
+
+    const pdf = await PDFDocument.create();
+    pdf.addPage();
+    original = Buffer.from(await pdf.save());
+
+    const storageKey = `${TENANT}/documents/agreement.pdf`;
+    const encryption = await putEncrypted(TENANT, storageKey, original);
+    document = new Document({
+      tenantId: TENANT,
+      title: 'Agreement',
+      owner: requester._id,
+      originalName: 'agreement.pdf',
+      mimeType: 'application/pdf',
+      version: 1,
+      checksum: sha256(original),
+      storageKey,
+      versionHistory: [{ version: 1, storageKey, encryption, originalName: 'agreement.pdf' }],
+    });
+
+    const signatureImage = await sharp({
+      create: { width: 120, height: 40, channels: 4, background: { r: 20, g: 30, b: 120, alpha: 1 } },
+    }).png().toBuffer();
+    request = new SignatureRequest({
+      tenantId: TENANT,
+      document: document._id,
+      version: 1,
+      checksum: document.checksum,
+      requestedBy: requester._id,
+      signers: ['Grace Hopper', 'Alan Turing'].map(name => ({
+        user: objectId(),
+        name,
+        email: `${name.split(' ')[0].toLowerCase()}@example.com`,
+        status: 'signed',
+        signedAt: new Date(),
+        signatureType: 'typed',
+        signatureImage,
+        ipAddress: '198.51.100.4',
+      })),
+      events: [{ type: 'created', name: 'Ada Lovelace', at: new Date() }],
+    });
+  });
+
+  it('stores the signed PDF as the next version and completes the request', async () => {
+    await completeRequest(request, { document, user: requester });
+
+    const [{ buffer, mimeType, changes }] = storeVersion.mock.calls[0];
+    const signed = await PDFDocument.load(buffer);
+    // The original page, then the signatures and the audit trail
+    expect(signed.getPageCount()).toBeGreaterThan(1);
+    expect(mimeType).toBe('application/pdf');
+    expect(changes).toBe('Signed by Grace Hopper, Alan Turing');
+
+    expect(request.status).toBe('completed');
+    expect(request.signedVersion).toBe(2);
+    expect(request.signedChecksum).toBe(sha256(buffer));
+    expect(request.events.filter(event => event.type === 'completed')).toHaveLength(1);
+  });
+
+  it('saves the request as completing before the version is stored', async () => {
+    const statuses = [];
+    SignatureRequest.prototype.save.mockImplementation(function() {
+      statuses.push(this.status);
+      return Promise.resolve(this);
+    });
+
+    await completeRequest(request, { document, user: requester });
+
+    expect(statuses).toEqual(['completing', 'completed']);
+  });
+
+  it('finishes a retried completion from the version already stored', async () => {
+    request.status = 'completing';
+    request.signedChecksum = 'signed-checksum';
+    document.versionHistory.push({ version: 2, storageKey: `${TENANT}/documents/signed.pdf`, checksum: 'signed-checksum' });
+
+    await completeRequest(request, { document, user: requester });
+
+    expect(storeVersion).not.toHaveBeenCalled();
+    expect(request.status).toBe('completed');
+    expect(request.signedVersion).toBe(2);
+  });
+
+  it('waits for a completion that may still be storing the signed PDF', async () => {
+    request.status = 'completing';
+    request.signedChecksum = 'not-stored-yet';
+    request.updatedAt = new Date();
+
+    await expect(completeRequest(request, { document, user: requester })).rejects.toMatchObject({ statusCode: 409 });
+    expect(storeVersion).not.toHaveBeenCalled();
+  });
+
+  it('refuses when the document changed after signatures were requested', async () => {
+    document.version = 2;
+
+    await expect(completeRequest(request, { document, user: requester })).rejects.toMatchObject({
+      statusCode: 409,
+      message: expect.stringContaining('must be sent again'),
+    });
+  });
+
+  it('refuses when the archived file no longer matches its checksum', async () => {
+    const entry = document.versionHistory[0];
+    entry.encryption = await putEncrypted(TENANT, entry.storageKey, Buffer.from('%PDF-1.7 altered'));
+
+    await expect(completeRequest(request, { document, user: requester })).rejects.toMatchObject({
+      statusCode: 409,
+      message: expect.stringContaining('no longer matches its checksum'),
+    });
+    expect(request.status).toBe('pending');
+  });
+});
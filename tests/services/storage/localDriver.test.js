@@ -0,0 +1,116 @@
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const LocalDriver = require('../../../src/services/storage/localDriver');
+const { storageName } = require('../../../src/services/documentService');
+
+const read = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+};
+
+describe('LocalDriver', () => {
+  let root;
+  let driver;
+
+  beforeEach(async () => {
+    root = await fsp.mkdtemp(path.join(os.tmpdir(), 'docarchive-local-'));
+    driver = new LocalDriver({ root });
+  });
+
+  afterEach(async () => {
+    await fsp.rm(root, { recursive: true, force: true });
+  });
+
+  describe('resolve', () => {
+    it('maps keys to paths under the root', () => {
+      expect(driver.resolve('tenant-a/documents/report.pdf'))
+        .toBe(path.join(root, 'tenant-a', 'documents', 'report.pdf'));
+    });
+
+    it.each([
+      '../outside.txt',
+      'tenant-a/../../outside.txt',
+      'tenant-a/./report.pdf',
+      'tenant-a//report.pdf',
+      '/etc/passwd',
+      'tenant-a/',
+      '',
+      'tenant-a/..\\..\\outside.txt',
+    ])('refuses the key %p', (key) => {
+      expect(() => driver.resolve(key)).toThrow('Invalid storage key');
+    });
+
+    it('refuses traversal in metadata and multipart paths', async () => {
+      expect(() => driver.metaPath('../escape')).toThrow('Invalid storage key');
+      await expect(driver.getUpload('tenant-a/file', '../../escape')).rejects.toThrow('Invalid storage key');
+    });
+  });
+
+  it('stores, reads and deletes objects with their metadata', async () => {
+    await driver.put('tenant-a/documents/note.txt', Buffer.from('hello'), {
+      contentType: 'text/plain',
+      metadata: { checksum: 'abc' },
+    });
+
+    expect(await read(driver.getStream('tenant-a/documents/note.txt'))).toBe('hello');
+    expect(await driver.head('tenant-a/documents/note.txt')).toMatchObject({
+      size: 5,
+      contentType: 'text/plain',
+      metadata: { checksum: 'abc' },
+    });
+
+    await driver.delete('tenant-a/documents/note.txt');
+    expect(await driver.head('tenant-a/documents/note.txt')).toBeNull();
+  });
+
+  it('reports missing objects as not found', async () => {
+    await expect(read(driver.getStream('tenant-a/missing.txt'))).rejects.toMatchObject({
+      code: 'NotFound',
+      statusCode: 404,
+    });
+  });
+
+  it('lists objects under a prefix without the internal directories', async () => {
+    await driver.put('tenant-a/documents/a.txt', 'a');
+    await driver.put('tenant-a/documents/b.txt', 'b');
+    await driver.put('tenant-b/documents/c.txt', 'c');
+
+    const { objects } = await driver.list('tenant-a/');
+
+    expect(objects.map(object => object.key)).toEqual(['tenant-a/documents/a.txt', 'tenant-a/documents/b.txt']);
+  });
+
+  it('assembles multipart uploads in part order', async () => {
+    const uploadId = await driver.createMultipartUpload('tenant-a/big.bin', { contentType: 'application/octet-stream' });
+    await driver.uploadPart('tenant-a/big.bin', uploadId, 2, Buffer.from('world'));
+    await driver.uploadPart('tenant-a/big.bin', uploadId, 1, Buffer.from('hello '));
+
+    await driver.completeMultipartUpload('tenant-a/big.bin', uploadId, [{ number: 1 }, { number: 2 }]);
+
+    expect(await read(driver.getStream('tenant-a/big.bin'))).toBe('hello world');
+    await expect(driver.getUpload('tenant-a/big.bin', uploadId)).rejects.toMatchObject({ code: 'NotFound' });
+  });
+});
+
+describe('storageName', () => {
+  it.each([
+    ['report.pdf', 'report.pdf'],
+    ['../../etc/passwd', 'passwd'],
+    ['..\\..\\boot.ini', 'boot.ini'],
+    ['Q3 résumé (final).docx', 'Q3 r_sum_ _final_.docx'],
+    ['..', 'file'],
+    ['', 'file'],
+    [undefined, 'file'],
+  ])('reduces %p to %p', (name, expected) => {
+    expect(storageName(name)).toBe(expected);
+  });
+
+  it('always yields a key segment the local driver accepts', () => {
+    const driver = new LocalDriver({ root: os.tmpdir() });
+    for (const name of ['../x', '.', '..', 'a/../../b', 'c:\\windows\\..\\x']) {
+      expect(() => driver.resolve(`tenant-a/documents/${storageName(name)}`)).not.toThrow();
+    }
+  });
+});
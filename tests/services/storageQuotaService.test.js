@@ -0,0 +1,131 @@
+const User = require('../../src/models/User');
+const Tenant = require('../../src/models/Tenant');
+const quota = require('../../src/services/storageQuotaService');
+const { query, objectId } = require('../helpers');
+
+const MB = 1024 * 1024;
+
+describe('storageQuotaService', () => {
+  const ownerId = objectId();
+  const request = { tenantId: 'tenant-a', ownerId, bytes: 10 * MB };
+
+  // Owner and tenant usage as read by the quota checks
+  const useLimits = ({ storageUsed = 0, storageLimit = 100 * MB, maxStoragePerUser = 1024 * MB, totalStorageLimit = 1024 * MB, tenantUsed = 0 }) => {
+    jest.spyOn(User, 'findById').mockReturnValue(query({ storageUsed, storageLimit }));
+    jest.spyOn(Tenant, 'findOne').mockReturnValue(query(new Tenant({
+      tenantId: 'tenant-a',
+      settings: { maxStoragePerUser, totalStorageLimit },
+      usage: { storageUsed: tenantUsed },
+    })));
+  };
+
+  describe('assertStorageAvailable', () => {
+    it('accepts an upload that fits both quotas', async () => {
+      useLimits({ storageUsed: 90 * MB });
+
+      await expect(quota.assertStorageAvailable(request)).resolves.toBeUndefined();
+    });
+
+    it('refuses an upload over the user quota with 413', async () => {
+      useLimits({ storageUsed: 95 * MB });
+
+      await expect(quota.assertStorageAvailable(request)).rejects.toMatchObject({
+        statusCode: 413,
+        message: expect.stringContaining('only 5 MB of the 100 MB quota is free'),
+      });
+    });
+
+    it('applies the tenant per-user cap when it is lower than the user limit', async () => {
+      useLimits({ storageLimit: 100 * MB, maxStoragePerUser: 15 * MB, storageUsed: 6 * MB });
+
+      await expect(quota.assertStorageAvailable(request)).rejects.toMatchObject({ statusCode: 413 });
+    });
+
+    it('refuses an upload over the tenant limit with 413', async () => {
+      useLimits({ totalStorageLimit: 500 * MB, tenantUsed: 495 * MB });
+
+      await expect(quota.assertStorageAvailable(request)).rejects.toMatchObject({
+        statusCode: 413,
+        message: expect.stringContaining("organization's storage limit of 500 MB"),
+      });
+    });
+
+    it('uses the default limits for a tenant without a record', async () => {
+      jest.spyOn(User, 'findById').mockReturnValue(query({ storageUsed: 0, storageLimit: 100 * MB }));
+      jest.spyOn(Tenant, 'findOne').mockReturnValue(query(null));
+
+      await expect(quota.assertStorageAvailable(request)).resolves.toBeUndefined();
+    });
+
+    it('fails when the owner no longer exists', async () => {
+      jest.spyOn(User, 'findById').mockReturnValue(query(null));
+      jest.spyOn(Tenant, 'findOne').mockReturnValue(query(null));
+
+      await expect(quota.assertStorageAvailable(request)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('reserveStorage', () => {
+    beforeEach(() => {
+      useLimits({ storageUsed: 50 * MB, totalStorageLimit: 500 * MB });
+      jest.spyOn(Tenant, 'updateOne').mockResolvedValue({});
+    });
+
+    it('adds the bytes to the owner and the tenant only while both stay within their limits', async () => {
+      const reserveUser = jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue({});
+      const reserveTenant = jest.spyOn(Tenant, 'findOneAndUpdate').mockResolvedValue({});
+
+      await quota.reserveStorage(request);
+
+      expect(reserveUser).toHaveBeenCalledWith(
+        { _id: ownerId, storageUsed: { $lte: 90 * MB } },
+        { $inc: { storageUsed: 10 * MB } }
+      );
+      expect(reserveTenant.mock.calls[0][0].$or).toContainEqual({ 'usage.storageUsed': { $lte: 490 * MB } });
+      expect(reserveTenant.mock.calls[0][1]).toEqual({ $inc: { 'usage.storageUsed': 10 * MB } });
+    });
+
+    it('refuses when a concurrent upload used up the user quota', async () => {
+      jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue(null);
+      const reserveTenant = jest.spyOn(Tenant, 'findOneAndUpdate');
+
+      await expect(quota.reserveStorage(request)).rejects.toMatchObject({ statusCode: 413 });
+      expect(reserveTenant).not.toHaveBeenCalled();
+    });
+
+    it('gives the owner reservation back when the tenant limit is reached', async () => {
+      jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue({});
+      jest.spyOn(Tenant, 'findOneAndUpdate').mockResolvedValue(null);
+      const release = jest.spyOn(User, 'updateOne').mockResolvedValue({});
+
+      await expect(quota.reserveStorage(request)).rejects.toMatchObject({ statusCode: 413 });
+      expect(release).toHaveBeenCalledWith({ _id: ownerId }, { $inc: { storageUsed: -10 * MB } });
+    });
+  });
+
+  it('releases the bytes from the owner and the tenant', async () => {
+    const releaseUser = jest.spyOn(User, 'updateOne').mockResolvedValue({});
+    const releaseTenant = jest.spyOn(Tenant, 'updateOne').mockResolvedValue({});
+
+    await quota.releaseStorage(request);
+
+    expect(releaseUser).toHaveBeenCalledWith({ _id: ownerId }, { $inc: { storageUsed: -10 * MB } });
+    expect(releaseTenant).toHaveBeenCalledWith({ tenantId: 'tenant-a' }, { $inc: { 'usage.storageUsed': -10 * MB } });
+  });
+
+  it('counts every distinct stored version of a document once', () => {
+    const document = {
+      storageKey: 'v3',
+      fileSize: 300,
+      versionHistory: [
+        { storageKey: 'v1', fileSize: 100 },
+        { storageKey: 'v2', fileSize: 200 },
+        // Restoring version 1 reuses its object
+        { storageKey: 'v1', fileSize: 100 },
+        { storageKey: 'v3', fileSize: 300 },
+      ],
+    };
+
+    expect(quota.storedBytesOf(document)).toBe(600);
+  });
+});
@@ -0,0 +1,12 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const logger = require('../src/utils/logger');
+
+// There is no database under test: a query a test did not stub fails at once
+// instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+process.env.ENCRYPTION_MASTER_KEY = crypto.randomBytes(32).toString('hex');
+process.env.ENCRYPTION_MASTER_KEY_ID = '1';
+
+logger.silent = true;